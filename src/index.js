@@ -7,10 +7,18 @@ const frameworkRoutes = require('./routes/framework');
 const crosswalkRoutes = require('./routes/crosswalk');
 const reportRoutes = require('./routes/report');
 const lighthouseRoutes = require('./routes/lighthouse');
+const usageRoutes = require('./routes/usage');
 const { testConnection } = require('./utils/supabase');
+const { getDefaultProvider, getRequiredProviderEnv } = require('./services/llmProvider');
+const { releaseAllJobLeases } = require('./utils/jobStore');
+const { requireAuth } = require('./middleware/auth');
+const { missingOscalSchemas, OSCAL_VERSION } = require('./services/oscalExporter');
 
 // ── Validate required environment variables ──
-const REQUIRED_ENV = ['OPENAI_API_KEY', 'SUPABASE_URL', 'SUPABASE_ANON_KEY'];
+// LLM credentials depend on LLM_PROVIDER (openai | azure | local | fake)
+// The service role key is required: background work runs outside any user session,
+// and with RLS enabled the anon client can't see anything.
+const REQUIRED_ENV = ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY', ...getRequiredProviderEnv()];
 for (const key of REQUIRED_ENV) {
   if (!process.env[key]) {
     console.error(`❌ Missing required environment variable: ${key}`);
@@ -64,12 +72,13 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Mount routes
-app.use('/api/analyze', analyzeRoutes);
-app.use('/api/framework', frameworkRoutes);
-app.use('/api/crosswalk', crosswalkRoutes);
-app.use('/api/report', reportRoutes);
-app.use('/api/lighthouse', lighthouseRoutes);
+// Mount routes — every API route requires a valid Supabase JWT
+app.use('/api/analyze', requireAuth, analyzeRoutes);
+app.use('/api/framework', requireAuth, frameworkRoutes);
+app.use('/api/crosswalk', requireAuth, crosswalkRoutes);
+app.use('/api/report', requireAuth, reportRoutes);
+app.use('/api/lighthouse', requireAuth, lighthouseRoutes);
+app.use('/api/usage', requireAuth, usageRoutes);
 
 // Global error handler (includes multer errors)
 app.use((err, req, res, next) => {
@@ -113,23 +122,34 @@ async function start() {
     console.log('⚠️ CORS: No ALLOWED_ORIGINS set — all origins permitted');
   }
 
+  // OSCAL exports prefer the official NIST schemas and fall back to our structural one
+  const missingSchemas = missingOscalSchemas();
+  if (missingSchemas.length > 0) {
+    console.warn(`⚠️ OSCAL v${OSCAL_VERSION} schemas missing from src/schemas/oscal/ (${missingSchemas.join(', ')}) — OSCAL exports are validated against the bundled structural schema only`);
+  }
+
   // Start server FIRST so Railway can connect to the port immediately
   const server = app.listen(PORT, () => {
     console.log(`\n✅ Server running on http://localhost:${PORT}`);
     console.log(`📋 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🤖 LLM provider: ${getDefaultProvider()}`);
     console.log(`🔗 Health check: http://localhost:${PORT}/health`);
     console.log(`📡 Analyze API: http://localhost:${PORT}/api/analyze`);
     console.log(`📡 Framework API: http://localhost:${PORT}/api/framework`);
     console.log(`📡 Crosswalk API: http://localhost:${PORT}/api/crosswalk`);
-    console.log(`🔦 Lighthouse API: http://localhost:${PORT}/api/lighthouse\n`);
+    console.log(`🔦 Lighthouse API: http://localhost:${PORT}/api/lighthouse`);
+    console.log(`💰 Usage API: http://localhost:${PORT}/api/usage\n`);
   });
 
   // Graceful shutdown
   function shutdown(signal) {
     console.log(`\n${signal} received. Shutting down gracefully...`);
-    server.close(() => {
-      console.log('Server closed.');
-      process.exit(0);
+    // Hand running jobs back so the next instance resumes them without waiting for lease expiry
+    releaseAllJobLeases().finally(() => {
+      server.close(() => {
+        console.log('Server closed.');
+        process.exit(0);
+      });
     });
     // Force close after 10s if connections don't drain
     setTimeout(() => process.exit(1), 10000);
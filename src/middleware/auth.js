@@ -0,0 +1,243 @@
+const { supabase, supabaseAdmin, createUserClient } = require('../utils/supabase');
+
+// ─────────────────────────────────────────────────────────────
+// Authentication & organization scoping
+//
+// requireAuth verifies the caller's Supabase JWT, loads their organization
+// memberships and attaches:
+//   req.user            — Supabase auth user
+//   req.supabase        — client acting as the user (RLS applies)
+//   req.organizationIds — every organization the user belongs to
+//   req.organizationId  — the user's first organization (by ID); only a
+//                         default — new resources take their owner from
+//                         resolveOwningOrganization instead
+//   req.organizationRoles — organization ID → the user's role there
+//
+// organization_members.role: 'owner' | 'admin' | 'reviewer' | 'member'
+// (null is treated as 'member'). Sign-offs such as approving spend over
+// budget or finalizing a crosswalk check it with hasOrganizationRole.
+//
+// authorizeParam / checkResourceAccess resolve a resource ID to its owning
+// organization with the admin client, so a foreign ID yields 403 instead of
+// an empty result that looks like "not found".
+// ─────────────────────────────────────────────────────────────
+
+// How to find the owning organization for each protected resource type
+const RESOURCE_OWNERSHIP = {
+  project: {
+    label: 'Project',
+    table: 'projects',
+    select: 'id, organization_id',
+    orgOf: (row) => row.organization_id,
+  },
+  evidence: {
+    label: 'Evidence',
+    table: 'evidence',
+    select: 'id, project:project_id (organization_id)',
+    orgOf: (row) => row.project?.organization_id,
+  },
+  analysis: {
+    label: 'Analysis',
+    table: 'analysis_results',
+    select: 'id, project:project_id (organization_id), evidence:evidence_id (project:project_id (organization_id))',
+    orgOf: (row) => row.project?.organization_id || row.evidence?.project?.organization_id,
+  },
+  report: {
+    label: 'Report',
+    table: 'reports',
+    select: 'id, project:project_id (organization_id)',
+    orgOf: (row) => row.project?.organization_id,
+  },
+  crosswalk: {
+    label: 'Crosswalk',
+    table: 'crosswalks',
+    select: 'id, organization_id',
+    orgOf: (row) => row.organization_id,
+  },
+  reportTemplate: {
+    label: 'Report template',
+    table: 'report_templates',
+    select: 'id, organization_id',
+    orgOf: (row) => row.organization_id,
+  },
+  thread: {
+    label: 'Thread',
+    table: 'lighthouse_threads',
+    select: 'id, project:project_id (organization_id)',
+    orgOf: (row) => row.project?.organization_id,
+  },
+};
+
+/**
+ * Express middleware: reject requests without a valid Supabase bearer token.
+ */
+async function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return res.status(401).json({ error: 'Missing or malformed Authorization header' });
+  }
+
+  try {
+    const accessToken = match[1].trim();
+    const { data, error } = await supabase.auth.getUser(accessToken);
+    if (error || !data?.user) {
+      return res.status(401).json({ error: 'Invalid or expired access token' });
+    }
+
+    const { data: memberships, error: memberErr } = await supabaseAdmin
+      .from('organization_members')
+      .select('organization_id, role')
+      .eq('user_id', data.user.id)
+      .order('organization_id', { ascending: true });
+
+    if (memberErr) {
+      console.error(`❌ Failed to load organization memberships: ${memberErr.message}`);
+      return res.status(500).json({ error: 'Failed to verify organization membership' });
+    }
+
+    const organizationIds = (memberships || []).map(m => m.organization_id);
+    if (organizationIds.length === 0) {
+      return res.status(403).json({ error: 'User does not belong to an organization' });
+    }
+
+    req.user = data.user;
+    req.supabase = createUserClient(accessToken);
+    req.organizationIds = organizationIds;
+    req.organizationId = organizationIds[0];
+    req.organizationRoles = Object.fromEntries((memberships || []).map(m => [m.organization_id, m.role || 'member']));
+    next();
+  } catch (err) {
+    console.error('❌ Auth error:', err.message);
+    res.status(500).json({
+      error: 'Authentication failed',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Check that the caller's organization owns a resource.
+ *
+ * @param {Object} req - Authenticated request (after requireAuth)
+ * @param {string} type - Key of RESOURCE_OWNERSHIP (project, evidence, analysis, report, reportTemplate, crosswalk, thread)
+ * @param {string} id - Resource UUID
+ * @returns {Promise<{ status: number, error: string }|null>} null when access is allowed
+ */
+async function checkResourceAccess(req, type, id) {
+  const ownership = RESOURCE_OWNERSHIP[type];
+  if (!ownership) throw new Error(`Unknown resource type "${type}"`);
+
+  if (!req.organizationIds) {
+    return { status: 401, error: 'Authentication required' };
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(ownership.table)
+    .select(ownership.select)
+    .eq('id', id)
+    .maybeSingle();
+
+  // Malformed UUIDs surface as query errors — treat them like missing rows
+  if (error || !data) {
+    return { status: 404, error: `${ownership.label} not found` };
+  }
+
+  if (!req.organizationIds.includes(ownership.orgOf(data))) {
+    return { status: 403, error: `You do not have access to this ${ownership.label.toLowerCase()}` };
+  }
+
+  return null;
+}
+
+/**
+ * Build a router.param handler that enforces organization ownership of a route ID.
+ *
+ *   router.param('evidenceId', authorizeParam('evidence'));
+ */
+function authorizeParam(type) {
+  return async (req, res, next, id) => {
+    try {
+      const denied = await checkResourceAccess(req, type, id);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Check ownership of a background job's organization (stored in job state).
+ *
+ * @returns {boolean} true when the caller may see the job
+ */
+function canAccessJob(req, job) {
+  return !!job && !!req.organizationIds && req.organizationIds.includes(job.organizationId);
+}
+
+/**
+ * Check the caller's role in one organization.
+ *
+ * @param {Object} req - Authenticated request (after requireAuth)
+ * @param {string} organizationId
+ * @param {string[]} roles - Roles that pass, e.g. ['owner', 'admin']
+ * @returns {boolean}
+ */
+function hasOrganizationRole(req, organizationId, roles) {
+  return !!req.organizationRoles && roles.includes(req.organizationRoles[organizationId]);
+}
+
+/**
+ * Pick the organization that will own a new resource. A project implies its
+ * own organization; otherwise an explicit organizationId must be one of the
+ * caller's. Without either, only a caller in exactly one organization gets a
+ * default — guessing for members of several would file the resource under
+ * whichever membership happened to come first.
+ *
+ * @param {Object} req - Authenticated request (after requireAuth)
+ * @param {Object} [params]
+ * @param {string} [params.organizationId] - Requested owner
+ * @param {string} [params.projectId] - Project the resource is created for
+ * @returns {Promise<{ organizationId: string }|{ status: number, error: string }>}
+ */
+async function resolveOwningOrganization(req, { organizationId, projectId } = {}) {
+  if (!req.organizationIds) {
+    return { status: 401, error: 'Authentication required' };
+  }
+
+  if (projectId) {
+    const { data: project, error } = await supabaseAdmin
+      .from('projects')
+      .select('id, organization_id')
+      .eq('id', projectId)
+      .maybeSingle();
+
+    if (error || !project) {
+      return { status: 404, error: 'Project not found' };
+    }
+    if (!req.organizationIds.includes(project.organization_id)) {
+      return { status: 403, error: 'You do not have access to this project' };
+    }
+    if (organizationId && organizationId !== project.organization_id) {
+      return { status: 400, error: 'organizationId does not match the project\'s organization' };
+    }
+    return { organizationId: project.organization_id };
+  }
+
+  if (organizationId) {
+    if (!req.organizationIds.includes(organizationId)) {
+      return { status: 403, error: 'You do not belong to this organization' };
+    }
+    return { organizationId };
+  }
+
+  if (req.organizationIds.length === 1) {
+    return { organizationId: req.organizationIds[0] };
+  }
+  return { status: 400, error: 'organizationId is required: you belong to more than one organization' };
+}
+
+module.exports = { requireAuth, checkResourceAccess, authorizeParam, canAccessJob, hasOrganizationRole, resolveOwningOrganization };
@@ -56,4 +56,26 @@ const upload = multer({
   },
 });
 
-module.exports = { upload };
+// OSCAL catalogs/profiles: JSON or XML only
+const oscalFileFilter = (req, file, cb) => {
+  const allowedMimes = ['application/json', 'application/xml', 'text/xml'];
+  const allowedExts = ['.json', '.xml'];
+
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (allowedMimes.includes(file.mimetype) || allowedExts.includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Unsupported file type: ${file.mimetype} (${ext}). Accepted: OSCAL JSON or XML`));
+  }
+};
+
+const oscalUpload = multer({
+  storage,
+  fileFilter: oscalFileFilter,
+  limits: {
+    fileSize: MAX_FILE_SIZE_BYTES,
+    files: 1,
+  },
+});
+
+module.exports = { upload, oscalUpload };
@@ -1,22 +1,64 @@
 const express = require('express');
 const crypto = require('crypto');
 const router = express.Router();
-const { supabase, downloadFile, cleanupFile, getSignedUrl } = require('../utils/supabase');
+const { downloadFile, cleanupFile, getSignedUrl } = require('../utils/supabase');
 const fs = require('fs');
 const { parseDocument, parseDocumentForViewer, isImageType } = require('../services/documentParser');
-const { verifyAndBuildHighlightRanges } = require('../utils/passageMatcher');
-const { analyzeEvidence, analyzeImageEvidence, analyzeScannedPdfEvidence, normalizeGptAnalysis, buildAnalyzeAllPrompt, consolidateAnalyses, consolidateControlAnalyses, SYSTEM_PROMPT } = require('../services/gpt');
+const { verifyAndBuildHighlightRanges, annotateEvidencePages } = require('../utils/passageMatcher');
+const { analyzeEvidence, getEvidenceCharsPerPrompt, analyzeAllEvidenceInChunks, analyzeImageEvidence, analyzeScannedPdfEvidence, normalizeGptAnalysis, buildAnalyzeAllPrompt, consolidateAnalyses, consolidateControlAnalyses, SYSTEM_PROMPT } = require('../services/gpt');
 const { generateDiff, generateHtmlExport } = require('../services/diffGenerator');
-const { buildRequirementText, computeGroupAggregate, fetchCustomInstructions, findChildControls, runGroupAnalysis, runGroupAnalysisByIds } = require('../services/groupAnalysis');
-const { createJobStore } = require('../utils/analysisHelpers');
+const { buildRequirementText, computeGroupAggregate, fetchCustomInstructions, findChildControls, prepareEvidenceContent, runGroupAnalysis, runGroupAnalysisByIds } = require('../services/groupAnalysis');
+const { createJobStore } = require('../utils/jobStore');
+const { hashFile, buildAnalysisCacheKey, findCachedAnalysis, buildCachedRecord } = require('../utils/analysisCache');
 const { uploadEvidenceToVectorStore } = require('../services/lighthouseAgent');
+const { getLLMClient } = require('../services/llmProvider');
+const { recordUsage } = require('../services/usageLedger');
+const { estimateGroupAnalysis, estimateAnalyzeAll } = require('../services/costEstimator');
+const { preflightSpend, describeBudgetOverrun, checkHeldJobApprover, recheckHeldJob, BUDGET_APPROVER_ROLES } = require('../services/spendBudget');
+const { runFindingPropagation } = require('../services/findingPropagation');
+const { authorizeParam, checkResourceAccess, canAccessJob, hasOrganizationRole } = require('../middleware/auth');
 
 // ── Constants ──
-const MAX_COMBINED_TEXT_CHARS = 400000;
 const MAX_IMAGE_FILES = 10;
 
-// ── In-memory job store for async group analysis ──
-const jobs = createJobStore({ processingTimeoutMs: 20 * 60 * 1000 });
+// ── Durable job store for async group analysis ──
+// Handlers let a restarted process resume jobs that were interrupted mid-run.
+const jobs = createJobStore({
+  processingTimeoutMs: 20 * 60 * 1000,
+  handlers: {
+    group_analysis: (jobId, { evidenceId, force }, store) => runGroupAnalysis(jobId, evidenceId, store, { force }),
+    group_analysis_by_ids: (jobId, { evidenceId, controlIds, force }, store) => runGroupAnalysisByIds(jobId, evidenceId, controlIds, store, { force }),
+    crosswalk_propagation: (jobId, params, store) => runFindingPropagation(jobId, store, params),
+  },
+});
+
+/**
+ * Price a group run: download and parse the evidence the same way the job
+ * will, then build every per-control prompt.
+ */
+async function estimateGroupRun(evidence, controls, logPrefix) {
+  let tempFilePath = null;
+  try {
+    tempFilePath = await downloadFile(evidence.file_path || evidence.storage_path);
+    const { documentText, imageContent } = await prepareEvidenceContent(tempFilePath, evidence, logPrefix);
+    const customInstructions = await fetchCustomInstructions(evidence.project_id);
+    return await estimateGroupAnalysis({
+      controls,
+      documentText,
+      imageCount: imageContent ? 1 : 0,
+      customInstructions,
+      buildRequirementText,
+      projectId: evidence.project_id,
+    });
+  } finally {
+    cleanupFile(tempFilePath);
+  }
+}
+
+// ── Organization ownership checks for route IDs ──
+router.param('evidenceId', authorizeParam('evidence'));
+router.param('analysisId', authorizeParam('analysis'));
+router.param('projectId', authorizeParam('project'));
 
 // POST /api/analyze/evidence/:evidenceId - Full analysis pipeline
 router.post('/evidence/:evidenceId', async (req, res) => {
@@ -24,12 +66,12 @@ router.post('/evidence/:evidenceId', async (req, res) => {
 
   try {
     const { evidenceId } = req.params;
-    const { controlContext } = req.body || {};
-    console.log(`\n🔍 Starting analysis for evidence: ${evidenceId}`);
+    const { controlContext, force } = req.body || {};
+    console.log(`\n🔍 Starting analysis for evidence: ${evidenceId}${force === true ? ' (force, cache bypassed)' : ''}`);
     console.log(`🔎 controlContext from frontend: ${JSON.stringify(controlContext || null)}`);
 
     // 1. Fetch evidence record with joined controls and frameworks
-    const { data: evidence, error: evidenceError } = await supabase
+    const { data: evidence, error: evidenceError } = await req.supabase
       .from('evidence')
       .select(`
         *,
@@ -78,7 +120,7 @@ router.post('/evidence/:evidenceId', async (req, res) => {
     // Last-resort fallback: if both frontend and join are empty, query controls directly
     if (!control.title && !control.description && evidence.control_id) {
       console.warn(`⚠️ No control data from frontend or join — fetching control ${evidence.control_id} directly`);
-      const { data: fallbackControl, error: fallbackErr } = await supabase
+      const { data: fallbackControl, error: fallbackErr } = await req.supabase
         .from('controls')
         .select('*, frameworks:framework_id (*)')
         .eq('id', evidence.control_id)
@@ -114,6 +156,55 @@ router.post('/evidence/:evidenceId', async (req, res) => {
     // 5. Fetch project-level custom instructions
     const customInstructions = await fetchCustomInstructions(evidence.project_id);
 
+    // 5b. Reuse a cached analysis of the same file bytes + requirement unless forced
+    const fileHash = await hashFile(tempFilePath);
+    const cacheKey = await buildAnalysisCacheKey({
+      fileHash,
+      requirementText,
+      customInstructions,
+      projectId: evidence.project_id,
+      variant: 'v1.0',
+    });
+
+    const cached = force === true ? null : await findCachedAnalysis({ cacheKey, projectId: evidence.project_id });
+    if (cached) {
+      console.log(`♻️ Cache hit — reusing analysis ${cached.id}`);
+
+      const { data: savedCached, error: cachedSaveError } = await req.supabase
+        .from('analysis_results')
+        .insert(buildCachedRecord(cached, { evidenceId, controlId: control.id || null, projectId: evidence.project_id }))
+        .select()
+        .single();
+
+      if (cachedSaveError) {
+        console.error('❌ Failed to save cached analysis:', cachedSaveError.message);
+      }
+
+      return res.json({
+        success: true,
+        cached: true,
+        ...(cachedSaveError && { warning: 'Cached analysis reused but failed to save to database' }),
+        analysis_id: savedCached?.id || null,
+        analysis: cached.findings,
+        diff_data: cached.diff_data,
+        control: {
+          id: control.id,
+          name: controlName,
+          framework: control.frameworks?.name || null,
+        },
+        evidence: {
+          id: evidenceId,
+          name: evidence.file_name,
+        },
+        metadata: {
+          model: cached.model_used,
+          tokens_used: null,
+          analyzed_at: savedCached?.analyzed_at || new Date().toISOString(),
+          cached_from: cached.id,
+        },
+      });
+    }
+
     // 6. Branch: Image vs Text vs Scanned PDF analysis
     let gptResult;
     let diffData;
@@ -128,7 +219,7 @@ router.post('/evidence/:evidenceId', async (req, res) => {
         return res.status(400).json({ error: 'Image file is too large for analysis (max 20MB)' });
       }
 
-      gptResult = await analyzeImageEvidence(imageBase64, mimeType, requirementText, controlName, customInstructions);
+      gptResult = await analyzeImageEvidence(imageBase64, mimeType, requirementText, controlName, customInstructions, { projectId: evidence.project_id });
 
       // Generate diff + store OCR extracted text
       diffData = generateDiff(gptResult.analysis, requirementText);
@@ -142,7 +233,7 @@ router.post('/evidence/:evidenceId', async (req, res) => {
         // ── SCANNED PDF: send page images to GPT vision ──
         console.log(`📸 Scanned PDF detected — analyzing ${parseResult.pages.length} page image(s) via GPT vision`);
         gptResult = await analyzeScannedPdfEvidence(
-          parseResult.pages, requirementText, controlName, customInstructions
+          parseResult.pages, requirementText, controlName, customInstructions, { projectId: evidence.project_id }
         );
         diffData = generateDiff(gptResult.analysis, requirementText);
         diffData.extracted_text = gptResult.analysis.extracted_text || '';
@@ -150,7 +241,8 @@ router.post('/evidence/:evidenceId', async (req, res) => {
         diffData.pages_analyzed = parseResult.pages.length;
       } else {
         // ── NORMAL TEXT PATH ──
-        gptResult = await analyzeEvidence(parseResult.text, requirementText, controlName, customInstructions);
+        gptResult = await analyzeEvidence(parseResult.text, requirementText, controlName, customInstructions, { projectId: evidence.project_id });
+        annotateEvidencePages(parseResult.text, gptResult.analysis.requirements_breakdown, parseResult.pageMap);
         diffData = generateDiff(gptResult.analysis, requirementText);
       }
     }
@@ -162,7 +254,7 @@ router.post('/evidence/:evidenceId', async (req, res) => {
       project_id: evidence.project_id || null,
       analyzed_at: new Date().toISOString(),
       analysis_version: 'v1.0',
-      model_used: gptResult.model || 'gpt-5.1',
+      model_used: gptResult.model || 'unknown',
       status: gptResult.analysis.status,
       confidence_score: gptResult.analysis.confidence_score,
       compliance_percentage: gptResult.analysis.compliance_percentage,
@@ -170,6 +262,8 @@ router.post('/evidence/:evidenceId', async (req, res) => {
       diff_data: diffData,
       summary: gptResult.analysis.summary,
       recommendations: gptResult.analysis.recommendations || [],
+      cache_key: cacheKey,
+      cached: false,
       raw_response: {
         usage: gptResult.usage,
         finish_reason: gptResult.finish_reason,
@@ -177,7 +271,7 @@ router.post('/evidence/:evidenceId', async (req, res) => {
       },
     };
 
-    const { data: savedAnalysis, error: saveError } = await supabase
+    const { data: savedAnalysis, error: saveError } = await req.supabase
       .from('analysis_results')
       .insert(analysisRecord)
       .select()
@@ -208,6 +302,7 @@ router.post('/evidence/:evidenceId', async (req, res) => {
     // 8. Return analysis response
     res.json({
       success: true,
+      cached: false,
       analysis_id: savedAnalysis.id,
       analysis: gptResult.analysis,
       diff_data: diffData,
@@ -244,7 +339,7 @@ router.get('/results/by-control/:controlId', async (req, res) => {
   try {
     const { controlId } = req.params;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.supabase
       .from('analysis_results')
       .select(`
         *,
@@ -276,7 +371,7 @@ router.get('/results/:evidenceId/:controlId', async (req, res) => {
   try {
     const { evidenceId, controlId } = req.params;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.supabase
       .from('analysis_results')
       .select(`
         *,
@@ -308,7 +403,7 @@ router.get('/results/:evidenceId', async (req, res) => {
   try {
     const { evidenceId } = req.params;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.supabase
       .from('analysis_results')
       .select(`
         *,
@@ -339,7 +434,7 @@ router.get('/project/:projectId/results', async (req, res) => {
   try {
     const { projectId } = req.params;
 
-    const { data: analyses, error } = await supabase
+    const { data: analyses, error } = await req.supabase
       .from('analysis_results')
       .select(`
         *,
@@ -397,12 +492,73 @@ router.get('/project/:projectId/results', async (req, res) => {
   }
 });
 
+// POST /api/analyze/project/:projectId/propagate - Reuse analyses on another framework via a crosswalk
+// Body: { crosswalkId, sourceFrameworkId }. Poll /group/status/:jobId.
+router.post('/project/:projectId/propagate', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { crosswalkId, sourceFrameworkId } = req.body || {};
+
+    if (!crosswalkId || !sourceFrameworkId) {
+      return res.status(400).json({ error: 'crosswalkId and sourceFrameworkId are required' });
+    }
+
+    const denied = await checkResourceAccess(req, 'crosswalk', crosswalkId);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { data: crosswalk, error: cwErr } = await req.supabase
+      .from('crosswalks')
+      .select('id, status, framework_a_id, framework_b_id, finalized_at')
+      .eq('id', crosswalkId)
+      .single();
+
+    if (cwErr || !crosswalk) {
+      return res.status(404).json({ error: 'Crosswalk not found' });
+    }
+    if (crosswalk.status !== 'completed') {
+      return res.status(409).json({ error: `Crosswalk is not ready (status: ${crosswalk.status})` });
+    }
+    if (!crosswalk.finalized_at) {
+      return res.status(409).json({ error: 'Crosswalk is not finalized. Review and finalize it before reusing its mappings.' });
+    }
+    if (![crosswalk.framework_a_id, crosswalk.framework_b_id].includes(sourceFrameworkId)) {
+      return res.status(400).json({ error: 'sourceFrameworkId must be one of the crosswalk frameworks' });
+    }
+
+    const params = { projectId, crosswalkId, sourceFrameworkId };
+    const jobId = crypto.randomUUID();
+    await jobs.create(jobId, {
+      type: 'crosswalk_propagation',
+      payload: params,
+      state: {
+        organizationId: req.organizationId,
+        progress: 'Starting propagation...',
+        controlsTotal: 0,
+        controlsCompleted: 0,
+      },
+    });
+
+    console.log(`🔀 [Propagate ${jobId.substring(0, 8)}] Project ${projectId} via crosswalk ${crosswalkId}`);
+
+    runFindingPropagation(jobId, jobs, params).catch(err => {
+      console.error(`❌ [Propagate ${jobId.substring(0, 8)}] Unhandled error:`, err.message);
+    });
+
+    return res.status(202).json({ success: true, jobId, status: 'processing' });
+  } catch (err) {
+    console.error('❌ Propagation start error:', err.message);
+    res.status(500).json({ error: 'Failed to start propagation', details: err.message });
+  }
+});
+
 // GET /api/analyze/export/:analysisId/html - Export HTML report
 router.get('/export/:analysisId/html', async (req, res) => {
   try {
     const { analysisId } = req.params;
 
-    const { data: analysis, error } = await supabase
+    const { data: analysis, error } = await req.supabase
       .from('analysis_results')
       .select(`
         *,
@@ -449,7 +605,7 @@ router.get('/document-viewer/:analysisId', async (req, res) => {
     const { analysisId } = req.params;
 
     // 1. Fetch analysis with joined evidence + control data
-    const { data: analysis, error: analysisError } = await supabase
+    const { data: analysis, error: analysisError } = await req.supabase
       .from('analysis_results')
       .select(`
         *,
@@ -471,7 +627,7 @@ router.get('/document-viewer/:analysisId', async (req, res) => {
     }
 
     // 2. Find all sibling analyses for the same control (enables evidence tab switching)
-    const { data: siblingAnalyses } = await supabase
+    const { data: siblingAnalyses } = await req.supabase
       .from('analysis_results')
       .select('id, evidence:evidence_id (id, file_name, file_type), status, compliance_percentage, analyzed_at')
       .eq('control_id', analysis.control_id)
@@ -560,8 +716,11 @@ router.get('/document-viewer/:analysisId', async (req, res) => {
     let documentText = analysis.diff_data?.viewer_document_text || null;
     let documentHtml = analysis.diff_data?.viewer_document_html || null;
     let highlightRanges = analysis.diff_data?.viewer_highlight_ranges || null;
+    let pageMap = analysis.diff_data?.viewer_page_map || null;
 
-    const hasValidCache = documentText && highlightRanges && highlightRanges.length > 0;
+    // PDF caches written before page-aware parsing have no page map — rebuild them
+    const hasValidCache = documentText && highlightRanges && highlightRanges.length > 0
+      && (mimeType !== 'application/pdf' || pageMap);
 
     // 6. If not cached, download and parse the document
     if (!hasValidCache) {
@@ -572,14 +731,15 @@ router.get('/document-viewer/:analysisId', async (req, res) => {
 
       documentText = parsed.text;
       documentHtml = parsed.html;
+      pageMap = parsed.pageMap;
 
       const highlightFindings = analysis.findings?.requirements_breakdown || [];
-      highlightRanges = verifyAndBuildHighlightRanges(documentText, highlightFindings);
+      highlightRanges = verifyAndBuildHighlightRanges(documentText, highlightFindings, { pageMap });
 
       console.log(`🎯 [Viewer] ${highlightRanges.length} highlight ranges matched (${highlightRanges.filter(r => r.matchQuality === 'exact').length} exact)`);
 
       // Cache results back to diff_data (non-blocking)
-      supabase
+      req.supabase
         .from('analysis_results')
         .update({
           diff_data: {
@@ -587,6 +747,7 @@ router.get('/document-viewer/:analysisId', async (req, res) => {
             viewer_document_text: documentText,
             viewer_document_html: documentHtml,
             viewer_highlight_ranges: highlightRanges,
+            viewer_page_map: pageMap,
           },
         })
         .eq('id', analysisId)
@@ -625,6 +786,7 @@ router.get('/document-viewer/:analysisId', async (req, res) => {
         documentText,
         documentHtml,
         highlightRanges,
+        pageMap,
         currentEvidenceId: activeEvidence.id,
       },
       analysis: {
@@ -668,10 +830,11 @@ router.get('/document-viewer/:analysisId', async (req, res) => {
 router.post('/group/:evidenceId', async (req, res) => {
   try {
     const { evidenceId } = req.params;
-    console.log(`\n🔍 Starting GROUP analysis for evidence: ${evidenceId}`);
+    const force = req.body?.force === true;
+    console.log(`\n🔍 Starting GROUP analysis for evidence: ${evidenceId}${force ? ' (force, cache bypassed)' : ''}`);
 
     // 1. Fetch evidence to get the parent control
-    const { data: evidence, error: evidenceError } = await supabase
+    const { data: evidence, error: evidenceError } = await req.supabase
       .from('evidence')
       .select(`
         *,
@@ -702,22 +865,63 @@ router.post('/group/:evidenceId', async (req, res) => {
     }
     console.log(`🔗 [Group] Matched ${childControls.length} children via: ${matchStrategy}`);
 
-    // 3. Create job and start async processing
+    // 3. Pre-flight: dry-run estimate and monthly budget check
+    const dryRun = req.body?.dryRun === true;
+    const preflight = await preflightSpend({
+      projectId: evidence.project_id,
+      dryRun,
+      estimate: async () => {
+        const { childControls: fullControls } = await findChildControls(parentControl);
+        return estimateGroupRun(evidence, fullControls, `Group estimate ${evidenceId}`);
+      },
+    });
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, childControls: childControls.length, ...preflight });
+    }
+
+    const overBudget = preflight.budget && !preflight.budget.allowed;
+    if (overBudget && preflight.budget.policy !== 'hold') {
+      return res.status(402).json({ error: 'Monthly budget exceeded', details: describeBudgetOverrun(preflight), ...preflight });
+    }
+
+    // 4. Create job and start async processing (or park it for approval)
     const jobId = crypto.randomUUID();
 
-    jobs.set(jobId, {
-      status: 'processing',
-      startedAt: Date.now(),
-      progress: 'Initializing group analysis...',
-      controlsTotal: childControls.length,
-      controlsCompleted: 0,
+    await jobs.create(jobId, {
+      type: 'group_analysis',
+      payload: { evidenceId, force },
+      held: overBudget,
+      state: {
+        organizationId: req.organizationId,
+        progress: overBudget ? 'Held for budget approval' : 'Initializing group analysis...',
+        controlsTotal: childControls.length,
+        controlsCompleted: 0,
+        ...(overBudget && {
+          estimate: preflight.estimate,
+          budget: preflight.budget,
+          projectId: evidence.project_id,
+          requestedBy: req.user.id,
+        }),
+      },
     });
 
+    if (overBudget) {
+      console.log(`⏸️ [Group ${jobId}] Held — over monthly budget`);
+      return res.status(202).json({
+        success: true,
+        jobId,
+        status: 'held',
+        details: describeBudgetOverrun(preflight),
+        ...preflight,
+      });
+    }
+
     console.log(`📋 [Group ${jobId}] Parent: ${parentControl.control_number} - ${parentControl.title}`);
     console.log(`📊 [Group ${jobId}] ${childControls.length} child controls to analyze`);
 
     // Fire-and-forget — runGroupAnalysis updates the job Map on progress/completion/failure
-    runGroupAnalysis(jobId, evidenceId, jobs).catch((err) => {
+    runGroupAnalysis(jobId, evidenceId, jobs, { force }).catch((err) => {
       console.error(`💥 [Group ${jobId}] Unhandled error: ${err.message}`);
       if (jobs.get(jobId)?.status === 'processing') {
         jobs.set(jobId, {
@@ -728,7 +932,7 @@ router.post('/group/:evidenceId', async (req, res) => {
       }
     });
 
-    // 4. Return immediately with job info
+    // 5. Return immediately with job info
     return res.json({
       success: true,
       jobId,
@@ -751,18 +955,33 @@ router.post('/group/:evidenceId', async (req, res) => {
 });
 
 // GET /api/analyze/group/status/:jobId — Poll group analysis status
-router.get('/group/status/:jobId', (req, res) => {
+router.get('/group/status/:jobId', async (req, res) => {
   // Prevent browser caching so polling always gets fresh data
   res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
   res.set('Pragma', 'no-cache');
   res.set('ETag', `"${Date.now()}"`);
 
-  const job = jobs.get(req.params.jobId);
+  // Falls back to the jobs table so polling survives a restart
+  const job = await jobs.load(req.params.jobId);
 
   if (!job) {
     return res.status(404).json({ error: 'Job not found or expired' });
   }
 
+  if (!canAccessJob(req, job)) {
+    return res.status(403).json({ error: 'You do not have access to this job' });
+  }
+
+  if (job.status === 'held') {
+    return res.json({
+      status: 'held',
+      progress: job.progress,
+      controlsTotal: job.controlsTotal || 0,
+      estimate: job.estimate || null,
+      budget: job.budget || null,
+    });
+  }
+
   if (job.status === 'processing') {
     return res.json({
       status: 'processing',
@@ -788,13 +1007,66 @@ router.get('/group/status/:jobId', (req, res) => {
   }
 });
 
+// Shared handler for releasing or declining a group job held over budget
+async function updateHeldGroupJob(req, res, approve) {
+  try {
+    const job = await jobs.load(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or expired' });
+    }
+    if (!canAccessJob(req, job)) {
+      return res.status(403).json({ error: 'You do not have access to this job' });
+    }
+    if (job.status !== 'held') {
+      return res.status(409).json({ error: `Job is not held (status: ${job.status})` });
+    }
+
+    // The requester may withdraw their own job; approving takes an owner or admin
+    let preflight = null;
+    if (approve) {
+      const denied = checkHeldJobApprover(req, job);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+
+      preflight = await recheckHeldJob(job);
+      if (preflight.budget && !preflight.budget.allowed && preflight.budget.policy !== 'hold') {
+        return res.status(402).json({ error: 'Monthly budget exceeded', details: describeBudgetOverrun(preflight), ...preflight });
+      }
+    } else if (job.requestedBy !== req.user.id && !hasOrganizationRole(req, job.organizationId, BUDGET_APPROVER_ROLES)) {
+      return res.status(403).json({ error: 'Only the requester or an organization owner or admin can decline a held job' });
+    }
+
+    const updated = approve
+      ? await jobs.approve(req.params.jobId)
+      : await jobs.decline(req.params.jobId, `Declined by ${req.user.email || req.user.id}`);
+
+    if (!updated) {
+      return res.status(409).json({ error: 'Job is no longer held' });
+    }
+
+    console.log(`${approve ? '▶️' : '⏹️'} [Group ${req.params.jobId}] ${approve ? 'Approved' : 'Declined'} by ${req.user.id}`);
+    res.json({ success: true, jobId: req.params.jobId, status: approve ? 'processing' : 'failed', ...(preflight && { budget: preflight.budget }) });
+  } catch (err) {
+    console.error('❌ Group approval error:', err.message);
+    res.status(500).json({ error: 'Failed to update held job', details: err.message });
+  }
+}
+
+// POST /api/analyze/group/approve/:jobId — Start a job held over budget
+router.post('/group/approve/:jobId', (req, res) => updateHeldGroupJob(req, res, true));
+
+// POST /api/analyze/group/decline/:jobId — Decline a job held over budget
+router.post('/group/decline/:jobId', (req, res) => updateHeldGroupJob(req, res, false));
+
 // GET /api/analyze/group/results/:parentControlId — Fetch stored group results
 router.get('/group/results/:parentControlId', async (req, res) => {
   try {
     const { parentControlId } = req.params;
 
     // 1. Get the parent control
-    const { data: parentControl, error: parentError } = await supabase
+    const { data: parentControl, error: parentError } = await req.supabase
       .from('controls')
       .select('*, frameworks:framework_id (*)')
       .eq('id', parentControlId)
@@ -815,7 +1087,7 @@ router.get('/group/results/:parentControlId', async (req, res) => {
     const childIds = childControls.map((c) => c.id);
 
     // 3. Fetch all analysis results for these child controls (latest per control)
-    const { data: analyses, error: analysisError } = await supabase
+    const { data: analyses, error: analysisError } = await req.supabase
       .from('analysis_results')
       .select(`
         *,
@@ -895,6 +1167,7 @@ router.post('/group-by-ids/:evidenceId', async (req, res) => {
   try {
     const { evidenceId } = req.params;
     const { controlIds } = req.body;
+    const force = req.body.force === true;
 
     if (!controlIds || !Array.isArray(controlIds) || controlIds.length === 0) {
       return res.status(400).json({ error: 'controlIds must be a non-empty array of control UUIDs' });
@@ -903,7 +1176,7 @@ router.post('/group-by-ids/:evidenceId', async (req, res) => {
     console.log(`\n🔍 Starting GROUP-BY-IDS analysis for evidence: ${evidenceId}, ${controlIds.length} controls`);
 
     // 1. Fetch evidence record (just need to verify it exists and has a file)
-    const { data: evidence, error: evidenceError } = await supabase
+    const { data: evidence, error: evidenceError } = await req.supabase
       .from('evidence')
       .select('*')
       .eq('id', evidenceId)
@@ -919,7 +1192,7 @@ router.post('/group-by-ids/:evidenceId', async (req, res) => {
     }
 
     // 2. Fetch controls to validate they exist and get names for the response
-    const { data: controls, error: controlsError } = await supabase
+    const { data: controls, error: controlsError } = await req.supabase
       .from('controls')
       .select('id, control_number, title')
       .in('id', controlIds)
@@ -937,21 +1210,66 @@ router.post('/group-by-ids/:evidenceId', async (req, res) => {
       });
     }
 
-    // 3. Create job and start async processing
+    // 3. Pre-flight: dry-run estimate and monthly budget check
+    const dryRun = req.body.dryRun === true;
+    const preflight = await preflightSpend({
+      projectId: evidence.project_id,
+      dryRun,
+      estimate: async () => {
+        const { data: fullControls, error: fullErr } = await req.supabase
+          .from('controls')
+          .select('*, frameworks:framework_id (*)')
+          .in('id', controlIds);
+        if (fullErr) throw new Error(`Failed to fetch controls for estimate: ${fullErr.message}`);
+        return estimateGroupRun(evidence, fullControls, `GroupByIds estimate ${evidenceId}`);
+      },
+    });
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, controlsTotal: controls.length, ...preflight });
+    }
+
+    const overBudget = preflight.budget && !preflight.budget.allowed;
+    if (overBudget && preflight.budget.policy !== 'hold') {
+      return res.status(402).json({ error: 'Monthly budget exceeded', details: describeBudgetOverrun(preflight), ...preflight });
+    }
+
+    // 4. Create job and start async processing (or park it for approval)
     const jobId = crypto.randomUUID();
 
-    jobs.set(jobId, {
-      status: 'processing',
-      startedAt: Date.now(),
-      progress: 'Initializing group analysis...',
-      controlsTotal: controls.length,
-      controlsCompleted: 0,
+    await jobs.create(jobId, {
+      type: 'group_analysis_by_ids',
+      payload: { evidenceId, controlIds, force },
+      held: overBudget,
+      state: {
+        organizationId: req.organizationId,
+        progress: overBudget ? 'Held for budget approval' : 'Initializing group analysis...',
+        controlsTotal: controls.length,
+        controlsCompleted: 0,
+        ...(overBudget && {
+          estimate: preflight.estimate,
+          budget: preflight.budget,
+          projectId: evidence.project_id,
+          requestedBy: req.user.id,
+        }),
+      },
     });
 
+    if (overBudget) {
+      console.log(`⏸️ [GroupByIds ${jobId}] Held — over monthly budget`);
+      return res.status(202).json({
+        success: true,
+        jobId,
+        status: 'held',
+        details: describeBudgetOverrun(preflight),
+        ...preflight,
+      });
+    }
+
     console.log(`📊 [GroupByIds ${jobId}] ${controls.length} controls to analyze`);
 
     // Fire-and-forget
-    runGroupAnalysisByIds(jobId, evidenceId, controlIds, jobs).catch((err) => {
+    runGroupAnalysisByIds(jobId, evidenceId, controlIds, jobs, { force }).catch((err) => {
       console.error(`💥 [GroupByIds ${jobId}] Unhandled error: ${err.message}`);
       if (jobs.get(jobId)?.status === 'processing') {
         jobs.set(jobId, {
@@ -962,7 +1280,7 @@ router.post('/group-by-ids/:evidenceId', async (req, res) => {
       }
     });
 
-    // 4. Return immediately with job info
+    // 5. Return immediately with job info
     // Include parentControl: null so the frontend transform handles category-based analysis
     // without crashing on missing parentControl.id
     return res.json({
@@ -1002,13 +1320,22 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
 
   try {
     const { parentControlId } = req.params;
-    const { controlIds: explicitIds, evidenceIds: explicitEvidenceIds } = req.body || {};
+    const { controlIds: explicitIds, evidenceIds: explicitEvidenceIds, dryRun } = req.body || {};
     console.log(`\n🔍 Starting ANALYZE-ALL for control: ${parentControlId}`);
     if (explicitIds) console.log(`📋 Explicit controlIds: ${explicitIds.length}`);
     if (explicitEvidenceIds) console.log(`📋 Explicit evidenceIds: ${explicitEvidenceIds.length}`);
 
+    if (Array.isArray(explicitEvidenceIds)) {
+      for (const evidenceId of explicitEvidenceIds) {
+        const denied = await checkResourceAccess(req, 'evidence', evidenceId);
+        if (denied) {
+          return res.status(denied.status).json({ error: denied.error, details: `evidenceId ${evidenceId}` });
+        }
+      }
+    }
+
     // 1. Fetch the reference control with framework
-    const { data: parentControl, error: parentError } = await supabase
+    const { data: parentControl, error: parentError } = await req.supabase
       .from('controls')
       .select('*, frameworks:framework_id (*)')
       .eq('id', parentControlId)
@@ -1024,7 +1351,7 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
 
     if (explicitIds && Array.isArray(explicitIds) && explicitIds.length > 0) {
       // --- Mode: Explicit control IDs from frontend ---
-      const { data: explicitControls, error: explicitError } = await supabase
+      const { data: explicitControls, error: explicitError } = await req.supabase
         .from('controls')
         .select('*, frameworks:framework_id (*)')
         .in('id', explicitIds)
@@ -1047,7 +1374,7 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
 
     if (controlsToAnalyze.length === 0 && parentControl.category) {
       // --- Fallback: All controls in the same category (flat/grouped frameworks) ---
-      const { data: categoryControls, error: catError } = await supabase
+      const { data: categoryControls, error: catError } = await req.supabase
         .from('controls')
         .select('*, frameworks:framework_id (*)')
         .eq('framework_id', parentControl.framework_id)
@@ -1076,7 +1403,7 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
 
     if (explicitEvidenceIds && Array.isArray(explicitEvidenceIds) && explicitEvidenceIds.length > 0) {
       // --- Mode: Explicit evidence IDs from frontend ---
-      const { data: explicitEvidence, error: explicitEvError } = await supabase
+      const { data: explicitEvidence, error: explicitEvError } = await req.supabase
         .from('evidence')
         .select('*')
         .in('id', explicitEvidenceIds)
@@ -1091,7 +1418,7 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
       const controlIdsForEvidence = [parentControlId, ...controlsToAnalyze.map(c => c.id)];
       const uniqueIds = [...new Set(controlIdsForEvidence)];
 
-      const { data: groupEvidence, error: evidenceError } = await supabase
+      const { data: groupEvidence, error: evidenceError } = await req.supabase
         .from('evidence')
         .select('*')
         .in('control_id', uniqueIds)
@@ -1141,7 +1468,7 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
             if (parseResult.type === 'scanned_pdf') {
               return { type: 'scanned_pdf', evidence: ev, pages: parseResult.pages, mimeType: 'image/png' };
             } else if (parseResult.type === 'text') {
-              return { type: 'text', evidence: ev, text: parseResult.text };
+              return { type: 'text', evidence: ev, text: parseResult.text, pageMap: parseResult.pageMap };
             }
           }
           return null;
@@ -1160,7 +1487,7 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
       } else if (result.type === 'scanned_pdf') {
         parsedImages.push({ evidence: result.evidence, pages: result.pages, mimeType: result.mimeType, isScannedPdf: true });
       } else if (result.type === 'text') {
-        parsedDocs.push({ evidence: result.evidence, text: result.text });
+        parsedDocs.push({ evidence: result.evidence, text: result.text, pageMap: result.pageMap });
       }
     }
 
@@ -1186,11 +1513,50 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
     // 6. Fetch custom instructions
     const projectId = evidenceFiles[0].project_id || null;
     const customInstructions = await fetchCustomInstructions(projectId);
+    // Documents longer than one prompt of the project's model are analyzed in parts
+    const maxDocumentChars = await getEvidenceCharsPerPrompt(projectId);
+
+    // 6b. Pre-flight: dry-run estimate and monthly budget check. analyze-all runs
+    //     inline rather than as a job, so over-budget requests are refused even
+    //     when the project's policy is 'hold'.
+    const preflight = await preflightSpend({
+      projectId,
+      dryRun: dryRun === true,
+      estimate: () => estimateAnalyzeAll({
+        controlsList,
+        parsedDocs,
+        maxDocumentChars,
+        parsedImages,
+        customInstructions,
+        projectId,
+      }),
+    });
+
+    if (dryRun === true) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        controlsTotal: controlsList.length,
+        evidenceTotal: totalEvidenceCount,
+        ...preflight,
+      });
+    }
+
+    if (preflight.budget && !preflight.budget.allowed) {
+      return res.status(402).json({
+        error: 'Monthly budget exceeded',
+        details: describeBudgetOverrun(preflight),
+        hint: preflight.budget.policy === 'hold' ? 'Use group analysis to queue this work for approval, or raise the project budget.' : undefined,
+        ...preflight,
+      });
+    }
+
+    const llm = await getLLMClient({ projectId });
 
     // 7. Process each evidence file separately — one GPT call per evidence × all controls
     //    This produces M×N results (one per evidence-control pair)
     const allParsedEvidence = [
-      ...parsedDocs.map(d => ({ evidence: d.evidence, text: d.text, isImage: false })),
+      ...parsedDocs.map(d => ({ evidence: d.evidence, text: d.text, pageMap: d.pageMap, isImage: false })),
       ...parsedImages.map(d => ({
         evidence: d.evidence,
         base64: d.base64 || null,
@@ -1245,10 +1611,8 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
             ];
           }
 
-          const OpenAI = require('openai');
-          const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
-          const response = await openai.chat.completions.create({
-            model: 'gpt-5.1',
+          const response = await llm.client.chat.completions.create({
+            model: llm.model,
             messages: [
               { role: 'system', content: SYSTEM_PROMPT },
               { role: 'user', content: contentParts },
@@ -1256,6 +1620,14 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
             temperature: 0.2,
             max_completion_tokens: 16384,
             response_format: { type: 'json_object' },
+          }, { maxRetries: 0 });
+          await recordUsage({
+            feature: 'analyze_all',
+            model: llm.model,
+            provider: llm.provider,
+            usage: response.usage,
+            projectId,
+            metadata: { evidenceId: ev.id },
           });
 
           const choice = response.choices[0];
@@ -1270,15 +1642,18 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
           // ── TEXT EVIDENCE: one doc + all controls ──
           const singleDocText = `\n\n=== DOCUMENT 1: ${ev.file_name} ===\n\n${parsed.text}`;
 
-          // Token limit guard per document
-          if (singleDocText.length > MAX_COMBINED_TEXT_CHARS) {
-            console.warn(`⚠️ Evidence ${ev.file_name} too large (${singleDocText.length} chars) — skipping`);
-            return [];
+          if (singleDocText.length > maxDocumentChars) {
+            // Too large for one prompt — analyze in parts and merge per control
+            gptResult = await analyzeAllEvidenceInChunks(parsed.text, ev.file_name, controlsList, customInstructions, {
+              maxChars: maxDocumentChars,
+              projectId,
+              feature: 'analyze_all',
+            });
+          } else {
+            const userPromptOverride = buildAnalyzeAllPrompt(singleDocText, controlsList, customInstructions, [ev.file_name]);
+            console.log(`🤖 Analyzing ${ev.file_name} against ${controlsToAnalyze.length} controls...`);
+            gptResult = await analyzeEvidence(parsed.text, 'multiple controls', parentControl.title, customInstructions, { userPromptOverride, projectId, feature: 'analyze_all' });
           }
-
-          const userPromptOverride = buildAnalyzeAllPrompt(singleDocText, controlsList, customInstructions, [ev.file_name]);
-          console.log(`🤖 Analyzing ${ev.file_name} against ${controlsToAnalyze.length} controls...`);
-          gptResult = await analyzeEvidence(parsed.text, 'multiple controls', parentControl.title, customInstructions, { userPromptOverride });
         }
 
         // Accumulate token usage
@@ -1320,6 +1695,9 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
           }
 
           const controlAnalysis = normalizeGptAnalysis({ ...gptCtrl });
+          if (!parsed.isImage) {
+            annotateEvidencePages(parsed.text, controlAnalysis.requirements_breakdown, parsed.pageMap);
+          }
           const requirementText = buildRequirementText(child, child.frameworks);
           const diffData = generateDiff(controlAnalysis, requirementText);
 
@@ -1329,7 +1707,7 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
             project_id: projectId,
             analyzed_at: new Date().toISOString(),
             analysis_version: 'v2.0-pair',
-            model_used: gptResult.model || 'gpt-5.1',
+            model_used: gptResult.model || llm.model,
             status: controlAnalysis.status,
             confidence_score: controlAnalysis.confidence_score,
             compliance_percentage: controlAnalysis.compliance_percentage,
@@ -1375,7 +1753,7 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
     // 7b. Bulk insert all analysis records into DB (one call instead of N individual inserts)
     if (allRecordsToInsert.length > 0) {
       console.log(`💾 Bulk inserting ${allRecordsToInsert.length} analysis records...`);
-      const { data: savedRows, error: bulkError } = await supabase
+      const { data: savedRows, error: bulkError } = await req.supabase
         .from('analysis_results')
         .insert(allRecordsToInsert)
         .select('id');
@@ -1420,7 +1798,7 @@ router.post('/analyze-all/:parentControlId', async (req, res) => {
         summary: '',
       },
       metadata: {
-        model: 'gpt-5.1',
+        model: llm.model,
         tokens_used: totalUsage,
         analyzed_at: new Date().toISOString(),
         documents_analyzed: allParsedEvidence.length,
@@ -1460,8 +1838,13 @@ router.post('/consolidate-control/:controlId', async (req, res) => {
       return res.status(400).json({ error: 'projectId is required in the request body' });
     }
 
+    const denied = await checkResourceAccess(req, 'project', projectId);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
     // 1. Fetch the control
-    const { data: control, error: controlError } = await supabase
+    const { data: control, error: controlError } = await req.supabase
       .from('controls')
       .select('*, frameworks:framework_id (*)')
       .eq('id', controlId)
@@ -1472,7 +1855,7 @@ router.post('/consolidate-control/:controlId', async (req, res) => {
     }
 
     // 2. Fetch analysis_results for this single control
-    let query = supabase
+    let query = req.supabase
       .from('analysis_results')
       .select('*, evidence:evidence_id (id, file_name), control:control_id (id, control_number, title)')
       .eq('control_id', controlId)
@@ -1531,7 +1914,7 @@ router.post('/consolidate-control/:controlId', async (req, res) => {
       control_number: control.control_number,
       title: control.title,
       description: control.description,
-    });
+    }, { projectId });
 
     // 6. Collect unique document names
     const uniqueDocs = new Set(condensed.map(c => c.evidence_name));
@@ -1548,12 +1931,12 @@ router.post('/consolidate-control/:controlId', async (req, res) => {
       source_analyses_count: dedupedResults.length,
       controls_covered: 1,
       documents_referenced: uniqueDocs.size,
-      model_used: consolidation.model || 'gpt-5.1',
+      model_used: consolidation.model || 'unknown',
       tokens_used: consolidation.usage || {},
       updated_at: new Date().toISOString(),
     };
 
-    const { data: savedRecord, error: saveError } = await supabase
+    const { data: savedRecord, error: saveError } = await req.supabase
       .from('consolidated_analyses')
       .upsert(upsertRecord, { onConflict: 'parent_control_id,project_id' })
       .select()
@@ -1576,7 +1959,7 @@ router.post('/consolidate-control/:controlId', async (req, res) => {
         created_at: savedRecord?.created_at || null,
         updated_at: savedRecord?.updated_at || null,
         metadata: {
-          model: consolidation.model || 'gpt-5.1',
+          model: consolidation.model || 'unknown',
           tokens_used: consolidation.usage || {},
           truncated: consolidation.truncated || false,
         },
@@ -1604,7 +1987,7 @@ router.get('/consolidate-control/:controlId', async (req, res) => {
     const { controlId } = req.params;
     const { projectId } = req.query;
 
-    let query = supabase
+    let query = req.supabase
       .from('consolidated_analyses')
       .select('*')
       .eq('parent_control_id', controlId);
@@ -1658,8 +2041,15 @@ router.post('/consolidate/:parentControlId', async (req, res) => {
 
     console.log(`\n🔗 Starting CONSOLIDATION for control: ${parentControlId}`);
 
+    if (projectId) {
+      const denied = await checkResourceAccess(req, 'project', projectId);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+    }
+
     // 1. Fetch the parent control
-    const { data: parentControl, error: parentError } = await supabase
+    const { data: parentControl, error: parentError } = await req.supabase
       .from('controls')
       .select('*, frameworks:framework_id (*)')
       .eq('id', parentControlId)
@@ -1680,7 +2070,7 @@ router.post('/consolidate/:parentControlId', async (req, res) => {
       if (childControls && childControls.length > 0) {
         controlIds = childControls.map(c => c.id);
       } else if (parentControl.category) {
-        const { data: categoryControls } = await supabase
+        const { data: categoryControls } = await req.supabase
           .from('controls')
           .select('id')
           .eq('framework_id', parentControl.framework_id)
@@ -1698,7 +2088,7 @@ router.post('/consolidate/:parentControlId', async (req, res) => {
     }
 
     // 3. Fetch all analysis_results for these controls
-    let query = supabase
+    let query = req.supabase
       .from('analysis_results')
       .select('*, evidence:evidence_id (id, file_name), control:control_id (id, control_number, title)')
       .in('control_id', controlIds)
@@ -1757,7 +2147,7 @@ router.post('/consolidate/:parentControlId', async (req, res) => {
       control_number: parentControl.control_number,
       title: parentControl.title,
       description: parentControl.description,
-    });
+    }, { projectId });
 
     // 7. Collect unique document names and control count
     const uniqueDocs = new Set(condensed.map(c => c.evidence_name));
@@ -1775,12 +2165,12 @@ router.post('/consolidate/:parentControlId', async (req, res) => {
       source_analyses_count: dedupedResults.length,
       controls_covered: uniqueControls.size,
       documents_referenced: uniqueDocs.size,
-      model_used: consolidation.model || 'gpt-5.1',
+      model_used: consolidation.model || 'unknown',
       tokens_used: consolidation.usage || {},
       updated_at: new Date().toISOString(),
     };
 
-    const { data: savedRecord, error: saveError } = await supabase
+    const { data: savedRecord, error: saveError } = await req.supabase
       .from('consolidated_analyses')
       .upsert(upsertRecord, { onConflict: 'parent_control_id,project_id' })
       .select()
@@ -1803,7 +2193,7 @@ router.post('/consolidate/:parentControlId', async (req, res) => {
         created_at: savedRecord?.created_at || null,
         updated_at: savedRecord?.updated_at || null,
         metadata: {
-          model: consolidation.model || 'gpt-5.1',
+          model: consolidation.model || 'unknown',
           tokens_used: consolidation.usage || {},
           truncated: consolidation.truncated || false,
         },
@@ -1831,7 +2221,7 @@ router.get('/consolidate/:parentControlId', async (req, res) => {
     const { parentControlId } = req.params;
     const { projectId } = req.query;
 
-    let query = supabase
+    let query = req.supabase
       .from('consolidated_analyses')
       .select('*')
       .eq('parent_control_id', parentControlId);
@@ -1,19 +1,61 @@
 const express = require('express');
 const crypto = require('crypto');
 const router = express.Router();
-const { supabase } = require('../utils/supabase');
-const { createJobStore } = require('../utils/analysisHelpers');
-const { runCrosswalkGeneration } = require('../services/crosswalkGenerator');
+const { supabaseAdmin, cleanupFile, fetchAllRows } = require('../utils/supabase');
+const { createJobStore } = require('../utils/jobStore');
+const { runCrosswalkGeneration, runIncrementalRegeneration, planIncrementalBatches } = require('../services/crosswalkGenerator');
+const { runCrosswalkInference, resolveInferenceChains, DEFAULT_VERIFY_BELOW, MAX_CHAIN_LENGTH } = require('../services/crosswalkInference');
+const { authorizeParam, checkResourceAccess, canAccessJob, hasOrganizationRole, resolveOwningOrganization } = require('../middleware/auth');
+const { estimateCrosswalk, estimateCrosswalkRegeneration, estimateCrosswalkInference } = require('../services/costEstimator');
+const { preflightSpend, describeBudgetOverrun, checkHeldJobApprover, recheckHeldJob, BUDGET_APPROVER_ROLES } = require('../services/spendBudget');
+const { parseCrosswalkFile, saveImportedMappings } = require('../services/crosswalkImporter');
+const { upload } = require('../middleware/upload');
+const { REVIEW_STATES, CROSSWALK_SIGNOFF_ROLES, historyEntry, reviewUpdate, bulkReview, reviewSummary, isFinalized } = require('../services/crosswalkReview');
+const { loadCrosswalkExport, buildCrosswalkXlsx, buildCrosswalkCsv, buildCrosswalkStrm } = require('../services/crosswalkExporter');
+const { loadGapCrosswalk, checkGapCrosswalk, analyzeFrameworkGap } = require('../services/gapAnalysis');
+const { lintCrosswalk } = require('../services/crosswalkLint');
+const { deriveReverseMappings } = require('../services/crosswalkReverse');
+
+// ── Durable job store for async crosswalk generation ──
+const jobs = createJobStore({
+  processingTimeoutMs: 20 * 60 * 1000,
+  handlers: {
+    crosswalk_generation: (jobId, { crosswalkId, projectId }, store) => runCrosswalkGeneration(crosswalkId, jobId, store, { projectId }),
+    crosswalk_inference: (jobId, { crosswalkId, ...options }, store) => runCrosswalkInference(crosswalkId, jobId, store, options),
+    crosswalk_regeneration: (jobId, { crosswalkId, projectId }, store) => runIncrementalRegeneration(crosswalkId, jobId, store, { projectId }),
+  },
+});
 
-// ── In-memory job store for async crosswalk generation ──
-const jobs = createJobStore({ processingTimeoutMs: 20 * 60 * 1000 });
+// ── Organization ownership check for crosswalk IDs ──
+router.param('crosswalkId', authorizeParam('crosswalk'));
+
+// ── Finalized crosswalks are locked against mapping edits ──
+// Returns null when editable, otherwise { status, error } like checkResourceAccess.
+async function checkCrosswalkEditable(req, crosswalkId) {
+  const { data: crosswalk, error } = await req.supabase
+    .from('crosswalks')
+    .select('id, finalized_at')
+    .eq('id', crosswalkId)
+    .single();
+
+  if (error || !crosswalk) return { status: 404, error: 'Crosswalk not found.' };
+  if (isFinalized(crosswalk)) {
+    return { status: 409, error: 'This crosswalk is finalized. Reopen it before editing mappings.' };
+  }
+  return null;
+}
 
 // ──────────────────────────────────────────────────────────────────────
 // POST /api/crosswalk/generate — Trigger async crosswalk generation
+// Body: { framework_a_id, framework_b_id, projectId?, name?, organizationId?, dryRun? }
+// With a projectId the run is billed to that project and uses its provider
+// and budget; without one it falls back to the server's default provider and
+// the organization's default budget. The crosswalk belongs to the project's
+// organization, or to organizationId.
 // ──────────────────────────────────────────────────────────────────────
 router.post('/generate', async (req, res) => {
   try {
-    const { framework_a_id, framework_b_id, name } = req.body;
+    const { framework_a_id, framework_b_id, name, projectId, organizationId, dryRun } = req.body;
 
     // Validate required fields
     if (!framework_a_id || !framework_b_id) {
@@ -25,13 +67,13 @@ router.post('/generate', async (req, res) => {
     }
 
     // Validate both frameworks exist
-    const { data: frameworkA, error: errA } = await supabase
+    const { data: frameworkA, error: errA } = await req.supabase
       .from('frameworks')
       .select('id, name')
       .eq('id', framework_a_id)
       .single();
 
-    const { data: frameworkB, error: errB } = await supabase
+    const { data: frameworkB, error: errB } = await req.supabase
       .from('frameworks')
       .select('id, name')
       .eq('id', framework_b_id)
@@ -44,17 +86,71 @@ router.post('/generate', async (req, res) => {
       return res.status(404).json({ error: `Framework B not found: ${framework_b_id}` });
     }
 
+    // Spend is billed to projectId when given, else to the owning organization
+    const owner = await resolveOwningOrganization(req, { organizationId, projectId });
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+
+    // Pre-flight: dry-run estimate and monthly budget check
+    const preflight = await preflightSpend({
+      projectId,
+      organizationId: owner.organizationId,
+      dryRun: dryRun === true,
+      estimate: async () => {
+        const fetchControls = (frameworkId) => fetchAllRows(() => req.supabase
+          .from('controls')
+          .select('id, control_number, title, description, category')
+          .eq('framework_id', frameworkId)
+          .order('sort_order', { ascending: true })
+          .order('id', { ascending: true }));
+
+        const [{ data: controlsA, error: ctrlErrA }, { data: controlsB, error: ctrlErrB }] = await Promise.all([
+          fetchControls(framework_a_id),
+          fetchControls(framework_b_id),
+        ]);
+        if (ctrlErrA || ctrlErrB) {
+          throw new Error(`Failed to fetch controls for estimate: ${(ctrlErrA || ctrlErrB).message}`);
+        }
+
+        return estimateCrosswalk({
+          controlsA: controlsA || [],
+          controlsB: controlsB || [],
+          frameworkAName: frameworkA.name,
+          frameworkBName: frameworkB.name,
+          projectId,
+        });
+      },
+    });
+
+    if (dryRun === true) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        frameworks: {
+          a: { id: frameworkA.id, name: frameworkA.name },
+          b: { id: frameworkB.id, name: frameworkB.name },
+        },
+        ...preflight,
+      });
+    }
+
+    const overBudget = preflight.budget && !preflight.budget.allowed;
+    if (overBudget && preflight.budget.policy !== 'hold') {
+      return res.status(402).json({ error: 'Monthly budget exceeded.', details: describeBudgetOverrun(preflight), ...preflight });
+    }
+
     // Check for existing crosswalk for this pair (bidirectional check)
     const minId = framework_a_id < framework_b_id ? framework_a_id : framework_b_id;
     const maxId = framework_a_id < framework_b_id ? framework_b_id : framework_a_id;
 
-    const { data: existing, error: existErr } = await supabase
+    const { data: existing, error: existErr } = await req.supabase
       .from('crosswalks')
       .select('id, status')
       .or(`and(framework_a_id.eq.${minId},framework_b_id.eq.${maxId}),and(framework_a_id.eq.${maxId},framework_b_id.eq.${minId})`);
 
     if (!existErr && existing && existing.length > 0) {
-      const active = existing.find(c => c.status === 'completed' || c.status === 'processing');
+      const active = existing.find(c => ['completed', 'processing', 'held'].includes(c.status));
       if (active) {
         return res.status(409).json({
           error: `A crosswalk already exists for this framework pair (status: ${active.status}).`,
@@ -63,18 +159,18 @@ router.post('/generate', async (req, res) => {
       }
       // If only failed ones exist, delete them so we can regenerate
       for (const old of existing) {
-        await supabase.from('crosswalk_mappings').delete().eq('crosswalk_id', old.id);
-        await supabase.from('crosswalks').delete().eq('id', old.id);
+        await req.supabase.from('crosswalk_mappings').delete().eq('crosswalk_id', old.id);
+        await req.supabase.from('crosswalks').delete().eq('id', old.id);
       }
     }
 
     // Get control counts for the response
-    const { count: countA } = await supabase
+    const { count: countA } = await req.supabase
       .from('controls')
       .select('id', { count: 'exact', head: true })
       .eq('framework_id', framework_a_id);
 
-    const { count: countB } = await supabase
+    const { count: countB } = await req.supabase
       .from('controls')
       .select('id', { count: 'exact', head: true })
       .eq('framework_id', framework_b_id);
@@ -82,13 +178,14 @@ router.post('/generate', async (req, res) => {
     // Create the crosswalk row
     const crosswalkName = name || `${frameworkA.name} vs ${frameworkB.name}`;
 
-    const { data: crosswalk, error: insertErr } = await supabase
+    const { data: crosswalk, error: insertErr } = await req.supabase
       .from('crosswalks')
       .insert({
         framework_a_id,
         framework_b_id,
         name: crosswalkName,
-        status: 'processing',
+        organization_id: owner.organizationId,
+        status: overBudget ? 'held' : 'processing',
       })
       .select()
       .single();
@@ -98,21 +195,45 @@ router.post('/generate', async (req, res) => {
       return res.status(500).json({ error: 'Failed to create crosswalk record.', details: insertErr.message });
     }
 
-    // Create in-memory job entry
+    // Create persistent job entry (held for approval when over budget)
     const jobId = crypto.randomUUID();
-    jobs.set(jobId, {
-      status: 'processing',
-      startedAt: Date.now(),
-      progress: 'Initializing crosswalk generation...',
-      batchesTotal: 0,
-      batchesCompleted: 0,
-      mappingsFound: 0,
+    await jobs.create(jobId, {
+      type: 'crosswalk_generation',
+      payload: { crosswalkId: crosswalk.id, projectId },
+      held: overBudget,
+      state: {
+        organizationId: owner.organizationId,
+        crosswalkId: crosswalk.id,
+        progress: overBudget ? 'Held for budget approval' : 'Initializing crosswalk generation...',
+        batchesTotal: 0,
+        batchesCompleted: 0,
+        mappingsFound: 0,
+        ...(overBudget && {
+          estimate: preflight.estimate,
+          budget: preflight.budget,
+          projectId,
+          requestedBy: req.user.id,
+        }),
+      },
     });
 
+    if (overBudget) {
+      console.log(`\u23f8\ufe0f [Crosswalk] Held over budget: ${crosswalkName} (${crosswalk.id}), job: ${jobId}`);
+      return res.status(202).json({
+        success: true,
+        crosswalkId: crosswalk.id,
+        jobId,
+        status: 'held',
+        name: crosswalkName,
+        details: describeBudgetOverrun(preflight),
+        ...preflight,
+      });
+    }
+
     console.log(`\ud83d\uddd3\ufe0f [Crosswalk] Starting generation: ${crosswalkName} (${crosswalk.id}), job: ${jobId}`);
 
     // Fire-and-forget the async generation
-    runCrosswalkGeneration(crosswalk.id, jobId, jobs).catch(err => {
+    runCrosswalkGeneration(crosswalk.id, jobId, jobs, { projectId }).catch(err => {
       console.error(`\u274c [Crosswalk] Unhandled error in generation:`, err.message);
     });
 
@@ -138,17 +259,32 @@ router.post('/generate', async (req, res) => {
 // ──────────────────────────────────────────────────────────────────────
 // GET /api/crosswalk/generate/status/:jobId — Poll generation progress
 // ──────────────────────────────────────────────────────────────────────
-router.get('/generate/status/:jobId', (req, res) => {
+router.get('/generate/status/:jobId', async (req, res) => {
   // Prevent browser caching so polling always gets fresh data
   res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
   res.set('Pragma', 'no-cache');
 
-  const job = jobs.get(req.params.jobId);
+  // Falls back to the jobs table so polling survives a restart
+  const job = await jobs.load(req.params.jobId);
 
   if (!job) {
     return res.status(404).json({ error: 'Job not found or expired.' });
   }
 
+  if (!canAccessJob(req, job)) {
+    return res.status(403).json({ error: 'You do not have access to this job.' });
+  }
+
+  if (job.status === 'held') {
+    return res.json({
+      status: 'held',
+      progress: job.progress,
+      crosswalkId: job.crosswalkId,
+      estimate: job.estimate || null,
+      budget: job.budget || null,
+    });
+  }
+
   if (job.status === 'processing') {
     return res.json({
       status: 'processing',
@@ -178,18 +314,449 @@ router.get('/generate/status/:jobId', (req, res) => {
   }
 });
 
+// Shared handler for releasing or declining a generation held over budget
+async function updateHeldGeneration(req, res, approve) {
+  try {
+    const job = await jobs.load(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or expired.' });
+    }
+    if (!canAccessJob(req, job)) {
+      return res.status(403).json({ error: 'You do not have access to this job.' });
+    }
+    if (job.status !== 'held') {
+      return res.status(409).json({ error: `Job is not held (status: ${job.status}).` });
+    }
+
+    // The requester may withdraw their own job; approving takes an owner or admin
+    let preflight = null;
+    if (approve) {
+      const denied = checkHeldJobApprover(req, job);
+      if (denied) {
+        return res.status(denied.status).json({ error: `${denied.error}.` });
+      }
+
+      preflight = await recheckHeldJob(job);
+      if (preflight.budget && !preflight.budget.allowed && preflight.budget.policy !== 'hold') {
+        return res.status(402).json({ error: 'Monthly budget exceeded.', details: describeBudgetOverrun(preflight), ...preflight });
+      }
+    } else if (job.requestedBy !== req.user.id && !hasOrganizationRole(req, job.organizationId, BUDGET_APPROVER_ROLES)) {
+      return res.status(403).json({ error: 'Only the requester or an organization owner or admin can decline a held job.' });
+    }
+
+    const updated = approve
+      ? await jobs.approve(req.params.jobId)
+      : await jobs.decline(req.params.jobId, `Declined by ${req.user.email || req.user.id}`);
+
+    if (!updated) {
+      return res.status(409).json({ error: 'Job is no longer held.' });
+    }
+
+    // A declined regeneration leaves the existing crosswalk as it was
+    const declinedStatus = job.type === 'crosswalk_regeneration' ? 'completed' : 'failed';
+    const crosswalkStatus = approve ? 'processing' : declinedStatus;
+    const { error: updateErr } = await supabaseAdmin
+      .from('crosswalks')
+      .update({ status: crosswalkStatus })
+      .eq('id', job.crosswalkId);
+    if (updateErr) {
+      console.error(`❌ [Crosswalk] Failed to set status of crosswalk ${job.crosswalkId}: ${updateErr.message}`);
+    }
+
+    console.log(`${approve ? '▶️' : '⏹️'} [Crosswalk] Held job ${req.params.jobId} ${approve ? 'approved' : 'declined'} by ${req.user.id}`);
+    return res.json({
+      success: true,
+      jobId: req.params.jobId,
+      crosswalkId: job.crosswalkId,
+      status: crosswalkStatus,
+      ...(preflight && { budget: preflight.budget }),
+    });
+  } catch (err) {
+    console.error('❌ Crosswalk approval error:', err.message);
+    res.status(500).json({ error: 'Failed to update held generation.', details: err.message });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// POST /api/crosswalk/generate/approve/:jobId — Start a generation held over budget
+// POST /api/crosswalk/generate/decline/:jobId — Decline it
+// ──────────────────────────────────────────────────────────────────────
+router.post('/generate/approve/:jobId', (req, res) => updateHeldGeneration(req, res, true));
+router.post('/generate/decline/:jobId', (req, res) => updateHeldGeneration(req, res, false));
+
+// ──────────────────────────────────────────────────────────────────────
+// POST /api/crosswalk/infer — Derive a draft crosswalk from existing ones
+// Body: { framework_a_id, framework_b_id, via?: [frameworkId...], name?,
+//         verify?, verify_below?, projectId?, organizationId?, dryRun? }
+// Only approved mappings of finalized crosswalks are composed. Verification
+// calls the model, so it needs a project and passes the same budget check
+// as generation. Progress is polled through /generate/status/:jobId, and a
+// held inference is released through /generate/approve/:jobId. The new
+// crosswalk belongs to the project's organization, or to organizationId.
+// ──────────────────────────────────────────────────────────────────────
+router.post('/infer', async (req, res) => {
+  try {
+    const {
+      framework_a_id, framework_b_id, via, name, projectId = null, organizationId,
+      verify = false, verify_below: verifyBelow = DEFAULT_VERIFY_BELOW, dryRun = false,
+    } = req.body;
+
+    if (!framework_a_id || !framework_b_id) {
+      return res.status(400).json({ error: 'Both framework_a_id and framework_b_id are required.' });
+    }
+
+    if (framework_a_id === framework_b_id) {
+      return res.status(400).json({ error: 'Cannot create a crosswalk between a framework and itself.' });
+    }
+
+    if (via !== undefined && (!Array.isArray(via) || via.length === 0 || via.length > MAX_CHAIN_LENGTH - 2)) {
+      return res.status(400).json({ error: `via must be a list of 1 to ${MAX_CHAIN_LENGTH - 2} intermediate framework IDs.` });
+    }
+
+    const threshold = parseFloat(verifyBelow);
+    if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({ error: 'verify_below must be between 0.0 and 1.0.' });
+    }
+
+    if (verify === true && !projectId) {
+      return res.status(400).json({ error: 'projectId is required when verify is set: verification is billed to a project.' });
+    }
+
+    const { data: frameworkA, error: errA } = await req.supabase
+      .from('frameworks')
+      .select('id, name')
+      .eq('id', framework_a_id)
+      .single();
+
+    const { data: frameworkB, error: errB } = await req.supabase
+      .from('frameworks')
+      .select('id, name')
+      .eq('id', framework_b_id)
+      .single();
+
+    if (errA || !frameworkA) {
+      return res.status(404).json({ error: `Framework A not found: ${framework_a_id}` });
+    }
+    if (errB || !frameworkB) {
+      return res.status(404).json({ error: `Framework B not found: ${framework_b_id}` });
+    }
+
+    const owner = await resolveOwningOrganization(req, { organizationId, projectId });
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+
+    const chains = await resolveInferenceChains({
+      frameworkAId: framework_a_id,
+      frameworkBId: framework_b_id,
+      via,
+      organizationIds: req.organizationIds,
+    });
+
+    if (chains.length === 0) {
+      return res.status(422).json({
+        error: via
+          ? 'No finalized crosswalk exists for every step of the given chain.'
+          : 'No framework has finalized crosswalks to both frameworks.',
+      });
+    }
+
+    // Pre-flight: verification is the only model spend in an inference
+    const preflight = verify === true
+      ? await preflightSpend({
+        projectId,
+        dryRun: dryRun === true,
+        estimate: () => estimateCrosswalkInference({
+          chains,
+          verifyBelow: threshold,
+          frameworkAName: frameworkA.name,
+          frameworkBName: frameworkB.name,
+          projectId,
+        }),
+      })
+      : { estimate: null, budget: null };
+
+    if (dryRun === true) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        frameworks: {
+          a: { id: frameworkA.id, name: frameworkA.name },
+          b: { id: frameworkB.id, name: frameworkB.name },
+        },
+        chains: chains.map(c => ({ frameworks: c.frameworks, crosswalkIds: c.crosswalkIds })),
+        ...preflight,
+      });
+    }
+
+    const overBudget = preflight.budget && !preflight.budget.allowed;
+    if (overBudget && preflight.budget.policy !== 'hold') {
+      return res.status(402).json({ error: 'Monthly budget exceeded.', details: describeBudgetOverrun(preflight), ...preflight });
+    }
+
+    // Same one-crosswalk-per-pair rule as generation
+    const minId = framework_a_id < framework_b_id ? framework_a_id : framework_b_id;
+    const maxId = framework_a_id < framework_b_id ? framework_b_id : framework_a_id;
+
+    const { data: existing, error: existErr } = await req.supabase
+      .from('crosswalks')
+      .select('id, status')
+      .or(`and(framework_a_id.eq.${minId},framework_b_id.eq.${maxId}),and(framework_a_id.eq.${maxId},framework_b_id.eq.${minId})`);
+
+    if (!existErr && existing && existing.length > 0) {
+      const active = existing.find(c => ['completed', 'processing', 'held'].includes(c.status));
+      if (active) {
+        return res.status(409).json({
+          error: `A crosswalk already exists for this framework pair (status: ${active.status}).`,
+          crosswalkId: active.id,
+        });
+      }
+      for (const old of existing) {
+        await req.supabase.from('crosswalk_mappings').delete().eq('crosswalk_id', old.id);
+        await req.supabase.from('crosswalks').delete().eq('id', old.id);
+      }
+    }
+
+    const crosswalkName = name || `${frameworkA.name} vs ${frameworkB.name} (inferred)`;
+
+    const { data: crosswalk, error: insertErr } = await req.supabase
+      .from('crosswalks')
+      .insert({
+        framework_a_id,
+        framework_b_id,
+        name: crosswalkName,
+        organization_id: owner.organizationId,
+        status: overBudget ? 'held' : 'processing',
+      })
+      .select()
+      .single();
+
+    if (insertErr) {
+      console.error('Failed to create crosswalk row:', insertErr.message);
+      return res.status(500).json({ error: 'Failed to create crosswalk record.', details: insertErr.message });
+    }
+
+    const options = { chains, verify: verify === true, verifyBelow: threshold, projectId };
+    const jobId = crypto.randomUUID();
+    await jobs.create(jobId, {
+      type: 'crosswalk_inference',
+      payload: { crosswalkId: crosswalk.id, ...options },
+      held: overBudget,
+      state: {
+        organizationId: owner.organizationId,
+        crosswalkId: crosswalk.id,
+        progress: overBudget ? 'Held for budget approval' : 'Initializing crosswalk inference...',
+        ...(overBudget && {
+          estimate: preflight.estimate,
+          budget: preflight.budget,
+          projectId,
+          requestedBy: req.user.id,
+        }),
+      },
+    });
+
+    if (overBudget) {
+      console.log(`⏸️ [Crosswalk] Inference held over budget: ${crosswalkName} (${crosswalk.id}), job: ${jobId}`);
+      return res.status(202).json({
+        success: true,
+        crosswalkId: crosswalk.id,
+        jobId,
+        status: 'held',
+        name: crosswalkName,
+        details: describeBudgetOverrun(preflight),
+        ...preflight,
+      });
+    }
+
+    console.log(`🔗 [Crosswalk] Starting inference: ${crosswalkName} (${crosswalk.id}) over ${chains.length} chain(s), job: ${jobId}`);
+
+    runCrosswalkInference(crosswalk.id, jobId, jobs, options).catch(err => {
+      console.error(`❌ [Crosswalk] Unhandled error in inference:`, err.message);
+    });
+
+    return res.status(202).json({
+      success: true,
+      crosswalkId: crosswalk.id,
+      jobId,
+      status: 'processing',
+      name: crosswalkName,
+      frameworks: {
+        a: { id: frameworkA.id, name: frameworkA.name },
+        b: { id: frameworkB.id, name: frameworkB.name },
+      },
+      chains: chains.map(c => ({ frameworks: c.frameworks, crosswalkIds: c.crosswalkIds })),
+    });
+  } catch (err) {
+    console.error('❌ Crosswalk infer error:', err.message);
+    res.status(500).json({ error: 'Failed to start crosswalk inference.', details: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// POST /api/crosswalk/import — Import an externally authored crosswalk
+// Multipart: file (CSV/XLSX, incl. NIST OLIR STRM), framework_a_id
+// (source/focal column), framework_b_id (target/reference column), and
+// optional name, sheet, column_a, column_b, organizationId (required for
+// members of more than one organization).
+// ──────────────────────────────────────────────────────────────────────
+router.post('/import', upload.single('file'), async (req, res) => {
+  const filePath = req.file?.path;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const fileName = req.file.originalname;
+    if (!/\.(csv|xlsx?)$/i.test(fileName)) {
+      return res.status(400).json({ error: 'Mapping files must be CSV or XLSX.' });
+    }
+
+    const { framework_a_id, framework_b_id, name, sheet, column_a: columnA, column_b: columnB, organizationId } = req.body;
+
+    if (!framework_a_id || !framework_b_id) {
+      return res.status(400).json({ error: 'Both framework_a_id and framework_b_id are required.' });
+    }
+
+    if (framework_a_id === framework_b_id) {
+      return res.status(400).json({ error: 'Cannot create a crosswalk between a framework and itself.' });
+    }
+
+    const owner = await resolveOwningOrganization(req, { organizationId });
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+
+    const { data: frameworkA, error: errA } = await req.supabase
+      .from('frameworks')
+      .select('id, name')
+      .eq('id', framework_a_id)
+      .single();
+
+    const { data: frameworkB, error: errB } = await req.supabase
+      .from('frameworks')
+      .select('id, name')
+      .eq('id', framework_b_id)
+      .single();
+
+    if (errA || !frameworkA) {
+      return res.status(404).json({ error: `Framework A not found: ${framework_a_id}` });
+    }
+    if (errB || !frameworkB) {
+      return res.status(404).json({ error: `Framework B not found: ${framework_b_id}` });
+    }
+
+    let parsed;
+    try {
+      parsed = await parseCrosswalkFile(filePath, {
+        frameworkAId: framework_a_id,
+        frameworkBId: framework_b_id,
+        sheet,
+        columnA,
+        columnB,
+      });
+    } catch (parseErr) {
+      return res.status(422).json({ error: 'Could not read the mapping file.', details: parseErr.message });
+    }
+
+    const report = {
+      sheet: parsed.sheetName,
+      rowsRead: parsed.rowsRead,
+      skippedRows: parsed.skipped,
+      duplicatePairs: parsed.duplicates,
+      matchMethods: parsed.matchMethods,
+      unresolved: parsed.unresolved,
+    };
+
+    if (parsed.mappings.length === 0) {
+      return res.status(422).json({ error: 'No rows could be resolved to controls in both frameworks.', ...report });
+    }
+
+    // Same one-crosswalk-per-pair rule as generation
+    const minId = framework_a_id < framework_b_id ? framework_a_id : framework_b_id;
+    const maxId = framework_a_id < framework_b_id ? framework_b_id : framework_a_id;
+
+    const { data: existing, error: existErr } = await req.supabase
+      .from('crosswalks')
+      .select('id, status')
+      .or(`and(framework_a_id.eq.${minId},framework_b_id.eq.${maxId}),and(framework_a_id.eq.${maxId},framework_b_id.eq.${minId})`);
+
+    if (!existErr && existing && existing.length > 0) {
+      const active = existing.find(c => ['completed', 'processing', 'held'].includes(c.status));
+      if (active) {
+        return res.status(409).json({
+          error: `A crosswalk already exists for this framework pair (status: ${active.status}).`,
+          crosswalkId: active.id,
+        });
+      }
+      for (const old of existing) {
+        await req.supabase.from('crosswalk_mappings').delete().eq('crosswalk_id', old.id);
+        await req.supabase.from('crosswalks').delete().eq('id', old.id);
+      }
+    }
+
+    const crosswalkName = name || `${frameworkA.name} vs ${frameworkB.name} (imported)`;
+
+    const { data: crosswalk, error: insertErr } = await req.supabase
+      .from('crosswalks')
+      .insert({
+        framework_a_id,
+        framework_b_id,
+        name: crosswalkName,
+        organization_id: owner.organizationId,
+        status: 'processing',
+      })
+      .select()
+      .single();
+
+    if (insertErr) {
+      console.error('Failed to create crosswalk row:', insertErr.message);
+      return res.status(500).json({ error: 'Failed to create crosswalk record.', details: insertErr.message });
+    }
+
+    let imported;
+    try {
+      imported = await saveImportedMappings(crosswalk.id, parsed, { fileName });
+    } catch (saveErr) {
+      await supabaseAdmin.from('crosswalk_mappings').delete().eq('crosswalk_id', crosswalk.id);
+      await supabaseAdmin.from('crosswalks').update({ status: 'failed', error: saveErr.message }).eq('id', crosswalk.id);
+      throw saveErr;
+    }
+
+    await updateCrosswalkStats(crosswalk.id);
+
+    return res.status(201).json({
+      success: true,
+      crosswalkId: crosswalk.id,
+      name: crosswalkName,
+      frameworks: {
+        a: { id: frameworkA.id, name: frameworkA.name },
+        b: { id: frameworkB.id, name: frameworkB.name },
+      },
+      imported,
+      ...report,
+    });
+  } catch (err) {
+    console.error('❌ Crosswalk import error:', err.message);
+    res.status(500).json({ error: 'Failed to import crosswalk.', details: err.message });
+  } finally {
+    cleanupFile(filePath);
+  }
+});
+
 // ──────────────────────────────────────────────────────────────────────
 // GET /api/crosswalk — List all crosswalks
 // ──────────────────────────────────────────────────────────────────────
 router.get('/', async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await req.supabase
       .from('crosswalks')
       .select(`
         *,
         framework_a:framework_a_id (id, name),
         framework_b:framework_b_id (id, name)
       `)
+      .in('organization_id', req.organizationIds)
       .order('created_at', { ascending: false });
 
     if (error) {
@@ -210,7 +777,7 @@ router.get('/by-framework/:frameworkId', async (req, res) => {
   try {
     const { frameworkId } = req.params;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.supabase
       .from('crosswalks')
       .select(`
         *,
@@ -218,6 +785,7 @@ router.get('/by-framework/:frameworkId', async (req, res) => {
         framework_b:framework_b_id (id, name)
       `)
       .or(`framework_a_id.eq.${frameworkId},framework_b_id.eq.${frameworkId}`)
+      .in('organization_id', req.organizationIds)
       .order('created_at', { ascending: false });
 
     if (error) {
@@ -233,7 +801,7 @@ router.get('/by-framework/:frameworkId', async (req, res) => {
 
 // ──────────────────────────────────────────────────────────────────────
 // GET /api/crosswalk/:crosswalkId — Fetch crosswalk with all mappings
-// Supports: ?perspective=<frameworkId>, ?min_confidence=0.5, ?status=ai_generated,user_verified
+// Supports: ?perspective=<frameworkId>, ?min_confidence=0.5, ?status=ai_generated,user_verified,inferred,imported
 // ──────────────────────────────────────────────────────────────────────
 router.get('/:crosswalkId', async (req, res) => {
   try {
@@ -241,7 +809,7 @@ router.get('/:crosswalkId', async (req, res) => {
     const { perspective, min_confidence, status: statusFilter } = req.query;
 
     // Fetch the crosswalk
-    const { data: crosswalk, error: cwErr } = await supabase
+    const { data: crosswalk, error: cwErr } = await req.supabase
       .from('crosswalks')
       .select(`
         *,
@@ -256,7 +824,7 @@ router.get('/:crosswalkId', async (req, res) => {
     }
 
     // Build the mappings query
-    let mappingsQuery = supabase
+    let mappingsQuery = req.supabase
       .from('crosswalk_mappings')
       .select(`
         *,
@@ -265,12 +833,12 @@ router.get('/:crosswalkId', async (req, res) => {
       `)
       .eq('crosswalk_id', crosswalkId);
 
-    // Filter by status (default: exclude user_removed)
+    // Filter by status (default: exclude user_removed and orphaned)
     if (statusFilter) {
       const statuses = statusFilter.split(',').map(s => s.trim());
       mappingsQuery = mappingsQuery.in('status', statuses);
     } else {
-      mappingsQuery = mappingsQuery.neq('status', 'user_removed');
+      mappingsQuery = mappingsQuery.not('status', 'in', '(user_removed,orphaned)');
     }
 
     // Filter by minimum confidence
@@ -313,7 +881,7 @@ router.get('/:crosswalkId', async (req, res) => {
     });
 
     // Compute statistics
-    const activeMappings = (mappings || []).filter(m => m.status !== 'user_removed');
+    const activeMappings = (mappings || []).filter(m => m.status !== 'user_removed' && m.status !== 'orphaned');
     const stats = {
       total: activeMappings.length,
       by_relationship: {
@@ -327,7 +895,13 @@ router.get('/:crosswalkId', async (req, res) => {
         ai_generated: activeMappings.filter(m => m.status === 'ai_generated').length,
         user_verified: activeMappings.filter(m => m.status === 'user_verified').length,
         user_added: activeMappings.filter(m => m.status === 'user_added').length,
+        inferred: activeMappings.filter(m => m.status === 'inferred').length,
+        imported: activeMappings.filter(m => m.status === 'imported').length,
       },
+      by_review: Object.fromEntries(REVIEW_STATES.map(state => [
+        state,
+        activeMappings.filter(m => (m.review_status || 'pending') === state).length,
+      ])),
       avg_confidence: activeMappings.length > 0
         ? parseFloat((activeMappings.reduce((s, m) => s + parseFloat(m.ai_confidence), 0) / activeMappings.length).toFixed(2))
         : 0,
@@ -355,21 +929,392 @@ router.get('/:crosswalkId', async (req, res) => {
 });
 
 // ──────────────────────────────────────────────────────────────────────
-// POST /api/crosswalk/:crosswalkId/mappings — Add a manual mapping
+// POST /api/crosswalk/:crosswalkId/regenerate — Incremental regeneration
+// Body: { projectId?, dryRun? }
+// Billed like /generate: to projectId when given, otherwise to the
+// crosswalk's organization with the default provider.
+// Re-maps only controls added or edited since the crosswalk was built;
+// mappings with user statuses are kept (moved to the new IDs when a
+// framework was re-imported), and mappings to deleted controls are marked
+// orphaned. Progress is polled through /generate/status/:jobId.
 // ──────────────────────────────────────────────────────────────────────
-router.post('/:crosswalkId/mappings', async (req, res) => {
+router.post('/:crosswalkId/regenerate', async (req, res) => {
   try {
     const { crosswalkId } = req.params;
-    const { control_a_id, control_b_id, relationship_type, manual_confidence, user_notes } = req.body;
+    const { projectId, dryRun } = req.body;
 
-    if (!control_a_id || !control_b_id) {
+    const { data: crosswalk, error: cwErr } = await req.supabase
+      .from('crosswalks')
+      .select('*, framework_a:framework_a_id (id, name), framework_b:framework_b_id (id, name)')
+      .eq('id', crosswalkId)
+      .single();
+
+    if (cwErr || !crosswalk) {
+      return res.status(404).json({ error: 'Crosswalk not found.' });
+    }
+
+    if (crosswalk.status !== 'completed') {
+      return res.status(409).json({ error: `Only completed crosswalks can be regenerated (status: ${crosswalk.status}).` });
+    }
+
+    if (isFinalized(crosswalk)) {
+      return res.status(409).json({ error: 'This crosswalk is finalized. Reopen it before regenerating.' });
+    }
+
+    if (projectId) {
+      const projectDenied = await checkResourceAccess(req, 'project', projectId);
+      if (projectDenied) {
+        return res.status(projectDenied.status).json({ error: projectDenied.error });
+      }
+    }
+
+    const fetchControls = (frameworkId) => fetchAllRows(() => req.supabase
+      .from('controls')
+      .select('id, control_number, title, description, category')
+      .eq('framework_id', frameworkId)
+      .order('sort_order', { ascending: true })
+      .order('id', { ascending: true }));
+
+    const [{ data: controlsA, error: ctrlErrA }, { data: controlsB, error: ctrlErrB }] = await Promise.all([
+      fetchControls(crosswalk.framework_a_id),
+      fetchControls(crosswalk.framework_b_id),
+    ]);
+    if (ctrlErrA || ctrlErrB) {
+      return res.status(500).json({ error: 'Failed to fetch framework controls.', details: (ctrlErrA || ctrlErrB).message });
+    }
+
+    const fingerprints = crosswalk.metadata?.control_fingerprints || null;
+    const plan = planIncrementalBatches(controlsA || [], controlsB || [], crosswalk.framework_a.name, crosswalk.framework_b.name, fingerprints);
+    const changes = {
+      hasBaseline: plan.hasBaseline,
+      controlsAdded: plan.addedCount,
+      controlsChanged: plan.changedCount,
+      controlsDeleted: plan.deletedCount,
+      batches: plan.batches.length,
+    };
+
+    const preflight = await preflightSpend({
+      projectId,
+      organizationId: crosswalk.organization_id,
+      dryRun: dryRun === true,
+      estimate: () => estimateCrosswalkRegeneration({
+        controlsA: controlsA || [],
+        controlsB: controlsB || [],
+        frameworkAName: crosswalk.framework_a.name,
+        frameworkBName: crosswalk.framework_b.name,
+        fingerprints,
+        projectId,
+      }),
+    });
+
+    if (dryRun === true) {
+      return res.json({ success: true, dryRun: true, crosswalkId, changes, ...preflight });
+    }
+
+    const overBudget = preflight.budget && !preflight.budget.allowed && plan.batches.length > 0;
+    if (overBudget && preflight.budget.policy !== 'hold') {
+      return res.status(402).json({ error: 'Monthly budget exceeded.', details: describeBudgetOverrun(preflight), ...preflight });
+    }
+
+    if (!overBudget) {
+      await req.supabase.from('crosswalks').update({ status: 'processing' }).eq('id', crosswalkId);
+    }
+
+    const jobId = crypto.randomUUID();
+    await jobs.create(jobId, {
+      type: 'crosswalk_regeneration',
+      payload: { crosswalkId, projectId },
+      held: overBudget,
+      state: {
+        organizationId: crosswalk.organization_id,
+        crosswalkId,
+        progress: overBudget ? 'Held for budget approval' : 'Initializing incremental regeneration...',
+        batchesTotal: plan.batches.length,
+        batchesCompleted: 0,
+        mappingsFound: 0,
+        ...(overBudget && {
+          estimate: preflight.estimate,
+          budget: preflight.budget,
+          projectId,
+          requestedBy: req.user.id,
+        }),
+      },
+    });
+
+    if (overBudget) {
+      console.log(`⏸️ [Crosswalk] Regeneration held over budget: ${crosswalk.name} (${crosswalkId}), job: ${jobId}`);
+      return res.status(202).json({
+        success: true,
+        crosswalkId,
+        jobId,
+        status: 'held',
+        changes,
+        details: describeBudgetOverrun(preflight),
+        ...preflight,
+      });
+    }
+
+    console.log(`🔁 [Crosswalk] Starting incremental regeneration: ${crosswalk.name} (${crosswalkId}), job: ${jobId}`);
+
+    runIncrementalRegeneration(crosswalkId, jobId, jobs, { projectId }).catch(err => {
+      console.error(`❌ [Crosswalk] Unhandled error in regeneration:`, err.message);
+    });
+
+    return res.status(202).json({
+      success: true,
+      crosswalkId,
+      jobId,
+      status: 'processing',
+      changes,
+    });
+  } catch (err) {
+    console.error('❌ Crosswalk regenerate error:', err.message);
+    res.status(500).json({ error: 'Failed to start crosswalk regeneration.', details: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// POST /api/crosswalk/:crosswalkId/reverse — Derive the B→A crosswalk
+// Body: { name? }. Inverts a finalized crosswalk's mappings without a model
+// run; the only case where two crosswalks may cover the same framework pair.
+// The reverse is created already finalized, so it needs the same roles as
+// /finalize.
+// ──────────────────────────────────────────────────────────────────────
+router.post('/:crosswalkId/reverse', async (req, res) => {
+  try {
+    const { crosswalkId } = req.params;
+    const { name } = req.body || {};
+
+    const { data: source, error: cwErr } = await req.supabase
+      .from('crosswalks')
+      .select('*, framework_a:framework_a_id (id, name), framework_b:framework_b_id (id, name)')
+      .eq('id', crosswalkId)
+      .single();
+
+    if (cwErr || !source) {
+      return res.status(404).json({ error: 'Crosswalk not found.' });
+    }
+    if (!hasOrganizationRole(req, source.organization_id, CROSSWALK_SIGNOFF_ROLES)) {
+      return res.status(403).json({ error: 'Only organization owners, admins and reviewers can derive a finalized reverse crosswalk.' });
+    }
+    if (source.status !== 'completed' || !isFinalized(source)) {
+      return res.status(409).json({ error: 'Only finalized crosswalks can be reversed. Review and finalize it first.' });
+    }
+
+    // One reverse per crosswalk: block if the swapped orientation already exists
+    const { data: existing, error: existErr } = await req.supabase
+      .from('crosswalks')
+      .select('id, status')
+      .eq('framework_a_id', source.framework_b_id)
+      .eq('framework_b_id', source.framework_a_id);
+
+    if (!existErr && existing && existing.length > 0) {
+      const active = existing.find(c => ['completed', 'processing', 'held'].includes(c.status));
+      if (active) {
+        return res.status(409).json({
+          error: `A crosswalk from ${source.framework_b.name} to ${source.framework_a.name} already exists (status: ${active.status}).`,
+          crosswalkId: active.id,
+        });
+      }
+      for (const old of existing) {
+        await req.supabase.from('crosswalk_mappings').delete().eq('crosswalk_id', old.id);
+        await req.supabase.from('crosswalks').delete().eq('id', old.id);
+      }
+    }
+
+    const crosswalkName = name || `${source.framework_b.name} vs ${source.framework_a.name}`;
+
+    const { data: reverse, error: insertErr } = await req.supabase
+      .from('crosswalks')
+      .insert({
+        framework_a_id: source.framework_b_id,
+        framework_b_id: source.framework_a_id,
+        name: crosswalkName,
+        organization_id: source.organization_id,
+        status: 'processing',
+      })
+      .select()
+      .single();
+
+    if (insertErr) {
+      console.error('Failed to create crosswalk row:', insertErr.message);
+      return res.status(500).json({ error: 'Failed to create crosswalk record.', details: insertErr.message });
+    }
+
+    let mappingsCopied;
+    try {
+      mappingsCopied = await deriveReverseMappings(source, reverse.id, { reviewerId: req.user.id });
+    } catch (deriveErr) {
+      await supabaseAdmin.from('crosswalk_mappings').delete().eq('crosswalk_id', reverse.id);
+      await supabaseAdmin.from('crosswalks').update({ status: 'failed', error: deriveErr.message }).eq('id', reverse.id);
+      throw deriveErr;
+    }
+
+    await updateCrosswalkStats(reverse.id);
+
+    return res.status(201).json({
+      success: true,
+      crosswalkId: reverse.id,
+      name: crosswalkName,
+      derivedFrom: source.id,
+      frameworks: {
+        a: { id: source.framework_b.id, name: source.framework_b.name },
+        b: { id: source.framework_a.id, name: source.framework_a.name },
+      },
+      mappingsCopied,
+    });
+  } catch (err) {
+    console.error('❌ Crosswalk reverse error:', err.message);
+    res.status(500).json({ error: 'Failed to derive reverse crosswalk.', details: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// Crosswalk exports — reviewed state only: user_removed mappings are
+// excluded and manual_confidence overrides the AI confidence.
+// All support ?perspective=<frameworkId> to choose the source side.
+// ──────────────────────────────────────────────────────────────────────
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function exportFilename(data, suffix) {
+  const name = `${data.sourceFramework.name} to ${data.targetFramework.name}`.replace(/[^a-zA-Z0-9 ]/g, '').trim();
+  return suffix ? `${name} ${suffix}` : name;
+}
+
+// GET /api/crosswalk/:crosswalkId/export/xlsx — Multi-sheet workbook
+router.get('/:crosswalkId/export/xlsx', async (req, res) => {
+  try {
+    const data = await loadCrosswalkExport(req.params.crosswalkId, { perspective: req.query.perspective });
+    const buffer = buildCrosswalkXlsx(data);
+
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(data)}.xlsx"`);
+    res.setHeader('Content-Length', buffer.length);
+    return res.send(buffer);
+  } catch (err) {
+    console.error('❌ Export crosswalk XLSX error:', err.message);
+    const status = err.message === 'Crosswalk not found' ? 404 : 500;
+    res.status(status).json({ error: 'Failed to export crosswalk.', details: err.message });
+  }
+});
+
+// GET /api/crosswalk/:crosswalkId/export/csv — Flat CSV of mappings
+router.get('/:crosswalkId/export/csv', async (req, res) => {
+  try {
+    const data = await loadCrosswalkExport(req.params.crosswalkId, { perspective: req.query.perspective });
+    const csv = buildCrosswalkCsv(data);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(data)}.csv"`);
+    return res.send(csv);
+  } catch (err) {
+    console.error('❌ Export crosswalk CSV error:', err.message);
+    const status = err.message === 'Crosswalk not found' ? 404 : 500;
+    res.status(status).json({ error: 'Failed to export crosswalk.', details: err.message });
+  }
+});
+
+// GET /api/crosswalk/:crosswalkId/export/strm — NIST OLIR STRM (?format=xlsx|csv)
+router.get('/:crosswalkId/export/strm', async (req, res) => {
+  try {
+    const format = req.query.format || 'xlsx';
+    if (!['xlsx', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "xlsx" or "csv".' });
+    }
+
+    const data = await loadCrosswalkExport(req.params.crosswalkId, { perspective: req.query.perspective });
+    const output = buildCrosswalkStrm(data, format);
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(data, 'STRM')}.${format}"`);
+    return res.send(output);
+  } catch (err) {
+    console.error('❌ Export crosswalk STRM error:', err.message);
+    const status = err.message === 'Crosswalk not found' ? 404 : 500;
+    res.status(status).json({ error: 'Failed to export crosswalk.', details: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// GET /api/crosswalk/:crosswalkId/lint — Consistency and quality checks
+// Query: reverseCrosswalkId? (otherwise every visible crosswalk over the
+// same two frameworks is compared). Generation stores the same report in
+// metadata.lint; this runs it fresh against the current mappings.
+// ──────────────────────────────────────────────────────────────────────
+router.get('/:crosswalkId/lint', async (req, res) => {
+  try {
+    const { reverseCrosswalkId } = req.query;
+
+    if (reverseCrosswalkId) {
+      const denied = await checkResourceAccess(req, 'crosswalk', reverseCrosswalkId);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+    }
+
+    const report = await lintCrosswalk(req.params.crosswalkId, {
+      organizationIds: req.organizationIds,
+      reverseCrosswalkId,
+    });
+
+    return res.json({ success: true, data: report });
+  } catch (err) {
+    console.error('❌ Crosswalk lint error:', err.message);
+    const status = err.message === 'Crosswalk not found' ? 404 : 500;
+    res.status(status).json({ error: 'Failed to lint crosswalk.', details: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// GET /api/crosswalk/:crosswalkId/gap-analysis — What's left to adopt a framework
+// Query: projectId, targetFrameworkId? (defaults to framework B).
+// Classifies every target control as satisfied / partial / weak / not_covered
+// from the project's results on the other framework. Finalized crosswalks only.
+// ──────────────────────────────────────────────────────────────────────
+router.get('/:crosswalkId/gap-analysis', async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId is required.' });
+    }
+
+    const denied = await checkResourceAccess(req, 'project', projectId);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const crosswalk = await loadGapCrosswalk(req.params.crosswalkId);
+    const targetFrameworkId = req.query.targetFrameworkId || crosswalk?.framework_b_id;
+    const blocked = checkGapCrosswalk(crosswalk, targetFrameworkId);
+    if (blocked) {
+      return res.status(blocked.status).json({ error: blocked.error });
+    }
+
+    const analysis = await analyzeFrameworkGap({ projectId, crosswalk, targetFrameworkId });
+
+    return res.json({ success: true, data: analysis });
+  } catch (err) {
+    console.error('❌ Crosswalk gap analysis error:', err.message);
+    res.status(500).json({ error: 'Failed to run gap analysis.', details: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// POST /api/crosswalk/:crosswalkId/mappings — Add a manual mapping
+// ──────────────────────────────────────────────────────────────────────
+router.post('/:crosswalkId/mappings', async (req, res) => {
+  try {
+    const { crosswalkId } = req.params;
+    const { control_a_id, control_b_id, relationship_type, manual_confidence, user_notes } = req.body;
+
+    if (!control_a_id || !control_b_id) {
       return res.status(400).json({ error: 'Both control_a_id and control_b_id are required.' });
     }
 
     // Validate the crosswalk exists
-    const { data: crosswalk, error: cwErr } = await supabase
+    const { data: crosswalk, error: cwErr } = await req.supabase
       .from('crosswalks')
-      .select('id, framework_a_id, framework_b_id')
+      .select('id, framework_a_id, framework_b_id, finalized_at')
       .eq('id', crosswalkId)
       .single();
 
@@ -377,14 +1322,18 @@ router.post('/:crosswalkId/mappings', async (req, res) => {
       return res.status(404).json({ error: 'Crosswalk not found.' });
     }
 
+    if (isFinalized(crosswalk)) {
+      return res.status(409).json({ error: 'This crosswalk is finalized. Reopen it before editing mappings.' });
+    }
+
     // Validate controls belong to the correct frameworks
-    const { data: controlA } = await supabase
+    const { data: controlA } = await req.supabase
       .from('controls')
       .select('id, framework_id')
       .eq('id', control_a_id)
       .single();
 
-    const { data: controlB } = await supabase
+    const { data: controlB } = await req.supabase
       .from('controls')
       .select('id, framework_id')
       .eq('id', control_b_id)
@@ -398,7 +1347,7 @@ router.post('/:crosswalkId/mappings', async (req, res) => {
     }
 
     // Check for existing mapping (might be a soft-deleted one we can restore)
-    const { data: existing } = await supabase
+    const { data: existing } = await req.supabase
       .from('crosswalk_mappings')
       .select('id, status')
       .eq('crosswalk_id', crosswalkId)
@@ -410,7 +1359,7 @@ router.post('/:crosswalkId/mappings', async (req, res) => {
 
     if (existing && existing.status === 'user_removed') {
       // Restore the soft-deleted mapping
-      const { data: restored, error: restoreErr } = await supabase
+      const { data: restored, error: restoreErr } = await req.supabase
         .from('crosswalk_mappings')
         .update({
           status: 'user_added',
@@ -418,6 +1367,10 @@ router.post('/:crosswalkId/mappings', async (req, res) => {
           manual_confidence: manual_confidence != null ? manual_confidence : null,
           user_notes: user_notes || null,
           ai_confidence: existing.ai_confidence || 0,
+          // A restored mapping needs a fresh sign-off
+          review_status: 'pending',
+          reviewed_by: null,
+          reviewed_at: null,
         })
         .eq('id', existing.id)
         .select()
@@ -431,7 +1384,7 @@ router.post('/:crosswalkId/mappings', async (req, res) => {
       return res.status(409).json({ error: 'A mapping already exists for this control pair.', mappingId: existing.id });
     } else {
       // Create new mapping
-      const { data: created, error: createErr } = await supabase
+      const { data: created, error: createErr } = await req.supabase
         .from('crosswalk_mappings')
         .insert({
           crosswalk_id: crosswalkId,
@@ -465,11 +1418,18 @@ router.post('/:crosswalkId/mappings', async (req, res) => {
 
 // ──────────────────────────────────────────────────────────────────────
 // PATCH /api/crosswalk/:crosswalkId/mappings/:mappingId — Edit a mapping
+// Changing the relationship, confidence or status sends the mapping back
+// to pending review unless the same request sets review_status.
 // ──────────────────────────────────────────────────────────────────────
 router.patch('/:crosswalkId/mappings/:mappingId', async (req, res) => {
   try {
     const { crosswalkId, mappingId } = req.params;
-    const { manual_confidence, relationship_type, user_notes, status, verified_by } = req.body;
+    const { manual_confidence, relationship_type, user_notes, status, verified_by, review_status, comment } = req.body;
+
+    const locked = await checkCrosswalkEditable(req, crosswalkId);
+    if (locked) {
+      return res.status(locked.status).json({ error: locked.error });
+    }
 
     // Build update object with only provided fields
     const updates = {};
@@ -508,12 +1468,52 @@ router.patch('/:crosswalkId/mappings/:mappingId', async (req, res) => {
       }
     }
 
+    if (review_status !== undefined && !REVIEW_STATES.includes(review_status)) {
+      return res.status(400).json({ error: `review_status must be one of: ${REVIEW_STATES.join(', ')}` });
+    }
+
+    const editedFields = ['relationship_type', 'manual_confidence', 'status'].filter(field => field in updates);
+
+    if (review_status !== undefined || comment || editedFields.length > 0) {
+      const { data: current, error: currentErr } = await req.supabase
+        .from('crosswalk_mappings')
+        .select('id, relationship_type, manual_confidence, status, review_status, review_history')
+        .eq('id', mappingId)
+        .eq('crosswalk_id', crosswalkId)
+        .single();
+
+      if (currentErr || !current) {
+        return res.status(404).json({ error: 'Mapping not found in this crosswalk.' });
+      }
+
+      // A sign-off covers the mapping as it was reviewed
+      const edited = editedFields.some(field => (field === 'manual_confidence'
+        ? updates[field] !== parseFloat(current[field])
+        : updates[field] !== current[field]));
+
+      if (review_status !== undefined) {
+        Object.assign(updates, reviewUpdate(current, { reviewStatus: review_status, reviewerId: req.user.id, comment }));
+      } else if (edited) {
+        Object.assign(updates, {
+          review_status: 'pending',
+          reviewed_by: null,
+          reviewed_at: null,
+          review_history: [
+            ...(current.review_history || []),
+            historyEntry({ action: 'edit', reviewStatus: 'pending', reviewerId: req.user.id, comment }),
+          ],
+        });
+      } else if (comment) {
+        updates.review_history = [...(current.review_history || []), historyEntry({ action: 'comment', reviewerId: req.user.id, comment })];
+      }
+    }
+
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ error: 'No valid update fields provided.' });
     }
 
     // Perform the update
-    const { data: updated, error: updateErr } = await supabase
+    const { data: updated, error: updateErr } = await req.supabase
       .from('crosswalk_mappings')
       .update(updates)
       .eq('id', mappingId)
@@ -539,6 +1539,211 @@ router.patch('/:crosswalkId/mappings/:mappingId', async (req, res) => {
   }
 });
 
+// ──────────────────────────────────────────────────────────────────────
+// POST /api/crosswalk/:crosswalkId/mappings/:mappingId/comments — Add a
+// review comment. Allowed on finalized crosswalks: comments are not edits.
+// ──────────────────────────────────────────────────────────────────────
+router.post('/:crosswalkId/mappings/:mappingId/comments', async (req, res) => {
+  try {
+    const { crosswalkId, mappingId } = req.params;
+    const { comment } = req.body;
+
+    if (!comment || typeof comment !== 'string' || !comment.trim()) {
+      return res.status(400).json({ error: 'comment is required.' });
+    }
+
+    const { data: mapping, error: fetchErr } = await req.supabase
+      .from('crosswalk_mappings')
+      .select('id, review_history')
+      .eq('id', mappingId)
+      .eq('crosswalk_id', crosswalkId)
+      .single();
+
+    if (fetchErr || !mapping) {
+      return res.status(404).json({ error: 'Mapping not found in this crosswalk.' });
+    }
+
+    const entry = historyEntry({ action: 'comment', reviewerId: req.user.id, comment: comment.trim() });
+    const { data: updated, error: updateErr } = await req.supabase
+      .from('crosswalk_mappings')
+      .update({ review_history: [...(mapping.review_history || []), entry] })
+      .eq('id', mappingId)
+      .select('id, review_status, review_history')
+      .single();
+
+    if (updateErr) {
+      return res.status(500).json({ error: 'Failed to add comment.', details: updateErr.message });
+    }
+
+    return res.status(201).json({ success: true, data: updated });
+  } catch (err) {
+    console.error('❌ Add review comment error:', err.message);
+    res.status(500).json({ error: 'Failed to add comment.', details: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// POST /api/crosswalk/:crosswalkId/review/bulk — Review many mappings at once
+// Body: { review_status, comment?, filter?: { mapping_ids?, relationship_type?,
+//         min_confidence?, status?, review_status? (default ['pending']) } }
+// e.g. approve all equivalent mappings with ai_confidence ≥ 0.9:
+//   { review_status: 'approved', filter: { relationship_type: ['equivalent'], min_confidence: 0.9 } }
+// ──────────────────────────────────────────────────────────────────────
+router.post('/:crosswalkId/review/bulk', async (req, res) => {
+  try {
+    const { crosswalkId } = req.params;
+    const { review_status: reviewStatus, comment, filter = {} } = req.body;
+
+    if (!REVIEW_STATES.includes(reviewStatus)) {
+      return res.status(400).json({ error: `review_status must be one of: ${REVIEW_STATES.join(', ')}` });
+    }
+
+    const asList = (value) => (value === undefined ? undefined : [].concat(value));
+    const relationshipTypes = asList(filter.relationship_type);
+    const validRelationships = ['equivalent', 'partial_overlap', 'related', 'subset', 'superset'];
+    if (relationshipTypes && !relationshipTypes.every(t => validRelationships.includes(t))) {
+      return res.status(400).json({ error: `relationship_type must be one of: ${validRelationships.join(', ')}` });
+    }
+
+    const currentStates = asList(filter.review_status);
+    if (currentStates && !currentStates.every(s => REVIEW_STATES.includes(s))) {
+      return res.status(400).json({ error: `filter.review_status must be one of: ${REVIEW_STATES.join(', ')}` });
+    }
+
+    let minConfidence = null;
+    if (filter.min_confidence !== undefined) {
+      minConfidence = parseFloat(filter.min_confidence);
+      if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        return res.status(400).json({ error: 'min_confidence must be between 0.0 and 1.0.' });
+      }
+    }
+
+    const locked = await checkCrosswalkEditable(req, crosswalkId);
+    if (locked) {
+      return res.status(locked.status).json({ error: locked.error });
+    }
+
+    const result = await bulkReview(crosswalkId, {
+      reviewStatus,
+      reviewerId: req.user.id,
+      comment,
+      filter: {
+        mappingIds: asList(filter.mapping_ids),
+        relationshipTypes,
+        minConfidence,
+        statuses: asList(filter.status),
+        reviewStatuses: currentStates,
+      },
+    });
+
+    return res.json({ success: true, reviewStatus, ...result, summary: await reviewSummary(crosswalkId) });
+  } catch (err) {
+    console.error('❌ Bulk review error:', err.message);
+    res.status(500).json({ error: 'Failed to review mappings.', details: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// POST /api/crosswalk/:crosswalkId/finalize — Sign off the crosswalk
+// Requires every active mapping to be approved or rejected, and an
+// organization owner, admin or reviewer. Locks edits and makes the
+// crosswalk available for downstream reuse.
+// ──────────────────────────────────────────────────────────────────────
+router.post('/:crosswalkId/finalize', async (req, res) => {
+  try {
+    const { crosswalkId } = req.params;
+
+    const { data: crosswalk, error: cwErr } = await req.supabase
+      .from('crosswalks')
+      .select('id, organization_id, status, finalized_at')
+      .eq('id', crosswalkId)
+      .single();
+
+    if (cwErr || !crosswalk) {
+      return res.status(404).json({ error: 'Crosswalk not found.' });
+    }
+    if (!hasOrganizationRole(req, crosswalk.organization_id, CROSSWALK_SIGNOFF_ROLES)) {
+      return res.status(403).json({ error: 'Only organization owners, admins and reviewers can finalize a crosswalk.' });
+    }
+    if (crosswalk.status !== 'completed') {
+      return res.status(409).json({ error: `Only completed crosswalks can be finalized (status: ${crosswalk.status}).` });
+    }
+    if (isFinalized(crosswalk)) {
+      return res.status(409).json({ error: 'This crosswalk is already finalized.' });
+    }
+
+    const summary = await reviewSummary(crosswalkId);
+    if (!summary.canFinalize) {
+      return res.status(409).json({
+        error: summary.open > 0
+          ? `${summary.open} mapping(s) are still pending or under discussion.`
+          : 'At least one approved mapping is required to finalize.',
+        summary,
+      });
+    }
+
+    const finalizedAt = new Date().toISOString();
+    const { error: updateErr } = await req.supabase
+      .from('crosswalks')
+      .update({ finalized_at: finalizedAt, finalized_by: req.user.id })
+      .eq('id', crosswalkId);
+
+    if (updateErr) {
+      return res.status(500).json({ error: 'Failed to finalize crosswalk.', details: updateErr.message });
+    }
+
+    console.log(`🔒 [Crosswalk] ${crosswalkId} finalized by ${req.user.id}`);
+    return res.json({ success: true, crosswalkId, finalizedAt, finalizedBy: req.user.id, summary });
+  } catch (err) {
+    console.error('❌ Finalize crosswalk error:', err.message);
+    res.status(500).json({ error: 'Failed to finalize crosswalk.', details: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// POST /api/crosswalk/:crosswalkId/reopen — Undo finalization for edits
+// Same roles as finalizing.
+// ──────────────────────────────────────────────────────────────────────
+router.post('/:crosswalkId/reopen', async (req, res) => {
+  try {
+    const { crosswalkId } = req.params;
+
+    const { data: crosswalk, error: cwErr } = await req.supabase
+      .from('crosswalks')
+      .select('id, organization_id')
+      .eq('id', crosswalkId)
+      .single();
+
+    if (cwErr || !crosswalk) {
+      return res.status(404).json({ error: 'Crosswalk not found.' });
+    }
+    if (!hasOrganizationRole(req, crosswalk.organization_id, CROSSWALK_SIGNOFF_ROLES)) {
+      return res.status(403).json({ error: 'Only organization owners, admins and reviewers can reopen a crosswalk.' });
+    }
+
+    const { data: updated, error: updateErr } = await req.supabase
+      .from('crosswalks')
+      .update({ finalized_at: null, finalized_by: null })
+      .eq('id', crosswalkId)
+      .not('finalized_at', 'is', null)
+      .select('id')
+      .maybeSingle();
+
+    if (updateErr) {
+      return res.status(500).json({ error: 'Failed to reopen crosswalk.', details: updateErr.message });
+    }
+    if (!updated) {
+      return res.status(409).json({ error: 'This crosswalk is not finalized.' });
+    }
+
+    console.log(`🔓 [Crosswalk] ${crosswalkId} reopened by ${req.user.id}`);
+    return res.json({ success: true, crosswalkId });
+  } catch (err) {
+    console.error('❌ Reopen crosswalk error:', err.message);
+    res.status(500).json({ error: 'Failed to reopen crosswalk.', details: err.message });
+  }
+});
+
 // ──────────────────────────────────────────────────────────────────────
 // DELETE /api/crosswalk/:crosswalkId — Delete entire crosswalk
 // ──────────────────────────────────────────────────────────────────────
@@ -547,7 +1752,7 @@ router.delete('/:crosswalkId', async (req, res) => {
     const { crosswalkId } = req.params;
 
     // Get the crosswalk to confirm it exists and report mapping count
-    const { data: crosswalk, error: cwErr } = await supabase
+    const { data: crosswalk, error: cwErr } = await req.supabase
       .from('crosswalks')
       .select('id, total_mappings')
       .eq('id', crosswalkId)
@@ -558,7 +1763,7 @@ router.delete('/:crosswalkId', async (req, res) => {
     }
 
     // Delete (CASCADE handles crosswalk_mappings)
-    const { error: deleteErr } = await supabase
+    const { error: deleteErr } = await req.supabase
       .from('crosswalks')
       .delete()
       .eq('id', crosswalkId);
@@ -582,20 +1787,25 @@ router.delete('/:crosswalkId', async (req, res) => {
 // ──────────────────────────────────────────────────────────────────────
 async function updateCrosswalkStats(crosswalkId) {
   try {
-    const { data: activeMappings, error } = await supabase
+    const { data: activeMappings, error } = await fetchAllRows(() => supabaseAdmin
       .from('crosswalk_mappings')
-      .select('ai_confidence')
+      .select('id, ai_confidence')
       .eq('crosswalk_id', crosswalkId)
-      .neq('status', 'user_removed');
+      .not('status', 'in', '(user_removed,orphaned)')
+      .order('id', { ascending: true }));
 
-    if (error || !activeMappings) return;
+    if (error) {
+      console.error('  Failed to load mappings for crosswalk stats:', error.message);
+      return;
+    }
 
+    // Imported and reversed mappings may have no model confidence
     const totalMappings = activeMappings.length;
     const avgConfidence = totalMappings > 0
-      ? parseFloat((activeMappings.reduce((s, m) => s + parseFloat(m.ai_confidence), 0) / totalMappings).toFixed(2))
+      ? parseFloat((activeMappings.reduce((s, m) => s + (parseFloat(m.ai_confidence) || 0), 0) / totalMappings).toFixed(2))
       : 0;
 
-    await supabase
+    await supabaseAdmin
       .from('crosswalks')
       .update({ total_mappings: totalMappings, avg_confidence: avgConfidence })
       .eq('id', crosswalkId);
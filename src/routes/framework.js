@@ -3,15 +3,24 @@ const crypto = require('crypto');
 const path = require('path');
 const { Worker } = require('worker_threads');
 const router = express.Router();
-const { upload } = require('../middleware/upload');
+const { upload, oscalUpload } = require('../middleware/upload');
 const { enhanceFrameworkControls } = require('../services/gpt');
-const { createJobStore } = require('../utils/analysisHelpers');
-const { supabase } = require('../utils/supabase');
+const { importOscalFile } = require('../services/oscalImporter');
+const { createJobStore } = require('../utils/jobStore');
+const { downloadFile, uploadFile, removeFile, cleanupFile } = require('../utils/supabase');
+const { canAccessJob } = require('../middleware/auth');
 
-// ── In-memory job store for async processing ──
+// ── Durable job store for async processing ──
 // Worker threads run in separate V8 heaps, so if they OOM the main process
-// stays alive and the job Map is preserved (job gets marked as 'failed').
-const jobs = createJobStore({ processingTimeoutMs: 20 * 60 * 1000 });
+// stays alive and the job gets marked as 'failed'. If the whole process dies,
+// the job is resumed from its last chunk checkpoint using the stored upload.
+const jobs = createJobStore({
+  processingTimeoutMs: 20 * 60 * 1000,
+  handlers: {
+    framework_parse: resumeParseJob,
+    oscal_import: resumeOscalImport,
+  },
+});
 
 // ── Constants ──
 const ENHANCE_BATCH_SIZE = 100;
@@ -20,7 +29,7 @@ const MAX_CONTROLS_FOR_ENHANCEMENT = 500;
 // ── GET /api/framework — List all frameworks with control counts ──
 router.get('/', async (req, res) => {
   try {
-    const { data: frameworks, error } = await supabase
+    const { data: frameworks, error } = await req.supabase
       .from('frameworks')
       .select('id, name, created_at')
       .order('name', { ascending: true });
@@ -32,7 +41,7 @@ router.get('/', async (req, res) => {
     // Attach control count to each framework
     const frameworksWithCounts = await Promise.all(
       (frameworks || []).map(async (fw) => {
-        const { count } = await supabase
+        const { count } = await req.supabase
           .from('controls')
           .select('id', { count: 'exact', head: true })
           .eq('framework_id', fw.id);
@@ -52,7 +61,7 @@ router.get('/:frameworkId/controls', async (req, res) => {
   try {
     const { frameworkId } = req.params;
 
-    const { data: controls, error } = await supabase
+    const { data: controls, error } = await req.supabase
       .from('controls')
       .select('id, control_number, title, description, category')
       .eq('framework_id', frameworkId)
@@ -69,44 +78,50 @@ router.get('/:frameworkId/controls', async (req, res) => {
   }
 });
 
-// ── POST /api/framework/parse — Start async processing in worker thread ──
-router.post('/parse', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    const jobId = crypto.randomUUID();
-    const filePath = req.file.path;
-    const fileName = req.file.originalname;
-    const mimeType = req.file.mimetype;
-
-    // Store job as processing
-    jobs.set(jobId, {
-      status: 'processing',
-      startedAt: Date.now(),
-      fileName,
-      progress: 'Parsing file...',
-    });
-
-    console.log(`📋 [Job ${jobId}] Started processing: ${fileName}`);
-
+/**
+ * Run framework extraction for a job in a worker thread and record the outcome in the job store.
+ * Resolves once the worker exits; callers fire-and-forget.
+ *
+ * @param {string} jobId - Job UUID
+ * @param {Object} params
+ * @param {string} params.filePath - Local temp file (the worker deletes it when done)
+ * @param {string} params.fileName - Original file name
+ * @param {string} params.mimeType - Uploaded MIME type
+ * @param {Object} params.body - Request body (frameworkName, frameworkVersion)
+ * @param {string|null} params.storagePath - Durable copy of the upload, removed once the job finishes
+ * @param {Object|null} params.checkpoint - Chunk progress saved by a previous attempt
+ * @param {string|null} params.organizationId - Caller's organization, for the usage ledger
+ */
+function startParseWorker(jobId, { filePath, fileName, mimeType, body, storagePath, checkpoint, organizationId }) {
+  return new Promise((resolve) => {
     // Spawn worker thread — runs in its own V8 heap
     const workerPath = path.join(__dirname, '..', 'workers', 'parseFramework.js');
     const worker = new Worker(workerPath, {
-      workerData: { filePath, fileName, mimeType, body: req.body || {} },
+      workerData: { filePath, fileName, mimeType, body: body || {}, checkpoint: checkpoint || null, organizationId: organizationId || null },
       // Give the worker up to 3GB of its own heap space
       resourceLimits: {
         maxOldGenerationSizeMb: 4096,
       },
     });
 
+    // A process that lost the lease leaves the upload to the job's new owner
+    const finish = () => {
+      if (storagePath && !jobs.isLeaseLost(jobId)) removeFile(storagePath);
+    };
+
     worker.on('message', (msg) => {
       if (msg.type === 'progress') {
         const job = jobs.get(jobId);
         if (job) {
           job.progress = msg.progress;
         }
+      } else if (msg.type === 'checkpoint') {
+        jobs.checkpoint(jobId, msg.checkpoint).catch((err) => {
+          if (err.code === 'LEASE_LOST') {
+            console.warn(`⚠️ [Job ${jobId}] ${err.message} — stopping worker`);
+            worker.terminate();
+          }
+        });
       } else if (msg.type === 'completed') {
         console.log(`✅ [Job ${jobId}] Worker completed successfully`);
         jobs.set(jobId, {
@@ -114,6 +129,7 @@ router.post('/parse', upload.single('file'), async (req, res) => {
           completedAt: Date.now(),
           result: msg.result,
         });
+        finish();
       } else if (msg.type === 'failed') {
         console.error(`❌ [Job ${jobId}] Worker reported failure: ${msg.error}`);
         jobs.set(jobId, {
@@ -121,6 +137,7 @@ router.post('/parse', upload.single('file'), async (req, res) => {
           completedAt: Date.now(),
           error: msg.error,
         });
+        finish();
       }
     });
 
@@ -131,6 +148,7 @@ router.post('/parse', upload.single('file'), async (req, res) => {
         completedAt: Date.now(),
         error: `Processing crashed: ${err.message}. The file may be too large or complex.`,
       });
+      finish();
     });
 
     worker.on('exit', (code) => {
@@ -143,10 +161,65 @@ router.post('/parse', upload.single('file'), async (req, res) => {
             completedAt: Date.now(),
             error: `Processing failed unexpectedly (exit code ${code}). The file may be too large.`,
           });
+          finish();
         }
       }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Resume handler for framework_parse jobs interrupted by a restart.
+ * Re-downloads the stored upload and continues from the last completed chunk.
+ */
+async function resumeParseJob(jobId, { storagePath, fileName, mimeType, body, organizationId }, store) {
+  if (!storagePath) {
+    throw new Error('The uploaded file was not stored durably. Please upload it again.');
+  }
+  const filePath = await downloadFile(storagePath);
+  const checkpoint = store.get(jobId)?.checkpoint || null;
+  return startParseWorker(jobId, { filePath, fileName, mimeType, body, storagePath, checkpoint, organizationId });
+}
+
+// ── POST /api/framework/parse — Start async processing in worker thread ──
+router.post('/parse', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const jobId = crypto.randomUUID();
+    const filePath = req.file.path;
+    const fileName = req.file.originalname;
+    const mimeType = req.file.mimetype;
+    const body = req.body || {};
+
+    // Keep a durable copy so the job can resume on another process after a restart
+    let storagePath;
+    try {
+      storagePath = await uploadFile(filePath, `framework-uploads/${jobId}/${fileName}`, mimeType);
+    } catch (uploadErr) {
+      cleanupFile(filePath);
+      console.error(`❌ [Job ${jobId}] Could not store upload: ${uploadErr.message}`);
+      return res.status(500).json({ error: 'Failed to store the uploaded file', details: uploadErr.message });
+    }
+
+    // Store job as processing
+    await jobs.create(jobId, {
+      type: 'framework_parse',
+      payload: { storagePath, fileName, mimeType, body, organizationId: req.organizationId },
+      state: {
+        organizationId: req.organizationId,
+        fileName,
+        progress: 'Parsing file...',
+      },
     });
 
+    console.log(`📋 [Job ${jobId}] Started processing: ${fileName}`);
+
+    startParseWorker(jobId, { filePath, fileName, mimeType, body, storagePath, checkpoint: null, organizationId: req.organizationId });
+
     // Return immediately with jobId
     return res.json({ jobId, status: 'processing', fileName });
   } catch (err) {
@@ -158,18 +231,119 @@ router.post('/parse', upload.single('file'), async (req, res) => {
   }
 });
 
+/**
+ * Import an OSCAL catalog or profile for a job and record the outcome in the job store.
+ * No LLM is involved, so this runs in-process rather than in a worker thread.
+ *
+ * @param {string} jobId - Job UUID
+ * @param {Object} params
+ * @param {string} params.filePath - Local temp file (deleted when done)
+ * @param {string} params.fileName - Original file name
+ * @param {string|null} params.storagePath - Durable copy of the upload, removed once the job finishes
+ */
+async function runOscalImport(jobId, { filePath, fileName, storagePath }) {
+  try {
+    const data = await importOscalFile(filePath, {
+      fileName,
+      onProgress: (progress) => {
+        const job = jobs.get(jobId);
+        if (job) job.progress = progress;
+      },
+    });
+
+    console.log(`✅ [Job ${jobId}] OSCAL import completed: ${data.totalControls} controls`);
+    jobs.set(jobId, {
+      status: 'completed',
+      completedAt: Date.now(),
+      result: { success: true, fileType: 'oscal', fileName, data },
+    });
+  } catch (err) {
+    console.error(`❌ [Job ${jobId}] OSCAL import failed: ${err.message}`);
+    jobs.set(jobId, {
+      status: 'failed',
+      completedAt: Date.now(),
+      error: err.message,
+    });
+  } finally {
+    cleanupFile(filePath);
+    if (storagePath && !jobs.isLeaseLost(jobId)) removeFile(storagePath);
+  }
+}
+
+/**
+ * Resume handler for oscal_import jobs interrupted by a restart.
+ * The import is deterministic, so it simply runs again from the stored upload.
+ */
+async function resumeOscalImport(jobId, { storagePath, fileName }) {
+  if (!storagePath) {
+    throw new Error('The uploaded file was not stored durably. Please upload it again.');
+  }
+  const filePath = await downloadFile(storagePath);
+  return runOscalImport(jobId, { filePath, fileName, storagePath });
+}
+
+// ── POST /api/framework/import/oscal — Deterministic import of an OSCAL catalog or profile ──
+// Poll GET /api/framework/parse/status/:jobId for the result, same as /parse.
+router.post('/import/oscal', oscalUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const jobId = crypto.randomUUID();
+    const filePath = req.file.path;
+    const fileName = req.file.originalname;
+
+    let storagePath;
+    try {
+      storagePath = await uploadFile(filePath, `framework-uploads/${jobId}/${fileName}`, req.file.mimetype);
+    } catch (uploadErr) {
+      cleanupFile(filePath);
+      console.error(`❌ [Job ${jobId}] Could not store upload: ${uploadErr.message}`);
+      return res.status(500).json({ error: 'Failed to store the uploaded file', details: uploadErr.message });
+    }
+
+    await jobs.create(jobId, {
+      type: 'oscal_import',
+      payload: { storagePath, fileName, organizationId: req.organizationId },
+      state: {
+        organizationId: req.organizationId,
+        fileName,
+        progress: 'Reading OSCAL document...',
+      },
+    });
+
+    console.log(`📋 [Job ${jobId}] Started OSCAL import: ${fileName}`);
+
+    runOscalImport(jobId, { filePath, fileName, storagePath });
+
+    return res.json({ jobId, status: 'processing', fileName });
+  } catch (err) {
+    console.error('❌ OSCAL import start error:', err.message);
+    res.status(500).json({
+      error: 'Failed to start OSCAL import',
+      details: err.message,
+    });
+  }
+});
+
 // ── GET /api/framework/parse/status/:jobId — Poll for result ──
-router.get('/parse/status/:jobId', (req, res) => {
+router.get('/parse/status/:jobId', async (req, res) => {
   // Prevent browser caching so polling always gets fresh data
   res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
   res.set('Pragma', 'no-cache');
 
-  const job = jobs.get(req.params.jobId);
+  // Falls back to the jobs table so polling survives a restart
+  const job = await jobs.load(req.params.jobId);
 
   if (!job) {
     return res.status(404).json({ error: 'Job not found or expired' });
   }
 
+  if (!canAccessJob(req, job)) {
+    return res.status(403).json({ error: 'You do not have access to this job' });
+  }
+
   if (job.status === 'processing') {
     return res.json({
       status: 'processing',
@@ -223,6 +397,7 @@ router.post('/enhance', async (req, res) => {
       numbers_standardized: 0,
     };
     let totalUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    let modelUsed = null;
 
     const batchSize = ENHANCE_BATCH_SIZE;
     const batches = [];
@@ -235,7 +410,8 @@ router.post('/enhance', async (req, res) => {
         console.log(`🔄 Enhancing batch ${i + 1}/${batches.length}...`);
       }
 
-      const enhancement = await enhanceFrameworkControls(batches[i], context || {});
+      const enhancement = await enhanceFrameworkControls(batches[i], context || {}, { organizationId: req.organizationId });
+      modelUsed = enhancement.model || modelUsed;
       for (const c of (enhancement.result.controls || [])) allEnhanced.push(c);
 
       if (enhancement.result.summary) {
@@ -263,7 +439,7 @@ router.post('/enhance', async (req, res) => {
         controls: normalizedControls,
         summary: totalSummary,
         metadata: {
-          model: 'gpt-5.1',
+          model: modelUsed,
           tokensUsed: totalUsage,
         },
       },
@@ -7,6 +7,12 @@ const {
   getProjectControlIds,
   streamChat,
 } = require('../services/lighthouseAgent');
+const { getLLMClient } = require('../services/llmProvider');
+const { authorizeParam } = require('../middleware/auth');
+
+// ── Organization ownership checks for route IDs ──
+router.param('projectId', authorizeParam('project'));
+router.param('threadId', authorizeParam('thread'));
 
 // Reuse the existing custom instructions fetcher
 async function fetchCustomInstructions(projectId) {
@@ -60,7 +66,7 @@ router.post('/:projectId/chat', async (req, res) => {
     let lastResponseId = null;
 
     if (threadId) {
-      const { data } = await supabaseAdmin
+      const { data } = await req.supabase
         .from('lighthouse_threads')
         .select('openai_response_id')
         .eq('id', threadId)
@@ -82,6 +88,7 @@ router.post('/:projectId/chat', async (req, res) => {
       customInstructions,
       vectorStoreId,
       res,
+      db: req.supabase,
     });
 
     if (!finalResponse) {
@@ -95,7 +102,7 @@ router.post('/:projectId/chat', async (req, res) => {
 
     if (threadId) {
       // Update existing thread
-      await supabaseAdmin
+      await req.supabase
         .from('lighthouse_threads')
         .update({
           openai_response_id: responseId,
@@ -108,7 +115,7 @@ router.post('/:projectId/chat', async (req, res) => {
       // Create new thread — use first ~60 chars of message as title
       const title = message.trim().substring(0, 60) + (message.length > 60 ? '...' : '');
 
-      const { data: newThread } = await supabaseAdmin
+      const { data: newThread } = await req.supabase
         .from('lighthouse_threads')
         .insert({
           project_id: projectId,
@@ -141,7 +148,7 @@ router.post('/:projectId/chat', async (req, res) => {
 // ──────────────────────────────────────────────────────
 router.get('/:projectId/threads', async (req, res) => {
   try {
-    const { data, error } = await supabaseAdmin
+    const { data, error } = await req.supabase
       .from('lighthouse_threads')
       .select('id, title, created_at, updated_at')
       .eq('project_id', req.params.projectId)
@@ -165,11 +172,10 @@ router.get('/:projectId/threads', async (req, res) => {
 router.get('/:projectId/threads/:threadId/messages', async (req, res) => {
   try {
     const { threadId, projectId } = req.params;
-    const OpenAI = require('openai');
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const { client: openai } = await getLLMClient({ projectId });
 
     // 1. Fetch the thread to get the last response ID
-    const { data: thread } = await supabaseAdmin
+    const { data: thread } = await req.supabase
       .from('lighthouse_threads')
       .select('openai_response_id')
       .eq('id', threadId)
@@ -228,7 +234,7 @@ router.delete('/:projectId/threads/:threadId', async (req, res) => {
   try {
     const { threadId, projectId } = req.params;
 
-    const { error } = await supabaseAdmin
+    const { error } = await req.supabase
       .from('lighthouse_threads')
       .delete()
       .eq('id', threadId)
@@ -254,7 +260,7 @@ router.post('/:projectId/sync', async (req, res) => {
     const { projectId } = req.params;
 
     // Fetch all evidence without an openai_file_id — direct project_id first
-    let { data: unsyncedEvidence, error } = await supabaseAdmin
+    let { data: unsyncedEvidence, error } = await req.supabase
       .from('evidence')
       .select('*')
       .eq('project_id', projectId)
@@ -265,7 +271,7 @@ router.post('/:projectId/sync', async (req, res) => {
       console.log(`📚 Sync: direct project_id query returned 0 — trying control-based fallback`);
       const controlIds = await getProjectControlIds(projectId);
       if (controlIds.length > 0) {
-        ({ data: unsyncedEvidence, error } = await supabaseAdmin
+        ({ data: unsyncedEvidence, error } = await req.supabase
           .from('evidence')
           .select('*')
           .in('control_id', controlIds)
@@ -1,70 +1,73 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../utils/supabase');
 const {
+  REPORT_TYPES,
+  DEFAULT_COLUMN_CONFIG,
   buildDefaultSections,
+  defaultScoringConfig,
   mapScoreToScale,
   gatherReportData,
   generateReport,
   generateReportHtml,
   generateReportDocx,
+  generateReportPdf,
+  generateReportXlsx,
 } = require('../services/reportGenerator');
+const { buildAssessmentResults, buildPoam, validateOscalDocument } = require('../services/oscalExporter');
+const { loadGapCrosswalk, checkGapCrosswalk, analyzeFrameworkGap, buildGapSection, refreshGapSections } = require('../services/gapAnalysis');
+const { snapshotReportVersion, listReportVersions, getReportVersion, restoreReportVersion, diffReportVersions } = require('../services/reportVersions');
+const { DRAFTABLE_SECTION_TYPES, draftNarrativeSection, applyNarrativeDraft, undoNarrativeDraft } = require('../services/reportNarrative');
+const { validateTemplate, buildPlaceholderValues, instantiateTemplate } = require('../services/reportTemplates');
+const { estimateNarrativeDraft } = require('../services/costEstimator');
+const { preflightSpend, describeBudgetOverrun } = require('../services/spendBudget');
+const { authorizeParam, checkResourceAccess, resolveOwningOrganization } = require('../middleware/auth');
+
+// ── Organization ownership checks for route IDs ──
+router.param('reportId', authorizeParam('report'));
+router.param('projectId', authorizeParam('project'));
+router.param('templateId', authorizeParam('reportTemplate'));
 
 // ─────────────────────────────────────────────────────────────
 // POST /api/report — Create draft report
+// With templateId, the report type, sections, scoring, columns and cover
+// page come from the template; scoringConfig, columnConfig and scope in the
+// body still take precedence.
 // ─────────────────────────────────────────────────────────────
 router.post('/', async (req, res) => {
   try {
-    const { projectId, frameworkId, title, reportType, scoringConfig, columnConfig, scope } = req.body;
+    const { projectId, frameworkId, title, reportType, scoringConfig, columnConfig, scope, templateId } = req.body;
 
     if (!projectId || !frameworkId || !title) {
       return res.status(400).json({ error: 'projectId, frameworkId, and title are required' });
     }
 
-    const validTypes = ['audit_compliance', 'readiness_gap', 'maturity'];
-    const type = validTypes.includes(reportType) ? reportType : 'readiness_gap';
-
-    // Default scoring config based on report type (includes tier_descriptions for rating legend)
-    let defaultScoring;
-    if (type === 'maturity') {
-      defaultScoring = {
-        scale: '1-5',
-        thresholds: { compliant: 4, partial: 2 },
-        custom_labels: { '5': 'Optimized', '4': 'Managed', '3': 'Defined', '2': 'Developing', '1': 'Initial' },
-        tier_descriptions: {
-          'Optimized (5)': 'Processes are continuously improved through monitoring, feedback, and innovation.',
-          'Managed (4)': 'Processes are measured and controlled with quantitative objectives.',
-          'Defined (3)': 'Processes are documented, standardized, and integrated into the organization.',
-          'Developing (2)': 'Processes are planned and tracked but may be inconsistent.',
-          'Initial (1)': 'Processes are ad hoc and not formally defined.',
-        },
-      };
-    } else if (type === 'audit_compliance') {
-      defaultScoring = {
-        scale: 'custom',
-        thresholds: { 'Conforms': 80, 'Opportunity for Improvement': 50, 'Non-Conformity': 0 },
-        tier_descriptions: {
-          'Conforms': 'Requirement is fulfilled and operating effectively.',
-          'Opportunity for Improvement': 'Requirement is aligned but minor gaps, inconsistencies, or lack of clarity were detected. Enhancements are recommended.',
-          'Non-Conformity — Major': 'Significant failure or absence to implement or maintain a requirement. Raises serious doubt about the system achieving its objectives.',
-          'Non-Conformity — Minor': 'A less severe issue representing a partial or isolated deviation from a requirement. Does not pose immediate risk but requires corrective action.',
-          'Not Assessed': 'The control was not evaluated during this assessment.',
-        },
-      };
-    } else {
-      defaultScoring = {
-        scale: 'percentage',
-        thresholds: { compliant: 80, partial: 50 },
-        tier_descriptions: {
-          'Compliant (≥80%)': 'The control meets the applicable requirement and is operating effectively.',
-          'Partially Compliant (50-79%)': 'The control partially meets the requirement with gaps identified.',
-          'Non-Compliant (<50%)': 'The control does not meet the applicable requirement.',
-          'Not Assessed': 'The control was not evaluated during this assessment.',
-        },
-      };
-    }
-
-    const sections = buildDefaultSections(type, scope || '');
+    const denied = await checkResourceAccess(req, 'project', projectId);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    let fromTemplate = null;
+    if (templateId) {
+      const templateDenied = await checkResourceAccess(req, 'reportTemplate', templateId);
+      if (templateDenied) {
+        return res.status(templateDenied.status).json({ error: templateDenied.error });
+      }
+
+      const { data: template, error: templateErr } = await req.supabase
+        .from('report_templates')
+        .select('*')
+        .eq('id', templateId)
+        .single();
+
+      if (templateErr || !template) {
+        return res.status(404).json({ error: 'Report template not found' });
+      }
+
+      const placeholders = await buildPlaceholderValues({ projectId, frameworkId, title, reportType: template.report_type });
+      fromTemplate = instantiateTemplate(template, placeholders, { scopeText: scope });
+    }
+
+    const type = fromTemplate?.report_type || (REPORT_TYPES.includes(reportType) ? reportType : 'readiness_gap');
 
     const record = {
       project_id: projectId,
@@ -72,14 +75,15 @@ router.post('/', async (req, res) => {
       title,
       report_type: type,
       status: 'draft',
-      scoring_config: scoringConfig || defaultScoring,
-      column_config: columnConfig || ['control_number', 'title', 'evidence', 'findings', 'gaps', 'recommendations', 'score', 'status'],
-      sections,
+      scoring_config: scoringConfig || fromTemplate?.scoring_config || defaultScoringConfig(type),
+      column_config: columnConfig || fromTemplate?.column_config || DEFAULT_COLUMN_CONFIG,
+      sections: fromTemplate?.sections || buildDefaultSections(type, scope || ''),
       control_findings: [],
       evidence_manifest: [],
+      ...(fromTemplate && { template_id: templateId, cover_page: fromTemplate.cover_page }),
     };
 
-    const { data: report, error } = await supabase
+    const { data: report, error } = await req.supabase
       .from('reports')
       .insert(record)
       .select()
@@ -89,7 +93,7 @@ router.post('/', async (req, res) => {
       return res.status(500).json({ error: 'Failed to create report', details: error.message });
     }
 
-    console.log(`📋 Draft report created: ${report.id} (${type})`);
+    console.log(`📋 Draft report created: ${report.id} (${type}${templateId ? `, template ${templateId}` : ''})`);
 
     return res.status(201).json({ success: true, data: report });
   } catch (err) {
@@ -98,15 +102,157 @@ router.post('/', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// GET /api/report/templates — List the organization's report templates
+// ─────────────────────────────────────────────────────────────
+router.get('/templates', async (req, res) => {
+  try {
+    const { data, error } = await req.supabase
+      .from('report_templates')
+      .select('id, name, description, report_type, created_by, created_at, updated_at')
+      .in('organization_id', req.organizationIds)
+      .order('name', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch report templates', details: error.message });
+    }
+
+    return res.json({ success: true, data: data || [] });
+  } catch (err) {
+    console.error('❌ List report templates error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch report templates' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/report/templates — Create a report template
+// Body: { name, reportType, description?, sections?, scoringConfig?,
+// columnConfig?, coverPage?, organizationId? }. Omitted parts use the report
+// type's defaults; organizationId is required for members of several
+// organizations.
+// ─────────────────────────────────────────────────────────────
+router.post('/templates', async (req, res) => {
+  try {
+    const { error: invalid, value } = validateTemplate(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const owner = await resolveOwningOrganization(req, { organizationId: req.body.organizationId });
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+
+    const { data, error } = await req.supabase
+      .from('report_templates')
+      .insert({
+        ...value,
+        organization_id: owner.organizationId,
+        created_by: req.user.id,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to create report template', details: error.message });
+    }
+
+    console.log(`📐 Report template created: ${data.id} (${data.name})`);
+
+    return res.status(201).json({ success: true, data });
+  } catch (err) {
+    console.error('❌ Create report template error:', err.message);
+    res.status(500).json({ error: 'Failed to create report template' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/report/templates/:templateId — Get a report template
+// ─────────────────────────────────────────────────────────────
+router.get('/templates/:templateId', async (req, res) => {
+  try {
+    const { data, error } = await req.supabase
+      .from('report_templates')
+      .select('*')
+      .eq('id', req.params.templateId)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Report template not found' });
+    }
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error('❌ Get report template error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch report template' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// PUT /api/report/templates/:templateId — Update a report template
+// Only the fields sent are changed; reports already created keep their copy.
+// ─────────────────────────────────────────────────────────────
+router.put('/templates/:templateId', async (req, res) => {
+  try {
+    const { error: invalid, value } = validateTemplate(req.body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({ error: 'No template fields to update' });
+    }
+
+    const { data, error } = await req.supabase
+      .from('report_templates')
+      .update({ ...value, updated_at: new Date().toISOString() })
+      .eq('id', req.params.templateId)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update report template', details: error.message });
+    }
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error('❌ Update report template error:', err.message);
+    res.status(500).json({ error: 'Failed to update report template' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// DELETE /api/report/templates/:templateId — Delete a report template
+// Reports created from it are unaffected.
+// ─────────────────────────────────────────────────────────────
+router.delete('/templates/:templateId', async (req, res) => {
+  try {
+    const { error } = await req.supabase
+      .from('report_templates')
+      .delete()
+      .eq('id', req.params.templateId);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to delete report template', details: error.message });
+    }
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Delete report template error:', err.message);
+    res.status(500).json({ error: 'Failed to delete report template' });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // POST /api/report/:reportId/generate — Synchronous data assembly
-// Pulls consolidated analyses + raw analysis fallback, no AI calls
+// Pulls consolidated analyses + raw analysis fallback, no AI calls.
+// Each generation is saved as a new report version.
 // ─────────────────────────────────────────────────────────────
 router.post('/:reportId/generate', async (req, res) => {
   try {
     const { reportId } = req.params;
 
-    const { data: report, error: fetchErr } = await supabase
+    const { data: report, error: fetchErr } = await req.supabase
       .from('reports')
       .select('*')
       .eq('id', reportId)
@@ -121,26 +267,44 @@ router.post('/:reportId/generate', async (req, res) => {
     }
 
     // Set status to generating (brief — will be overwritten quickly)
-    await supabase
+    await req.supabase
       .from('reports')
       .update({ status: 'generating', error: null, updated_at: new Date().toISOString() })
       .eq('id', reportId);
 
     // Synchronous generation — no AI, just data assembly
-    const updatedReport = await generateReport(reportId);
+    let updatedReport = await generateReport(reportId);
+
+    // Readiness sections hold a gap analysis snapshot; bring them up to date too
+    const refreshedSections = await refreshGapSections(updatedReport);
+    if (refreshedSections) {
+      const { data: withSections, error: sectionsErr } = await req.supabase
+        .from('reports')
+        .update({ sections: refreshedSections, updated_at: new Date().toISOString() })
+        .eq('id', reportId)
+        .select()
+        .single();
+
+      if (sectionsErr) throw new Error(`Failed to save gap analysis sections: ${sectionsErr.message}`);
+      updatedReport = withSections;
+    }
+
+    const { version, warning } = await snapshotReportVersion(updatedReport, { trigger: 'generate', userId: req.user.id });
 
     console.log(`✅ Report generated: ${reportId}`);
 
     return res.json({
       success: true,
       data: updatedReport,
+      version,
+      ...(warning && { warning }),
     });
   } catch (err) {
     console.error('❌ Generate report error:', err.message);
 
     // Mark report as error
     try {
-      await supabase
+      await req.supabase
         .from('reports')
         .update({ status: 'error', error: err.message, updated_at: new Date().toISOString() })
         .eq('id', req.params.reportId);
@@ -155,7 +319,7 @@ router.post('/:reportId/generate', async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 router.get('/project/:projectId', async (req, res) => {
   try {
-    const { data: reports, error } = await supabase
+    const { data: reports, error } = await req.supabase
       .from('reports')
       .select('id, title, report_type, status, scoring_config, snapshot_at, created_at, updated_at')
       .eq('project_id', req.params.projectId)
@@ -177,7 +341,7 @@ router.get('/project/:projectId', async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 router.get('/:reportId', async (req, res) => {
   try {
-    const { data: report, error } = await supabase
+    const { data: report, error } = await req.supabase
       .from('reports')
       .select('*, framework:framework_id (id, name)')
       .eq('id', req.params.reportId)
@@ -208,7 +372,7 @@ router.put('/:reportId/sections', async (req, res) => {
       return res.status(400).json({ error: 'sections must be an array' });
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await req.supabase
       .from('reports')
       .update({ sections, updated_at: new Date().toISOString() })
       .eq('id', req.params.reportId)
@@ -226,15 +390,211 @@ router.put('/:reportId/sections', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// POST /api/report/:reportId/sections/crosswalk-gap — Add a readiness section
+// Body: { crosswalkId, title? }. The report's framework is the one being
+// adopted; the crosswalk must be finalized and connect it to the framework
+// the project already has results for. Re-adding the same crosswalk
+// refreshes its section in place.
+// ─────────────────────────────────────────────────────────────
+router.post('/:reportId/sections/crosswalk-gap', async (req, res) => {
+  try {
+    const { crosswalkId, title } = req.body || {};
+
+    if (!crosswalkId) {
+      return res.status(400).json({ error: 'crosswalkId is required' });
+    }
+
+    const denied = await checkResourceAccess(req, 'crosswalk', crosswalkId);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { data: report, error: fetchErr } = await req.supabase
+      .from('reports')
+      .select('id, project_id, framework_id, sections')
+      .eq('id', req.params.reportId)
+      .single();
+
+    if (fetchErr || !report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const crosswalk = await loadGapCrosswalk(crosswalkId);
+    const blocked = checkGapCrosswalk(crosswalk, report.framework_id);
+    if (blocked) {
+      return res.status(blocked.status).json({ error: blocked.error });
+    }
+
+    const analysis = await analyzeFrameworkGap({ projectId: report.project_id, crosswalk, targetFrameworkId: report.framework_id });
+
+    const sections = report.sections || [];
+    const existing = sections.find(s => s.type === 'crosswalk_gap' && s.metadata?.crosswalk_id === crosswalkId);
+    const section = buildGapSection(analysis, existing || {
+      title: title || undefined,
+      order: sections.reduce((max, s) => Math.max(max, s.order ?? 0), -1) + 1,
+    });
+    const updatedSections = existing
+      ? sections.map(s => (s.id === existing.id ? section : s))
+      : [...sections, section];
+
+    const { data, error } = await req.supabase
+      .from('reports')
+      .update({ sections: updatedSections, updated_at: new Date().toISOString() })
+      .eq('id', report.id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to save gap analysis section', details: error.message });
+    }
+
+    console.log(`🧭 Gap analysis section ${existing ? 'refreshed' : 'added'} on report ${report.id}`);
+
+    return res.status(existing ? 200 : 201).json({ success: true, data, section });
+  } catch (err) {
+    console.error('❌ Add gap analysis section error:', err.message);
+    res.status(500).json({ error: 'Failed to add gap analysis section', details: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/report/:reportId/sections/:sectionId/draft — AI-draft a narrative section
+// Opt-in, one section at a time (introduction, scope, methodology,
+// executive_summary), from the generated findings. Body: { dryRun? }.
+// The replaced content is kept on the section for undo.
+// ─────────────────────────────────────────────────────────────
+router.post('/:reportId/sections/:sectionId/draft', async (req, res) => {
+  try {
+    const { reportId, sectionId } = req.params;
+
+    const { data: report, error: fetchErr } = await req.supabase
+      .from('reports')
+      .select('*, framework:framework_id (id, name)')
+      .eq('id', reportId)
+      .single();
+
+    if (fetchErr || !report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    report.framework_name = report.framework?.name || '';
+
+    const section = (report.sections || []).find(s => s.id === sectionId);
+    if (!section) {
+      return res.status(404).json({ error: 'Section not found' });
+    }
+
+    if (!DRAFTABLE_SECTION_TYPES.includes(section.type)) {
+      return res.status(400).json({ error: `Only ${DRAFTABLE_SECTION_TYPES.join(', ')} sections can be drafted` });
+    }
+
+    if (!report.control_findings || report.control_findings.length === 0) {
+      return res.status(409).json({ error: 'Generate the report before drafting narrative sections.' });
+    }
+
+    // Pre-flight: dry-run estimate and monthly budget check. Drafting runs
+    // inline, so there is no job to hold — an over-budget draft is refused.
+    const dryRun = req.body?.dryRun === true;
+    const preflight = await preflightSpend({
+      projectId: report.project_id,
+      dryRun,
+      estimate: () => estimateNarrativeDraft({ report, section }),
+    });
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, ...preflight });
+    }
+
+    if (preflight.budget && !preflight.budget.allowed) {
+      return res.status(402).json({ error: 'Monthly budget exceeded', details: describeBudgetOverrun(preflight), ...preflight });
+    }
+
+    const draft = await draftNarrativeSection(report, section);
+    const sections = report.sections.map(s => (s.id === sectionId ? applyNarrativeDraft(s, draft, req.user.id) : s));
+
+    const { data, error } = await req.supabase
+      .from('reports')
+      .update({ sections, updated_at: new Date().toISOString() })
+      .eq('id', reportId)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to save narrative draft', details: error.message });
+    }
+
+    console.log(`✍️ Report ${reportId}: drafted "${section.title}" (${section.type})`);
+
+    return res.json({
+      success: true,
+      data,
+      section: sections.find(s => s.id === sectionId),
+      unverifiedNumbers: draft.unverified_numbers,
+    });
+  } catch (err) {
+    console.error('❌ Draft section error:', err.message);
+    res.status(500).json({ error: 'Failed to draft section', details: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/report/:reportId/sections/:sectionId/draft/undo — Restore the
+// content the last draft replaced
+// ─────────────────────────────────────────────────────────────
+router.post('/:reportId/sections/:sectionId/draft/undo', async (req, res) => {
+  try {
+    const { reportId, sectionId } = req.params;
+
+    const { data: report, error: fetchErr } = await req.supabase
+      .from('reports')
+      .select('sections')
+      .eq('id', reportId)
+      .single();
+
+    if (fetchErr || !report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const section = (report.sections || []).find(s => s.id === sectionId);
+    if (!section) {
+      return res.status(404).json({ error: 'Section not found' });
+    }
+
+    const restored = undoNarrativeDraft(section);
+    if (!restored) {
+      return res.status(409).json({ error: 'This section has no draft to undo.' });
+    }
+
+    const sections = report.sections.map(s => (s.id === sectionId ? restored : s));
+    const { data, error } = await req.supabase
+      .from('reports')
+      .update({ sections, updated_at: new Date().toISOString() })
+      .eq('id', reportId)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to undo narrative draft', details: error.message });
+    }
+
+    return res.json({ success: true, data, section: restored });
+  } catch (err) {
+    console.error('❌ Undo draft error:', err.message);
+    res.status(500).json({ error: 'Failed to undo narrative draft' });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // PUT /api/report/:reportId/config — Update scoring + column config
+// A new scoring scale re-scores the findings, which saves a new version
 // ─────────────────────────────────────────────────────────────
 router.put('/:reportId/config', async (req, res) => {
   try {
     const { scoringConfig, columnConfig } = req.body;
 
     // Fetch current report
-    const { data: report, error: fetchErr } = await supabase
+    const { data: report, error: fetchErr } = await req.supabase
       .from('reports')
       .select('control_findings, scoring_config, column_config')
       .eq('id', req.params.reportId)
@@ -262,7 +622,7 @@ router.put('/:reportId/config', async (req, res) => {
       }
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await req.supabase
       .from('reports')
       .update(updates)
       .eq('id', req.params.reportId)
@@ -273,6 +633,11 @@ router.put('/:reportId/config', async (req, res) => {
       return res.status(500).json({ error: 'Failed to update config', details: error.message });
     }
 
+    if (updates.control_findings) {
+      const { version, warning } = await snapshotReportVersion(data, { trigger: 'override', userId: req.user.id });
+      return res.json({ success: true, data, version, ...(warning && { warning }) });
+    }
+
     return res.json({ success: true, data });
   } catch (err) {
     console.error('❌ Update config error:', err.message);
@@ -282,6 +647,7 @@ router.put('/:reportId/config', async (req, res) => {
 
 // ─────────────────────────────────────────────────────────────
 // PUT /api/report/:reportId/control-findings — Override scores/status/notes
+// Saves a new report version
 // ─────────────────────────────────────────────────────────────
 router.put('/:reportId/control-findings', async (req, res) => {
   try {
@@ -291,7 +657,7 @@ router.put('/:reportId/control-findings', async (req, res) => {
       return res.status(400).json({ error: 'overrides must be an array of { control_id, score_override?, status_override?, user_notes? }' });
     }
 
-    const { data: report, error: fetchErr } = await supabase
+    const { data: report, error: fetchErr } = await req.supabase
       .from('reports')
       .select('control_findings')
       .eq('id', req.params.reportId)
@@ -315,7 +681,7 @@ router.put('/:reportId/control-findings', async (req, res) => {
       if (override.concise_remediation !== undefined) findings[idx].concise_remediation = override.concise_remediation;
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await req.supabase
       .from('reports')
       .update({ control_findings: findings, updated_at: new Date().toISOString() })
       .eq('id', req.params.reportId)
@@ -326,19 +692,132 @@ router.put('/:reportId/control-findings', async (req, res) => {
       return res.status(500).json({ error: 'Failed to update control findings', details: error.message });
     }
 
-    return res.json({ success: true, data });
+    const { version, warning } = await snapshotReportVersion(data, { trigger: 'override', userId: req.user.id });
+
+    return res.json({ success: true, data, version, ...(warning && { warning }) });
   } catch (err) {
     console.error('❌ Update control findings error:', err.message);
     res.status(500).json({ error: 'Failed to update control findings' });
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// GET /api/report/:reportId/versions — Version history, newest first
+// ─────────────────────────────────────────────────────────────
+router.get('/:reportId/versions', async (req, res) => {
+  try {
+    const versions = await listReportVersions(req.params.reportId);
+    return res.json({ success: true, data: versions });
+  } catch (err) {
+    console.error('❌ List report versions error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch report versions', details: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/report/:reportId/versions/diff?from=<versionId>&to=<versionId>
+// Per-control status, score, evidence and text changes between two
+// versions. `to` defaults to the latest version.
+// ─────────────────────────────────────────────────────────────
+router.get('/:reportId/versions/diff', async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { from: fromId, to: toId } = req.query;
+
+    if (!fromId) {
+      return res.status(400).json({ error: 'from (version ID) is required' });
+    }
+
+    let targetId = toId;
+    if (!targetId) {
+      const [latest] = await listReportVersions(reportId);
+      targetId = latest?.id;
+    }
+
+    const [from, to] = await Promise.all([
+      getReportVersion(reportId, fromId),
+      targetId ? getReportVersion(reportId, targetId) : null,
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Report version not found' });
+    }
+
+    return res.json({ success: true, data: diffReportVersions(from, to) });
+  } catch (err) {
+    console.error('❌ Diff report versions error:', err.message);
+    res.status(500).json({ error: 'Failed to compare report versions', details: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/report/:reportId/versions/:versionId — One version with its content
+// ─────────────────────────────────────────────────────────────
+router.get('/:reportId/versions/:versionId', async (req, res) => {
+  try {
+    const version = await getReportVersion(req.params.reportId, req.params.versionId);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Report version not found' });
+    }
+
+    return res.json({ success: true, data: version });
+  } catch (err) {
+    console.error('❌ Get report version error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch report version' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/report/:reportId/versions/:versionId/restore
+// Puts a version's findings and evidence back on the report; the restore
+// itself becomes the newest version
+// ─────────────────────────────────────────────────────────────
+router.post('/:reportId/versions/:versionId/restore', async (req, res) => {
+  try {
+    const { reportId, versionId } = req.params;
+
+    const { data: report, error: fetchErr } = await req.supabase
+      .from('reports')
+      .select('id, status')
+      .eq('id', reportId)
+      .single();
+
+    if (fetchErr || !report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (report.status === 'generating') {
+      return res.status(409).json({ error: 'Report is being generated. Try again when it finishes.' });
+    }
+
+    const version = await getReportVersion(reportId, versionId);
+    if (!version) {
+      return res.status(404).json({ error: 'Report version not found' });
+    }
+
+    const restored = await restoreReportVersion(reportId, version, { userId: req.user.id });
+
+    console.log(`⏪ Report ${reportId} restored to version ${version.version_number} by ${req.user.id}`);
+
+    return res.json({
+      success: true,
+      data: restored.report,
+      version: restored.version,
+      ...(restored.warning && { warning: restored.warning }),
+    });
+  } catch (err) {
+    console.error('❌ Restore report version error:', err.message);
+    res.status(500).json({ error: 'Failed to restore report version', details: err.message });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // GET /api/report/:reportId/export/html — Export styled HTML for PDF
 // ─────────────────────────────────────────────────────────────
 router.get('/:reportId/export/html', async (req, res) => {
   try {
-    const { data: report, error } = await supabase
+    const { data: report, error } = await req.supabase
       .from('reports')
       .select('*, framework:framework_id (id, name)')
       .eq('id', req.params.reportId)
@@ -366,7 +845,7 @@ router.get('/:reportId/export/html', async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 router.get('/:reportId/export/docx', async (req, res) => {
   try {
-    const { data: report, error } = await supabase
+    const { data: report, error } = await req.supabase
       .from('reports')
       .select('*, framework:framework_id (id, name)')
       .eq('id', req.params.reportId)
@@ -391,12 +870,144 @@ router.get('/:reportId/export/docx', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// GET /api/report/:reportId/export/pdf — Paginated PDF rendered server-side
+// Cover page, page-numbered contents, running header/footer
+// ─────────────────────────────────────────────────────────────
+router.get('/:reportId/export/pdf', async (req, res) => {
+  try {
+    const { data: report, error } = await req.supabase
+      .from('reports')
+      .select('*, framework:framework_id (id, name)')
+      .eq('id', req.params.reportId)
+      .single();
+
+    if (error || !report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    report.framework_name = report.framework?.name || '';
+
+    const buffer = await generateReportPdf(report);
+
+    const filename = report.title.replace(/[^a-zA-Z0-9 ]/g, '').trim();
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    res.setHeader('Content-Length', buffer.length);
+    return res.send(buffer);
+  } catch (err) {
+    console.error('❌ Export PDF error:', err.message);
+    res.status(500).json({ error: 'Failed to export report as PDF' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/report/:reportId/export/xlsx — Findings workbook
+// Summary sheet, one findings sheet per category, evidence manifest
+// ─────────────────────────────────────────────────────────────
+router.get('/:reportId/export/xlsx', async (req, res) => {
+  try {
+    const { data: report, error } = await req.supabase
+      .from('reports')
+      .select('*, framework:framework_id (id, name)')
+      .eq('id', req.params.reportId)
+      .single();
+
+    if (error || !report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    report.framework_name = report.framework?.name || '';
+
+    const buffer = await generateReportXlsx(report);
+
+    const filename = report.title.replace(/[^a-zA-Z0-9 ]/g, '').trim();
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    res.setHeader('Content-Length', buffer.length);
+    return res.send(buffer);
+  } catch (err) {
+    console.error('❌ Export XLSX error:', err.message);
+    res.status(500).json({ error: 'Failed to export report as XLSX' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/report/:reportId/export/oscal-ar — OSCAL Assessment Results
+// GET /api/report/:reportId/export/oscal-poam — OSCAL POA&M
+// Both are validated against the official OSCAL JSON schemas when installed,
+// otherwise against the bundled structural schema (see oscalExporter).
+// ─────────────────────────────────────────────────────────────
+const OSCAL_EXPORTS = {
+  'oscal-ar': { build: buildAssessmentResults, suffix: 'assessment-results' },
+  'oscal-poam': { build: buildPoam, suffix: 'poam' },
+};
+
+async function exportOscal(req, res, format) {
+  try {
+    const { data: report, error } = await req.supabase
+      .from('reports')
+      .select('*, framework:framework_id (id, name)')
+      .eq('id', req.params.reportId)
+      .single();
+
+    if (error || !report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (report.status !== 'complete' || !Array.isArray(report.control_findings)) {
+      return res.status(409).json({ error: 'Generate the report before exporting it as OSCAL' });
+    }
+
+    report.framework_name = report.framework?.name || '';
+
+    const { build, suffix } = OSCAL_EXPORTS[format];
+    let document;
+    try {
+      document = build(report);
+    } catch (buildErr) {
+      if (buildErr.code === 'NO_POAM_ITEMS') {
+        return res.status(422).json({ error: buildErr.message });
+      }
+      throw buildErr;
+    }
+
+    let validation;
+    try {
+      validation = validateOscalDocument(document);
+    } catch (validationErr) {
+      if (validationErr.code === 'OSCAL_SCHEMA_MISSING') {
+        console.error(`❌ OSCAL export unavailable: ${validationErr.message}`);
+        return res.status(503).json({ error: 'OSCAL export is not available on this server', details: validationErr.message });
+      }
+      throw validationErr;
+    }
+
+    const { valid, errors } = validation;
+    if (!valid) {
+      console.error(`❌ OSCAL ${suffix} for report ${report.id} failed schema validation:`, errors);
+      return res.status(500).json({ error: 'Generated OSCAL document failed schema validation', details: errors });
+    }
+
+    const filename = report.title.replace(/[^a-zA-Z0-9 ]/g, '').trim();
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename} ${suffix}.json"`);
+    return res.send(JSON.stringify(document, null, 2));
+  } catch (err) {
+    console.error(`❌ Export ${format} error:`, err.message);
+    res.status(500).json({ error: 'Failed to export report as OSCAL', details: err.message });
+  }
+}
+
+router.get('/:reportId/export/oscal-ar', (req, res) => exportOscal(req, res, 'oscal-ar'));
+router.get('/:reportId/export/oscal-poam', (req, res) => exportOscal(req, res, 'oscal-poam'));
+
 // ─────────────────────────────────────────────────────────────
 // DELETE /api/report/:reportId — Delete report
 // ─────────────────────────────────────────────────────────────
 router.delete('/:reportId', async (req, res) => {
   try {
-    const { error } = await supabase
+    const { error } = await req.supabase
       .from('reports')
       .delete()
       .eq('id', req.params.reportId);
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { aggregateUsage } = require('../services/usageLedger');
+const { authorizeParam } = require('../middleware/auth');
+
+// ── Organization ownership check for project IDs ──
+router.param('projectId', authorizeParam('project'));
+
+/**
+ * Validate optional ?from / ?to query params (ISO dates).
+ * Returns an error message, or null when both are absent or valid.
+ */
+function validateRange(from, to) {
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return `${name} must be an ISO date (e.g. 2025-01-31)`;
+    }
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/usage — Token and cost usage for the caller's organizations
+// Query: from, to (ISO dates; to is exclusive)
+// Returns totals plus breakdowns by project, feature and day
+// ─────────────────────────────────────────────────────────────
+router.get('/', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const rangeError = validateRange(from, to);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const usage = await aggregateUsage({ organizationIds: req.organizationIds, from, to });
+    res.json({ success: true, from: from || null, to: to || null, ...usage });
+  } catch (err) {
+    console.error('❌ Usage summary error:', err.message);
+    res.status(500).json({ error: 'Failed to load usage', details: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/usage/project/:projectId — Usage for one project
+// Query: from, to (ISO dates; to is exclusive)
+// ─────────────────────────────────────────────────────────────
+router.get('/project/:projectId', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { from, to } = req.query;
+    const rangeError = validateRange(from, to);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const { totals, byFeature, byDay } = await aggregateUsage({
+      organizationIds: req.organizationIds,
+      projectId,
+      from,
+      to,
+    });
+    res.json({ success: true, projectId, from: from || null, to: to || null, totals, byFeature, byDay });
+  } catch (err) {
+    console.error('❌ Project usage error:', err.message);
+    res.status(500).json({ error: 'Failed to load project usage', details: err.message });
+  }
+});
+
+module.exports = router;
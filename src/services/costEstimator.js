@@ -0,0 +1,211 @@
+const { buildUserPrompt, buildImageUserPrompt, buildAnalyzeAllPrompt, getEvidenceCharsPerPrompt, SYSTEM_PROMPT, IMAGE_SYSTEM_PROMPT, GPT_MAX_TOKENS } = require('./gpt');
+const { planCrosswalkBatches, planIncrementalBatches, buildCrosswalkBatchPrompt, CROSSWALK_SYSTEM_PROMPT } = require('./crosswalkGenerator');
+const { composeChains, buildVerificationPrompt, INFERENCE_VERIFICATION_PROMPT, VERIFY_BATCH_SIZE } = require('./crosswalkInference');
+const { buildNarrativeFacts, buildNarrativePrompt, NARRATIVE_SYSTEM_PROMPT, NARRATIVE_MAX_TOKENS } = require('./reportNarrative');
+const { getLLMClient } = require('./llmProvider');
+const { computeCost } = require('./usageLedger');
+const { chunkText } = require('../utils/chunker');
+
+// ─────────────────────────────────────────────────────────────
+// Pre-flight Cost Estimates
+//
+// Dry runs build the exact prompts the real run would send (same builders,
+// same documents) and price them with the usage ledger's price table.
+// Prompt tokens use the ~4 chars/token rule of thumb; completion tokens are
+// per-control averages observed on real runs, capped at the per-call limit.
+// Documents over one context window are priced per part, like the real run.
+// Treat results as an estimate, not a quote.
+// ─────────────────────────────────────────────────────────────
+
+const CHARS_PER_TOKEN = 4;
+// Fixed cost of one high-detail image input
+const IMAGE_INPUT_TOKENS = 1105;
+// Typical completion sizes
+const COMPLETION_TOKENS_PER_CONTROL_ANALYSIS = 1200;
+const COMPLETION_TOKENS_PER_ANALYZE_ALL_CONTROL = 700;
+const COMPLETION_TOKENS_PER_CROSSWALK_SOURCE_CONTROL = 180;
+const COMPLETION_TOKENS_PER_VERIFIED_PAIR = 120;
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Price a list of planned calls for the project's resolved model.
+ *
+ * @param {Array<{ promptTokens: number, completionTokens: number }>} calls
+ * @param {string|null} projectId
+ */
+async function summarizeCalls(calls, projectId) {
+  const { model, provider } = await getLLMClient({ projectId });
+  const promptTokens = calls.reduce((sum, c) => sum + c.promptTokens, 0);
+  const completionTokens = calls.reduce((sum, c) => sum + Math.min(c.completionTokens, GPT_MAX_TOKENS), 0);
+  const usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+
+  return {
+    model,
+    provider,
+    calls: calls.length,
+    ...usage,
+    // null when the model has no configured price
+    estimated_cost_usd: computeCost(model, usage),
+  };
+}
+
+/**
+ * Estimate a group analysis: one call per control against the same evidence.
+ *
+ * @param {Object} params
+ * @param {Array} params.controls - Controls with .frameworks joined
+ * @param {string|null} params.documentText - Parsed evidence text (null for images)
+ * @param {number} params.imageCount - Images sent per call (0 for text)
+ * @param {string|null} params.customInstructions
+ * @param {Function} params.buildRequirementText
+ * @param {string|null} params.projectId
+ */
+async function estimateGroupAnalysis({ controls, documentText, imageCount = 0, customInstructions, buildRequirementText, projectId }) {
+  const parts = imageCount > 0 ? [null] : chunkText(documentText || '', await getEvidenceCharsPerPrompt(projectId));
+
+  const calls = controls.flatMap((control) => {
+    const requirementText = buildRequirementText(control, control.frameworks || null);
+    const controlName = control.title || `Control ${control.control_number}`;
+
+    return parts.map((part) => {
+      const prompt = imageCount > 0
+        ? IMAGE_SYSTEM_PROMPT + buildImageUserPrompt(requirementText, controlName, customInstructions)
+        : SYSTEM_PROMPT + buildUserPrompt(part, requirementText, controlName, customInstructions);
+
+      return {
+        promptTokens: estimateTokens(prompt) + imageCount * IMAGE_INPUT_TOKENS,
+        completionTokens: COMPLETION_TOKENS_PER_CONTROL_ANALYSIS,
+      };
+    });
+  });
+
+  return summarizeCalls(calls, projectId);
+}
+
+/**
+ * Estimate analyze-all: one call per evidence file covering every control.
+ *
+ * @param {Object} params
+ * @param {Array} params.controlsList - [{ control_number, title, requirementText }]
+ * @param {Array} params.parsedDocs - [{ evidence, text }]
+ * @param {Array} params.parsedImages - [{ evidence, pages? }] (scanned PDFs carry pages)
+ * @param {string|null} params.customInstructions
+ * @param {number} params.maxDocumentChars - Documents above this are analyzed in parts
+ * @param {string|null} params.projectId
+ */
+async function estimateAnalyzeAll({ controlsList, parsedDocs, parsedImages, customInstructions, maxDocumentChars, projectId }) {
+  const completionTokens = controlsList.length * COMPLETION_TOKENS_PER_ANALYZE_ALL_CONTROL;
+
+  const textCalls = parsedDocs.flatMap(doc => chunkText(doc.text, maxDocumentChars).map((part) => {
+    const singleDocText = `\n\n=== DOCUMENT 1: ${doc.evidence.file_name} ===\n\n${part}`;
+    const prompt = SYSTEM_PROMPT + buildAnalyzeAllPrompt(singleDocText, controlsList, customInstructions, [doc.evidence.file_name]);
+    return { promptTokens: estimateTokens(prompt), completionTokens };
+  }));
+
+  const imageCalls = parsedImages.map((image) => {
+    const prompt = SYSTEM_PROMPT + buildAnalyzeAllPrompt('(Image evidence — see attached image)', controlsList, customInstructions, [image.evidence.file_name]);
+    const images = image.pages ? image.pages.length : 1;
+    return { promptTokens: estimateTokens(prompt) + images * IMAGE_INPUT_TOKENS, completionTokens };
+  });
+
+  return summarizeCalls([...textCalls, ...imageCalls], projectId);
+}
+
+/**
+ * Estimate crosswalk generation using the same batch plan as the real run.
+ *
+ * @param {Object} params
+ * @param {Array} params.controlsA
+ * @param {Array} params.controlsB
+ * @param {string} params.frameworkAName
+ * @param {string} params.frameworkBName
+ * @param {string|null} params.projectId
+ */
+async function estimateCrosswalk({ controlsA, controlsB, frameworkAName, frameworkBName, projectId }) {
+  const { batches, batchTargets, sourceFrameworkName, targetFrameworkName } = planCrosswalkBatches(
+    controlsA, controlsB, frameworkAName, frameworkBName
+  );
+
+  const calls = batches.map((batch, i) => ({
+    promptTokens: estimateTokens(CROSSWALK_SYSTEM_PROMPT + buildCrosswalkBatchPrompt(
+      batch, batchTargets[i].targetIndex, sourceFrameworkName, targetFrameworkName, batchTargets[i].prefilter
+    )),
+    completionTokens: batch.length * COMPLETION_TOKENS_PER_CROSSWALK_SOURCE_CONTROL,
+  }));
+
+  return summarizeCalls(calls, projectId);
+}
+
+/**
+ * Estimate an incremental crosswalk regeneration: only the batches of added
+ * or edited controls, as planned against the stored fingerprints.
+ *
+ * @param {Object} params
+ * @param {Array} params.controlsA
+ * @param {Array} params.controlsB
+ * @param {string} params.frameworkAName
+ * @param {string} params.frameworkBName
+ * @param {Object|null} params.fingerprints - crosswalks.metadata.control_fingerprints
+ * @param {string|null} params.projectId
+ */
+async function estimateCrosswalkRegeneration({ controlsA, controlsB, frameworkAName, frameworkBName, fingerprints, projectId }) {
+  const { batches } = planIncrementalBatches(controlsA, controlsB, frameworkAName, frameworkBName, fingerprints);
+
+  const calls = batches.map(batch => ({
+    promptTokens: estimateTokens(CROSSWALK_SYSTEM_PROMPT + buildCrosswalkBatchPrompt(
+      batch.controls, batch.targetIndex, batch.sourceFrameworkName, batch.targetFrameworkName, batch.prefilter
+    )),
+    completionTokens: batch.controls.length * COMPLETION_TOKENS_PER_CROSSWALK_SOURCE_CONTROL,
+  }));
+
+  return summarizeCalls(calls, projectId);
+}
+
+/**
+ * Estimate the optional verification of an inferred crosswalk: the chains are
+ * composed as the real run would, and only pairs below the threshold are priced.
+ * Composition itself makes no model calls.
+ *
+ * @param {Object} params
+ * @param {Array<{ frameworks: string[], crosswalkIds: string[] }>} params.chains - From resolveInferenceChains
+ * @param {number} params.verifyBelow - Confidence below which pairs are verified
+ * @param {string} params.frameworkAName
+ * @param {string} params.frameworkBName
+ * @param {string|null} params.projectId
+ */
+async function estimateCrosswalkInference({ chains, verifyBelow, frameworkAName, frameworkBName, projectId }) {
+  const { candidates, controlsById } = await composeChains(chains);
+  const lowConfidence = candidates.filter(c => c.confidence < verifyBelow);
+
+  const calls = [];
+  for (let i = 0; i < lowConfidence.length; i += VERIFY_BATCH_SIZE) {
+    const batch = lowConfidence.slice(i, i + VERIFY_BATCH_SIZE);
+    calls.push({
+      promptTokens: estimateTokens(INFERENCE_VERIFICATION_PROMPT + buildVerificationPrompt(batch, controlsById, frameworkAName, frameworkBName)),
+      completionTokens: batch.length * COMPLETION_TOKENS_PER_VERIFIED_PAIR,
+    });
+  }
+
+  return summarizeCalls(calls, projectId);
+}
+
+/**
+ * Estimate drafting one report narrative section: a single call, priced at
+ * the completion limit since drafts are short.
+ *
+ * @param {Object} params
+ * @param {Object} params.report - Report row with framework_name attached
+ * @param {Object} params.section - Section being drafted
+ */
+async function estimateNarrativeDraft({ report, section }) {
+  const facts = buildNarrativeFacts(report);
+  return summarizeCalls([{
+    promptTokens: estimateTokens(NARRATIVE_SYSTEM_PROMPT + buildNarrativePrompt(section, facts, report.report_type)),
+    completionTokens: NARRATIVE_MAX_TOKENS,
+  }], report.project_id);
+}
+
+module.exports = { estimateGroupAnalysis, estimateAnalyzeAll, estimateCrosswalk, estimateCrosswalkRegeneration, estimateCrosswalkInference, estimateNarrativeDraft, estimateTokens };
@@ -0,0 +1,302 @@
+const XLSX = require('xlsx');
+const { supabaseAdmin, fetchAllRows } = require('../utils/supabase');
+const { invertRelationship } = require('./crosswalkInference');
+
+// ─────────────────────────────────────────────────────────────
+// Crosswalk Export
+//
+// Spreadsheet (multi-sheet XLSX), flat CSV and NIST OLIR Set Theory
+// Relationship Mapping (STRM, NIST IR 8477) exports of a crosswalk.
+// Exports reflect the reviewed state: user_removed and orphaned mappings are
+// left out, user_added mappings are included, and manual_confidence replaces
+// the model's confidence wherever it is set.
+// ─────────────────────────────────────────────────────────────
+
+const RELATIONSHIP_LABELS = {
+  equivalent: 'Equivalent',
+  subset: 'Subset',
+  superset: 'Superset',
+  partial_overlap: 'Partial overlap',
+  related: 'Related',
+};
+
+// STRM relationships read "<focal element> <relationship> <reference element>".
+// STRM has no weaker-than-intersection relationship, so 'related' becomes
+// 'intersects with' and is flagged in the notes.
+const STRM_RELATIONSHIPS = {
+  equivalent: 'equal',
+  subset: 'subset of',
+  superset: 'superset of',
+  partial_overlap: 'intersects with',
+  related: 'intersects with',
+};
+
+const STRM_HEADERS = [
+  'Focal Document Element',
+  'Focal Document Element Description',
+  'STRM Rationale',
+  'STRM Relationship',
+  'Reference Document Element',
+  'Reference Document Element Description',
+  'Strength of Relationship',
+  'Notes',
+];
+
+const MAPPING_HEADERS = [
+  'Source Control',
+  'Source Title',
+  'Source Category',
+  'Target Control',
+  'Target Title',
+  'Target Category',
+  'Relationship',
+  'Confidence',
+  'Confidence Source',
+  'Status',
+  'Rationale',
+  'Notes',
+];
+
+/**
+ * Load a crosswalk and its active mappings as export rows.
+ *
+ * @param {string} crosswalkId
+ * @param {Object} [options]
+ * @param {string} [options.perspective] - Framework ID to use as the source side (flips the crosswalk)
+ * @returns {Promise<{ crosswalk, sourceFramework, targetFramework, rows, unmappedSource, unmappedTarget }>}
+ */
+async function loadCrosswalkExport(crosswalkId, { perspective } = {}) {
+  const { data: crosswalk, error: cwErr } = await supabaseAdmin
+    .from('crosswalks')
+    .select('*, framework_a:framework_a_id (id, name), framework_b:framework_b_id (id, name)')
+    .eq('id', crosswalkId)
+    .single();
+
+  if (cwErr || !crosswalk) throw new Error('Crosswalk not found');
+
+  const { data: mappings, error: mapErr } = await fetchAllRows(() => supabaseAdmin
+    .from('crosswalk_mappings')
+    .select(`
+      *,
+      control_a:control_a_id (id, control_number, title, description, category, sort_order),
+      control_b:control_b_id (id, control_number, title, description, category, sort_order)
+    `)
+    .eq('crosswalk_id', crosswalkId)
+    .not('status', 'in', '(user_removed,orphaned)')
+    .order('id', { ascending: true }));
+
+  if (mapErr) throw new Error(`Failed to fetch mappings: ${mapErr.message}`);
+
+  const flipped = perspective && perspective === crosswalk.framework_b_id;
+  const sourceFramework = flipped ? crosswalk.framework_b : crosswalk.framework_a;
+  const targetFramework = flipped ? crosswalk.framework_a : crosswalk.framework_b;
+
+  const rows = (mappings || [])
+    .map((m) => {
+      const manual = m.manual_confidence != null;
+      return {
+        mapping_id: m.id,
+        source: flipped ? m.control_b : m.control_a,
+        target: flipped ? m.control_a : m.control_b,
+        // Stored relationships read "control_a is <type> of control_b"
+        relationship_type: flipped ? invertRelationship(m.relationship_type) : (m.relationship_type || 'related'),
+        confidence: parseFloat(manual ? m.manual_confidence : m.ai_confidence) || 0,
+        confidence_source: manual ? 'manual' : 'ai',
+        status: m.status,
+        rationale: m.ai_rationale || '',
+        notes: m.user_notes || '',
+      };
+    })
+    .filter(row => row.source && row.target)
+    .sort((a, b) => (a.source.sort_order ?? 0) - (b.source.sort_order ?? 0)
+      || String(a.source.control_number).localeCompare(String(b.source.control_number), undefined, { numeric: true })
+      || b.confidence - a.confidence);
+
+  // Controls with no active mapping, for the coverage sheets
+  const fetchControls = async (frameworkId) => {
+    const { data, error } = await fetchAllRows(() => supabaseAdmin
+      .from('controls')
+      .select('id, control_number, title, category')
+      .eq('framework_id', frameworkId)
+      .order('sort_order', { ascending: true })
+      .order('id', { ascending: true }));
+    if (error) throw new Error(`Failed to fetch controls: ${error.message}`);
+    return data || [];
+  };
+  const [sourceControls, targetControls] = await Promise.all([
+    fetchControls(sourceFramework.id),
+    fetchControls(targetFramework.id),
+  ]);
+  const mappedSource = new Set(rows.map(r => r.source.id));
+  const mappedTarget = new Set(rows.map(r => r.target.id));
+
+  return {
+    crosswalk,
+    sourceFramework,
+    targetFramework,
+    rows,
+    unmappedSource: sourceControls.filter(c => !mappedSource.has(c.id)),
+    unmappedTarget: targetControls.filter(c => !mappedTarget.has(c.id)),
+    sourceControlCount: sourceControls.length,
+    targetControlCount: targetControls.length,
+  };
+}
+
+// ── Row Builders ──
+
+function mappingRow(row) {
+  return [
+    row.source.control_number,
+    row.source.title || '',
+    row.source.category || '',
+    row.target.control_number,
+    row.target.title || '',
+    row.target.category || '',
+    RELATIONSHIP_LABELS[row.relationship_type] || row.relationship_type,
+    row.confidence,
+    row.confidence_source,
+    row.status,
+    row.rationale,
+    row.notes,
+  ];
+}
+
+function strmRow(row) {
+  const notes = [
+    row.relationship_type === 'related' ? 'Related topic; weaker than a set intersection.' : '',
+    row.rationale,
+    row.notes,
+  ].filter(Boolean).join(' ');
+
+  return [
+    row.source.control_number,
+    row.source.description || row.source.title || '',
+    'Semantic',
+    STRM_RELATIONSHIPS[row.relationship_type] || 'intersects with',
+    row.target.control_number,
+    row.target.description || row.target.title || '',
+    // STRM strength is an integer from 1 (weak) to 10 (strong)
+    Math.max(1, Math.min(10, Math.round(row.confidence * 10))),
+    notes,
+  ];
+}
+
+/**
+ * Worksheet from rows with a header, column widths and an autofilter.
+ */
+function buildSheet(headers, rows, widths) {
+  const sheet = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+  sheet['!cols'] = widths.map(wch => ({ wch }));
+  if (rows.length > 0) {
+    sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: headers.length - 1 } }) };
+  }
+  return sheet;
+}
+
+// ── Exports ──
+
+/**
+ * Multi-sheet XLSX: Summary, Mappings, and unmapped controls on each side.
+ *
+ * @param {Object} data - From loadCrosswalkExport
+ * @returns {Buffer}
+ */
+function buildCrosswalkXlsx(data) {
+  const { crosswalk, sourceFramework, targetFramework, rows, unmappedSource, unmappedTarget } = data;
+  const workbook = XLSX.utils.book_new();
+
+  const countBy = (key, value) => rows.filter(r => r[key] === value).length;
+  const avgConfidence = rows.length > 0
+    ? parseFloat((rows.reduce((s, r) => s + r.confidence, 0) / rows.length).toFixed(2))
+    : 0;
+
+  const summary = [
+    ['Crosswalk', crosswalk.name],
+    ['Source framework', sourceFramework.name],
+    ['Target framework', targetFramework.name],
+    ['Exported at', new Date().toISOString()],
+    [],
+    ['Active mappings', rows.length],
+    ['Average confidence', avgConfidence],
+    ...Object.entries(RELATIONSHIP_LABELS).map(([type, label]) => [`${label} mappings`, countBy('relationship_type', type)]),
+    [],
+    ['Verified by a reviewer', countBy('status', 'user_verified')],
+    ['Added by a reviewer', countBy('status', 'user_added')],
+    ['Not yet reviewed', rows.filter(r => !['user_verified', 'user_added'].includes(r.status)).length],
+    ['Manual confidence overrides', countBy('confidence_source', 'manual')],
+    [],
+    ['Source controls mapped', `${data.sourceControlCount - unmappedSource.length} of ${data.sourceControlCount}`],
+    ['Target controls mapped', `${data.targetControlCount - unmappedTarget.length} of ${data.targetControlCount}`],
+  ];
+  const summarySheet = XLSX.utils.aoa_to_sheet(summary);
+  summarySheet['!cols'] = [{ wch: 30 }, { wch: 60 }];
+  XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+
+  XLSX.utils.book_append_sheet(
+    workbook,
+    buildSheet(MAPPING_HEADERS, rows.map(mappingRow), [16, 40, 22, 16, 40, 22, 16, 11, 11, 14, 60, 40]),
+    'Mappings'
+  );
+
+  const unmappedHeaders = ['Control', 'Title', 'Category'];
+  const unmappedRow = c => [c.control_number, c.title || '', c.category || ''];
+  // Sheet names are limited to 31 characters and must be unique
+  const sheetName = name => `Unmapped ${name}`.substring(0, 31).replace(/[\\/?*[\]:]/g, '-');
+  const sourceSheet = sheetName(sourceFramework.name);
+  let targetSheet = sheetName(targetFramework.name);
+  if (targetSheet === sourceSheet) targetSheet = `${sourceSheet.substring(0, 27)} (2)`;
+
+  XLSX.utils.book_append_sheet(workbook, buildSheet(unmappedHeaders, unmappedSource.map(unmappedRow), [16, 50, 25]), sourceSheet);
+  XLSX.utils.book_append_sheet(workbook, buildSheet(unmappedHeaders, unmappedTarget.map(unmappedRow), [16, 50, 25]), targetSheet);
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * Flat CSV, one row per active mapping.
+ *
+ * @param {Object} data - From loadCrosswalkExport
+ * @returns {string}
+ */
+function buildCrosswalkCsv(data) {
+  const sheet = XLSX.utils.aoa_to_sheet([MAPPING_HEADERS, ...data.rows.map(mappingRow)]);
+  return XLSX.utils.sheet_to_csv(sheet, { blankrows: false });
+}
+
+/**
+ * NIST OLIR STRM mapping: the source framework is the focal document and the
+ * target framework the reference document.
+ *
+ * @param {Object} data - From loadCrosswalkExport
+ * @param {'xlsx'|'csv'} format
+ * @returns {Buffer|string}
+ */
+function buildCrosswalkStrm(data, format = 'xlsx') {
+  const rows = data.rows.map(strmRow);
+
+  if (format === 'csv') {
+    const sheet = XLSX.utils.aoa_to_sheet([STRM_HEADERS, ...rows]);
+    return XLSX.utils.sheet_to_csv(sheet, { blankrows: false });
+  }
+
+  const workbook = XLSX.utils.book_new();
+  const info = XLSX.utils.aoa_to_sheet([
+    ['Focal Document', data.sourceFramework.name],
+    ['Reference Document', data.targetFramework.name],
+    ['Relationship Style', 'Set Theory Relationship Mapping (STRM)'],
+    ['Rationale', 'Semantic'],
+    ['Exported at', new Date().toISOString()],
+  ]);
+  info['!cols'] = [{ wch: 22 }, { wch: 60 }];
+  XLSX.utils.book_append_sheet(workbook, info, 'General Information');
+  XLSX.utils.book_append_sheet(workbook, buildSheet(STRM_HEADERS, rows, [18, 60, 14, 18, 18, 60, 12, 60]), 'Relationships');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  loadCrosswalkExport,
+  buildCrosswalkXlsx,
+  buildCrosswalkCsv,
+  buildCrosswalkStrm,
+  STRM_RELATIONSHIPS,
+};
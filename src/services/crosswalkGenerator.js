@@ -1,16 +1,25 @@
-const OpenAI = require('openai');
-const { supabase } = require('../utils/supabase');
-
-// ── OpenAI Client & Configuration ──
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-const GPT_MODEL = 'gpt-5.1';
+const crypto = require('crypto');
+const { supabaseAdmin, fetchAllRows } = require('../utils/supabase');
+const { getLLMClient } = require('./llmProvider');
+const { recordUsage } = require('./usageLedger');
+const { invertRelationship } = require('./crosswalkInference');
+const { createBm25Index } = require('../utils/bm25');
+const { lintCrosswalk } = require('./crosswalkLint');
+
+// ── Configuration ──
 const GPT_MAX_TOKENS = 16384;
 const GPT_TEMPERATURE = 0.2;
 const BATCH_SIZE = 12;
 const CONCURRENCY = 3;
 const RATE_LIMIT_RETRY_DELAY_MS = 60000;
 const BATCH_INSERT_SIZE = 100;
+const REPOINT_CONCURRENCY = 10; // One update per mapping moved to a re-imported control
+// Lexical prefilter: above this many target controls, each batch gets its own
+// candidate list (top-K per source control by BM25) instead of the whole index
+const PREFILTER_MIN_TARGET_CONTROLS = 80;
+const CANDIDATES_PER_SOURCE_CONTROL = 15;
+const CANDIDATE_DESCRIPTION_CHARS = 600;
+const CANDIDATE_INDEX_MAX_CHARS = 30000; // ~7.5K tokens per batch
 
 // ── GPT System Prompt ──
 
@@ -60,12 +69,17 @@ function buildFrameworkIndex(controls, compressed = false) {
 /**
  * Build the user prompt for a single batch of source controls.
  * @param {Array} sourceControls - Batch of source controls (up to BATCH_SIZE)
- * @param {string} targetFrameworkIndex - Pre-built condensed reference of the target framework
+ * @param {string} targetFrameworkIndex - Pre-built reference of the target framework (or of the batch's candidates)
  * @param {string} sourceFrameworkName - Name of the source framework
  * @param {string} targetFrameworkName - Name of the target framework
+ * @param {{ candidates: number, total: number }|null} [prefilter] - Set when the reference is a prefiltered candidate list
  * @returns {string} User prompt
  */
-function buildCrosswalkBatchPrompt(sourceControls, targetFrameworkIndex, sourceFrameworkName, targetFrameworkName) {
+function buildCrosswalkBatchPrompt(sourceControls, targetFrameworkIndex, sourceFrameworkName, targetFrameworkName, prefilter = null) {
+  const targetHeading = prefilter
+    ? `## Candidate Target Controls (${prefilter.candidates} of ${prefilter.total} in "${targetFrameworkName}", pre-selected by text similarity):`
+    : `## Target Framework Reference ("${targetFrameworkName}"):`;
+
   const sourceBlock = sourceControls.map((c, i) =>
     `### ${i + 1}. ${c.control_number} \u2014 ${c.title}\n${c.description || 'No description available.'}`
   ).join('\n\n');
@@ -75,7 +89,7 @@ function buildCrosswalkBatchPrompt(sourceControls, targetFrameworkIndex, sourceF
 ## Source Controls to Map:
 ${sourceBlock}
 
-## Target Framework Reference ("${targetFrameworkName}"):
+${targetHeading}
 ${targetFrameworkIndex}
 
 ## Output Format:
@@ -97,7 +111,7 @@ RULES:
 - Include every source control in your analysis \u2014 if a source control has no meaningful matches, simply omit it from the mappings array (zero mappings is valid).
 - A source control CAN map to multiple target controls (many-to-many).
 - Do NOT include mappings with confidence below 0.3.
-- Use the EXACT control_number values from both the source and target lists \u2014 do not modify or abbreviate them.
+- Use the EXACT control_number values from both the source and target lists \u2014 do not modify or abbreviate them.${prefilter ? '\n- Only map to target controls listed above.' : ''}
 - The rationale should explain the specific shared concept or requirement, not just restate the control titles.`;
 }
 
@@ -126,11 +140,269 @@ function attemptCrosswalkJsonRecovery(truncatedContent) {
 // ── OpenAI Error Handler ──
 
 function handleOpenAIError(err) {
-  if (err.status === 429) throw new Error('OpenAI rate limit exceeded. Please try again later.');
-  if (err.status === 401) throw new Error('Invalid OpenAI API key. Please check your OPENAI_API_KEY.');
+  if (err.status === 429) throw new Error('LLM provider rate limit exceeded. Please try again later.');
+  if (err.status === 401) throw new Error('Invalid API key for the configured LLM provider. Please check its credentials.');
   throw err;
 }
 
+// ── Batch Planning ──
+
+/**
+ * One line of a prefiltered candidate list. Candidate lists are short, so
+ * descriptions are kept far longer than in the whole-framework preview.
+ */
+function formatCandidate(c) {
+  const desc = c.description
+    ? c.description.substring(0, CANDIDATE_DESCRIPTION_CHARS) + (c.description.length > CANDIDATE_DESCRIPTION_CHARS ? '...' : '')
+    : '';
+  return `- ${c.control_number}: ${c.title}${desc ? ' \u2014 ' + desc : ''}`;
+}
+
+// Title counted twice: titles are short and carry most of a control's topic
+function controlSearchText(control) {
+  return `${control.title || ''} ${control.title || ''} ${control.description || ''}`;
+}
+
+/**
+ * Target reference for each batch. Small target frameworks are sent whole.
+ * Larger ones are ranked locally with BM25 against each source control, and
+ * the batch gets the union of every source control's top candidates with
+ * full descriptions. Candidates are taken round-robin by rank (every source
+ * control's best hit first) until the batch's character budget is spent.
+ * A batch with no lexical overlap at all falls back to the whole index.
+ *
+ * @param {Array<Array>} batches - Source control batches
+ * @param {Array} targetControls - All target framework controls
+ * @returns {Array<{ targetIndex: string, prefilter: { candidates: number, total: number }|null }>}
+ */
+function buildBatchTargets(batches, targetControls) {
+  const compressed = targetControls.length > 300;
+  let wholeIndex = null;
+  const whole = () => {
+    if (wholeIndex === null) wholeIndex = buildFrameworkIndex(targetControls, compressed);
+    return { targetIndex: wholeIndex, prefilter: null };
+  };
+
+  if (targetControls.length < PREFILTER_MIN_TARGET_CONTROLS) {
+    return batches.map(whole);
+  }
+
+  const ranking = createBm25Index(targetControls.map(c => ({ id: c.id, text: controlSearchText(c) })));
+  const position = new Map(targetControls.map((c, i) => [c.id, i]));
+
+  return batches.map((batch) => {
+    const rankings = batch.map(control => ranking.search(controlSearchText(control), CANDIDATES_PER_SOURCE_CONTROL));
+    const lines = new Map();
+    let chars = 0;
+
+    for (let rank = 0; rank < CANDIDATES_PER_SOURCE_CONTROL && chars < CANDIDATE_INDEX_MAX_CHARS; rank++) {
+      for (const hits of rankings) {
+        const hit = hits[rank];
+        if (!hit || lines.has(hit.id)) continue;
+        const line = formatCandidate(targetControls[position.get(hit.id)]);
+        if (chars + line.length > CANDIDATE_INDEX_MAX_CHARS && lines.size > 0) break;
+        lines.set(hit.id, line);
+        chars += line.length + 1;
+      }
+    }
+    if (lines.size === 0) return whole();
+
+    // Keep the framework's own order so related controls stay together
+    const ordered = [...lines.keys()].sort((a, b) => position.get(a) - position.get(b));
+
+    return {
+      targetIndex: ordered.map(id => lines.get(id)).join('\n'),
+      prefilter: { candidates: ordered.length, total: targetControls.length },
+    };
+  });
+}
+
+/**
+ * Decide how a crosswalk is split into GPT calls. The smaller framework is the
+ * "source" (fewer calls); the larger one is the target, sent with every batch
+ * either whole or as a prefiltered candidate list. Shared by generation and
+ * the dry-run cost estimate.
+ *
+ * @param {Array} controlsA - Framework A controls
+ * @param {Array} controlsB - Framework B controls
+ * @param {string} frameworkAName
+ * @param {string} frameworkBName
+ * @returns {Object} { sourceControls, targetControls, sourceFrameworkName, targetFrameworkName, sourceIsA, batches, batchTargets, prefiltered }
+ */
+function planCrosswalkBatches(controlsA, controlsB, frameworkAName, frameworkBName) {
+  const sourceIsA = controlsA.length <= controlsB.length;
+  const sourceControls = sourceIsA ? controlsA : controlsB;
+  const targetControls = sourceIsA ? controlsB : controlsA;
+
+  const batches = [];
+  for (let i = 0; i < sourceControls.length; i += BATCH_SIZE) {
+    batches.push(sourceControls.slice(i, i + BATCH_SIZE));
+  }
+  const batchTargets = buildBatchTargets(batches, targetControls);
+
+  return {
+    sourceControls,
+    targetControls,
+    sourceFrameworkName: sourceIsA ? frameworkAName : frameworkBName,
+    targetFrameworkName: sourceIsA ? frameworkBName : frameworkAName,
+    sourceIsA,
+    batches,
+    batchTargets,
+    prefiltered: batchTargets.some(t => t.prefilter),
+  };
+}
+
+// ── Incremental Planning ──
+
+/**
+ * Content fingerprint per control number. Keyed by number rather than ID
+ * so a framework re-import, which gives every control a new ID, still
+ * matches the controls it had before.
+ *
+ * @param {Array} controls
+ * @returns {Object<string, string>} control_number -> fingerprint
+ */
+function fingerprintControls(controls) {
+  return Object.fromEntries(controls.map(c => [
+    c.control_number,
+    crypto.createHash('sha256')
+      .update([c.control_number, c.title, c.description].map(v => v || '').join('\n'))
+      .digest('hex')
+      .substring(0, 16),
+  ]));
+}
+
+/**
+ * The baseline stored as crosswalks.metadata.control_fingerprints: a
+ * fingerprint per control number on each side, and the control number each
+ * current control ID had, so mappings left on IDs that a re-import replaced
+ * can be moved to the new ones.
+ *
+ * @param {Array} controlsA
+ * @param {Array} controlsB
+ */
+function buildFingerprintBaseline(controlsA, controlsB) {
+  const numbersById = controls => Object.fromEntries(controls.map(c => [c.id, c.control_number]));
+  return {
+    keyed_by: 'control_number',
+    a: fingerprintControls(controlsA),
+    b: fingerprintControls(controlsB),
+    control_numbers: { a: numbersById(controlsA), b: numbersById(controlsB) },
+  };
+}
+
+/**
+ * Read a stored baseline as fingerprints and ID -> number maps keyed by
+ * control number. Baselines from before fingerprints were keyed by number
+ * are keyed by control ID; those IDs are translated through the current
+ * controls, and any a re-import has already replaced count as deleted.
+ *
+ * @returns {{ a: Object, b: Object, controlNumbers: { a: Object, b: Object }, unmatched: { a: number, b: number } }|null}
+ */
+function readFingerprintBaseline(fingerprints, controlsA, controlsB) {
+  if (!fingerprints?.a || !fingerprints?.b) return null;
+  if (fingerprints.keyed_by === 'control_number') {
+    return {
+      a: fingerprints.a,
+      b: fingerprints.b,
+      controlNumbers: { a: fingerprints.control_numbers?.a || {}, b: fingerprints.control_numbers?.b || {} },
+      unmatched: { a: 0, b: 0 },
+    };
+  }
+
+  const byId = (previous, controls) => {
+    const fingerprintsByNumber = {};
+    const controlNumbers = {};
+    for (const c of controls) {
+      if (!previous[c.id]) continue;
+      fingerprintsByNumber[c.control_number] = previous[c.id];
+      controlNumbers[c.id] = c.control_number;
+    }
+    const unmatched = Object.keys(previous).filter(id => !controlNumbers[id]).length;
+    return { fingerprintsByNumber, controlNumbers, unmatched };
+  };
+  const a = byId(fingerprints.a, controlsA);
+  const b = byId(fingerprints.b, controlsB);
+  return {
+    a: a.fingerprintsByNumber,
+    b: b.fingerprintsByNumber,
+    controlNumbers: { a: a.controlNumbers, b: b.controlNumbers },
+    unmatched: { a: a.unmatched, b: b.unmatched },
+  };
+}
+
+/**
+ * Plan an incremental regeneration. Controls added or edited on either side
+ * since the stored fingerprints are sent as source controls against the
+ * other framework's full index; unchanged controls are not sent at all.
+ * A crosswalk without fingerprints (built before they were recorded, or
+ * imported/inferred) re-sends the smaller framework, as a full run would.
+ *
+ * @param {Array} controlsA - Current framework A controls
+ * @param {Array} controlsB - Current framework B controls
+ * @param {string} frameworkAName
+ * @param {string} frameworkBName
+ * @param {Object|null} fingerprints - crosswalks.metadata.control_fingerprints
+ * @returns {Object} { batches, changedA, changedB, addedCount, changedCount, deletedCount, hasBaseline, previousControlNumbers, fingerprints }
+ *   previousControlNumbers: { a, b } control ID -> number as of the baseline
+ *   Each batch: { controls, sourceIsA, sourceFrameworkName, targetFrameworkName, targetIndex, prefilter }
+ */
+function planIncrementalBatches(controlsA, controlsB, frameworkAName, frameworkBName, fingerprints) {
+  const baseline = readFingerprintBaseline(fingerprints, controlsA, controlsB);
+  const hasBaseline = Boolean(baseline);
+  const current = buildFingerprintBaseline(controlsA, controlsB);
+
+  const diff = (controls, side) => {
+    if (!hasBaseline) return { added: [], changed: [], deleted: 0 };
+    const previous = baseline[side];
+    return {
+      added: controls.filter(c => !previous[c.control_number]),
+      changed: controls.filter(c => previous[c.control_number] && previous[c.control_number] !== current[side][c.control_number]),
+      deleted: Object.keys(previous).filter(number => !current[side][number]).length + baseline.unmatched[side],
+    };
+  };
+
+  const diffA = diff(controlsA, 'a');
+  const diffB = diff(controlsB, 'b');
+  let changedA = [...diffA.added, ...diffA.changed];
+  let changedB = [...diffB.added, ...diffB.changed];
+  if (!hasBaseline) {
+    if (controlsA.length <= controlsB.length) changedA = controlsA;
+    else changedB = controlsB;
+  }
+
+  const batches = [];
+  const addPass = (sourceControls, targetControls, sourceIsA) => {
+    if (sourceControls.length === 0) return;
+    const passBatches = [];
+    for (let i = 0; i < sourceControls.length; i += BATCH_SIZE) {
+      passBatches.push(sourceControls.slice(i, i + BATCH_SIZE));
+    }
+    const targets = buildBatchTargets(passBatches, targetControls);
+    passBatches.forEach((controls, i) => batches.push({
+      controls,
+      sourceIsA,
+      sourceFrameworkName: sourceIsA ? frameworkAName : frameworkBName,
+      targetFrameworkName: sourceIsA ? frameworkBName : frameworkAName,
+      ...targets[i],
+    }));
+  };
+  addPass(changedA, controlsB, true);
+  addPass(changedB, controlsA, false);
+
+  return {
+    batches,
+    changedA,
+    changedB,
+    addedCount: diffA.added.length + diffB.added.length,
+    changedCount: diffA.changed.length + diffB.changed.length,
+    deletedCount: diffA.deleted + diffB.deleted,
+    hasBaseline,
+    previousControlNumbers: baseline ? baseline.controlNumbers : { a: {}, b: {} },
+    fingerprints: current,
+  };
+}
+
 // ── Single Batch Processing ──
 
 /**
@@ -141,14 +413,17 @@ function handleOpenAIError(err) {
  * @param {string} targetIndex - Pre-built target framework reference
  * @param {string} sourceFrameworkName - Source framework display name
  * @param {string} targetFrameworkName - Target framework display name
+ * @param {{ client: Object, model: string, provider: string }} llm - Resolved LLM provider client
+ * @param {{ crosswalkId: string, organizationId: string|null, projectId: string|null }} ledger - Usage ledger context
+ * @param {{ candidates: number, total: number }|null} [prefilter] - Set when targetIndex is a candidate list
  * @returns {{ mappings: Array, usage: Object|null }}
  */
-async function processCrosswalkBatch(sourceControlsBatch, targetIndex, sourceFrameworkName, targetFrameworkName) {
-  const userPrompt = buildCrosswalkBatchPrompt(sourceControlsBatch, targetIndex, sourceFrameworkName, targetFrameworkName);
+async function processCrosswalkBatch(sourceControlsBatch, targetIndex, sourceFrameworkName, targetFrameworkName, llm, ledger, prefilter = null) {
+  const userPrompt = buildCrosswalkBatchPrompt(sourceControlsBatch, targetIndex, sourceFrameworkName, targetFrameworkName, prefilter);
 
   const callGpt = async () => {
-    return await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const response = await llm.client.chat.completions.create({
+      model: llm.model,
       messages: [
         { role: 'system', content: CROSSWALK_SYSTEM_PROMPT },
         { role: 'user', content: userPrompt },
@@ -157,6 +432,16 @@ async function processCrosswalkBatch(sourceControlsBatch, targetIndex, sourceFra
       max_completion_tokens: GPT_MAX_TOKENS,
       response_format: { type: 'json_object' },
     });
+    await recordUsage({
+      feature: 'crosswalk_generation',
+      model: llm.model,
+      provider: llm.provider,
+      usage: response.usage,
+      projectId: ledger.projectId,
+      organizationId: ledger.organizationId,
+      metadata: { crosswalkId: ledger.crosswalkId },
+    });
+    return response;
   };
 
   try {
@@ -200,24 +485,106 @@ async function processCrosswalkBatch(sourceControlsBatch, targetIndex, sourceFra
   }
 }
 
+// ── Resumable Batch Loop ──
+
+/**
+ * Run crosswalk batches CONCURRENCY at a time, checkpointing after each round
+ * so a resumed job only sends the batches that had not finished.
+ *
+ * @param {Object} params
+ * @param {string} params.crosswalkId
+ * @param {string} params.jobId
+ * @param {Object} params.jobs - Durable job store
+ * @param {number} params.batchCount
+ * @param {Function} params.runBatch - async (batchIndex) => { mappings, usage }
+ * @param {Function} params.describeBatch - (batchIndex) => short label for logs
+ * @returns {Promise<{ completedBatches: Object, totalUsage: Object }>} completedBatches is keyed by batch index
+ */
+async function processBatchesResumable({ crosswalkId, jobId, jobs, batchCount, runBatch, describeBatch }) {
+  const job = jobs.get(jobId);
+  const totalUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  const addUsage = (usage) => {
+    if (!usage) return;
+    totalUsage.prompt_tokens += usage.prompt_tokens || 0;
+    totalUsage.completion_tokens += usage.completion_tokens || 0;
+    totalUsage.total_tokens += usage.total_tokens || 0;
+  };
+
+  // Resumed job: reuse batches finished before the interruption (only valid if batching is unchanged)
+  const checkpoint = job?.checkpoint;
+  const completedBatches = checkpoint?.batchesTotal === batchCount ? { ...checkpoint.completedBatches } : {};
+  let mappingsFound = 0;
+  for (const saved of Object.values(completedBatches)) {
+    mappingsFound += saved.mappings.length;
+    addUsage(saved.usage);
+  }
+
+  const pendingBatchIndexes = Array.from({ length: batchCount }, (_, i) => i).filter(i => !completedBatches[i]);
+  if (pendingBatchIndexes.length < batchCount) {
+    console.log(`\u267b\ufe0f [Crosswalk ${crosswalkId}] Resuming \u2014 ${batchCount - pendingBatchIndexes.length} batch(es) already processed`);
+    if (job) {
+      job.batchesCompleted = batchCount - pendingBatchIndexes.length;
+      job.mappingsFound = mappingsFound;
+    }
+  }
+
+  for (let pendingStart = 0; pendingStart < pendingBatchIndexes.length; pendingStart += CONCURRENCY) {
+    const concurrentIndexes = pendingBatchIndexes.slice(pendingStart, pendingStart + CONCURRENCY);
+
+    const batchResults = await Promise.all(concurrentIndexes.map(async (batchIndex) => {
+      const batchNum = batchIndex + 1;
+
+      if (job) {
+        job.progress = `Processing batch ${batchNum} of ${batchCount}...`;
+      }
+
+      console.log(`  \ud83d\udd04 [Crosswalk ${crosswalkId}] Batch ${batchNum}/${batchCount} (${describeBatch(batchIndex)})`);
+
+      const result = await runBatch(batchIndex);
+
+      console.log(`  \u2705 [Crosswalk ${crosswalkId}] Batch ${batchNum} returned ${result.mappings.length} mappings`);
+
+      return { batchIndex, ...result };
+    }));
+
+    for (const result of batchResults) {
+      completedBatches[result.batchIndex] = { mappings: result.mappings, usage: result.usage };
+      mappingsFound += result.mappings.length;
+      addUsage(result.usage);
+    }
+
+    if (job) {
+      job.batchesCompleted = Object.keys(completedBatches).length;
+      job.mappingsFound = mappingsFound;
+    }
+
+    await jobs.checkpoint(jobId, { batchesTotal: batchCount, completedBatches });
+  }
+
+  return { completedBatches, totalUsage };
+}
+
 // ── Main Orchestrator ──
 
 /**
  * Generate a crosswalk between two frameworks using GPT-4o.
  * This is called fire-and-forget after the HTTP response is sent.
- * Updates the jobs Map with progress and the crosswalks/crosswalk_mappings tables in Supabase.
+ * Updates the job store with progress and the crosswalks/crosswalk_mappings tables in Supabase.
+ * Completed batches are checkpointed, so a resumed job only sends the remaining ones to GPT.
  *
  * @param {string} crosswalkId - UUID of the crosswalks row
- * @param {string} jobId - UUID of the in-memory job entry
- * @param {Map} jobs - In-memory job store (from createJobStore)
+ * @param {string} jobId - UUID of the job entry
+ * @param {Object} jobs - Durable job store (from createJobStore)
+ * @param {Object} [options]
+ * @param {string|null} [options.projectId] - Project the spend is billed to
  */
-async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
+async function runCrosswalkGeneration(crosswalkId, jobId, jobs, { projectId = null } = {}) {
   const startTime = Date.now();
   const job = jobs.get(jobId);
 
   try {
     // 1. Fetch the crosswalk record
-    const { data: crosswalk, error: cwErr } = await supabase
+    const { data: crosswalk, error: cwErr } = await supabaseAdmin
       .from('crosswalks')
       .select('*, framework_a:framework_a_id (id, name), framework_b:framework_b_id (id, name)')
       .eq('id', crosswalkId)
@@ -230,17 +597,19 @@ async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
     if (job) job.progress = 'Fetching framework controls...';
 
     // 2. Fetch all controls from both frameworks
-    const { data: controlsA, error: errA } = await supabase
+    const { data: controlsA, error: errA } = await fetchAllRows(() => supabaseAdmin
       .from('controls')
       .select('id, control_number, title, description, category')
       .eq('framework_id', crosswalk.framework_a_id)
-      .order('sort_order', { ascending: true });
+      .order('sort_order', { ascending: true })
+      .order('id', { ascending: true }));
 
-    const { data: controlsB, error: errB } = await supabase
+    const { data: controlsB, error: errB } = await fetchAllRows(() => supabaseAdmin
       .from('controls')
       .select('id, control_number, title, description, category')
       .eq('framework_id', crosswalk.framework_b_id)
-      .order('sort_order', { ascending: true });
+      .order('sort_order', { ascending: true })
+      .order('id', { ascending: true }));
 
     if (errA) throw new Error(`Failed to fetch Framework A controls: ${errA.message}`);
     if (errB) throw new Error(`Failed to fetch Framework B controls: ${errB.message}`);
@@ -252,33 +621,13 @@ async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
     console.log(`\ud83d\uddd3\ufe0f [Crosswalk ${crosswalkId}] Framework A "${crosswalk.framework_a.name}": ${controlsA.length} controls`);
     console.log(`\ud83d\uddd3\ufe0f [Crosswalk ${crosswalkId}] Framework B "${crosswalk.framework_b.name}": ${controlsB.length} controls`);
 
-    // 3. Pick the smaller framework as "source" to minimize API calls
-    let sourceControls, targetControls, sourceFrameworkName, targetFrameworkName;
-    let sourceIsA = true;
-
-    if (controlsA.length <= controlsB.length) {
-      sourceControls = controlsA;
-      targetControls = controlsB;
-      sourceFrameworkName = crosswalk.framework_a.name;
-      targetFrameworkName = crosswalk.framework_b.name;
-    } else {
-      sourceControls = controlsB;
-      targetControls = controlsA;
-      sourceFrameworkName = crosswalk.framework_b.name;
-      targetFrameworkName = crosswalk.framework_a.name;
-      sourceIsA = false;
-    }
-
-    // 4. Build the target framework reference index
-    const compressed = targetControls.length > 300;
-    const targetIndex = buildFrameworkIndex(targetControls, compressed);
-    console.log(`\ud83d\udcc4 [Crosswalk ${crosswalkId}] Target index: ${targetIndex.length} chars (${compressed ? 'compressed' : 'full'})`);
-
-    // 5. Chunk source controls into batches
-    const batches = [];
-    for (let i = 0; i < sourceControls.length; i += BATCH_SIZE) {
-      batches.push(sourceControls.slice(i, i + BATCH_SIZE));
-    }
+    // 3-5. Pick source/target, chunk source controls and build each batch's target reference
+    const {
+      sourceControls, targetControls, sourceFrameworkName, targetFrameworkName,
+      sourceIsA, batches, batchTargets, prefiltered,
+    } = planCrosswalkBatches(controlsA, controlsB, crosswalk.framework_a.name, crosswalk.framework_b.name);
+    const targetChars = batchTargets.reduce((sum, t) => sum + t.targetIndex.length, 0);
+    console.log(`\ud83d\udcc4 [Crosswalk ${crosswalkId}] Target references: ${targetChars} chars over ${batches.length} batches (${prefiltered ? `BM25 prefilter, top ${CANDIDATES_PER_SOURCE_CONTROL} per control` : 'whole index'})`);
 
     if (job) {
       job.batchesTotal = batches.length;
@@ -289,49 +638,26 @@ async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
 
     console.log(`\ud83d\ude80 [Crosswalk ${crosswalkId}] Processing ${batches.length} batches with concurrency ${CONCURRENCY}`);
 
+    // Resolve the project's provider once so every batch uses the same client/model
+    const llm = await getLLMClient({ projectId });
+
     // 6. Build lookup maps for control_number -> id resolution
     const sourceMap = new Map(sourceControls.map(c => [c.control_number, c.id]));
     const targetMap = new Map(targetControls.map(c => [c.control_number, c.id]));
 
-    // 7. Process batches with concurrency control
-    const allRawMappings = [];
-    const totalUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
-
-    for (let batchStart = 0; batchStart < batches.length; batchStart += CONCURRENCY) {
-      const concurrentBatches = batches.slice(batchStart, batchStart + CONCURRENCY);
-
-      const batchPromises = concurrentBatches.map(async (batch, idx) => {
-        const batchNum = batchStart + idx + 1;
-
-        if (job) {
-          job.progress = `Processing batch ${batchNum} of ${batches.length}...`;
-        }
-
-        console.log(`  \ud83d\udd04 [Crosswalk ${crosswalkId}] Batch ${batchNum}/${batches.length} (${batch.length} controls)`);
-
-        const result = await processCrosswalkBatch(batch, targetIndex, sourceFrameworkName, targetFrameworkName);
-
-        console.log(`  \u2705 [Crosswalk ${crosswalkId}] Batch ${batchNum} returned ${result.mappings.length} mappings`);
-
-        return result;
-      });
-
-      const batchResults = await Promise.all(batchPromises);
-
-      for (const result of batchResults) {
-        allRawMappings.push(...result.mappings);
-        if (result.usage) {
-          totalUsage.prompt_tokens += result.usage.prompt_tokens || 0;
-          totalUsage.completion_tokens += result.usage.completion_tokens || 0;
-          totalUsage.total_tokens += result.usage.total_tokens || 0;
-        }
-      }
-
-      if (job) {
-        job.batchesCompleted = Math.min(batchStart + CONCURRENCY, batches.length);
-        job.mappingsFound = allRawMappings.length;
-      }
-    }
+    // 7. Process batches with concurrency control (resumed jobs skip finished batches)
+    const ledger = { crosswalkId, organizationId: crosswalk.organization_id || null, projectId };
+    const { completedBatches, totalUsage } = await processBatchesResumable({
+      crosswalkId,
+      jobId,
+      jobs,
+      batchCount: batches.length,
+      runBatch: (batchIndex) => processCrosswalkBatch(
+        batches[batchIndex], batchTargets[batchIndex].targetIndex, sourceFrameworkName, targetFrameworkName, llm, ledger, batchTargets[batchIndex].prefilter
+      ),
+      describeBatch: batchIndex => `${batches[batchIndex].length} controls`,
+    });
+    const allRawMappings = batches.flatMap((_, i) => completedBatches[i].mappings);
 
     console.log(`\ud83d\udcca [Crosswalk ${crosswalkId}] Total raw mappings from GPT: ${allRawMappings.length}`);
 
@@ -359,7 +685,8 @@ async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
           control_a_id: controlAId,
           control_b_id: controlBId,
           ai_confidence: parseFloat(raw.confidence) || 0,
-          relationship_type: raw.relationship_type || 'related',
+          // The model states the relationship from the source side; stored as "a is <type> of b"
+          relationship_type: sourceIsA ? (raw.relationship_type || 'related') : invertRelationship(raw.relationship_type),
           ai_rationale: raw.rationale || null,
           status: 'ai_generated',
         });
@@ -372,10 +699,16 @@ async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
     // 9. Batch insert into crosswalk_mappings
     if (job) job.progress = 'Saving mappings to database...';
 
+    // A previous attempt may have crashed part-way through the insert — start clean
+    if ((job?.attempts || 1) > 1) {
+      const { error: clearErr } = await supabaseAdmin.from('crosswalk_mappings').delete().eq('crosswalk_id', crosswalkId);
+      if (clearErr) throw new Error(`Failed to clear partial mappings: ${clearErr.message}`);
+    }
+
     let insertedCount = 0;
     for (let i = 0; i < mappingRecords.length; i += BATCH_INSERT_SIZE) {
       const batch = mappingRecords.slice(i, i + BATCH_INSERT_SIZE);
-      const { error: insertErr } = await supabase.from('crosswalk_mappings').insert(batch);
+      const { error: insertErr } = await supabaseAdmin.from('crosswalk_mappings').insert(batch);
       if (insertErr) {
         console.error(`  \u274c DB insert batch failed: ${insertErr.message}`);
       } else {
@@ -385,21 +718,25 @@ async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
 
     console.log(`\ud83d\udcbe [Crosswalk ${crosswalkId}] Inserted ${insertedCount} mappings into DB`);
 
-    // 10. Calculate statistics and update the crosswalks row
+    // 10. Consistency checks over what was saved
+    if (job) job.progress = 'Checking mapping consistency...';
+    const lint = await lintAfterRun(crosswalkId);
+
+    // 11. Calculate statistics and update the crosswalks row
     const avgConfidence = mappingRecords.length > 0
       ? parseFloat((mappingRecords.reduce((sum, m) => sum + m.ai_confidence, 0) / mappingRecords.length).toFixed(2))
       : 0;
 
     const durationSeconds = Math.round((Date.now() - startTime) / 1000);
 
-    const { error: updateErr } = await supabase
+    const { error: updateErr } = await supabaseAdmin
       .from('crosswalks')
       .update({
         status: 'completed',
         total_mappings: insertedCount,
         avg_confidence: avgConfidence,
         metadata: {
-          model: GPT_MODEL,
+          model: llm.model,
           tokens_used: totalUsage,
           duration_seconds: durationSeconds,
           batches_processed: batches.length,
@@ -407,7 +744,11 @@ async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
           target_framework: targetFrameworkName,
           source_controls_count: sourceControls.length,
           target_controls_count: targetControls.length,
-          compressed_index: compressed,
+          prefiltered,
+          candidates_per_control: prefiltered ? CANDIDATES_PER_SOURCE_CONTROL : null,
+          // Baseline for incremental regeneration
+          control_fingerprints: buildFingerprintBaseline(controlsA, controlsB),
+          lint,
         },
       })
       .eq('id', crosswalkId);
@@ -416,7 +757,7 @@ async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
       console.error(`  \u274c Failed to update crosswalk status: ${updateErr.message}`);
     }
 
-    // 11. Update the job store with completion
+    // 12. Update the job store with completion
     if (job) {
       jobs.set(jobId, {
         status: 'completed',
@@ -424,8 +765,9 @@ async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
         crosswalkId,
         totalMappings: insertedCount,
         avgConfidence,
+        lint: lint?.summary || null,
         metadata: {
-          model: GPT_MODEL,
+          model: llm.model,
           tokens_used: totalUsage,
           duration_seconds: durationSeconds,
           batches_processed: batches.length,
@@ -436,14 +778,21 @@ async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
     console.log(`\u2705 [Crosswalk ${crosswalkId}] Generation complete! ${insertedCount} mappings in ${durationSeconds}s`);
 
   } catch (err) {
+    if (err.code === 'LEASE_LOST') {
+      // Another process resumed this crosswalk and now owns its row
+      console.warn(`\u26a0\ufe0f [Crosswalk ${crosswalkId}] ${err.message} \u2014 stopping`);
+      return;
+    }
     console.error(`\u274c [Crosswalk ${crosswalkId}] Generation failed:`, err.message);
 
     // Mark the crosswalk as failed in Supabase
-    await supabase
+    const { error: statusErr } = await supabaseAdmin
       .from('crosswalks')
       .update({ status: 'failed', error: err.message })
-      .eq('id', crosswalkId)
-      .catch(e => console.error('  Failed to update crosswalk error status:', e.message));
+      .eq('id', crosswalkId);
+    if (statusErr) {
+      console.error('  Failed to update crosswalk error status:', statusErr.message);
+    }
 
     // Update the job store
     if (job) {
@@ -456,4 +805,345 @@ async function runCrosswalkGeneration(crosswalkId, jobId, jobs) {
   }
 }
 
-module.exports = { runCrosswalkGeneration };
+/**
+ * Lint the stored mappings once a run has written them. Advisory only: a
+ * lint failure is logged and never fails the run.
+ */
+async function lintAfterRun(crosswalkId) {
+  try {
+    return await lintCrosswalk(crosswalkId);
+  } catch (err) {
+    console.warn(`\u26a0\ufe0f [Crosswalk ${crosswalkId}] Lint pass failed: ${err.message}`);
+    return null;
+  }
+}
+
+// ── Incremental Regeneration ──
+
+/**
+ * Regenerate only the parts of a completed crosswalk affected by framework
+ * edits or re-imports. Added and edited controls are re-mapped; their
+ * ai_generated mappings still pending review are replaced, while reviewed
+ * mappings and mappings with any other status (user_verified, user_added,
+ * user_removed, imported, inferred) are left as they are and never duplicated.
+ * Controls are matched by control number, so mappings whose controls were
+ * re-imported under new IDs move to the new IDs; mappings that point at a
+ * control number that no longer exists are marked 'orphaned'.
+ *
+ * Checkpointed like a full run; the writes are idempotent, so a resumed job
+ * can safely redo them.
+ *
+ * @param {string} crosswalkId - UUID of the crosswalks row
+ * @param {string} jobId - UUID of the job entry
+ * @param {Object} jobs - Durable job store (from createJobStore)
+ * @param {Object} [options]
+ * @param {string|null} [options.projectId] - Project the spend is billed to
+ */
+async function runIncrementalRegeneration(crosswalkId, jobId, jobs, { projectId = null } = {}) {
+  const startTime = Date.now();
+  const job = jobs.get(jobId);
+
+  try {
+    // 1. Crosswalk, current controls and the plan against the stored fingerprints
+    const { data: crosswalk, error: cwErr } = await supabaseAdmin
+      .from('crosswalks')
+      .select('*, framework_a:framework_a_id (id, name), framework_b:framework_b_id (id, name)')
+      .eq('id', crosswalkId)
+      .single();
+
+    if (cwErr || !crosswalk) {
+      throw new Error(`Failed to fetch crosswalk: ${cwErr?.message || 'not found'}`);
+    }
+
+    if (job) job.progress = 'Comparing framework controls...';
+
+    const fetchControls = (frameworkId) => fetchAllRows(() => supabaseAdmin
+      .from('controls')
+      .select('id, control_number, title, description, category')
+      .eq('framework_id', frameworkId)
+      .order('sort_order', { ascending: true })
+      .order('id', { ascending: true }));
+
+    const [{ data: controlsA, error: errA }, { data: controlsB, error: errB }] = await Promise.all([
+      fetchControls(crosswalk.framework_a_id),
+      fetchControls(crosswalk.framework_b_id),
+    ]);
+    if (errA) throw new Error(`Failed to fetch Framework A controls: ${errA.message}`);
+    if (errB) throw new Error(`Failed to fetch Framework B controls: ${errB.message}`);
+
+    const plan = planIncrementalBatches(
+      controlsA, controlsB, crosswalk.framework_a.name, crosswalk.framework_b.name,
+      crosswalk.metadata?.control_fingerprints || null
+    );
+    const { batches } = plan;
+
+    console.log(`\ud83d\udd01 [Crosswalk ${crosswalkId}] Incremental regeneration: ${plan.addedCount} added, ${plan.changedCount} changed, ${plan.deletedCount} deleted control(s)${plan.hasBaseline ? '' : ' (no baseline \u2014 re-mapping the smaller framework)'}`);
+
+    if (job) {
+      job.batchesTotal = batches.length;
+      job.batchesCompleted = 0;
+      job.mappingsFound = 0;
+      job.progress = `Starting ${batches.length} batches (${plan.changedA.length + plan.changedB.length} changed controls)...`;
+    }
+
+    // 2. Re-map the changed controls
+    const llm = batches.length > 0 ? await getLLMClient({ projectId }) : null;
+    const ledger = { crosswalkId, organizationId: crosswalk.organization_id || null, projectId };
+    const { completedBatches, totalUsage } = await processBatchesResumable({
+      crosswalkId,
+      jobId,
+      jobs,
+      batchCount: batches.length,
+      runBatch: (batchIndex) => {
+        const batch = batches[batchIndex];
+        return processCrosswalkBatch(batch.controls, batch.targetIndex, batch.sourceFrameworkName, batch.targetFrameworkName, llm, ledger, batch.prefilter);
+      },
+      describeBatch: batchIndex => `${batches[batchIndex].controls.length} ${batches[batchIndex].sourceIsA ? 'A' : 'B'} controls`,
+    });
+
+    // 3. Resolve to control IDs, oriented as control_a / control_b
+    const numberToIdA = new Map(controlsA.map(c => [c.control_number, c.id]));
+    const numberToIdB = new Map(controlsB.map(c => [c.control_number, c.id]));
+    const candidates = new Map();
+
+    batches.forEach((batch, i) => {
+      for (const raw of completedBatches[i].mappings) {
+        const sourceId = (batch.sourceIsA ? numberToIdA : numberToIdB).get(raw.source_control_number);
+        const targetId = (batch.sourceIsA ? numberToIdB : numberToIdA).get(raw.target_control_number);
+        if (!sourceId || !targetId) {
+          console.warn(`  \u26a0\ufe0f Skipping mapping: unresolved control number (source: ${raw.source_control_number}, target: ${raw.target_control_number})`);
+          continue;
+        }
+
+        const controlAId = batch.sourceIsA ? sourceId : targetId;
+        const controlBId = batch.sourceIsA ? targetId : sourceId;
+        const key = `${controlAId}:${controlBId}`;
+        const confidence = parseFloat(raw.confidence) || 0;
+        const relationshipType = raw.relationship_type || 'related';
+
+        if (!candidates.has(key) || confidence > candidates.get(key).ai_confidence) {
+          candidates.set(key, {
+            crosswalk_id: crosswalkId,
+            control_a_id: controlAId,
+            control_b_id: controlBId,
+            ai_confidence: confidence,
+            // Stated from the batch's source side; stored as "a is <type> of b"
+            relationship_type: batch.sourceIsA ? relationshipType : invertRelationship(relationshipType),
+            ai_rationale: raw.rationale || null,
+            status: 'ai_generated',
+          });
+        }
+      }
+    });
+
+    // 4. Reconcile with the stored mappings
+    if (job) job.progress = 'Reconciling mappings...';
+
+    const { data: existing, error: existErr } = await fetchAllRows(() => supabaseAdmin
+      .from('crosswalk_mappings')
+      .select('id, control_a_id, control_b_id, status, review_status')
+      .eq('crosswalk_id', crosswalkId)
+      .order('id', { ascending: true }));
+    if (existErr) throw new Error(`Failed to fetch existing mappings: ${existErr.message}`);
+
+    const idsA = new Set(controlsA.map(c => c.id));
+    const idsB = new Set(controlsB.map(c => c.id));
+    const changedIdsA = new Set(plan.changedA.map(c => c.id));
+    const changedIdsB = new Set(plan.changedB.map(c => c.id));
+
+    // A control ID a re-import replaced resolves through its old control number
+    const resolveId = (id, ids, numberToId, previousNumbers) => (
+      ids.has(id) ? id : numberToId.get(previousNumbers[id]) || null
+    );
+
+    const isPendingAi = m => m.status === 'ai_generated' && (m.review_status || 'pending') === 'pending';
+    const orphanIds = [];
+    const replaceIds = [];
+    let repointed = [];
+    const keptPairs = new Map(); // pair -> mapping holding it
+    // Mappings already on current IDs claim their pairs before any are moved onto them
+    const ordered = [
+      ...(existing || []).filter(m => idsA.has(m.control_a_id) && idsB.has(m.control_b_id)),
+      ...(existing || []).filter(m => !idsA.has(m.control_a_id) || !idsB.has(m.control_b_id)),
+    ];
+    for (const m of ordered) {
+      if (m.status === 'orphaned') {
+        keptPairs.set(`${m.control_a_id}:${m.control_b_id}`, m);
+        continue;
+      }
+
+      const controlAId = resolveId(m.control_a_id, idsA, numberToIdA, plan.previousControlNumbers.a);
+      const controlBId = resolveId(m.control_b_id, idsB, numberToIdB, plan.previousControlNumbers.b);
+      const key = `${controlAId}:${controlBId}`;
+      const moved = controlAId !== m.control_a_id || controlBId !== m.control_b_id;
+      if (!controlAId || !controlBId) {
+        orphanIds.push(m.id);
+        continue;
+      }
+
+      if (isPendingAi(m) && (changedIdsA.has(controlAId) || changedIdsB.has(controlBId))) {
+        replaceIds.push(m.id);
+        continue;
+      }
+
+      // Moved onto a pair another mapping already holds: a pending AI suggestion
+      // gives way to a curated mapping, anything else keeps the pair
+      const holder = moved ? keptPairs.get(key) : null;
+      if (holder) {
+        if (!isPendingAi(holder) || isPendingAi(m)) {
+          orphanIds.push(m.id);
+          continue;
+        }
+        replaceIds.push(holder.id);
+        repointed = repointed.filter(r => r.id !== holder.id);
+      }
+
+      if (moved) {
+        repointed.push({ id: m.id, control_a_id: controlAId, control_b_id: controlBId });
+      }
+      keptPairs.set(key, m);
+    }
+
+    const newRecords = [...candidates.entries()]
+      .filter(([key]) => !keptPairs.has(key))
+      .map(([, record]) => record);
+
+    for (let i = 0; i < orphanIds.length; i += BATCH_INSERT_SIZE) {
+      const { error } = await supabaseAdmin
+        .from('crosswalk_mappings')
+        .update({ status: 'orphaned' })
+        .in('id', orphanIds.slice(i, i + BATCH_INSERT_SIZE));
+      if (error) throw new Error(`Failed to mark orphaned mappings: ${error.message}`);
+    }
+
+    for (let i = 0; i < replaceIds.length; i += BATCH_INSERT_SIZE) {
+      const { error } = await supabaseAdmin
+        .from('crosswalk_mappings')
+        .delete()
+        .in('id', replaceIds.slice(i, i + BATCH_INSERT_SIZE));
+      if (error) throw new Error(`Failed to remove outdated mappings: ${error.message}`);
+    }
+
+    for (let i = 0; i < repointed.length; i += REPOINT_CONCURRENCY) {
+      const results = await Promise.all(repointed.slice(i, i + REPOINT_CONCURRENCY).map(({ id, ...controls }) => supabaseAdmin
+        .from('crosswalk_mappings')
+        .update(controls)
+        .eq('id', id)));
+      const failed = results.find(r => r.error);
+      if (failed) throw new Error(`Failed to move mappings to re-imported controls: ${failed.error.message}`);
+    }
+
+    let insertedCount = 0;
+    for (let i = 0; i < newRecords.length; i += BATCH_INSERT_SIZE) {
+      const batch = newRecords.slice(i, i + BATCH_INSERT_SIZE);
+      const { error: insertErr } = await supabaseAdmin.from('crosswalk_mappings').insert(batch);
+      if (insertErr) throw new Error(`Failed to save regenerated mappings: ${insertErr.message}`);
+      insertedCount += batch.length;
+    }
+
+    console.log(`\ud83d\udcbe [Crosswalk ${crosswalkId}] Replaced ${replaceIds.length} AI mappings with ${insertedCount}, moved ${repointed.length} to re-imported controls, orphaned ${orphanIds.length}`);
+
+    // 5. Statistics over active mappings, and the new fingerprint baseline
+    const { data: active, error: activeErr } = await fetchAllRows(() => supabaseAdmin
+      .from('crosswalk_mappings')
+      .select('id, ai_confidence')
+      .eq('crosswalk_id', crosswalkId)
+      .not('status', 'in', '(user_removed,orphaned)')
+      .order('id', { ascending: true }));
+    if (activeErr) throw new Error(`Failed to recount mappings: ${activeErr.message}`);
+
+    const totalMappings = active.length;
+    const avgConfidence = totalMappings > 0
+      ? parseFloat((active.reduce((sum, m) => sum + (parseFloat(m.ai_confidence) || 0), 0) / totalMappings).toFixed(2))
+      : 0;
+
+    if (job) job.progress = 'Checking mapping consistency...';
+    const lint = await lintAfterRun(crosswalkId);
+
+    const durationSeconds = Math.round((Date.now() - startTime) / 1000);
+    const regeneration = {
+      regenerated_at: new Date().toISOString(),
+      had_baseline: plan.hasBaseline,
+      controls_added: plan.addedCount,
+      controls_changed: plan.changedCount,
+      controls_deleted: plan.deletedCount,
+      mappings_replaced: replaceIds.length,
+      mappings_inserted: insertedCount,
+      mappings_repointed: repointed.length,
+      mappings_orphaned: orphanIds.length,
+      batches_processed: batches.length,
+      model: llm?.model || null,
+      tokens_used: totalUsage,
+      duration_seconds: durationSeconds,
+    };
+
+    const { error: updateErr } = await supabaseAdmin
+      .from('crosswalks')
+      .update({
+        status: 'completed',
+        error: null,
+        total_mappings: totalMappings,
+        avg_confidence: avgConfidence,
+        metadata: {
+          ...(crosswalk.metadata || {}),
+          source_controls_count: controlsA.length <= controlsB.length ? controlsA.length : controlsB.length,
+          target_controls_count: controlsA.length <= controlsB.length ? controlsB.length : controlsA.length,
+          control_fingerprints: plan.fingerprints,
+          last_regeneration: regeneration,
+          lint,
+        },
+      })
+      .eq('id', crosswalkId);
+
+    if (updateErr) {
+      console.error(`  \u274c Failed to update crosswalk status: ${updateErr.message}`);
+    }
+
+    if (job) {
+      jobs.set(jobId, {
+        status: 'completed',
+        completedAt: Date.now(),
+        crosswalkId,
+        totalMappings,
+        avgConfidence,
+        lint: lint?.summary || null,
+        metadata: regeneration,
+      });
+    }
+
+    console.log(`\u2705 [Crosswalk ${crosswalkId}] Incremental regeneration complete in ${durationSeconds}s`);
+  } catch (err) {
+    if (err.code === 'LEASE_LOST') {
+      console.warn(`\u26a0\ufe0f [Crosswalk ${crosswalkId}] ${err.message} \u2014 stopping`);
+      return;
+    }
+    console.error(`\u274c [Crosswalk ${crosswalkId}] Incremental regeneration failed:`, err.message);
+
+    // The existing mappings are still usable, so the crosswalk stays completed
+    const { error: statusErr } = await supabaseAdmin
+      .from('crosswalks')
+      .update({ status: 'completed', error: `Regeneration failed: ${err.message}` })
+      .eq('id', crosswalkId);
+    if (statusErr) {
+      console.error('  Failed to update crosswalk error status:', statusErr.message);
+    }
+
+    if (job) {
+      jobs.set(jobId, {
+        status: 'failed',
+        completedAt: Date.now(),
+        error: err.message,
+      });
+    }
+  }
+}
+
+module.exports = {
+  runCrosswalkGeneration,
+  runIncrementalRegeneration,
+  planCrosswalkBatches,
+  planIncrementalBatches,
+  buildCrosswalkBatchPrompt,
+  CROSSWALK_SYSTEM_PROMPT,
+  GPT_MAX_TOKENS,
+};
@@ -0,0 +1,401 @@
+const XLSX = require('xlsx');
+const { supabaseAdmin, fetchAllRows } = require('../utils/supabase');
+
+// ─────────────────────────────────────────────────────────────
+// Crosswalk Import
+//
+// Loads externally authored mappings (CSA CCM, Secure Controls Framework,
+// NIST OLIR STRM files, or this service's own CSV/XLSX exports) into a
+// crosswalk. Control numbers in the file are resolved against the two
+// frameworks' controls, tolerating formatting differences ("A.5.1",
+// "A 5.1", "a.05.01"). Rows that cannot be resolved are reported back
+// instead of being guessed at.
+// ─────────────────────────────────────────────────────────────
+
+const BATCH_INSERT_SIZE = 100;
+const HEADER_SCAN_ROWS = 15;
+
+// Published mappings are asserted by their author; without a stated
+// strength they are taken at full confidence
+const DEFAULT_IMPORTED_CONFIDENCE = 1.0;
+
+// Header aliases, compared after lowercasing and stripping punctuation.
+// Side A is the STRM focal document, side B the reference document.
+const COLUMN_ALIASES = {
+  a: ['focal document element', 'source control', 'control a', 'control a id', 'source control id', 'source', 'from control'],
+  b: ['reference document element', 'target control', 'control b', 'control b id', 'target control id', 'target', 'to control'],
+  relationship: ['strm relationship', 'relationship', 'relationship type', 'mapping type'],
+  confidence: ['strength of relationship', 'confidence', 'strength', 'mapping strength'],
+  rationale: ['rationale', 'justification', 'mapping rationale'],
+  notes: ['notes', 'comments', 'comment'],
+};
+
+// Confidence headers that hold an STRM strength (1-10) rather than a 0-1 confidence
+const STRENGTH_HEADERS = new Set(['strength of relationship', 'strength', 'mapping strength']);
+
+// Relationship values as written by STRM files, our own exports, and common
+// vendor spellings. STRM rows read "<focal> <relationship> <reference>",
+// matching the stored "control_a is <type> of control_b" orientation.
+const RELATIONSHIP_VALUES = {
+  'equal': 'equivalent',
+  'equals': 'equivalent',
+  'equivalent': 'equivalent',
+  'full': 'equivalent',
+  'subset of': 'subset',
+  'subset': 'subset',
+  'superset of': 'superset',
+  'superset': 'superset',
+  'intersects with': 'partial_overlap',
+  'intersects': 'partial_overlap',
+  'partial overlap': 'partial_overlap',
+  'partial': 'partial_overlap',
+  'related': 'related',
+  'related to': 'related',
+};
+const UNRELATED_VALUES = new Set(['not related to', 'not related', 'no relationship', 'none']);
+
+function normalizeHeader(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Control number as a sequence of alphanumeric tokens: letters uppercased,
+ * numbers without leading zeros. "A.5.1", "A 5.1" and "a.05.01" all give
+ * ['A', '5', '1']; "AC-2(1)" gives ['AC', '2', '1'].
+ */
+function controlTokens(value) {
+  return (String(value ?? '').toUpperCase().match(/[A-Z]+|\d+/g) || [])
+    .map(t => (/^\d+$/.test(t) ? String(parseInt(t, 10)) : t));
+}
+
+// ── Control Matching ──
+
+/**
+ * Index a framework's controls for resolving file values.
+ */
+function buildControlIndex(controls) {
+  const exact = new Map();
+  const lower = new Map();
+  const normalized = new Map();
+
+  const add = (map, key, control) => {
+    if (!map.has(key)) map.set(key, []);
+    if (!map.get(key).includes(control)) map.get(key).push(control);
+  };
+
+  for (const control of controls) {
+    const number = String(control.control_number).trim();
+    const tokens = controlTokens(number);
+    add(exact, number, control);
+    add(lower, number.toLowerCase(), control);
+    if (tokens.length > 0) add(normalized, tokens.join('.'), control);
+  }
+
+  return { exact, lower, normalized };
+}
+
+/**
+ * Look up the longest run of whitespace-separated words at one end of a
+ * value that normalizes to a control number. A leading run must be followed
+ * by a word (a title), and a trailing run must not begin with a bracket or
+ * separator, so "AC-2 (1)" never falls back to AC-2.
+ */
+function lookupWordRun(index, raw, fromStart) {
+  const words = raw.split(/\s+/).filter(Boolean);
+  for (let k = words.length - 1; k >= 1; k--) {
+    const run = fromStart ? words.slice(0, k) : words.slice(words.length - k);
+    const boundary = fromStart ? words[k] : run[0];
+    if (!(fromStart ? /^[A-Za-z]/ : /^[A-Za-z0-9]/).test(boundary)) continue;
+    const matches = index.normalized.get(controlTokens(run.join(' ')).join('.'));
+    if (matches) return matches;
+  }
+  return [];
+}
+
+/**
+ * Resolve a control number from a file against a framework's controls.
+ * Tries, in order: exact, case-insensitive, token-normalized, then a value
+ * that starts with a control number (followed by its title) or ends with
+ * one (preceded by a framework prefix such as "ISO 27001").
+ *
+ * @param {string} value
+ * @param {Object} index - From buildControlIndex
+ * @returns {{ control: Object, method: string } | { reason: string, candidates?: string[] }}
+ */
+function resolveControl(value, index) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return { reason: 'empty' };
+
+  const tiers = [
+    ['exact', () => index.exact.get(raw) || []],
+    ['case_insensitive', () => index.lower.get(raw.toLowerCase()) || []],
+    ['normalized', () => index.normalized.get(controlTokens(raw).join('.')) || []],
+    ['leading_number', () => lookupWordRun(index, raw, true)],
+    ['trailing_number', () => lookupWordRun(index, raw, false)],
+  ];
+
+  for (const [method, find] of tiers) {
+    const matches = find();
+    if (matches.length === 1) return { control: matches[0], method };
+    if (matches.length > 1) {
+      return { reason: 'ambiguous', candidates: matches.map(c => c.control_number) };
+    }
+  }
+
+  return { reason: 'not_found' };
+}
+
+// ── File Parsing ──
+
+/**
+ * Map each known column to its index given a header row.
+ */
+function detectColumns(headerRow, overrides = {}) {
+  const headers = headerRow.map(normalizeHeader);
+  const columns = {};
+
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const override = overrides[key] ? normalizeHeader(overrides[key]) : null;
+    const index = override
+      ? headers.indexOf(override)
+      : aliases.map(alias => headers.indexOf(alias)).find(i => i >= 0);
+    if (index !== undefined && index >= 0) columns[key] = index;
+  }
+  return columns;
+}
+
+/**
+ * Find the sheet and header row that hold the mappings. STRM workbooks keep
+ * them on a "Relationships" sheet below a few title rows, so each sheet's
+ * first rows are scanned for a header naming both control columns.
+ */
+function locateTable(workbook, { sheet, columnA, columnB }) {
+  const sheetNames = sheet ? [sheet] : workbook.SheetNames;
+  const overrides = { a: columnA, b: columnB };
+
+  for (const sheetName of sheetNames) {
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet) throw new Error(`Sheet not found: ${sheetName}`);
+
+    const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: false, blankrows: true });
+    for (let r = 0; r < Math.min(rows.length, HEADER_SCAN_ROWS); r++) {
+      const columns = detectColumns(rows[r], overrides);
+      if (columns.a !== undefined && columns.b !== undefined) {
+        return { sheetName, headerRowIndex: r, columns, rows };
+      }
+    }
+  }
+
+  const wanted = columnA || columnB
+    ? `"${columnA || 'source control'}" and "${columnB || 'target control'}"`
+    : 'a source and a target control column (e.g. "Focal Document Element" and "Reference Document Element")';
+  throw new Error(`Could not find a header row with ${wanted}.`);
+}
+
+/**
+ * Parse a relationship cell; null means the row states there is no relationship.
+ */
+function parseRelationship(value) {
+  const key = normalizeHeader(value);
+  if (!key) return 'related';
+  if (UNRELATED_VALUES.has(key)) return null;
+  return RELATIONSHIP_VALUES[key] || 'related';
+}
+
+/**
+ * Confidence from a cell, scaled by what the column holds: a strength column
+ * is STRM's 1-10 scale, a confidence column is 0-1 or a percentage. The
+ * value alone can't tell them apart (a strength of 1 is not full confidence).
+ *
+ * @param {*} value - Cell value
+ * @param {'strength'|'confidence'} scale - From the column header
+ */
+function parseConfidence(value, scale) {
+  const text = String(value ?? '').trim();
+  const num = parseFloat(text.replace('%', ''));
+  if (isNaN(num) || num < 0) return null;
+
+  if (scale === 'strength') {
+    return num <= 10 ? num / 10 : null;
+  }
+  if (text.endsWith('%') || num > 1) {
+    return num <= 100 ? num / 100 : null;
+  }
+  return num;
+}
+
+/**
+ * Split a control cell that lists several controls (SCF and CCM put one
+ * per line).
+ */
+function splitControlCell(value) {
+  return String(value ?? '').split(/[\r\n;,]+/).map(s => s.trim()).filter(Boolean);
+}
+
+// ── Import ──
+
+/**
+ * Parse a mapping file and resolve its rows against two frameworks.
+ *
+ * @param {string} filePath - CSV or XLSX file
+ * @param {Object} params
+ * @param {string} params.frameworkAId - Framework of the source/focal column
+ * @param {string} params.frameworkBId - Framework of the target/reference column
+ * @param {string} [params.sheet] - Worksheet name (default: first with a mapping header)
+ * @param {string} [params.columnA] - Header of the source control column, if not a standard one
+ * @param {string} [params.columnB] - Header of the target control column, if not a standard one
+ * @returns {Promise<{ mappings, unresolved, skipped, duplicates, rowsRead, matchMethods, sheetName }>}
+ */
+async function parseCrosswalkFile(filePath, { frameworkAId, frameworkBId, sheet, columnA, columnB }) {
+  const workbook = XLSX.readFile(filePath, { type: 'file', raw: false });
+  const { sheetName, headerRowIndex, columns, rows } = locateTable(workbook, { sheet, columnA, columnB });
+
+  const confidenceScale = columns.confidence !== undefined
+    && STRENGTH_HEADERS.has(normalizeHeader(rows[headerRowIndex][columns.confidence]))
+    ? 'strength'
+    : 'confidence';
+
+  const fetchControls = async (frameworkId) => {
+    const { data, error } = await fetchAllRows(() => supabaseAdmin
+      .from('controls')
+      .select('id, control_number')
+      .eq('framework_id', frameworkId)
+      .order('id', { ascending: true }));
+    if (error) throw new Error(`Failed to fetch controls: ${error.message}`);
+    return data || [];
+  };
+  const [controlsA, controlsB] = await Promise.all([fetchControls(frameworkAId), fetchControls(frameworkBId)]);
+  const indexA = buildControlIndex(controlsA);
+  const indexB = buildControlIndex(controlsB);
+
+  const cell = (row, key) => (columns[key] !== undefined ? String(row[columns[key]] ?? '').trim() : '');
+
+  const byPair = new Map();
+  const unresolved = [];
+  const matchMethods = {};
+  let skipped = 0;
+  let duplicates = 0;
+  let rowsRead = 0;
+
+  for (let r = headerRowIndex + 1; r < rows.length; r++) {
+    const row = rows[r];
+    const rowNumber = r + 1;
+    const valueA = cell(row, 'a');
+    const valueB = cell(row, 'b');
+    if (!valueA && !valueB) continue;
+    rowsRead++;
+
+    const relationshipCell = cell(row, 'relationship');
+    const relationshipType = parseRelationship(relationshipCell);
+    if (relationshipType === null || !valueA || !valueB) {
+      // Explicit "not related" rows and one-sided rows (gaps) carry no mapping
+      skipped++;
+      continue;
+    }
+
+    const resolveSide = (value, index, column) => splitControlCell(value).map((part) => {
+      const result = resolveControl(part, index);
+      if (result.control) {
+        matchMethods[result.method] = (matchMethods[result.method] || 0) + 1;
+      } else {
+        unresolved.push({ row: rowNumber, column, value: part, reason: result.reason, ...(result.candidates && { candidates: result.candidates }) });
+      }
+      return result.control;
+    }).filter(Boolean);
+
+    const resolvedA = resolveSide(valueA, indexA, 'a');
+    const resolvedB = resolveSide(valueB, indexB, 'b');
+
+    const fileConfidence = parseConfidence(cell(row, 'confidence'), confidenceScale);
+    const rationale = cell(row, 'rationale');
+    const notes = cell(row, 'notes');
+
+    for (const controlA of resolvedA) {
+      for (const controlB of resolvedB) {
+        const key = `${controlA.id}::${controlB.id}`;
+        const confidence = fileConfidence ?? DEFAULT_IMPORTED_CONFIDENCE;
+        const existing = byPair.get(key);
+        if (existing) {
+          duplicates++;
+          if (existing.ai_confidence >= confidence) continue;
+        }
+        byPair.set(key, {
+          control_a_id: controlA.id,
+          control_b_id: controlB.id,
+          relationship_type: relationshipType,
+          ai_confidence: parseFloat(confidence.toFixed(2)),
+          ai_rationale: rationale || notes || null,
+          status: 'imported',
+          provenance: {
+            method: 'import',
+            sheet: sheetName,
+            row: rowNumber,
+            control_a_value: valueA,
+            control_b_value: valueB,
+            relationship_value: relationshipCell || null,
+            confidence_supplied: fileConfidence !== null,
+            ...(rationale && notes && { notes }),
+          },
+        });
+      }
+    }
+  }
+
+  return {
+    mappings: [...byPair.values()],
+    unresolved,
+    skipped,
+    duplicates,
+    rowsRead,
+    matchMethods,
+    sheetName,
+  };
+}
+
+/**
+ * Import a parsed mapping set into an existing crosswalk row and mark it
+ * completed.
+ *
+ * @param {string} crosswalkId
+ * @param {Object} parsed - From parseCrosswalkFile
+ * @param {Object} meta - { fileName }
+ * @returns {Promise<number>} Number of mappings inserted
+ */
+async function saveImportedMappings(crosswalkId, parsed, { fileName }) {
+  let insertedCount = 0;
+  const records = parsed.mappings.map(m => ({ ...m, crosswalk_id: crosswalkId }));
+
+  for (let i = 0; i < records.length; i += BATCH_INSERT_SIZE) {
+    const batch = records.slice(i, i + BATCH_INSERT_SIZE);
+    const { error: insertErr } = await supabaseAdmin.from('crosswalk_mappings').insert(batch);
+    if (insertErr) throw new Error(`Failed to save imported mappings: ${insertErr.message}`);
+    insertedCount += batch.length;
+  }
+
+  const { error: updateErr } = await supabaseAdmin
+    .from('crosswalks')
+    .update({
+      status: 'completed',
+      metadata: {
+        imported: true,
+        source_file: fileName,
+        sheet: parsed.sheetName,
+        rows_read: parsed.rowsRead,
+        unresolved_count: parsed.unresolved.length,
+        match_methods: parsed.matchMethods,
+        imported_at: new Date().toISOString(),
+      },
+    })
+    .eq('id', crosswalkId);
+  if (updateErr) throw new Error(`Failed to update crosswalk: ${updateErr.message}`);
+
+  console.log(`📥 [Crosswalk ${crosswalkId}] Imported ${insertedCount} mappings from ${fileName} (${parsed.unresolved.length} unresolved)`);
+  return insertedCount;
+}
+
+module.exports = {
+  parseCrosswalkFile,
+  saveImportedMappings,
+  resolveControl,
+  buildControlIndex,
+};
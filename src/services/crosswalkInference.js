@@ -0,0 +1,582 @@
+const { supabaseAdmin, fetchAllRows } = require('../utils/supabase');
+const { getLLMClient } = require('./llmProvider');
+const { recordUsage } = require('./usageLedger');
+
+// ─────────────────────────────────────────────────────────────
+// Transitive Crosswalk Inference
+//
+// Derives a draft A→C crosswalk by composing finalized crosswalks along a
+// chain of frameworks (A→B→C, or longer); only approved mappings are used
+// as legs. Relationship types are composed with set semantics (stored
+// relationships read "control_a is <type> of control_b"), confidence is the
+// product along the path, and every inferred mapping is stored with status
+// 'inferred' and a provenance record of the path it came from. Optionally,
+// only the low-confidence pairs are sent to the model for verification.
+// ─────────────────────────────────────────────────────────────
+
+// ── Configuration ──
+const MIN_INFERRED_CONFIDENCE = 0.3; // Same floor generation uses
+const DEFAULT_VERIFY_BELOW = 0.6;
+const MAX_CHAIN_LENGTH = 4; // Frameworks in one chain, including both ends
+const VERIFY_BATCH_SIZE = 10;
+const GPT_MAX_TOKENS = 8192;
+const GPT_TEMPERATURE = 0.2;
+const BATCH_INSERT_SIZE = 100;
+
+// Approved mappings usable as a leg — inferred mappings are never compounded further
+const LEG_STATUSES = ['ai_generated', 'user_verified', 'user_added', 'imported'];
+
+// ── Relationship Algebra ──
+
+const INVERSE_RELATIONSHIP = {
+  equivalent: 'equivalent',
+  subset: 'superset',
+  superset: 'subset',
+  partial_overlap: 'partial_overlap',
+  related: 'related',
+};
+
+// COMPOSITION[first][second]: relationship of A to C given A→B (first) and B→C (second).
+// equivalent is the identity; anything composed with 'related' is only 'related'.
+const COMPOSITION = {
+  subset: {
+    subset: 'subset', // A ⊂ B ⊂ C
+    superset: 'related', // A and C both inside B — may not touch
+    partial_overlap: 'related', // A may lie outside the shared part
+  },
+  superset: {
+    subset: 'partial_overlap', // A and C both contain B
+    superset: 'superset', // A ⊃ B ⊃ C
+    partial_overlap: 'partial_overlap', // A contains B, which overlaps C
+  },
+  partial_overlap: {
+    subset: 'partial_overlap', // the overlap with B is also inside C
+    superset: 'related', // C may lie outside the shared part
+    partial_overlap: 'related',
+  },
+};
+
+function invertRelationship(type) {
+  return INVERSE_RELATIONSHIP[type] || 'related';
+}
+
+/**
+ * Relationship of A to C given A→B and B→C relationships.
+ */
+function composeRelationships(first, second) {
+  if (first === 'equivalent') return second;
+  if (second === 'equivalent') return first;
+  return COMPOSITION[first]?.[second] || 'related';
+}
+
+// ── Chain Discovery ──
+
+function pairKey(fromId, toId) {
+  return `${fromId}:${toId}`;
+}
+
+/**
+ * Finalized crosswalks visible to the caller, indexed by unordered framework pair.
+ */
+async function loadCrosswalkIndex(organizationIds) {
+  const { data, error } = await supabaseAdmin
+    .from('crosswalks')
+    .select('id, framework_a_id, framework_b_id, created_at')
+    .in('organization_id', organizationIds)
+    .eq('status', 'completed')
+    .not('finalized_at', 'is', null)
+    .order('created_at', { ascending: false });
+
+  if (error) throw new Error(`Failed to load crosswalks: ${error.message}`);
+
+  // Newest crosswalk wins when a pair has more than one
+  const index = new Map();
+  for (const cw of data || []) {
+    for (const key of [pairKey(cw.framework_a_id, cw.framework_b_id), pairKey(cw.framework_b_id, cw.framework_a_id)]) {
+      if (!index.has(key)) index.set(key, cw);
+    }
+  }
+  return index;
+}
+
+/**
+ * Work out which framework chains connect A to C through existing crosswalks.
+ * With `via`, that exact chain is used; otherwise every framework with a
+ * finalized crosswalk to both ends becomes a one-hop chain.
+ *
+ * @param {Object} params
+ * @param {string} params.frameworkAId
+ * @param {string} params.frameworkBId
+ * @param {string[]} [params.via] - Ordered intermediate framework IDs
+ * @param {string[]} params.organizationIds - Caller's organizations
+ * @returns {Promise<Array<{ frameworks: string[], crosswalkIds: string[] }>>} Empty when nothing connects them
+ */
+async function resolveInferenceChains({ frameworkAId, frameworkBId, via, organizationIds }) {
+  const index = await loadCrosswalkIndex(organizationIds);
+
+  const toChain = (frameworks) => {
+    const crosswalkIds = [];
+    for (let i = 0; i < frameworks.length - 1; i++) {
+      const cw = index.get(pairKey(frameworks[i], frameworks[i + 1]));
+      if (!cw) return null;
+      crosswalkIds.push(cw.id);
+    }
+    return { frameworks, crosswalkIds };
+  };
+
+  if (Array.isArray(via) && via.length > 0) {
+    const chain = toChain([frameworkAId, ...via, frameworkBId]);
+    return chain ? [chain] : [];
+  }
+
+  const intermediates = new Set();
+  for (const key of index.keys()) {
+    const [from, to] = key.split(':');
+    if (from === frameworkAId && to !== frameworkBId) intermediates.add(to);
+  }
+
+  return [...intermediates]
+    .map(middle => toChain([frameworkAId, middle, frameworkBId]))
+    .filter(Boolean);
+}
+
+// ── Composition ──
+
+/**
+ * Load one leg of a chain, oriented fromFramework → toFramework.
+ */
+async function loadLeg(crosswalkId, fromFrameworkId) {
+  const { data: crosswalk, error: cwErr } = await supabaseAdmin
+    .from('crosswalks')
+    .select('id, framework_a_id, framework_b_id')
+    .eq('id', crosswalkId)
+    .single();
+
+  if (cwErr || !crosswalk) throw new Error(`Failed to load crosswalk ${crosswalkId}: ${cwErr?.message || 'not found'}`);
+
+  const { data: mappings, error } = await fetchAllRows(() => supabaseAdmin
+    .from('crosswalk_mappings')
+    .select('id, control_a_id, control_b_id, relationship_type, ai_confidence, manual_confidence, status')
+    .eq('crosswalk_id', crosswalkId)
+    .in('status', LEG_STATUSES)
+    .eq('review_status', 'approved')
+    .order('id', { ascending: true }));
+
+  if (error) throw new Error(`Failed to load mappings for crosswalk ${crosswalkId}: ${error.message}`);
+
+  const forward = crosswalk.framework_a_id === fromFrameworkId;
+  const byFrom = new Map();
+  for (const m of mappings || []) {
+    const edge = {
+      crosswalk_id: crosswalkId,
+      mapping_id: m.id,
+      from: forward ? m.control_a_id : m.control_b_id,
+      to: forward ? m.control_b_id : m.control_a_id,
+      relationship_type: forward ? (m.relationship_type || 'related') : invertRelationship(m.relationship_type),
+      confidence: parseFloat(m.manual_confidence ?? m.ai_confidence) || 0,
+      status: m.status,
+    };
+    if (!byFrom.has(edge.from)) byFrom.set(edge.from, []);
+    byFrom.get(edge.from).push(edge);
+  }
+  return byFrom;
+}
+
+/**
+ * Compose the legs of one chain. For each (start, current) control pair only
+ * the strongest partial path is extended; weaker ones are counted as alternates.
+ *
+ * @returns {Map<string, { controlAId, controlBId, relationship_type, confidence, path, alternatePaths }>}
+ */
+function composeLegs(legs) {
+  // Seed with the first leg
+  let frontier = new Map();
+  for (const edges of legs[0].values()) {
+    for (const edge of edges) {
+      if (edge.confidence < MIN_INFERRED_CONFIDENCE) continue;
+      frontier.set(pairKey(edge.from, edge.to), {
+        controlAId: edge.from,
+        current: edge.to,
+        relationship_type: edge.relationship_type,
+        confidence: edge.confidence,
+        path: [edge],
+        alternatePaths: 0,
+      });
+    }
+  }
+
+  for (const leg of legs.slice(1)) {
+    const next = new Map();
+    for (const partial of frontier.values()) {
+      for (const edge of leg.get(partial.current) || []) {
+        // Confidence only shrinks along a path, so prune as early as possible
+        const confidence = partial.confidence * edge.confidence;
+        if (confidence < MIN_INFERRED_CONFIDENCE) continue;
+
+        const key = pairKey(partial.controlAId, edge.to);
+        const candidate = {
+          controlAId: partial.controlAId,
+          current: edge.to,
+          relationship_type: composeRelationships(partial.relationship_type, edge.relationship_type),
+          confidence,
+          path: [...partial.path, edge],
+          alternatePaths: partial.alternatePaths,
+        };
+
+        const existing = next.get(key);
+        if (!existing) {
+          next.set(key, candidate);
+        } else if (candidate.confidence > existing.confidence) {
+          candidate.alternatePaths += existing.alternatePaths + 1;
+          next.set(key, candidate);
+        } else {
+          existing.alternatePaths += candidate.alternatePaths + 1;
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  const results = new Map();
+  for (const [key, partial] of frontier) {
+    results.set(key, {
+      controlAId: partial.controlAId,
+      controlBId: partial.current,
+      relationship_type: partial.relationship_type,
+      confidence: parseFloat(partial.confidence.toFixed(2)),
+      path: partial.path,
+      alternatePaths: partial.alternatePaths,
+    });
+  }
+  return results;
+}
+
+function describePath(path, controlsById) {
+  return path.map((edge) => {
+    const to = controlsById.get(edge.to);
+    return `${to?.control_number || edge.to} (${edge.relationship_type}, ${edge.confidence.toFixed(2)})`;
+  }).join(' → ');
+}
+
+// ── Model Verification ──
+
+const INFERENCE_VERIFICATION_PROMPT = `You are an expert compliance framework analyst reviewing control mappings that were inferred by chaining existing crosswalks (A maps to B, B maps to C, therefore A may map to C).
+
+Chained inferences can be wrong: two controls can both relate to an intermediate control for different reasons. For each candidate pair, judge the DIRECT relationship between the source and target control on their own text:
+- "valid": true only if an auditor would genuinely benefit from the mapping.
+- "relationship_type": "equivalent" | "partial_overlap" | "subset" | "superset" | "related", read as "the source control is <type> of the target control".
+- "confidence": 0.0 to 1.0 for the direct relationship.
+- "rationale": 1-2 sentences naming the shared requirement.
+
+You must respond with valid JSON only. Do not include any text outside the JSON object.`;
+
+function describeControl(control) {
+  const desc = control?.description
+    ? control.description.substring(0, 400) + (control.description.length > 400 ? '...' : '')
+    : 'No description available.';
+  return `${control?.control_number || 'unknown'} — ${control?.title || ''}\n${desc}`;
+}
+
+function buildVerificationPrompt(candidates, controlsById, frameworkAName, frameworkBName) {
+  const blocks = candidates.map((c, i) => `### Pair ${i + 1}
+Source ("${frameworkAName}"): ${describeControl(controlsById.get(c.controlAId))}
+Target ("${frameworkBName}"): ${describeControl(controlsById.get(c.controlBId))}
+Inferred: ${c.relationship_type}, confidence ${c.confidence.toFixed(2)}, path ${describePath(c.path, controlsById)}`).join('\n\n');
+
+  return `Verify the following inferred mappings from "${frameworkAName}" to "${frameworkBName}".
+
+${blocks}
+
+## Output Format:
+{
+  "verdicts": [
+    { "pair": <pair number>, "valid": true | false, "relationship_type": "<type>", "confidence": <number>, "rationale": "<text>" }
+  ]
+}
+
+Return exactly one verdict per pair.`;
+}
+
+/**
+ * Ask the model to check low-confidence inferred pairs. Pairs it rejects are
+ * dropped; confirmed pairs take its relationship type and confidence. A batch
+ * that fails is left unverified rather than failing the whole inference.
+ *
+ * @returns {Promise<{ verified: number, rejected: number, failedBatches: number, usage: Object }>}
+ */
+async function verifyCandidates(candidates, controlsById, names, llm, ledger, onProgress) {
+  const totals = { verified: 0, rejected: 0, failedBatches: 0 };
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+  for (let i = 0; i < candidates.length; i += VERIFY_BATCH_SIZE) {
+    const batch = candidates.slice(i, i + VERIFY_BATCH_SIZE);
+    onProgress(`Verifying low-confidence pairs ${i + 1}-${i + batch.length} of ${candidates.length}...`);
+
+    try {
+      const response = await llm.client.chat.completions.create({
+        model: llm.model,
+        messages: [
+          { role: 'system', content: INFERENCE_VERIFICATION_PROMPT },
+          { role: 'user', content: buildVerificationPrompt(batch, controlsById, names.a, names.b) },
+        ],
+        temperature: GPT_TEMPERATURE,
+        max_completion_tokens: GPT_MAX_TOKENS,
+        response_format: { type: 'json_object' },
+      });
+      await recordUsage({
+        feature: 'crosswalk_inference',
+        model: llm.model,
+        provider: llm.provider,
+        usage: response.usage,
+        projectId: ledger.projectId,
+        organizationId: ledger.organizationId,
+        metadata: { crosswalkId: ledger.crosswalkId },
+      });
+      usage.prompt_tokens += response.usage?.prompt_tokens || 0;
+      usage.completion_tokens += response.usage?.completion_tokens || 0;
+      usage.total_tokens += response.usage?.total_tokens || 0;
+
+      const verdicts = JSON.parse(response.choices[0].message.content).verdicts || [];
+      for (const verdict of verdicts) {
+        const candidate = batch[(parseInt(verdict.pair, 10) || 0) - 1];
+        if (!candidate || candidate.verification) continue;
+
+        candidate.verification = {
+          model: llm.model,
+          valid: verdict.valid === true,
+          inferred_relationship_type: candidate.relationship_type,
+          inferred_confidence: candidate.confidence,
+          rationale: verdict.rationale || null,
+        };
+        if (verdict.valid === true) {
+          if (INVERSE_RELATIONSHIP[verdict.relationship_type]) candidate.relationship_type = verdict.relationship_type;
+          const confidence = parseFloat(verdict.confidence);
+          if (!isNaN(confidence)) candidate.confidence = Math.max(0, Math.min(1, confidence));
+          totals.verified++;
+        } else {
+          totals.rejected++;
+        }
+      }
+    } catch (err) {
+      console.error(`  ⚠️ Verification batch failed, leaving ${batch.length} pair(s) unverified: ${err.message}`);
+      totals.failedBatches++;
+    }
+  }
+
+  return { ...totals, usage };
+}
+
+/**
+ * Compose every chain, keeping the strongest path per control pair, and load
+ * the controls on every path for rationales and verification prompts.
+ *
+ * @param {Array<{ frameworks: string[], crosswalkIds: string[] }>} chains - From resolveInferenceChains
+ * @returns {Promise<{ candidates: Array, controlsById: Map }>}
+ */
+async function composeChains(chains) {
+  const inferred = new Map();
+  for (const chain of chains) {
+    const legs = [];
+    for (let i = 0; i < chain.crosswalkIds.length; i++) {
+      legs.push(await loadLeg(chain.crosswalkIds[i], chain.frameworks[i]));
+    }
+
+    for (const [key, candidate] of composeLegs(legs)) {
+      const existing = inferred.get(key);
+      if (!existing) {
+        inferred.set(key, candidate);
+      } else if (candidate.confidence > existing.confidence) {
+        candidate.alternatePaths += existing.alternatePaths + 1;
+        inferred.set(key, candidate);
+      } else {
+        existing.alternatePaths += candidate.alternatePaths + 1;
+      }
+    }
+  }
+
+  const frameworkIds = [...new Set(chains.flatMap(c => c.frameworks))];
+  const { data: controls, error: ctrlErr } = await fetchAllRows(() => supabaseAdmin
+    .from('controls')
+    .select('id, control_number, title, description')
+    .in('framework_id', frameworkIds)
+    .order('id', { ascending: true }));
+  if (ctrlErr) throw new Error(`Failed to fetch controls: ${ctrlErr.message}`);
+
+  return {
+    candidates: [...inferred.values()],
+    controlsById: new Map((controls || []).map(c => [c.id, c])),
+  };
+}
+
+// ── Main Orchestrator ──
+
+/**
+ * Build an inferred crosswalk by composing existing ones.
+ * Called fire-and-forget; reports through the job store like generation does.
+ *
+ * @param {string} crosswalkId - UUID of the new crosswalks row (framework A → framework C)
+ * @param {string} jobId - UUID of the job entry
+ * @param {Object} jobs - Durable job store
+ * @param {Object} options
+ * @param {Array<{ frameworks: string[], crosswalkIds: string[] }>} options.chains - From resolveInferenceChains
+ * @param {boolean} [options.verify=false] - Send low-confidence pairs to the model
+ * @param {number} [options.verifyBelow] - Confidence below which pairs are verified
+ * @param {string|null} [options.projectId] - Project the verification spend is billed to
+ */
+async function runCrosswalkInference(crosswalkId, jobId, jobs, { chains, verify = false, verifyBelow = DEFAULT_VERIFY_BELOW, projectId = null }) {
+  const startTime = Date.now();
+  const job = jobs.get(jobId);
+  const setProgress = (message) => { if (job) job.progress = message; };
+
+  try {
+    const { data: crosswalk, error: cwErr } = await supabaseAdmin
+      .from('crosswalks')
+      .select('*, framework_a:framework_a_id (id, name), framework_b:framework_b_id (id, name)')
+      .eq('id', crosswalkId)
+      .single();
+
+    if (cwErr || !crosswalk) {
+      throw new Error(`Failed to fetch crosswalk: ${cwErr?.message || 'not found'}`);
+    }
+
+    // 1. Compose every chain, keeping the strongest path per control pair
+    setProgress(`Composing ${chains.length} chain(s) of existing crosswalks...`);
+    const { candidates, controlsById } = await composeChains(chains);
+    console.log(`🔗 [Crosswalk ${crosswalkId}] Inferred ${candidates.length} mappings from ${chains.length} chain(s)`);
+
+    // 2. Optional model check of the weakest inferences only
+    let verification = null;
+    let model = null;
+    if (verify) {
+      const lowConfidence = candidates.filter(c => c.confidence < verifyBelow);
+      if (lowConfidence.length > 0) {
+        const llm = await getLLMClient({ projectId });
+        model = llm.model;
+        verification = await verifyCandidates(
+          lowConfidence,
+          controlsById,
+          { a: crosswalk.framework_a.name, b: crosswalk.framework_b.name },
+          llm,
+          { crosswalkId, organizationId: crosswalk.organization_id || null, projectId },
+          setProgress
+        );
+        console.log(`🧐 [Crosswalk ${crosswalkId}] Verified ${verification.verified}, rejected ${verification.rejected} of ${lowConfidence.length} low-confidence pairs`);
+      }
+    }
+
+    const mappingRecords = candidates
+      .filter(c => c.verification?.valid !== false)
+      .map(c => ({
+        crosswalk_id: crosswalkId,
+        control_a_id: c.controlAId,
+        control_b_id: c.controlBId,
+        ai_confidence: parseFloat(c.confidence.toFixed(2)),
+        relationship_type: c.relationship_type,
+        ai_rationale: c.verification?.rationale || `Inferred path: ${describePath(c.path, controlsById)}.`,
+        status: 'inferred',
+        provenance: {
+          method: 'transitive',
+          path: c.path.map(edge => ({
+            crosswalk_id: edge.crosswalk_id,
+            mapping_id: edge.mapping_id,
+            from_control_id: edge.from,
+            to_control_id: edge.to,
+            relationship_type: edge.relationship_type,
+            confidence: edge.confidence,
+            status: edge.status,
+          })),
+          alternate_paths: c.alternatePaths,
+          verification: c.verification || null,
+        },
+      }));
+
+    // 3. Save (a previous attempt may have crashed part-way through the insert)
+    setProgress('Saving inferred mappings...');
+    if ((job?.attempts || 1) > 1) {
+      const { error: clearErr } = await supabaseAdmin.from('crosswalk_mappings').delete().eq('crosswalk_id', crosswalkId);
+      if (clearErr) throw new Error(`Failed to clear partial mappings: ${clearErr.message}`);
+    }
+
+    let insertedCount = 0;
+    for (let i = 0; i < mappingRecords.length; i += BATCH_INSERT_SIZE) {
+      const batch = mappingRecords.slice(i, i + BATCH_INSERT_SIZE);
+      const { error: insertErr } = await supabaseAdmin.from('crosswalk_mappings').insert(batch);
+      if (insertErr) {
+        console.error(`  ❌ DB insert batch failed: ${insertErr.message}`);
+      } else {
+        insertedCount += batch.length;
+      }
+    }
+
+    const avgConfidence = mappingRecords.length > 0
+      ? parseFloat((mappingRecords.reduce((sum, m) => sum + m.ai_confidence, 0) / mappingRecords.length).toFixed(2))
+      : 0;
+    const durationSeconds = Math.round((Date.now() - startTime) / 1000);
+    const metadata = {
+      inferred: true,
+      model,
+      tokens_used: verification?.usage || null,
+      duration_seconds: durationSeconds,
+      chains: chains.map(c => ({ frameworks: c.frameworks, crosswalk_ids: c.crosswalkIds })),
+      verification: verification ? {
+        threshold: verifyBelow,
+        verified: verification.verified,
+        rejected: verification.rejected,
+        failed_batches: verification.failedBatches,
+      } : null,
+    };
+
+    const { error: updateErr } = await supabaseAdmin
+      .from('crosswalks')
+      .update({ status: 'completed', total_mappings: insertedCount, avg_confidence: avgConfidence, metadata })
+      .eq('id', crosswalkId);
+
+    if (updateErr) {
+      console.error(`  ❌ Failed to update crosswalk status: ${updateErr.message}`);
+    }
+
+    if (job) {
+      jobs.set(jobId, {
+        status: 'completed',
+        completedAt: Date.now(),
+        crosswalkId,
+        totalMappings: insertedCount,
+        avgConfidence,
+        metadata,
+      });
+    }
+
+    console.log(`✅ [Crosswalk ${crosswalkId}] Inference complete! ${insertedCount} mappings in ${durationSeconds}s`);
+  } catch (err) {
+    console.error(`❌ [Crosswalk ${crosswalkId}] Inference failed:`, err.message);
+
+    const { error: statusErr } = await supabaseAdmin
+      .from('crosswalks')
+      .update({ status: 'failed', error: err.message })
+      .eq('id', crosswalkId);
+    if (statusErr) {
+      console.error('  Failed to update crosswalk error status:', statusErr.message);
+    }
+
+    if (job) {
+      jobs.set(jobId, {
+        status: 'failed',
+        completedAt: Date.now(),
+        error: err.message,
+      });
+    }
+  }
+}
+
+module.exports = {
+  runCrosswalkInference,
+  resolveInferenceChains,
+  composeRelationships,
+  invertRelationship,
+  composeChains,
+  buildVerificationPrompt,
+  INFERENCE_VERIFICATION_PROMPT,
+  VERIFY_BATCH_SIZE,
+  DEFAULT_VERIFY_BELOW,
+  MAX_CHAIN_LENGTH,
+};
@@ -0,0 +1,258 @@
+const { supabaseAdmin, fetchAllRows } = require('../utils/supabase');
+const { invertRelationship } = require('./crosswalkInference');
+
+// ─────────────────────────────────────────────────────────────
+// Crosswalk Lint
+//
+// Crosswalk batches are generated independently, so their mappings can
+// contradict each other. The lint pass checks the active mappings of one
+// crosswalk and returns a structured report of issues:
+//   conflicting_relationships — one control pair mapped with different types
+//   equivalent_fan_out        — a control "equivalent" to several controls
+//   high_fan_out              — a control mapped to unusually many controls
+//   unmapped_controls         — controls with no active mapping, per side
+//   reverse_mismatch          — a pair typed differently in another crosswalk
+//                               over the same two frameworks
+//   reverse_only              — confident pairs the other crosswalk has and this one lacks
+// It runs after generation and regeneration (stored in metadata.lint) and on demand.
+// ─────────────────────────────────────────────────────────────
+
+// ── Configuration ──
+const EQUIVALENT_FAN_OUT_LIMIT = 2; // Equivalence is near one-to-one; more than this is suspicious
+const FAN_OUT_LIMIT = 12;
+const REVERSE_ONLY_MIN_CONFIDENCE = 0.8;
+const MAX_LISTED_PAIRS = 50;
+
+const INACTIVE_STATUSES = '(user_removed,orphaned)';
+
+async function fetchActiveMappings(crosswalkId) {
+  const { data, error } = await fetchAllRows(() => supabaseAdmin
+    .from('crosswalk_mappings')
+    .select('id, control_a_id, control_b_id, relationship_type, ai_confidence, manual_confidence, status')
+    .eq('crosswalk_id', crosswalkId)
+    .not('status', 'in', INACTIVE_STATUSES)
+    .order('id', { ascending: true }));
+
+  if (error) throw new Error(`Failed to fetch mappings for crosswalk ${crosswalkId}: ${error.message}`);
+  return data || [];
+}
+
+async function fetchControlNumbers(frameworkId) {
+  const { data, error } = await fetchAllRows(() => supabaseAdmin
+    .from('controls')
+    .select('id, control_number')
+    .eq('framework_id', frameworkId)
+    .order('sort_order', { ascending: true })
+    .order('id', { ascending: true }));
+
+  if (error) throw new Error(`Failed to fetch controls: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Other completed crosswalks over the same two frameworks, in either orientation.
+ */
+async function findReverseCrosswalks(crosswalk, organizationIds, reverseCrosswalkId) {
+  let query = supabaseAdmin
+    .from('crosswalks')
+    .select('id, name, framework_a_id, framework_b_id')
+    .eq('status', 'completed')
+    .neq('id', crosswalk.id)
+    .or(`and(framework_a_id.eq.${crosswalk.framework_a_id},framework_b_id.eq.${crosswalk.framework_b_id}),and(framework_a_id.eq.${crosswalk.framework_b_id},framework_b_id.eq.${crosswalk.framework_a_id})`);
+
+  query = reverseCrosswalkId ? query.eq('id', reverseCrosswalkId) : query.in('organization_id', organizationIds);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to find reverse crosswalks: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Lint one crosswalk.
+ *
+ * @param {string} crosswalkId
+ * @param {Object} [options]
+ * @param {string[]} [options.organizationIds] - Where to look for reverse crosswalks (defaults to the crosswalk's organization)
+ * @param {string} [options.reverseCrosswalkId] - Compare against this crosswalk only
+ * @returns {Promise<{ crosswalk_id, checked_at, summary, issues, compared_with }>}
+ */
+async function lintCrosswalk(crosswalkId, { organizationIds, reverseCrosswalkId } = {}) {
+  const { data: crosswalk, error: cwErr } = await supabaseAdmin
+    .from('crosswalks')
+    .select('id, organization_id, framework_a_id, framework_b_id, framework_a:framework_a_id (id, name), framework_b:framework_b_id (id, name)')
+    .eq('id', crosswalkId)
+    .single();
+
+  if (cwErr || !crosswalk) throw new Error('Crosswalk not found');
+
+  const [mappings, controlsA, controlsB] = await Promise.all([
+    fetchActiveMappings(crosswalkId),
+    fetchControlNumbers(crosswalk.framework_a_id),
+    fetchControlNumbers(crosswalk.framework_b_id),
+  ]);
+
+  const numbers = new Map([...controlsA, ...controlsB].map(c => [c.id, c.control_number]));
+  const label = id => numbers.get(id) || id;
+  const issues = [];
+
+  // 1. The same pair mapped more than once with different relationship types
+  const byPair = new Map();
+  for (const m of mappings) {
+    const key = `${m.control_a_id}:${m.control_b_id}`;
+    if (!byPair.has(key)) byPair.set(key, []);
+    byPair.get(key).push(m);
+  }
+  for (const pairMappings of byPair.values()) {
+    const types = [...new Set(pairMappings.map(m => m.relationship_type || 'related'))];
+    if (types.length < 2) continue;
+    const { control_a_id: aId, control_b_id: bId } = pairMappings[0];
+    issues.push({
+      code: 'conflicting_relationships',
+      severity: 'error',
+      message: `${label(aId)} → ${label(bId)} is mapped as ${types.join(' and ')}`,
+      control_ids: [aId, bId],
+      mapping_ids: pairMappings.map(m => m.id),
+      details: { relationship_types: types },
+    });
+  }
+
+  // 2. Fan-out, checked from both sides
+  const sides = [
+    { key: 'control_a_id', other: 'control_b_id', framework: crosswalk.framework_a },
+    { key: 'control_b_id', other: 'control_a_id', framework: crosswalk.framework_b },
+  ];
+  for (const side of sides) {
+    const byControl = new Map();
+    for (const m of mappings) {
+      if (!byControl.has(m[side.key])) byControl.set(m[side.key], []);
+      byControl.get(m[side.key]).push(m);
+    }
+
+    for (const [controlId, controlMappings] of byControl) {
+      const equivalents = controlMappings.filter(m => m.relationship_type === 'equivalent');
+      if (equivalents.length > EQUIVALENT_FAN_OUT_LIMIT) {
+        issues.push({
+          code: 'equivalent_fan_out',
+          severity: 'warning',
+          message: `${label(controlId)} (${side.framework.name}) is equivalent to ${equivalents.length} controls: ${equivalents.map(m => label(m[side.other])).join(', ')}`,
+          control_ids: [controlId],
+          mapping_ids: equivalents.map(m => m.id),
+          details: { count: equivalents.length, limit: EQUIVALENT_FAN_OUT_LIMIT },
+        });
+      }
+      if (controlMappings.length > FAN_OUT_LIMIT) {
+        issues.push({
+          code: 'high_fan_out',
+          severity: 'warning',
+          message: `${label(controlId)} (${side.framework.name}) is mapped to ${controlMappings.length} controls`,
+          control_ids: [controlId],
+          mapping_ids: controlMappings.map(m => m.id),
+          details: { count: controlMappings.length, limit: FAN_OUT_LIMIT },
+        });
+      }
+    }
+  }
+
+  // 3. Controls with no active mapping, one issue per side
+  const mappedA = new Set(mappings.map(m => m.control_a_id));
+  const mappedB = new Set(mappings.map(m => m.control_b_id));
+  for (const [framework, controls, mapped] of [[crosswalk.framework_a, controlsA, mappedA], [crosswalk.framework_b, controlsB, mappedB]]) {
+    const unmapped = controls.filter(c => !mapped.has(c.id));
+    if (unmapped.length === 0) continue;
+    issues.push({
+      code: 'unmapped_controls',
+      severity: 'info',
+      message: `${unmapped.length} of ${controls.length} ${framework.name} controls have no mapping`,
+      control_ids: unmapped.map(c => c.id),
+      mapping_ids: [],
+      details: { framework_id: framework.id, control_numbers: unmapped.map(c => c.control_number) },
+    });
+  }
+
+  // 4. Disagreements with other crosswalks over the same frameworks
+  const reverseCrosswalks = await findReverseCrosswalks(
+    crosswalk,
+    organizationIds || [crosswalk.organization_id],
+    reverseCrosswalkId
+  );
+  for (const reverse of reverseCrosswalks) {
+    const flipped = reverse.framework_a_id !== crosswalk.framework_a_id;
+    const reverseByPair = new Map();
+    for (const m of await fetchActiveMappings(reverse.id)) {
+      // Re-orient to this crosswalk: "control_a is <type> of control_b"
+      const aId = flipped ? m.control_b_id : m.control_a_id;
+      const bId = flipped ? m.control_a_id : m.control_b_id;
+      reverseByPair.set(`${aId}:${bId}`, {
+        mapping: m,
+        aId,
+        bId,
+        type: flipped ? invertRelationship(m.relationship_type) : (m.relationship_type || 'related'),
+        confidence: parseFloat(m.manual_confidence ?? m.ai_confidence) || 0,
+      });
+    }
+
+    for (const [key, pairMappings] of byPair) {
+      const other = reverseByPair.get(key);
+      if (!other) continue;
+      const type = pairMappings[0].relationship_type || 'related';
+      if (type === other.type) continue;
+      issues.push({
+        code: 'reverse_mismatch',
+        severity: 'warning',
+        message: `${label(other.aId)} → ${label(other.bId)} is ${type} here but ${other.type} in "${reverse.name}"`,
+        control_ids: [other.aId, other.bId],
+        mapping_ids: pairMappings.map(m => m.id),
+        details: { reverse_crosswalk_id: reverse.id, reverse_mapping_id: other.mapping.id, relationship_type: type, reverse_relationship_type: other.type },
+      });
+    }
+
+    const reverseOnly = [...reverseByPair.entries()]
+      .filter(([key, other]) => !byPair.has(key) && other.confidence >= REVERSE_ONLY_MIN_CONFIDENCE)
+      .map(([, other]) => other);
+    if (reverseOnly.length > 0) {
+      issues.push({
+        code: 'reverse_only',
+        severity: 'info',
+        message: `${reverseOnly.length} confident mapping(s) in "${reverse.name}" have no counterpart here`,
+        control_ids: [],
+        mapping_ids: [],
+        details: {
+          reverse_crosswalk_id: reverse.id,
+          count: reverseOnly.length,
+          pairs: reverseOnly.slice(0, MAX_LISTED_PAIRS).map(other => ({
+            control_a_id: other.aId,
+            control_b_id: other.bId,
+            control_a_number: label(other.aId),
+            control_b_number: label(other.bId),
+            relationship_type: other.type,
+            confidence: other.confidence,
+          })),
+        },
+      });
+    }
+  }
+
+  const count = severity => issues.filter(i => i.severity === severity).length;
+  const summary = {
+    errors: count('error'),
+    warnings: count('warning'),
+    info: count('info'),
+    active_mappings: mappings.length,
+    controls_a: controlsA.length,
+    controls_a_mapped: mappedA.size,
+    controls_b: controlsB.length,
+    controls_b_mapped: mappedB.size,
+  };
+
+  console.log(`🔎 [Crosswalk ${crosswalkId}] Lint: ${summary.errors} error(s), ${summary.warnings} warning(s), ${summary.info} info`);
+
+  return {
+    crosswalk_id: crosswalkId,
+    checked_at: new Date().toISOString(),
+    summary,
+    issues,
+    compared_with: reverseCrosswalks.map(r => ({ id: r.id, name: r.name })),
+  };
+}
+
+module.exports = { lintCrosswalk };
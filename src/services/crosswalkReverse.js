@@ -0,0 +1,111 @@
+const { supabaseAdmin, fetchAllRows } = require('../utils/supabase');
+const { invertRelationship } = require('./crosswalkInference');
+const { historyEntry } = require('./crosswalkReview');
+
+// ─────────────────────────────────────────────────────────────
+// Reverse Crosswalk Derivation
+//
+// Builds the B→A crosswalk from a finalized A→B crosswalk without a model
+// run, so the reviewed decisions carry over exactly. Each mapping swaps
+// control sides and inverts its relationship (subset ↔ superset); rationale,
+// notes, confidence, status and review state are copied, and provenance
+// points back at the original mapping. Orphaned mappings are not carried over.
+// ─────────────────────────────────────────────────────────────
+
+const BATCH_INSERT_SIZE = 100;
+
+/**
+ * Inverted copy of one mapping for the reverse crosswalk.
+ *
+ * @param {Object} mapping - Source crosswalk_mappings row
+ * @param {string} reverseCrosswalkId
+ * @param {Object} source - { id, name } of the source crosswalk
+ * @param {string} reviewerId - User deriving the reverse crosswalk
+ */
+function invertMapping(mapping, reverseCrosswalkId, source, reviewerId) {
+  return {
+    crosswalk_id: reverseCrosswalkId,
+    control_a_id: mapping.control_b_id,
+    control_b_id: mapping.control_a_id,
+    // Stored relationships read "control_a is <type> of control_b"
+    relationship_type: invertRelationship(mapping.relationship_type),
+    ai_confidence: mapping.ai_confidence,
+    manual_confidence: mapping.manual_confidence,
+    ai_rationale: mapping.ai_rationale,
+    user_notes: mapping.user_notes,
+    status: mapping.status,
+    verified_at: mapping.verified_at || null,
+    verified_by: mapping.verified_by || null,
+    review_status: mapping.review_status || 'pending',
+    reviewed_by: mapping.reviewed_by || null,
+    reviewed_at: mapping.reviewed_at || null,
+    review_history: [
+      ...(mapping.review_history || []),
+      historyEntry({
+        action: 'derived',
+        reviewStatus: mapping.review_status || 'pending',
+        reviewerId,
+        comment: `Inverted from crosswalk "${source.name}"`,
+      }),
+    ],
+    provenance: {
+      method: 'reverse',
+      crosswalk_id: source.id,
+      mapping_id: mapping.id,
+      ...(mapping.provenance && { original: mapping.provenance }),
+    },
+  };
+}
+
+/**
+ * Copy every mapping of a crosswalk, inverted, into an existing reverse
+ * crosswalk row and mark it completed and finalized.
+ *
+ * @param {Object} source - Source crosswalk row ({ id, name })
+ * @param {string} reverseCrosswalkId - New crosswalk row with the frameworks swapped
+ * @param {Object} params
+ * @param {string} params.reviewerId
+ * @returns {Promise<number>} Number of mappings inserted
+ */
+async function deriveReverseMappings(source, reverseCrosswalkId, { reviewerId }) {
+  const { data: mappings, error } = await fetchAllRows(() => supabaseAdmin
+    .from('crosswalk_mappings')
+    .select('*')
+    .eq('crosswalk_id', source.id)
+    .neq('status', 'orphaned')
+    .order('id', { ascending: true }));
+
+  if (error) throw new Error(`Failed to fetch source mappings: ${error.message}`);
+
+  const records = (mappings || []).map(m => invertMapping(m, reverseCrosswalkId, source, reviewerId));
+
+  let insertedCount = 0;
+  for (let i = 0; i < records.length; i += BATCH_INSERT_SIZE) {
+    const batch = records.slice(i, i + BATCH_INSERT_SIZE);
+    const { error: insertErr } = await supabaseAdmin.from('crosswalk_mappings').insert(batch);
+    if (insertErr) throw new Error(`Failed to save reverse mappings: ${insertErr.message}`);
+    insertedCount += batch.length;
+  }
+
+  // The decisions were already reviewed on the source, so the reverse starts finalized
+  const now = new Date().toISOString();
+  const { error: updateErr } = await supabaseAdmin
+    .from('crosswalks')
+    .update({
+      status: 'completed',
+      finalized_at: now,
+      finalized_by: reviewerId,
+      metadata: {
+        derived_from: { crosswalk_id: source.id, name: source.name, method: 'reverse' },
+        derived_at: now,
+        mappings_copied: insertedCount,
+      },
+    })
+    .eq('id', reverseCrosswalkId);
+  if (updateErr) throw new Error(`Failed to update crosswalk: ${updateErr.message}`);
+
+  console.log(`🔁 [Crosswalk ${reverseCrosswalkId}] Derived ${insertedCount} mappings by inverting crosswalk ${source.id}`);
+  return insertedCount;
+}
+
+module.exports = { invertMapping, deriveReverseMappings };
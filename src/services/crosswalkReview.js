@@ -0,0 +1,167 @@
+const { supabaseAdmin, fetchAllRows } = require('../utils/supabase');
+
+// ─────────────────────────────────────────────────────────────
+// Crosswalk Review
+//
+// Sign-off is tracked separately from a mapping's `status` (which records
+// where the mapping came from and whether a user edited it). Every mapping
+// has a review state; each review action or comment is appended to its
+// history. A crosswalk can be finalized once no active mapping is still
+// pending or under discussion — finalizing locks mapping edits, and only
+// finalized crosswalks (their approved mappings) are reused downstream by
+// finding propagation and crosswalk inference. Finalizing and reopening
+// take an organization owner, admin or reviewer; editing a mapping's
+// relationship, confidence or status sends it back to pending.
+//
+// crosswalk_mappings review columns: review_status (default 'pending'),
+// reviewed_by, reviewed_at, review_history (jsonb array of
+// { action, review_status, reviewer_id, comment, at })
+// crosswalks finalize columns: finalized_at, finalized_by
+// ─────────────────────────────────────────────────────────────
+
+const REVIEW_STATES = ['pending', 'approved', 'rejected', 'needs_discussion'];
+// Mappings that still need a decision before a crosswalk can be finalized
+const OPEN_REVIEW_STATES = ['pending', 'needs_discussion'];
+// Mapping statuses that take no part in review
+const INACTIVE_STATUSES = '(user_removed,orphaned)';
+const UPDATE_CONCURRENCY = 10;
+// organization_members.role values that may finalize or reopen a crosswalk
+const CROSSWALK_SIGNOFF_ROLES = ['owner', 'admin', 'reviewer'];
+
+/**
+ * History entry for a review action or comment.
+ */
+function historyEntry({ action, reviewStatus = null, reviewerId, comment = null }) {
+  return {
+    action,
+    review_status: reviewStatus,
+    reviewer_id: reviewerId,
+    comment: comment || null,
+    at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Fields to update on one mapping for a review decision.
+ *
+ * @param {Object} mapping - Current row (needs review_history)
+ * @param {Object} params - { reviewStatus, reviewerId, comment }
+ */
+function reviewUpdate(mapping, { reviewStatus, reviewerId, comment }) {
+  return {
+    review_status: reviewStatus,
+    reviewed_by: reviewerId,
+    reviewed_at: new Date().toISOString(),
+    review_history: [
+      ...(mapping.review_history || []),
+      historyEntry({ action: 'review', reviewStatus, reviewerId, comment }),
+    ],
+  };
+}
+
+/**
+ * Apply one review decision to every active mapping that matches the filter.
+ *
+ * @param {string} crosswalkId
+ * @param {Object} params
+ * @param {string} params.reviewStatus - New review state
+ * @param {string} params.reviewerId
+ * @param {string} [params.comment]
+ * @param {Object} [params.filter]
+ * @param {string[]} [params.filter.mappingIds]
+ * @param {string[]} [params.filter.relationshipTypes]
+ * @param {number} [params.filter.minConfidence] - Minimum ai_confidence
+ * @param {string[]} [params.filter.statuses] - Mapping statuses (ai_generated, imported, ...)
+ * @param {string[]} [params.filter.reviewStatuses=['pending']] - Current review states to act on
+ * @returns {Promise<{ matched: number, updated: number, failed: number }>}
+ */
+async function bulkReview(crosswalkId, { reviewStatus, reviewerId, comment, filter = {} }) {
+  const reviewStatuses = filter.reviewStatuses || ['pending'];
+  const buildQuery = () => {
+    let query = supabaseAdmin
+      .from('crosswalk_mappings')
+      .select('id, review_history')
+      .eq('crosswalk_id', crosswalkId)
+      .not('status', 'in', INACTIVE_STATUSES);
+
+    // Mappings from before review tracking have a null review_status and count as pending
+    query = reviewStatuses.includes('pending')
+      ? query.or(`review_status.is.null,review_status.in.(${reviewStatuses.join(',')})`)
+      : query.in('review_status', reviewStatuses);
+
+    if (filter.mappingIds) query = query.in('id', filter.mappingIds);
+    if (filter.relationshipTypes) query = query.in('relationship_type', filter.relationshipTypes);
+    if (filter.minConfidence != null) query = query.gte('ai_confidence', filter.minConfidence);
+    if (filter.statuses) query = query.in('status', filter.statuses);
+    return query.order('id', { ascending: true });
+  };
+
+  // Every page is read before any row is updated, so the filter can't shift under the paging
+  const { data: mappings, error } = await fetchAllRows(buildQuery);
+  if (error) throw new Error(`Failed to select mappings: ${error.message}`);
+
+  // The history append is per row, so rows are updated individually
+  let updated = 0;
+  let failed = 0;
+  for (let i = 0; i < mappings.length; i += UPDATE_CONCURRENCY) {
+    const results = await Promise.all(mappings.slice(i, i + UPDATE_CONCURRENCY).map(m => supabaseAdmin
+      .from('crosswalk_mappings')
+      .update(reviewUpdate(m, { reviewStatus, reviewerId, comment }))
+      .eq('id', m.id)));
+
+    for (const { error: updateErr } of results) {
+      if (updateErr) {
+        failed++;
+        console.error(`  ❌ [Crosswalk ${crosswalkId}] Review update failed: ${updateErr.message}`);
+      } else {
+        updated++;
+      }
+    }
+  }
+
+  console.log(`📝 [Crosswalk ${crosswalkId}] Bulk review → ${reviewStatus}: ${updated}/${mappings.length} mappings by ${reviewerId}`);
+  return { matched: mappings.length, updated, failed };
+}
+
+/**
+ * Review counts over active mappings, and whether the crosswalk can be finalized.
+ *
+ * @param {string} crosswalkId
+ * @returns {Promise<{ counts: Object, open: number, canFinalize: boolean }>}
+ */
+async function reviewSummary(crosswalkId) {
+  // Counted server-side: a select of the rows would stop at the 1000-row cap
+  const results = await Promise.all(REVIEW_STATES.map((state) => {
+    const query = supabaseAdmin
+      .from('crosswalk_mappings')
+      .select('id', { count: 'exact', head: true })
+      .eq('crosswalk_id', crosswalkId)
+      .not('status', 'in', INACTIVE_STATUSES);
+    return state === 'pending'
+      ? query.or('review_status.is.null,review_status.eq.pending')
+      : query.eq('review_status', state);
+  }));
+
+  const failed = results.find(r => r.error);
+  if (failed) throw new Error(`Failed to count reviews: ${failed.error.message}`);
+
+  const counts = Object.fromEntries(REVIEW_STATES.map((state, i) => [state, results[i].count || 0]));
+  const open = OPEN_REVIEW_STATES.reduce((sum, state) => sum + counts[state], 0);
+
+  return { counts, open, canFinalize: open === 0 && counts.approved > 0 };
+}
+
+function isFinalized(crosswalk) {
+  return Boolean(crosswalk?.finalized_at);
+}
+
+module.exports = {
+  REVIEW_STATES,
+  OPEN_REVIEW_STATES,
+  CROSSWALK_SIGNOFF_ROLES,
+  historyEntry,
+  reviewUpdate,
+  bulkReview,
+  reviewSummary,
+  isFinalized,
+};
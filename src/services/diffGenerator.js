@@ -1,3 +1,5 @@
+const { formatPageCitation } = require('../utils/pageMap');
+
 function generateDiff(analysisResult, requirementText) {
   const { requirements_breakdown = [], recommendations = [], critical_gaps = [] } = analysisResult;
 
@@ -35,6 +37,7 @@ function generateRequirementCoverage(breakdown) {
       text: req.requirement_text,
       status: req.status,
       evidence: req.evidence_found,
+      page_number: req.evidence_location?.page_number ?? null,
       gap: req.gap_description,
       confidence: req.confidence,
       analysis_notes: req.analysis_notes || null,
@@ -50,6 +53,7 @@ function generateSideBySide(breakdown) {
     id: req.requirement_id,
     required: req.requirement_text,
     found: req.evidence_found || '— No evidence found —',
+    page_number: req.evidence_location?.page_number ?? null,
     status: req.status,
     gap: req.gap_description,
     confidence: req.confidence,
@@ -104,6 +108,7 @@ function generateHighlightRanges(breakdown) {
       status: req.status,
       evidenceText: req.evidence_found,
       sectionContext: req.evidence_location.section_context || null,
+      pageNumber: req.evidence_location.page_number ?? null,
     }));
 }
 
@@ -213,7 +218,7 @@ function generateHtmlExport(diffData, metadata = {}) {
           <span class="badge" style="background: ${statusColors[item.status] || '#6b7280'}">${statusLabel(item.status)}</span>
           ${escapeHtml(item.id)}: ${escapeHtml(item.required)}
         </div>
-        <div class="evidence-text" style="margin-bottom: 0.25rem;">Evidence: ${escapeHtml(item.found)}</div>
+        <div class="evidence-text" style="margin-bottom: 0.25rem;">Evidence${item.page_number ? ` (${formatPageCitation([item.page_number])})` : ''}: ${escapeHtml(item.found)}</div>
         ${item.analysis_notes ? `<div style="color: #4b5563; font-size: 0.85rem; margin-bottom: 0.25rem; padding: 0.5rem; background: #f9fafb; border-radius: 4px;"><strong>Analysis:</strong> ${escapeHtml(item.analysis_notes)}</div>` : ''}
         ${item.visual_description ? `<div style="color: #6366f1; font-size: 0.85rem; margin-bottom: 0.25rem;"><strong>Visual Description:</strong> ${escapeHtml(item.visual_description)}</div>` : ''}
         ${item.gap ? `<div class="gap-text">Gap: ${escapeHtml(item.gap)}</div>` : ''}
@@ -21,6 +21,9 @@ const SUPPORTED_TYPES = {
 // Maximum pages to convert from a scanned PDF for vision analysis
 const SCANNED_PDF_MAX_PAGES = 10;
 
+// pdf-parse prefixes every page's text with this when joining pages
+const PDF_PAGE_SEPARATOR = '\n\n';
+
 /**
  * Check if a MIME type is an image that requires vision-based analysis.
  * @param {string} mimeType
@@ -102,13 +105,15 @@ function parseSpreadsheet(filePath) {
  * Parse a document and return a structured result.
  *
  * Return shapes:
- *   { type: 'text', text: string }         — normal text-based document (PDF, DOCX, TXT, XLSX, CSV)
- *   { type: 'scanned_pdf', pages: Array }  — scanned PDF converted to page images
- *   { type: 'image' }                      — native image file (caller routes to vision API)
+ *   { type: 'text', text: string, pageMap }  — normal text-based document (PDF, DOCX, TXT, XLSX, CSV)
+ *   { type: 'scanned_pdf', pages: Array }    — scanned PDF converted to page images
+ *   { type: 'image' }                        — native image file (caller routes to vision API)
+ *
+ * pageMap is [{ pageNumber, startOffset, endOffset }] into text for PDFs, null otherwise.
  *
  * @param {string} filePath - Path to the downloaded temp file
  * @param {string} mimeType - File MIME type
- * @returns {Promise<{ type: string, text?: string, pages?: Array }>}
+ * @returns {Promise<{ type: string, text?: string, pageMap?: Array|null, pages?: Array }>}
  */
 async function parseDocument(filePath, mimeType) {
   console.log(`📝 Parsing document: ${path.basename(filePath)} (${mimeType})`);
@@ -121,11 +126,12 @@ async function parseDocument(filePath, mimeType) {
   }
 
   let text = '';
+  let pageMap = null;
 
   try {
     switch (type) {
       case 'pdf':
-        text = await parsePdf(filePath);
+        ({ text, pageMap } = await parsePdf(filePath));
         break;
       case 'docx':
         text = await parseDocx(filePath);
@@ -166,14 +172,64 @@ async function parseDocument(filePath, mimeType) {
     throw new Error('No text content could be extracted from the document.');
   }
 
-  console.log(`✅ Extracted ${text.length} characters from document`);
-  return { type: 'text', text: text.trim() };
+  console.log(`✅ Extracted ${text.length} characters from document${pageMap ? ` (${pageMap.length} pages)` : ''}`);
+  return { type: 'text', text: text.trim(), pageMap };
+}
+
+/**
+ * Render one PDF page's text the same way pdf-parse's default renderer does
+ * (items on the same baseline are joined, a new baseline starts a new line).
+ */
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY == item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
 }
 
+/**
+ * Extract PDF text plus a per-page offset map into the (trimmed) text.
+ *
+ * @returns {Promise<{ text: string, pageMap: Array<{ pageNumber: number, startOffset: number, endOffset: number }> }>}
+ */
 async function parsePdf(filePath) {
   const dataBuffer = fs.readFileSync(filePath);
-  const data = await pdfParse(dataBuffer);
-  return data.text;
+  const pageTexts = [];
+  const data = await pdfParse(dataBuffer, {
+    pagerender: async (pageData) => {
+      const pageText = await renderPdfPage(pageData);
+      pageTexts[pageData.pageIndex] = pageText;
+      return pageText;
+    },
+  });
+
+  // Offsets are computed against the trimmed text every caller works with
+  const rawText = data.text;
+  const leadingTrim = rawText.length - rawText.trimStart().length;
+  const text = rawText.trim();
+
+  const pageMap = [];
+  let cursor = 0;
+  for (let i = 0; i < data.numrender; i++) {
+    cursor += PDF_PAGE_SEPARATOR.length;
+    const pageLength = (pageTexts[i] || '').length;
+    const startOffset = Math.max(0, cursor - leadingTrim);
+    const endOffset = Math.min(text.length, cursor + pageLength - leadingTrim);
+    cursor += pageLength;
+    if (endOffset > startOffset) {
+      pageMap.push({ pageNumber: i + 1, startOffset, endOffset });
+    }
+  }
+
+  return { text, pageMap };
 }
 
 async function parseDocx(filePath) {
@@ -191,11 +247,12 @@ async function parseText(filePath) {
 /**
  * Parse a document for the document viewer.
  * Returns both HTML (for DOCX) and plain text (for all types).
- * PDF files return html: null — the frontend renders PDFs via react-pdf.
+ * PDF files return html: null — the frontend renders PDFs via react-pdf —
+ * plus a pageMap so highlights can be placed on the right page.
  *
  * @param {string} filePath - Path to the downloaded temp file
  * @param {string} mimeType - File MIME type
- * @returns {{ html: string|null, text: string, fileType: string }}
+ * @returns {{ html: string|null, text: string, fileType: string, pageMap: Array|null }}
  */
 async function parseDocumentForViewer(filePath, mimeType) {
   const type = SUPPORTED_TYPES[mimeType];
@@ -207,6 +264,7 @@ async function parseDocumentForViewer(filePath, mimeType) {
 
   let html = null;
   let text = '';
+  let pageMap = null;
 
   switch (type) {
     case 'docx': {
@@ -219,7 +277,7 @@ async function parseDocumentForViewer(filePath, mimeType) {
     }
     case 'pdf':
       // html stays null — frontend uses react-pdf for real PDF rendering
-      text = await parsePdf(filePath);
+      ({ text, pageMap } = await parsePdf(filePath));
       break;
     case 'spreadsheet': {
       // Generate both HTML table and CSV text for the viewer
@@ -249,18 +307,18 @@ async function parseDocumentForViewer(filePath, mimeType) {
       // Images are displayed via signed URL — no text parsing needed
       // OCR text is stored in analysis.diff_data.extracted_text by the GPT vision call
       console.log(`🖼️ Image file for viewer — will use signed URL`);
-      return { html: null, text: null, fileType: 'image' };
+      return { html: null, text: null, fileType: 'image', pageMap: null };
   }
 
   if (!text || text.trim().length === 0) {
     // Scanned/image-based PDFs have no extractable text — return empty gracefully
     // so the frontend can still render the PDF visually via react-pdf
     console.log(`📄 Viewer parse: no extractable text (${type}) — likely scanned/image-based document`);
-    return { html: null, text: '', fileType: type };
+    return { html: null, text: '', fileType: type, pageMap: null };
   }
 
   console.log(`📄 Viewer parse: ${text.length} chars text${html ? `, ${html.length} chars HTML` : ''} (${type})`);
-  return { html, text: text.trim(), fileType: type };
+  return { html, text: text.trim(), fileType: type, pageMap };
 }
 
 module.exports = { parseDocument, parseDocumentForViewer, isImageType, convertPdfToImages };
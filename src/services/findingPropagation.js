@@ -0,0 +1,258 @@
+const { supabaseAdmin, fetchAllRows } = require('../utils/supabase');
+const { invertRelationship } = require('./crosswalkInference');
+
+// ─────────────────────────────────────────────────────────────
+// Finding Propagation via Crosswalks
+//
+// Evidence analyzed against one framework can cover another: when a source
+// control is equivalent to, or a superset of, a target control in a finalized
+// crosswalk (approved mappings only), its latest analyses carry over. Each
+// carried-over analysis is stored as a derived finding on the target control (never as an analysis_results row), with
+// provenance pointing at the source analysis and the mapping that justified
+// it. Reports treat derived findings as inherited coverage.
+//
+// derived_findings columns: id, project_id, control_id, evidence_id,
+// source_analysis_id, source_control_id, source_framework_id, crosswalk_id,
+// mapping_id, relationship_type, status, compliance_percentage,
+// confidence_score, summary, findings (jsonb), recommendations (jsonb),
+// provenance (jsonb), derived_at
+// ─────────────────────────────────────────────────────────────
+
+const DERIVED_TABLE = 'derived_findings';
+const BATCH_INSERT_SIZE = 100;
+// IDs per .in() filter, to keep request URLs well under PostgREST's limit
+const ID_FILTER_CHUNK = 200;
+
+// Source coverage carries over only when the source fully contains the target
+const PROPAGATING_RELATIONSHIPS = new Set(['equivalent', 'superset']);
+
+/**
+ * Latest analysis per (control, evidence) pair for a project — the same
+ * dedup rule reports use.
+ */
+async function fetchLatestAnalyses(projectId, controlIds) {
+  const data = [];
+  for (let i = 0; i < controlIds.length; i += ID_FILTER_CHUNK) {
+    const { data: rows, error } = await fetchAllRows(() => supabaseAdmin
+      .from('analysis_results')
+      .select('id, control_id, evidence_id, status, compliance_percentage, confidence_score, summary, findings, recommendations, analyzed_at')
+      .in('control_id', controlIds.slice(i, i + ID_FILTER_CHUNK))
+      .eq('project_id', projectId)
+      .not('status', 'eq', 'error')
+      .not('status', 'eq', 'pending')
+      .order('analyzed_at', { ascending: false })
+      .order('id', { ascending: true }));
+
+    if (error) throw new Error(`Failed to fetch source analyses: ${error.message}`);
+    data.push(...rows);
+  }
+
+  const latest = new Map();
+  for (const r of data) {
+    const key = `${r.control_id}::${r.evidence_id}`;
+    if (!latest.has(key)) latest.set(key, r);
+  }
+  return [...latest.values()];
+}
+
+/**
+ * Propagate a project's analyses from one side of a crosswalk to the other.
+ * Re-running replaces the derived findings from the previous run for the
+ * same project, crosswalk and direction.
+ *
+ * @param {string} jobId - UUID of the job entry
+ * @param {Object} jobs - Durable job store
+ * @param {Object} params
+ * @param {string} params.projectId
+ * @param {string} params.crosswalkId
+ * @param {string} params.sourceFrameworkId - Framework whose analyses are reused
+ */
+async function runFindingPropagation(jobId, jobs, { projectId, crosswalkId, sourceFrameworkId }) {
+  const startTime = Date.now();
+  const job = jobs.get(jobId);
+  const logPrefix = `Propagate ${jobId.substring(0, 8)}`;
+
+  try {
+    const { data: crosswalk, error: cwErr } = await supabaseAdmin
+      .from('crosswalks')
+      .select('id, status, framework_a_id, framework_b_id, finalized_at')
+      .eq('id', crosswalkId)
+      .single();
+
+    if (cwErr || !crosswalk) throw new Error(`Failed to fetch crosswalk: ${cwErr?.message || 'not found'}`);
+    // Checked again here: a resumed job may run after the crosswalk was reopened
+    if (!crosswalk.finalized_at) throw new Error('Crosswalk is no longer finalized');
+
+    const forward = crosswalk.framework_a_id === sourceFrameworkId;
+    const targetFrameworkId = forward ? crosswalk.framework_b_id : crosswalk.framework_a_id;
+
+    // 1. Approved mappings that let source coverage flow to the target
+    if (job) job.progress = 'Loading crosswalk mappings...';
+    const { data: mappings, error: mapErr } = await fetchAllRows(() => supabaseAdmin
+      .from('crosswalk_mappings')
+      .select('id, control_a_id, control_b_id, relationship_type, ai_confidence, manual_confidence, status')
+      .eq('crosswalk_id', crosswalkId)
+      .eq('review_status', 'approved')
+      .not('status', 'in', '(user_removed,orphaned)')
+      .order('id', { ascending: true }));
+
+    if (mapErr) throw new Error(`Failed to fetch crosswalk mappings: ${mapErr.message}`);
+
+    const edges = (mappings || [])
+      .map(m => ({
+        mapping: m,
+        sourceControlId: forward ? m.control_a_id : m.control_b_id,
+        targetControlId: forward ? m.control_b_id : m.control_a_id,
+        relationshipType: forward ? m.relationship_type : invertRelationship(m.relationship_type),
+        confidence: parseFloat(m.manual_confidence ?? m.ai_confidence) || 0,
+      }))
+      .filter(edge => PROPAGATING_RELATIONSHIPS.has(edge.relationshipType));
+
+    console.log(`🔀 [${logPrefix}] ${edges.length} propagating mapping(s) of ${(mappings || []).length} approved`);
+
+    // 2. Latest source analyses for the mapped source controls
+    const sourceControlIds = [...new Set(edges.map(e => e.sourceControlId))];
+    const analyses = sourceControlIds.length > 0 ? await fetchLatestAnalyses(projectId, sourceControlIds) : [];
+    const analysesByControl = new Map();
+    for (const analysis of analyses) {
+      if (!analysesByControl.has(analysis.control_id)) analysesByControl.set(analysis.control_id, []);
+      analysesByControl.get(analysis.control_id).push(analysis);
+    }
+
+    const sourceNumbers = new Map();
+    for (let i = 0; i < sourceControlIds.length; i += ID_FILTER_CHUNK) {
+      const { data: sourceControls, error: srcErr } = await fetchAllRows(() => supabaseAdmin
+        .from('controls')
+        .select('id, control_number')
+        .in('id', sourceControlIds.slice(i, i + ID_FILTER_CHUNK))
+        .order('id', { ascending: true }));
+      if (srcErr) throw new Error(`Failed to fetch source controls: ${srcErr.message}`);
+      for (const c of sourceControls) sourceNumbers.set(c.id, c.control_number);
+    }
+
+    if (job) {
+      job.controlsTotal = edges.length;
+      job.controlsCompleted = 0;
+      job.progress = `Deriving findings from ${analyses.length} source analyses...`;
+    }
+
+    // 3. One derived finding per (mapping, source analysis)
+    const derivedAt = new Date().toISOString();
+    const records = [];
+    for (const edge of edges) {
+      for (const analysis of analysesByControl.get(edge.sourceControlId) || []) {
+        const sourceConfidence = parseFloat(analysis.confidence_score);
+        records.push({
+          project_id: projectId,
+          control_id: edge.targetControlId,
+          evidence_id: analysis.evidence_id,
+          source_analysis_id: analysis.id,
+          source_control_id: edge.sourceControlId,
+          source_framework_id: sourceFrameworkId,
+          crosswalk_id: crosswalkId,
+          mapping_id: edge.mapping.id,
+          relationship_type: edge.relationshipType,
+          status: analysis.status,
+          compliance_percentage: analysis.compliance_percentage,
+          // Inherited findings are only as trustworthy as the mapping behind them
+          confidence_score: isNaN(sourceConfidence) ? null : parseFloat((sourceConfidence * edge.confidence).toFixed(2)),
+          summary: analysis.summary,
+          findings: analysis.findings,
+          recommendations: analysis.recommendations || [],
+          provenance: {
+            method: 'crosswalk',
+            crosswalk_id: crosswalkId,
+            mapping_id: edge.mapping.id,
+            mapping_status: edge.mapping.status,
+            mapping_confidence: edge.confidence,
+            relationship_type: edge.relationshipType,
+            source_framework_id: sourceFrameworkId,
+            source_control_id: edge.sourceControlId,
+            source_control_number: sourceNumbers.get(edge.sourceControlId) || null,
+            source_analysis_id: analysis.id,
+            source_analyzed_at: analysis.analyzed_at,
+          },
+          derived_at: derivedAt,
+        });
+      }
+      if (job) job.controlsCompleted = (job.controlsCompleted || 0) + 1;
+    }
+
+    // 4. Replace the previous run's derived findings for this direction
+    if (job) job.progress = 'Saving derived findings...';
+    const { error: clearErr } = await supabaseAdmin
+      .from(DERIVED_TABLE)
+      .delete()
+      .eq('project_id', projectId)
+      .eq('crosswalk_id', crosswalkId)
+      .eq('source_framework_id', sourceFrameworkId);
+    if (clearErr) throw new Error(`Failed to clear previous derived findings: ${clearErr.message}`);
+
+    let insertedCount = 0;
+    for (let i = 0; i < records.length; i += BATCH_INSERT_SIZE) {
+      const batch = records.slice(i, i + BATCH_INSERT_SIZE);
+      const { error: insertErr } = await supabaseAdmin.from(DERIVED_TABLE).insert(batch);
+      if (insertErr) {
+        console.error(`  ❌ [${logPrefix}] Derived findings insert failed: ${insertErr.message}`);
+      } else {
+        insertedCount += batch.length;
+      }
+    }
+
+    const targetControlsCovered = new Set(records.map(r => r.control_id)).size;
+    const durationSeconds = Math.round((Date.now() - startTime) / 1000);
+    console.log(`✅ [${logPrefix}] ${insertedCount} derived findings on ${targetControlsCovered} target controls in ${durationSeconds}s`);
+
+    if (job) {
+      jobs.set(jobId, {
+        status: 'completed',
+        completedAt: Date.now(),
+        result: {
+          success: true,
+          projectId,
+          crosswalkId,
+          sourceFrameworkId,
+          targetFrameworkId,
+          mappingsUsed: edges.length,
+          sourceAnalyses: analyses.length,
+          derivedFindings: insertedCount,
+          targetControlsCovered,
+          durationSeconds,
+        },
+      });
+    }
+  } catch (err) {
+    console.error(`❌ [${logPrefix}] Propagation failed: ${err.message}`);
+    if (job) {
+      jobs.set(jobId, {
+        status: 'failed',
+        completedAt: Date.now(),
+        error: err.message,
+      });
+    }
+  }
+}
+
+/**
+ * Derived findings for a project's controls, newest source analysis first.
+ *
+ * @param {string} projectId
+ * @param {string[]} controlIds - Target controls
+ * @returns {Promise<Array>} Rows with the source control and evidence joined
+ */
+async function fetchDerivedFindings(projectId, controlIds) {
+  const { data, error } = await supabaseAdmin
+    .from(DERIVED_TABLE)
+    .select('*, evidence:evidence_id (id, file_name, file_type, created_at), source_control:source_control_id (id, control_number, title, framework_id)')
+    .in('control_id', controlIds)
+    .eq('project_id', projectId)
+    .order('derived_at', { ascending: false });
+
+  if (error) {
+    console.warn(`⚠️ Failed to fetch derived findings: ${error.message}`);
+    return [];
+  }
+  return data || [];
+}
+
+module.exports = { runFindingPropagation, fetchDerivedFindings, PROPAGATING_RELATIONSHIPS };
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { supabaseAdmin, fetchAllRows } = require('../utils/supabase');
+const { gatherReportData } = require('./reportGenerator');
+const { invertRelationship } = require('./crosswalkInference');
+
+// ─────────────────────────────────────────────────────────────
+// Framework Gap Analysis via Crosswalk
+//
+// "What's left to adopt framework B": every framework-B control is placed in
+// one bucket from the project's current results on framework A (latest
+// analysis_results and consolidated_analyses, direct coverage only) and the
+// approved mappings of a finalized A↔B crosswalk:
+//   satisfied     — an equivalent/superset A control is compliant
+//   partial       — an equivalent/superset A control is partial, or a
+//                   subset/partially overlapping A control is compliant or partial
+//   weak          — only 'related' A controls are compliant or partial
+//   not_covered   — no mapped A control contributes anything
+// ─────────────────────────────────────────────────────────────
+
+// Ordered from most to least work left, which is how the report lists them
+const GAP_BUCKETS = ['not_covered', 'weak', 'partial', 'satisfied'];
+
+// Oriented "source control is <type> of target control"
+const CONTAINING_RELATIONSHIPS = new Set(['equivalent', 'superset']);
+const OVERLAPPING_RELATIONSHIPS = new Set(['subset', 'partial_overlap']);
+const CONTRIBUTING_STATUSES = new Set(['compliant', 'partial']);
+
+/**
+ * Crosswalk with both framework names, for gap analysis.
+ *
+ * @param {string} crosswalkId
+ * @returns {Promise<Object|null>}
+ */
+async function loadGapCrosswalk(crosswalkId) {
+  const { data, error } = await supabaseAdmin
+    .from('crosswalks')
+    .select('id, name, status, finalized_at, framework_a_id, framework_b_id, framework_a:framework_a_id (id, name), framework_b:framework_b_id (id, name)')
+    .eq('id', crosswalkId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+}
+
+/**
+ * Why a crosswalk can't be used for a gap analysis toward targetFrameworkId.
+ * Returns null when it can, otherwise { status, error } like checkResourceAccess.
+ */
+function checkGapCrosswalk(crosswalk, targetFrameworkId) {
+  if (!crosswalk) return { status: 404, error: 'Crosswalk not found.' };
+  if (!crosswalk.finalized_at) {
+    return { status: 409, error: 'Crosswalk is not finalized. Review and finalize it before running a gap analysis.' };
+  }
+  if (![crosswalk.framework_a_id, crosswalk.framework_b_id].includes(targetFrameworkId)) {
+    return { status: 400, error: 'The target framework must be one of the crosswalk frameworks.' };
+  }
+  return null;
+}
+
+/**
+ * Bucket for one target control from the source controls mapped to it.
+ */
+function classifyTargetControl(coverage) {
+  const contributing = coverage.filter(c => CONTRIBUTING_STATUSES.has(c.source_status));
+
+  if (contributing.some(c => CONTAINING_RELATIONSHIPS.has(c.relationship_type) && c.source_status === 'compliant')) {
+    return 'satisfied';
+  }
+  if (contributing.some(c => CONTAINING_RELATIONSHIPS.has(c.relationship_type) || OVERLAPPING_RELATIONSHIPS.has(c.relationship_type))) {
+    return 'partial';
+  }
+  if (contributing.length > 0) return 'weak';
+  return 'not_covered';
+}
+
+/**
+ * Classify every control of the target framework by how far the project's
+ * results on the other side of the crosswalk already cover it.
+ *
+ * @param {Object} params
+ * @param {string} params.projectId
+ * @param {Object} params.crosswalk - From loadGapCrosswalk (must be finalized)
+ * @param {string} params.targetFrameworkId - Framework being adopted (one side of the crosswalk)
+ * @returns {Promise<{ crosswalk_id, source_framework, target_framework, summary, controls, generated_at }>}
+ */
+async function analyzeFrameworkGap({ projectId, crosswalk, targetFrameworkId }) {
+  const startTime = Date.now();
+  const targetIsB = crosswalk.framework_b_id === targetFrameworkId;
+  const sourceFramework = targetIsB ? crosswalk.framework_a : crosswalk.framework_b;
+  const targetFramework = targetIsB ? crosswalk.framework_b : crosswalk.framework_a;
+
+  // 1. Current results on the source framework — inherited coverage is left
+  // out, since it may itself have come from the target side
+  const sourceData = await gatherReportData(projectId, sourceFramework.id);
+  const sourceById = new Map(sourceData.controlFindings.map(f => [f.control_id, {
+    control_number: f.control_number,
+    title: f.title,
+    status: f.coverage === 'direct' ? f.status : 'not_assessed',
+    compliance_score: f.coverage === 'direct' ? f.compliance_score : null,
+  }]));
+
+  // 2. Target controls and the approved mappings
+  const { data: targetControls, error: ctrlErr } = await fetchAllRows(() => supabaseAdmin
+    .from('controls')
+    .select('id, control_number, title, category, sort_order')
+    .eq('framework_id', targetFramework.id)
+    .order('sort_order', { ascending: true })
+    .order('id', { ascending: true }));
+
+  if (ctrlErr) throw new Error(`Failed to fetch target controls: ${ctrlErr.message}`);
+
+  const { data: mappings, error: mapErr } = await fetchAllRows(() => supabaseAdmin
+    .from('crosswalk_mappings')
+    .select('id, control_a_id, control_b_id, relationship_type, ai_confidence, manual_confidence')
+    .eq('crosswalk_id', crosswalk.id)
+    .eq('review_status', 'approved')
+    .not('status', 'in', '(user_removed,orphaned)')
+    .order('id', { ascending: true }));
+
+  if (mapErr) throw new Error(`Failed to fetch crosswalk mappings: ${mapErr.message}`);
+
+  const coverageByTarget = new Map();
+  for (const m of mappings || []) {
+    const sourceId = targetIsB ? m.control_a_id : m.control_b_id;
+    const targetId = targetIsB ? m.control_b_id : m.control_a_id;
+    const source = sourceById.get(sourceId);
+    if (!source) continue;
+
+    if (!coverageByTarget.has(targetId)) coverageByTarget.set(targetId, []);
+    coverageByTarget.get(targetId).push({
+      mapping_id: m.id,
+      source_control_id: sourceId,
+      source_control_number: source.control_number,
+      source_title: source.title,
+      source_status: source.status,
+      source_compliance_score: source.compliance_score,
+      // Stored relationships read "control_a is <type> of control_b"
+      relationship_type: targetIsB ? (m.relationship_type || 'related') : invertRelationship(m.relationship_type),
+      confidence: parseFloat(m.manual_confidence ?? m.ai_confidence) || 0,
+    });
+  }
+
+  // 3. One bucket per target control
+  const controls = (targetControls || []).map((control) => {
+    const coverage = coverageByTarget.get(control.id) || [];
+    return {
+      control_id: control.id,
+      control_number: control.control_number,
+      title: control.title,
+      category: control.category || 'Uncategorized',
+      bucket: classifyTargetControl(coverage),
+      covered_by: coverage,
+    };
+  });
+
+  const summary = Object.fromEntries(GAP_BUCKETS.map(bucket => [bucket, controls.filter(c => c.bucket === bucket).length]));
+  summary.total = controls.length;
+
+  console.log(`🧭 Gap ${sourceFramework.name} → ${targetFramework.name}: ${summary.satisfied} satisfied, ${summary.partial} partial, ${summary.weak} weak, ${summary.not_covered} not covered (${Date.now() - startTime}ms)`);
+
+  return {
+    crosswalk_id: crosswalk.id,
+    source_framework: { id: sourceFramework.id, name: sourceFramework.name },
+    target_framework: { id: targetFramework.id, name: targetFramework.name },
+    summary,
+    controls,
+    generated_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Report section holding a gap analysis snapshot. Keeps the ID, order and
+ * visibility of the section it replaces.
+ *
+ * @param {Object} analysis - From analyzeFrameworkGap
+ * @param {Object} [existing] - Section being refreshed
+ */
+function buildGapSection(analysis, existing = null) {
+  return {
+    id: existing?.id || crypto.randomUUID(),
+    type: 'crosswalk_gap',
+    title: existing?.title || `Readiness for ${analysis.target_framework.name}`,
+    order: existing?.order ?? 0,
+    visible: existing?.visible ?? true,
+    content: null,
+    editable: false,
+    ai_generated: false,
+    metadata: analysis,
+  };
+}
+
+/**
+ * Re-run the gap analysis behind every crosswalk_gap section of a report, so
+ * regenerating the report also refreshes its readiness sections. A section
+ * whose crosswalk can no longer be used keeps its previous snapshot.
+ *
+ * @param {Object} report - Needs id, project_id, framework_id, sections
+ * @returns {Promise<Array|null>} Updated sections, or null when the report has none to refresh
+ */
+async function refreshGapSections(report) {
+  const sections = report.sections || [];
+  if (!sections.some(s => s.type === 'crosswalk_gap')) return null;
+
+  return Promise.all(sections.map(async (section) => {
+    if (section.type !== 'crosswalk_gap') return section;
+
+    const crosswalk = await loadGapCrosswalk(section.metadata?.crosswalk_id);
+    const blocked = checkGapCrosswalk(crosswalk, report.framework_id);
+    if (blocked) {
+      console.warn(`⚠️ Report ${report.id}: keeping previous gap analysis for section "${section.title}" — ${blocked.error}`);
+      return section;
+    }
+
+    const analysis = await analyzeFrameworkGap({ projectId: report.project_id, crosswalk, targetFrameworkId: report.framework_id });
+    return buildGapSection(analysis, section);
+  }));
+}
+
+module.exports = {
+  GAP_BUCKETS,
+  loadGapCrosswalk,
+  checkGapCrosswalk,
+  analyzeFrameworkGap,
+  buildGapSection,
+  refreshGapSections,
+};
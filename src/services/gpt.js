@@ -1,25 +1,48 @@
-const OpenAI = require('openai');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { getLLMClient, getContextWindowTokens } = require('./llmProvider');
+const { recordUsage } = require('./usageLedger');
+const { chunkTextWithOffsets, needsChunking, charsForContext } = require('../utils/chunker');
 
 // ── GPT Configuration Constants ──
-const GPT_MODEL = 'gpt-5.1';
 const GPT_MAX_TOKENS = 16384;
 const GPT_TEMPERATURE = 0.2;
 const GPT_EXTRACTION_TEMPERATURE = 0.1;
+// System prompt, requirement, custom instructions and part instructions around the evidence
+const ANALYSIS_PROMPT_RESERVE_TOKENS = 8000;
+
+// Bump whenever SYSTEM_PROMPT, buildUserPrompt or large-document chunking changes — it is part of the
+// analysis cache key, so cached results from older prompts stop matching
+const PROMPT_VERSION = '2025-02-analysis-v3';
 
 /**
  * Shared OpenAI error handler — maps API error codes to user-friendly messages.
  * Replaces identical catch blocks across all GPT functions.
  */
 function handleOpenAIError(err) {
-  if (err.status === 429) throw new Error('OpenAI rate limit exceeded. Please try again later.');
-  if (err.status === 401) throw new Error('Invalid OpenAI API key. Please check your OPENAI_API_KEY.');
+  if (err.status === 429) throw new Error('LLM provider rate limit exceeded. Please try again later.');
+  if (err.status === 401) throw new Error('Invalid API key for the configured LLM provider. Please check its credentials.');
   throw err;
 }
 
+/**
+ * Send a chat completion through the configured LLM provider.
+ * The provider and model are resolved per call so a project pinned to
+ * Azure or a local endpoint never reaches the public OpenAI API.
+ *
+ * Every call is recorded in the usage ledger under `feature`.
+ *
+ * @param {Object} params - chat.completions.create params, without `model`
+ * @param {Object} [options]
+ * @param {string} [options.projectId] - Apply the project's provider override
+ * @param {string} [options.organizationId] - Ledger scope for calls without a project
+ * @param {string} [options.feature] - Ledger feature label
+ */
+async function createChatCompletion(params, { projectId, organizationId, feature = 'other' } = {}) {
+  const { client, model, provider } = await getLLMClient({ projectId });
+  const response = await client.chat.completions.create({ model, ...params });
+  await recordUsage({ feature, model, provider, usage: response.usage, projectId, organizationId });
+  return response;
+}
+
 /**
  * Attempt to recover a valid JSON object from a truncated GPT response.
  * When max_tokens is hit, the JSON gets cut off mid-stream.
@@ -299,7 +322,19 @@ For each control's requirements_breakdown, decompose the requirement into its KE
 Each control should be evaluated independently. A piece of evidence in any document can satisfy requirements for multiple controls.`;
 }
 
-async function analyzeEvidence(documentText, requirementText, controlName, customInstructions, { userPromptOverride } = {}) {
+/**
+ * Most evidence text one analysis prompt can carry for the project's model.
+ * Longer documents are analyzed in parts of this size.
+ *
+ * @param {string|null} projectId
+ * @returns {Promise<number>} Characters
+ */
+async function getEvidenceCharsPerPrompt(projectId) {
+  const { model } = await getLLMClient({ projectId });
+  return charsForContext(getContextWindowTokens(model), GPT_MAX_TOKENS + ANALYSIS_PROMPT_RESERVE_TOKENS);
+}
+
+async function analyzeEvidence(documentText, requirementText, controlName, customInstructions, { userPromptOverride, projectId, feature = 'evidence_analysis' } = {}) {
   // Input validation — fail fast with clear message instead of sending garbage to GPT
   if (!documentText || documentText.trim().length < 10) {
     throw new Error('Document text is empty or too short for meaningful analysis');
@@ -308,6 +343,14 @@ async function analyzeEvidence(documentText, requirementText, controlName, custo
     throw new Error('Requirement text is empty or too short for analysis');
   }
 
+  // Documents larger than one context window are analyzed part by part
+  if (!userPromptOverride) {
+    const maxChars = await getEvidenceCharsPerPrompt(projectId);
+    if (needsChunking(documentText, maxChars)) {
+      return analyzeEvidenceInChunks(documentText, requirementText, controlName, customInstructions, { maxChars, projectId, feature });
+    }
+  }
+
   console.log('🤖 Sending document to GPT-4 for analysis...');
   console.log(`📊 Document length: ${documentText.length} chars | Requirement length: ${requirementText.length} chars`);
   if (customInstructions) {
@@ -315,8 +358,7 @@ async function analyzeEvidence(documentText, requirementText, controlName, custo
   }
 
   try {
-    const response = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const response = await createChatCompletion({
       messages: [
         { role: 'system', content: SYSTEM_PROMPT },
         { role: 'user', content: userPromptOverride || buildUserPrompt(documentText, requirementText, controlName, customInstructions) },
@@ -324,7 +366,7 @@ async function analyzeEvidence(documentText, requirementText, controlName, custo
       temperature: GPT_TEMPERATURE,
       max_completion_tokens: GPT_MAX_TOKENS,
       response_format: { type: 'json_object' },
-    });
+    }, { projectId, feature });
 
     const choice = response.choices[0];
 
@@ -358,6 +400,221 @@ async function analyzeEvidence(documentText, requirementText, controlName, custo
   }
 }
 
+// ─────────────────────────────────────────────────────────────
+// Map-Reduce Analysis — evidence larger than one context window
+//
+// The document is split with chunkTextWithOffsets and each part is analyzed
+// against the same requirement. The first part fixes the sub-requirement
+// breakdown; later parts are told to reuse it so findings line up by
+// requirement_id. Offsets are shifted back to full-document positions before
+// merging, so verifyAndBuildHighlightRanges still works on the full text.
+// ─────────────────────────────────────────────────────────────
+
+const BREAKDOWN_STATUS_RANK = { missing: 0, partial: 1, met: 2 };
+
+/**
+ * Format a requirements_breakdown as a list later parts must reuse.
+ */
+function formatSubRequirements(breakdown) {
+  return breakdown.map(item => `- ${item.requirement_id}: ${item.requirement_text}`).join('\n');
+}
+
+/**
+ * Instructions appended to the user prompt when the evidence is one part of a longer document.
+ *
+ * @param {Object} params
+ * @param {number} params.index - 0-based part index
+ * @param {number} params.total - Number of parts
+ * @param {string|null} params.pinnedSubRequirements - Breakdown from the first part, or null
+ */
+function buildChunkInstructions({ index, total, pinnedSubRequirements }) {
+  return `
+
+## Partial Document (part ${index + 1} of ${total}):
+The evidence content above is only part ${index + 1} of ${total} of a longer document. The other parts are analyzed separately and the results are merged.
+- Report evidence found in THIS part only. Rate a sub-requirement "missing" when this part contains nothing relevant — do not speculate about the rest of the document.
+- Any evidence_location offsets are relative to the start of this part.${pinnedSubRequirements ? `
+- Use EXACTLY these sub-requirements, keeping each requirement_id and requirement_text unchanged, so results can be merged across parts:
+${pinnedSubRequirements}` : ''}`;
+}
+
+/**
+ * Shift evidence offsets from part-relative to full-document positions (in place).
+ */
+function shiftEvidenceOffsets(breakdown, offset) {
+  for (const item of breakdown) {
+    const loc = item.evidence_location;
+    if (loc && typeof loc.start_index === 'number' && typeof loc.end_index === 'number' && loc.start_index >= 0 && loc.end_index >= 0) {
+      loc.start_index += offset;
+      loc.end_index += offset;
+    }
+  }
+}
+
+/**
+ * Whether finding a beats finding b: better status, then having evidence, then confidence.
+ */
+function isStrongerFinding(a, b) {
+  const rankA = BREAKDOWN_STATUS_RANK[a.status] ?? 1;
+  const rankB = BREAKDOWN_STATUS_RANK[b.status] ?? 1;
+  if (rankA !== rankB) return rankA > rankB;
+  if (!!a.evidence_found !== !!b.evidence_found) return !!a.evidence_found;
+  return a.confidence > b.confidence;
+}
+
+function sumUsage(results) {
+  const usages = results.map(r => r.usage).filter(Boolean);
+  if (usages.length === 0) return null;
+  return usages.reduce((total, usage) => ({
+    prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+    completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+    total_tokens: total.total_tokens + (usage.total_tokens || 0),
+  }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+}
+
+/**
+ * Merge per-part analyses of one requirement into a single normalized analysis.
+ * Each sub-requirement keeps its strongest finding across parts; top-level
+ * scores are recomputed from the merged breakdown (met = 1, partial = 0.5,
+ * missing = 0) using the SYSTEM_PROMPT status thresholds.
+ *
+ * @param {Array<Object>} analyses - Normalized analyses with full-document offsets
+ */
+function mergeChunkAnalyses(analyses) {
+  const findings = new Map();
+  for (const analysis of analyses) {
+    for (const item of analysis.requirements_breakdown) {
+      const key = String(item.requirement_id || '').trim().toUpperCase() || item.requirement_text;
+      const current = findings.get(key);
+      if (!current || isStrongerFinding(item, current)) findings.set(key, item);
+    }
+  }
+
+  const breakdown = [...findings.values()];
+  const strongest = analyses.reduce((best, a) => (a.compliance_percentage > best.compliance_percentage ? a : best), analyses[0]);
+  const unique = values => [...new Set(values.filter(Boolean))];
+
+  // Without a breakdown there is nothing to recompute from — keep the best part's scores
+  let compliancePercentage = strongest.compliance_percentage;
+  let confidence = strongest.confidence_score;
+  let status = strongest.status;
+  if (breakdown.length > 0) {
+    const score = breakdown.reduce((sum, item) => sum + (BREAKDOWN_STATUS_RANK[item.status] ?? 1) / 2, 0);
+    compliancePercentage = Math.round((score / breakdown.length) * 100);
+    confidence = breakdown.reduce((sum, item) => sum + item.confidence, 0) / breakdown.length;
+    status = compliancePercentage >= 80 ? 'compliant' : compliancePercentage >= 40 ? 'partial' : 'non_compliant';
+  }
+
+  return normalizeGptAnalysis({
+    status,
+    confidence_score: parseFloat(confidence.toFixed(2)),
+    compliance_percentage: compliancePercentage,
+    summary: strongest.summary,
+    requirements_breakdown: breakdown,
+    recommendations: unique(analyses.flatMap(a => a.recommendations)),
+    // Derived from the merged breakdown — a gap one part reports may be covered by another
+    critical_gaps: unique(breakdown
+      .filter(item => item.status === 'missing')
+      .map(item => item.gap_description || `${item.requirement_text} — no supporting evidence found`)),
+    suggested_evidence: unique(breakdown.filter(item => item.status !== 'met').map(item => item.suggested_evidence)),
+    chunks_analyzed: analyses.length,
+  });
+}
+
+/**
+ * Analyze a document too large for one prompt, part by part, and merge the results.
+ * Parts run sequentially: the first part's breakdown is pinned for the rest.
+ */
+async function analyzeEvidenceInChunks(documentText, requirementText, controlName, customInstructions, { maxChars, projectId, feature }) {
+  const chunks = chunkTextWithOffsets(documentText, maxChars);
+  console.log(`🧩 Evidence exceeds one context window — analyzing ${chunks.length} parts`);
+
+  const results = [];
+  let pinnedSubRequirements = null;
+
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const userPromptOverride = buildUserPrompt(chunk.text, requirementText, controlName, customInstructions)
+      + buildChunkInstructions({ index: i, total: chunks.length, pinnedSubRequirements });
+
+    const result = await analyzeEvidence(chunk.text, requirementText, controlName, customInstructions, { userPromptOverride, projectId, feature });
+    shiftEvidenceOffsets(result.analysis.requirements_breakdown, chunk.start);
+    if (!pinnedSubRequirements) {
+      pinnedSubRequirements = formatSubRequirements(result.analysis.requirements_breakdown);
+    }
+    results.push(result);
+  }
+
+  const analysis = mergeChunkAnalyses(results.map(r => r.analysis));
+  console.log(`✅ Merged ${chunks.length} parts: ${analysis.status} (${analysis.compliance_percentage}% compliance, ${analysis.requirements_breakdown.length} sub-requirements)`);
+
+  return {
+    analysis,
+    model: results[0].model,
+    usage: sumUsage(results),
+    finish_reason: results.some(r => r.finish_reason === 'length') ? 'length' : results[0].finish_reason,
+  };
+}
+
+/**
+ * Analyze-all variant for one oversized evidence file: each part is analyzed
+ * against every control, then results are merged per control.
+ *
+ * @param {string} documentText - Full parsed evidence text
+ * @param {string} fileName - Evidence filename (used in the document header)
+ * @param {Array<{control_number: string, title: string, requirementText: string}>} controls
+ * @param {string|null} customInstructions
+ * @param {Object} options
+ * @param {number} options.maxChars - Part size
+ * @returns {Promise<{ analysis: { controls: Array }, model: string, usage: Object|null, finish_reason: string }>}
+ */
+async function analyzeAllEvidenceInChunks(documentText, fileName, controls, customInstructions, { maxChars, projectId, feature = 'analyze_all' }) {
+  const chunks = chunkTextWithOffsets(documentText, maxChars);
+  console.log(`🧩 ${fileName} exceeds one context window — analyzing ${chunks.length} parts against ${controls.length} controls`);
+
+  const results = [];
+  const analysesByControl = new Map();
+  let pinnedSubRequirements = null;
+
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const partText = `\n\n=== DOCUMENT 1: ${fileName} (part ${i + 1} of ${chunks.length}) ===\n\n${chunk.text}`;
+    const userPromptOverride = buildAnalyzeAllPrompt(partText, controls, customInstructions, [fileName])
+      + buildChunkInstructions({ index: i, total: chunks.length, pinnedSubRequirements });
+
+    const result = await analyzeEvidence(chunk.text, 'multiple controls', fileName, customInstructions, { userPromptOverride, projectId, feature });
+    const partControls = (Array.isArray(result.analysis.controls) ? result.analysis.controls : [])
+      .map(ctrl => normalizeGptAnalysis({ ...ctrl }));
+
+    for (const ctrl of partControls) {
+      shiftEvidenceOffsets(ctrl.requirements_breakdown, chunk.start);
+      const key = String(ctrl.control_number || '').trim();
+      if (!analysesByControl.has(key)) analysesByControl.set(key, []);
+      analysesByControl.get(key).push(ctrl);
+    }
+
+    if (!pinnedSubRequirements) {
+      pinnedSubRequirements = partControls
+        .map(ctrl => `### ${ctrl.control_number}\n${formatSubRequirements(ctrl.requirements_breakdown)}`)
+        .join('\n\n');
+    }
+    results.push(result);
+  }
+
+  const mergedControls = [...analysesByControl.entries()].map(([controlNumber, analyses]) => ({
+    ...mergeChunkAnalyses(analyses),
+    control_number: controlNumber,
+    control_title: analyses[0].control_title,
+  }));
+
+  return {
+    analysis: { controls: mergedControls },
+    model: results[0].model,
+    usage: sumUsage(results),
+    finish_reason: results.some(r => r.finish_reason === 'length') ? 'length' : results[0].finish_reason,
+  };
+}
+
 // ─────────────────────────────────────────────────────────────
 // Image / Vision Analysis — analyze images using GPT-4o vision
 // ─────────────────────────────────────────────────────────────
@@ -451,9 +708,11 @@ Break the requirement into its KEY distinct obligations:
  * @param {string} requirementText - The compliance requirement
  * @param {string} controlName - Control title
  * @param {string|null} customInstructions - Optional custom instructions
+ * @param {Object} [options]
+ * @param {string} [options.projectId] - Routes the call through the project's LLM provider
  * @returns {{ analysis, model, usage, finish_reason }}
  */
-async function analyzeImageEvidence(imageBase64, mimeType, requirementText, controlName, customInstructions) {
+async function analyzeImageEvidence(imageBase64, mimeType, requirementText, controlName, customInstructions, { projectId } = {}) {
   if (!imageBase64) {
     throw new Error('Image data is empty');
   }
@@ -465,8 +724,7 @@ async function analyzeImageEvidence(imageBase64, mimeType, requirementText, cont
   console.log(`🖼️ Sending image to GPT-4o vision for analysis (${Math.round(imageBase64.length / 1024)}KB base64)...`);
 
   try {
-    const response = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const response = await createChatCompletion({
       messages: [
         { role: 'system', content: IMAGE_SYSTEM_PROMPT },
         {
@@ -480,7 +738,7 @@ async function analyzeImageEvidence(imageBase64, mimeType, requirementText, cont
       temperature: GPT_TEMPERATURE,
       max_completion_tokens: GPT_MAX_TOKENS,
       response_format: { type: 'json_object' },
-    });
+    }, { projectId, feature: 'image_analysis' });
 
     const choice = response.choices[0];
     if (choice.finish_reason === 'length') {
@@ -521,9 +779,11 @@ async function analyzeImageEvidence(imageBase64, mimeType, requirementText, cont
  * @param {string} requirementText - The compliance requirement
  * @param {string} controlName - Control title
  * @param {string|null} customInstructions - Optional custom instructions
+ * @param {Object} [options]
+ * @param {string} [options.projectId] - Routes the call through the project's LLM provider
  * @returns {{ analysis, model, usage, finish_reason }}
  */
-async function analyzeScannedPdfEvidence(pages, requirementText, controlName, customInstructions) {
+async function analyzeScannedPdfEvidence(pages, requirementText, controlName, customInstructions, { projectId } = {}) {
   if (!pages || pages.length === 0) {
     throw new Error('No page images provided for scanned PDF analysis');
   }
@@ -550,8 +810,7 @@ async function analyzeScannedPdfEvidence(pages, requirementText, controlName, cu
       });
     }
 
-    const response = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const response = await createChatCompletion({
       messages: [
         { role: 'system', content: IMAGE_SYSTEM_PROMPT },
         { role: 'user', content: contentParts },
@@ -559,7 +818,7 @@ async function analyzeScannedPdfEvidence(pages, requirementText, controlName, cu
       temperature: GPT_TEMPERATURE,
       max_completion_tokens: GPT_MAX_TOKENS,
       response_format: { type: 'json_object' },
-    });
+    }, { projectId, feature: 'scanned_pdf_analysis' });
 
     const choice = response.choices[0];
     if (choice.finish_reason === 'length') {
@@ -675,13 +934,12 @@ Key guidance:
   return prompt;
 }
 
-async function extractFrameworkControls(documentText, context = {}) {
+async function extractFrameworkControls(documentText, context = {}, { organizationId } = {}) {
   console.log('🤖 Sending document to GPT-4 for framework extraction...');
   console.log(`📊 Document length: ${documentText.length} chars`);
 
   try {
-    const response = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const response = await createChatCompletion({
       messages: [
         { role: 'system', content: FRAMEWORK_EXTRACTION_PROMPT },
         { role: 'user', content: buildFrameworkExtractionPrompt(documentText, context) },
@@ -689,7 +947,7 @@ async function extractFrameworkControls(documentText, context = {}) {
       temperature: GPT_EXTRACTION_TEMPERATURE,
       max_completion_tokens: GPT_MAX_TOKENS,
       response_format: { type: 'json_object' },
-    });
+    }, { organizationId, feature: 'framework_extraction' });
 
     const choice = response.choices[0];
 
@@ -858,13 +1116,12 @@ Key guidance:
   return prompt;
 }
 
-async function extractControlsFromTabular(textData, context = {}) {
+async function extractControlsFromTabular(textData, context = {}, { organizationId } = {}) {
   console.log('🤖 Sending tabular data to GPT-4 for control extraction...');
   console.log(`📊 Text length: ${textData.length} chars`);
 
   try {
-    const response = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const response = await createChatCompletion({
       messages: [
         { role: 'system', content: TABULAR_EXTRACTION_PROMPT },
         { role: 'user', content: buildTabularExtractionPrompt(textData, context) },
@@ -872,7 +1129,7 @@ async function extractControlsFromTabular(textData, context = {}) {
       temperature: GPT_EXTRACTION_TEMPERATURE,
       max_completion_tokens: GPT_MAX_TOKENS,
       response_format: { type: 'json_object' },
-    });
+    }, { organizationId, feature: 'framework_extraction' });
 
     const choice = response.choices[0];
 
@@ -1011,12 +1268,11 @@ function buildEnhancePrompt(controls, context) {
   return prompt;
 }
 
-async function enhanceFrameworkControls(controls, context = {}) {
+async function enhanceFrameworkControls(controls, context = {}, { organizationId } = {}) {
   console.log(`🤖 Enhancing ${controls.length} controls with GPT-4...`);
 
   try {
-    const response = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const response = await createChatCompletion({
       messages: [
         { role: 'system', content: FRAMEWORK_ENHANCE_PROMPT },
         { role: 'user', content: buildEnhancePrompt(controls, context) },
@@ -1024,7 +1280,7 @@ async function enhanceFrameworkControls(controls, context = {}) {
       temperature: GPT_TEMPERATURE,
       max_completion_tokens: GPT_MAX_TOKENS,
       response_format: { type: 'json_object' },
-    });
+    }, { organizationId, feature: 'framework_enhance' });
 
     const choice = response.choices[0];
     let result;
@@ -1160,12 +1416,11 @@ For each control with multiple evidence documents, enumerate sub-requirements an
   return prompt;
 }
 
-async function consolidateAnalyses(analyses, controlContext) {
+async function consolidateAnalyses(analyses, controlContext, { projectId } = {}) {
   console.log(`🔗 Consolidating ${analyses.length} analysis results...`);
 
   try {
-    const response = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const response = await createChatCompletion({
       messages: [
         { role: 'system', content: CONSOLIDATION_SYSTEM_PROMPT },
         { role: 'user', content: buildConsolidationPrompt(analyses, controlContext) },
@@ -1173,7 +1428,7 @@ async function consolidateAnalyses(analyses, controlContext) {
       temperature: GPT_TEMPERATURE,
       max_completion_tokens: GPT_MAX_TOKENS,
       response_format: { type: 'json_object' },
-    });
+    }, { projectId, feature: 'consolidation' });
 
     const choice = response.choices[0];
     let result;
@@ -1323,12 +1578,11 @@ Before producing the final JSON, enumerate each unique sub-requirement across al
   return prompt;
 }
 
-async function consolidateControlAnalyses(analyses, controlContext) {
+async function consolidateControlAnalyses(analyses, controlContext, { projectId } = {}) {
   console.log(`🔗 Consolidating ${analyses.length} document analyses for control ${controlContext.control_number}...`);
 
   try {
-    const response = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const response = await createChatCompletion({
       messages: [
         { role: 'system', content: PER_CONTROL_CONSOLIDATION_SYSTEM_PROMPT },
         { role: 'user', content: buildPerControlConsolidationPrompt(analyses, controlContext) },
@@ -1336,7 +1590,7 @@ async function consolidateControlAnalyses(analyses, controlContext) {
       temperature: GPT_TEMPERATURE,
       max_completion_tokens: GPT_MAX_TOKENS,
       response_format: { type: 'json_object' },
-    });
+    }, { projectId, feature: 'control_consolidation' });
 
     const choice = response.choices[0];
     let result;
@@ -1372,4 +1626,4 @@ async function consolidateControlAnalyses(analyses, controlContext) {
   }
 }
 
-module.exports = { analyzeEvidence, analyzeImageEvidence, analyzeScannedPdfEvidence, normalizeGptAnalysis, buildAnalyzeAllPrompt, extractFrameworkControls, extractControlsFromTabular, enhanceFrameworkControls, consolidateAnalyses, consolidateControlAnalyses, SYSTEM_PROMPT };
+module.exports = { analyzeEvidence, getEvidenceCharsPerPrompt, analyzeAllEvidenceInChunks, mergeChunkAnalyses, analyzeImageEvidence, analyzeScannedPdfEvidence, normalizeGptAnalysis, buildAnalyzeAllPrompt, extractFrameworkControls, extractControlsFromTabular, enhanceFrameworkControls, consolidateAnalyses, consolidateControlAnalyses, buildUserPrompt, buildImageUserPrompt, SYSTEM_PROMPT, IMAGE_SYSTEM_PROMPT, PROMPT_VERSION, GPT_MAX_TOKENS };
@@ -1,7 +1,8 @@
 const fs = require('fs');
-const { supabase, downloadFile, cleanupFile } = require('../utils/supabase');
+const { supabaseAdmin, downloadFile, cleanupFile } = require('../utils/supabase');
 const { parseDocument, isImageType } = require('./documentParser');
 const { analyzeControlWithRetry } = require('../utils/analysisHelpers');
+const { hashFile } = require('../utils/analysisCache');
 
 /**
  * Fetch custom_instructions for a project. Returns null if not found or empty.
@@ -13,7 +14,7 @@ async function fetchCustomInstructions(projectId) {
   if (!projectId) return null;
 
   try {
-    const { data, error } = await supabase
+    const { data, error } = await supabaseAdmin
       .from('projects')
       .select('custom_instructions')
       .eq('id', projectId)
@@ -130,12 +131,13 @@ function computeGroupAggregate(results) {
  * @param {string} params.jobId - UUID of the job
  * @param {Object} params.evidence - Evidence record from Supabase
  * @param {Array} params.childControls - Controls to analyze
- * @param {Map} params.jobs - In-memory job store
+ * @param {Object} params.jobs - Durable job store (from createJobStore)
  * @param {string} params.logPrefix - Log prefix (e.g. "Group" or "GroupByIds")
  * @param {Object} params.resultExtras - Extra fields to merge into the job result (e.g. parentControl, controlIds)
  * @param {string|null} params.customInstructions - Project-level custom instructions
+ * @param {boolean} params.force - Bypass the analysis cache
  */
-async function executeGroupAnalysisLoop({ jobId, evidence, childControls, jobs, logPrefix, resultExtras, customInstructions }) {
+async function executeGroupAnalysisLoop({ jobId, evidence, childControls, jobs, logPrefix, resultExtras, customInstructions, force = false }) {
   let tempFilePath = null;
   const startTime = Date.now();
 
@@ -158,41 +160,37 @@ async function executeGroupAnalysisLoop({ jobId, evidence, childControls, jobs,
 
     if (job) job.progress = 'Downloading evidence file...';
     tempFilePath = await downloadFile(filePath);
+    const fileHash = await hashFile(tempFilePath);
 
     // Parse document — ONCE (or read image as base64)
     if (job) job.progress = 'Parsing document...';
-    const mimeType = evidence.file_type || evidence.mime_type || 'text/plain';
-
-    let documentText = null;
-    let imageContent = null;
-
-    if (isImageType(mimeType)) {
-      const imageBase64 = fs.readFileSync(tempFilePath).toString('base64');
-      imageContent = { base64: imageBase64, mimeType };
-      console.log(`🖼️ [${logPrefix}] Image evidence (${Math.round(imageBase64.length / 1024)}KB base64)`);
-    } else {
-      const parseResult = await parseDocument(tempFilePath, mimeType);
-
-      if (parseResult.type === 'scanned_pdf') {
-        // Scanned PDF — use first page as image for per-control sequential analysis
-        // (sending all pages for each of N controls would be very expensive)
-        const firstPage = parseResult.pages[0];
-        imageContent = { base64: firstPage.base64, mimeType: firstPage.mimeType };
-        console.log(`📸 [${logPrefix}] Scanned PDF detected (${parseResult.pages.length} pages) — using first page for per-control analysis`);
-      } else if (parseResult.type === 'text') {
-        documentText = parseResult.text;
-        console.log(`📄 [${logPrefix}] Document parsed: ${documentText.length} chars`);
-      }
-    }
+    const { documentText, imageContent, pageMap } = await prepareEvidenceContent(tempFilePath, evidence, logPrefix);
 
     // Analyze each control sequentially
     const results = [];
     const totalUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
 
+    // Resumed job: controls saved before the interruption are reused, not re-analyzed
+    const savedResults = new Map((job?.checkpoint?.results || []).map(r => [r.control_id, r]));
+    if (savedResults.size > 0) {
+      console.log(`♻️ [${logPrefix}] Resuming — ${savedResults.size} control(s) already analyzed`);
+    }
+
     for (let i = 0; i < childControls.length; i++) {
       const ctrl = childControls[i];
       const controlName = ctrl.title || `Control ${ctrl.control_number}`;
 
+      const saved = savedResults.get(ctrl.id);
+      if (saved) {
+        results.push(saved);
+        if (saved.usage) {
+          totalUsage.prompt_tokens += saved.usage.prompt_tokens || 0;
+          totalUsage.completion_tokens += saved.usage.completion_tokens || 0;
+          totalUsage.total_tokens += saved.usage.total_tokens || 0;
+        }
+        continue;
+      }
+
       const progressMsg = `Analyzing control ${i + 1} of ${childControls.length} (${ctrl.control_number} - ${controlName})`;
       if (job) {
         job.progress = progressMsg;
@@ -208,6 +206,9 @@ async function executeGroupAnalysisLoop({ jobId, evidence, childControls, jobs,
         buildRequirementText,
         logPrefix,
         imageContent,
+        pageMap,
+        fileHash,
+        force,
       });
 
       results.push(result);
@@ -220,6 +221,8 @@ async function executeGroupAnalysisLoop({ jobId, evidence, childControls, jobs,
 
       if (result.status !== 'error') {
         console.log(`✅ [${logPrefix}] ${ctrl.control_number}: ${result.status} (${result.compliance_percentage}%)`);
+        // Only persisted results are checkpointed — errored/unsaved controls are retried on resume
+        await jobs.checkpoint(jobId, { results: results.filter(r => r.status !== 'error' && r.analysis_id) });
       } else {
         console.error(`❌ [${logPrefix}] ${ctrl.control_number}: ${result.error}`);
       }
@@ -263,18 +266,55 @@ async function executeGroupAnalysisLoop({ jobId, evidence, childControls, jobs,
   }
 }
 
+/**
+ * Turn a downloaded evidence file into what the per-control analysis sends:
+ * document text, or a single image (scanned PDFs use their first page —
+ * sending all pages for each of N controls would be very expensive).
+ *
+ * @param {string} tempFilePath - Downloaded evidence file
+ * @param {Object} evidence - Evidence record (file_type / mime_type)
+ * @param {string} logPrefix - Prefix for console logs
+ * @returns {Promise<{ documentText: string|null, imageContent: Object|null, pageMap: Array|null }>}
+ */
+async function prepareEvidenceContent(tempFilePath, evidence, logPrefix) {
+  const mimeType = evidence.file_type || evidence.mime_type || 'text/plain';
+
+  if (isImageType(mimeType)) {
+    const imageBase64 = fs.readFileSync(tempFilePath).toString('base64');
+    console.log(`🖼️ [${logPrefix}] Image evidence (${Math.round(imageBase64.length / 1024)}KB base64)`);
+    return { documentText: null, imageContent: { base64: imageBase64, mimeType }, pageMap: null };
+  }
+
+  const parseResult = await parseDocument(tempFilePath, mimeType);
+
+  if (parseResult.type === 'scanned_pdf') {
+    const firstPage = parseResult.pages[0];
+    console.log(`📸 [${logPrefix}] Scanned PDF detected (${parseResult.pages.length} pages) — using first page for per-control analysis`);
+    return { documentText: null, imageContent: { base64: firstPage.base64, mimeType: firstPage.mimeType }, pageMap: null };
+  }
+
+  if (parseResult.type === 'text') {
+    console.log(`📄 [${logPrefix}] Document parsed: ${parseResult.text.length} chars`);
+    return { documentText: parseResult.text, imageContent: null, pageMap: parseResult.pageMap };
+  }
+
+  return { documentText: null, imageContent: null, pageMap: null };
+}
+
 /**
  * Run group analysis: analyze one evidence file against all child controls of a parent.
- * Updates the job Map with progress and final results.
+ * Updates the job store with progress and final results.
  *
- * @param {string} jobId - UUID of the job in the jobs Map
+ * @param {string} jobId - UUID of the job in the job store
  * @param {string} evidenceId - UUID of the evidence record
- * @param {Map} jobs - In-memory job store
+ * @param {Object} jobs - Durable job store (from createJobStore)
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Bypass the analysis cache
  */
-async function runGroupAnalysis(jobId, evidenceId, jobs) {
+async function runGroupAnalysis(jobId, evidenceId, jobs, { force = false } = {}) {
   try {
     // 1. Fetch evidence record with joined control and framework
-    const { data: evidence, error: evidenceError } = await supabase
+    const { data: evidence, error: evidenceError } = await supabaseAdmin
       .from('evidence')
       .select(`
         *,
@@ -319,6 +359,7 @@ async function runGroupAnalysis(jobId, evidenceId, jobs) {
       jobs,
       logPrefix: `Group ${jobId}`,
       customInstructions,
+      force,
       resultExtras: {
         parentControl: {
           id: parentControl.id,
@@ -342,15 +383,17 @@ async function runGroupAnalysis(jobId, evidenceId, jobs) {
  * Analyzes one evidence file against a provided list of controls.
  * Used for category-grouped controls that don't have parent_control_number set.
  *
- * @param {string} jobId - UUID of the job in the jobs Map
+ * @param {string} jobId - UUID of the job in the job store
  * @param {string} evidenceId - UUID of the evidence record
  * @param {string[]} controlIds - Array of control UUIDs to analyze
- * @param {Map} jobs - In-memory job store
+ * @param {Object} jobs - Durable job store (from createJobStore)
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Bypass the analysis cache
  */
-async function runGroupAnalysisByIds(jobId, evidenceId, controlIds, jobs) {
+async function runGroupAnalysisByIds(jobId, evidenceId, controlIds, jobs, { force = false } = {}) {
   try {
     // 1. Fetch evidence record (no control join needed)
-    const { data: evidence, error: evidenceError } = await supabase
+    const { data: evidence, error: evidenceError } = await supabaseAdmin
       .from('evidence')
       .select('*')
       .eq('id', evidenceId)
@@ -363,7 +406,7 @@ async function runGroupAnalysisByIds(jobId, evidenceId, controlIds, jobs) {
     const customInstructions = await fetchCustomInstructions(evidence.project_id);
 
     // 2. Fetch the specified controls with their frameworks
-    const { data: controls, error: controlsError } = await supabase
+    const { data: controls, error: controlsError } = await supabaseAdmin
       .from('controls')
       .select('*, frameworks:framework_id (*)')
       .in('id', controlIds)
@@ -385,6 +428,7 @@ async function runGroupAnalysisByIds(jobId, evidenceId, controlIds, jobs) {
       jobs,
       logPrefix: `GroupByIds ${jobId}`,
       customInstructions,
+      force,
       resultExtras: {
         parentControl: null,
         controlIds,
@@ -416,7 +460,7 @@ async function findChildControls(parentControl, selectFields = '*, frameworks:fr
   const parentId = parentControl.id;
 
   // --- Strategy A: parent_control_number match (tree hierarchy) ---
-  const { data: treeChildren, error: treeError } = await supabase
+  const { data: treeChildren, error: treeError } = await supabaseAdmin
     .from('controls')
     .select(selectFields)
     .eq('framework_id', frameworkId)
@@ -437,7 +481,7 @@ async function findChildControls(parentControl, selectFields = '*, frameworks:fr
   ].filter(Boolean);
 
   if (categoryFilters.length > 0) {
-    const { data: catChildren, error: catError } = await supabase
+    const { data: catChildren, error: catError } = await supabaseAdmin
       .from('controls')
       .select(selectFields)
       .eq('framework_id', frameworkId)
@@ -455,7 +499,7 @@ async function findChildControls(parentControl, selectFields = '*, frameworks:fr
   // e.g. parent "3" finds "3.1", "3.1.1", "3.2", etc.
   // e.g. parent "AC-1" finds "AC-1.1", "AC-1.2", etc.
   if (controlNumber) {
-    const { data: prefixChildren, error: prefixError } = await supabase
+    const { data: prefixChildren, error: prefixError } = await supabaseAdmin
       .from('controls')
       .select(selectFields)
       .eq('framework_id', frameworkId)
@@ -477,6 +521,7 @@ module.exports = {
   computeGroupAggregate,
   fetchCustomInstructions,
   findChildControls,
+  prepareEvidenceContent,
   runGroupAnalysis,
   runGroupAnalysisByIds,
 };
@@ -1,11 +1,9 @@
-const OpenAI = require('openai');
 const fs = require('fs');
-const { supabase, supabaseAdmin, downloadFile, cleanupFile } = require('../utils/supabase');
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const { supabaseAdmin, downloadFile, cleanupFile } = require('../utils/supabase');
+const { getLLMClient } = require('./llmProvider');
+const { recordUsage } = require('./usageLedger');
 
 // ── Constants ──
-const LIGHTHOUSE_MODEL = 'gpt-5.1';
 const MAX_FUNCTION_CALL_LOOPS = 5;
 
 // ── System Prompt ──
@@ -153,6 +151,7 @@ async function getOrCreateVectorStore(projectId) {
   }
 
   // 2. Create new vector store
+  const { client: openai } = await getLLMClient({ projectId });
   const vectorStore = await openai.vectorStores.create({
     name: `AuditFlow: ${project?.name || projectId}`,
     metadata: { project_id: projectId },
@@ -189,7 +188,8 @@ async function uploadEvidenceToVectorStore(evidenceRecord) {
     // Download from Supabase Storage to temp file
     tempFilePath = await downloadFile(file_path);
 
-    // Upload to OpenAI Files API + attach to vector store
+    // Upload to the project's provider Files API + attach to vector store
+    const { client: openai } = await getLLMClient({ projectId: project_id });
     const file = await openai.files.create({
       file: fs.createReadStream(tempFilePath),
       purpose: 'assistants', // Required for vector store usage
@@ -223,6 +223,8 @@ async function removeEvidenceFromVectorStore(evidenceRecord) {
     const { openai_file_id, project_id } = evidenceRecord;
     if (!openai_file_id) return;
 
+    const { client: openai } = await getLLMClient({ projectId: project_id });
+
     const { data: project } = await supabaseAdmin
       .from('projects')
       .select('openai_vector_store_id')
@@ -254,14 +256,21 @@ async function removeEvidenceFromVectorStore(evidenceRecord) {
 // Function Call Handlers
 // ═══════════════════════════════════════════════════════
 
-async function executeFunctionCall(name, args) {
+/**
+ * Run a Lighthouse function tool against the database.
+ *
+ * @param {string} name - Tool name
+ * @param {Object} args - Parsed tool arguments (project_id is always the route's project)
+ * @param {Object} [db] - Supabase client to query with; the caller's per-request client so RLS applies
+ */
+async function executeFunctionCall(name, args, db = supabaseAdmin) {
   switch (name) {
     case 'get_project_summary': {
       const { project_id } = args;
       console.log(`📚 get_project_summary: project_id=${project_id}`);
 
       // Try direct project_id first, fallback to control-based query
-      let { data: analyses } = await supabaseAdmin
+      let { data: analyses } = await db
         .from('analysis_results')
         .select('status, compliance_percentage, confidence_score')
         .eq('project_id', project_id)
@@ -272,7 +281,7 @@ async function executeFunctionCall(name, args) {
         console.log(`📚 get_project_summary: direct query returned 0 — trying control-based fallback`);
         const controlIds = await getProjectControlIds(project_id);
         if (controlIds.length > 0) {
-          ({ data: analyses } = await supabaseAdmin
+          ({ data: analyses } = await db
             .from('analysis_results')
             .select('status, compliance_percentage, confidence_score')
             .in('control_id', controlIds)
@@ -289,7 +298,7 @@ async function executeFunctionCall(name, args) {
         : 0;
 
       // Count evidence — direct first, fallback to control-based
-      let { count: evidenceCount } = await supabaseAdmin
+      let { count: evidenceCount } = await db
         .from('evidence')
         .select('id', { count: 'exact', head: true })
         .eq('project_id', project_id);
@@ -297,7 +306,7 @@ async function executeFunctionCall(name, args) {
       if (!evidenceCount || evidenceCount === 0) {
         const controlIds = await getProjectControlIds(project_id);
         if (controlIds.length > 0) {
-          ({ count: evidenceCount } = await supabaseAdmin
+          ({ count: evidenceCount } = await db
             .from('evidence')
             .select('id', { count: 'exact', head: true })
             .in('control_id', controlIds));
@@ -324,7 +333,7 @@ async function executeFunctionCall(name, args) {
       // Scope control search to this project's framework
       const controlIds = await getProjectControlIds(project_id);
 
-      let controlQuery = supabaseAdmin
+      let controlQuery = db
         .from('controls')
         .select('id, control_number, title, description, category')
         .ilike('control_number', control_number);
@@ -343,7 +352,7 @@ async function executeFunctionCall(name, args) {
       const matchedControlIds = controls.map(c => c.id);
 
       // Get analyses — try direct project_id first, fallback to control-based
-      let { data: analyses } = await supabaseAdmin
+      let { data: analyses } = await db
         .from('analysis_results')
         .select('status, compliance_percentage, confidence_score, summary, recommendations, findings, analyzed_at, evidence:evidence_id (file_name)')
         .in('control_id', matchedControlIds)
@@ -354,7 +363,7 @@ async function executeFunctionCall(name, args) {
 
       // Fallback: without project_id filter (already scoped by control IDs within the project)
       if (!analyses || analyses.length === 0) {
-        ({ data: analyses } = await supabaseAdmin
+        ({ data: analyses } = await db
           .from('analysis_results')
           .select('status, compliance_percentage, confidence_score, summary, recommendations, findings, analyzed_at, evidence:evidence_id (file_name)')
           .in('control_id', matchedControlIds)
@@ -377,7 +386,7 @@ async function executeFunctionCall(name, args) {
       console.log(`📚 get_evidence_list: project_id=${project_id}`);
 
       // Primary: direct project_id query
-      let { data } = await supabaseAdmin
+      let { data } = await db
         .from('evidence')
         .select('id, file_name, file_type, control_id, created_at, controls:control_id (title, control_number)')
         .eq('project_id', project_id)
@@ -388,7 +397,7 @@ async function executeFunctionCall(name, args) {
         console.log(`📚 get_evidence_list: direct query returned 0 — trying control-based fallback`);
         const controlIds = await getProjectControlIds(project_id);
         if (controlIds.length > 0) {
-          ({ data } = await supabaseAdmin
+          ({ data } = await db
             .from('evidence')
             .select('id, file_name, file_type, control_id, created_at, controls:control_id (title, control_number)')
             .in('control_id', controlIds)
@@ -409,7 +418,7 @@ async function executeFunctionCall(name, args) {
       console.log(`📚 search_analysis_results: project_id=${project_id}, query="${query}"`);
 
       // Primary: direct project_id query
-      let dbQuery = supabaseAdmin
+      let dbQuery = db
         .from('analysis_results')
         .select('summary, status, compliance_percentage, recommendations, controls:control_id (title, control_number), evidence:evidence_id (file_name)')
         .eq('project_id', project_id)
@@ -426,7 +435,7 @@ async function executeFunctionCall(name, args) {
         console.log(`📚 search_analysis_results: direct query returned 0 — trying control-based fallback`);
         const controlIds = await getProjectControlIds(project_id);
         if (controlIds.length > 0) {
-          let fallbackQuery = supabaseAdmin
+          let fallbackQuery = db
             .from('analysis_results')
             .select('summary, status, compliance_percentage, recommendations, controls:control_id (title, control_number), evidence:evidence_id (file_name)')
             .in('control_id', controlIds)
@@ -475,9 +484,10 @@ async function executeFunctionCall(name, args) {
  * @param {string|null} opts.customInstructions - Project-level custom instructions
  * @param {string} opts.vectorStoreId - The project's vector store ID
  * @param {import('express').Response} opts.res - Express response object (SSE)
+ * @param {Object} [opts.db] - Supabase client for function tools (the caller's per-request client)
  * @returns {Object} The final response object
  */
-async function streamChat({ projectId, message, lastResponseId, customInstructions, vectorStoreId, res }) {
+async function streamChat({ projectId, message, lastResponseId, customInstructions, vectorStoreId, res, db }) {
   // Build instructions with project context
   let instructions = LIGHTHOUSE_SYSTEM_PROMPT;
   if (customInstructions) {
@@ -497,6 +507,8 @@ async function streamChat({ projectId, message, lastResponseId, customInstructio
   // Initial input: the user message
   const input = [{ role: 'user', content: message }];
 
+  const { client: openai, model, provider } = await getLLMClient({ projectId });
+
   // Recursive function to handle the response + function call loop
   let loopCount = 0;
 
@@ -508,7 +520,7 @@ async function streamChat({ projectId, message, lastResponseId, customInstructio
     }
 
     const stream = await openai.responses.create({
-      model: LIGHTHOUSE_MODEL,
+      model,
       instructions,
       input: currentInput,
       tools,
@@ -539,6 +551,8 @@ async function streamChat({ projectId, message, lastResponseId, customInstructio
       return null;
     }
 
+    await recordUsage({ feature: 'lighthouse_chat', model, provider, usage: fullResponse.usage, projectId });
+
     // Check if the response contains function calls
     const functionCalls = (fullResponse.output || []).filter(item => item.type === 'function_call');
 
@@ -552,10 +566,10 @@ async function streamChat({ projectId, message, lastResponseId, customInstructio
         } catch (e) {
           args = {};
         }
-        // Inject projectId if not provided
-        if (!args.project_id) args.project_id = projectId;
+        // Always scope tools to the route's project — never trust a model-supplied ID
+        args.project_id = projectId;
 
-        const result = await executeFunctionCall(fc.name, args);
+        const result = await executeFunctionCall(fc.name, args, db);
         functionOutputs.push({
           type: 'function_call_output',
           call_id: fc.call_id,
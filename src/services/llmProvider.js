@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const { OpenAI, AzureOpenAI } = require('openai');
+const { supabaseAdmin } = require('../utils/supabase');
+
+// ─────────────────────────────────────────────────────────────
+// LLM Provider Layer
+//
+// Every GPT call in the backend goes through getLLMClient(), which returns an
+// OpenAI-SDK-compatible client plus the model/deployment name to send. The
+// provider is chosen by LLM_PROVIDER for the environment and can be overridden
+// per project via projects.llm_provider / projects.llm_model.
+//
+// Supported providers:
+//   openai — public OpenAI API (OPENAI_API_KEY)
+//   azure  — Azure OpenAI (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY,
+//            AZURE_OPENAI_API_VERSION, AZURE_OPENAI_DEPLOYMENT)
+//   local  — OpenAI-compatible endpoint such as vLLM or Ollama
+//            (LOCAL_LLM_BASE_URL, LOCAL_LLM_API_KEY, LOCAL_LLM_MODEL)
+//   fake   — deterministic in-process responses for tests, no network
+//
+// Context windows (tokens) size single prompts, e.g. how much evidence fits
+// before analysis falls back to map-reduce. Models not listed here (Azure
+// deployment names, local models) use LLM_CONTEXT_TOKENS, else 128K.
+// ─────────────────────────────────────────────────────────────
+
+const DEFAULT_PROVIDER = 'openai';
+const DEFAULT_OPENAI_MODEL = 'gpt-5.1';
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+const FAKE_MODEL = 'fake-llm';
+const PROJECT_CONFIG_TTL_MS = 5 * 60 * 1000;
+
+const PROVIDERS = ['openai', 'azure', 'local', 'fake'];
+
+const DEFAULT_CONTEXT_TOKENS = 128000;
+const MODEL_CONTEXT_TOKENS = {
+  'gpt-5.1': 400000,
+  'gpt-5': 400000,
+  'gpt-5-mini': 400000,
+  'gpt-4.1': 1047576,
+  'gpt-4.1-mini': 1047576,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'fake-llm': 128000,
+};
+
+// Clients are reused per provider; project lookups are cached briefly so a
+// 50-control group run doesn't hit the projects table 50 times.
+const clientCache = new Map();
+const projectConfigCache = new Map();
+
+/**
+ * Read the provider configuration from the environment.
+ * Model overrides fall back to LLM_MODEL, then to the provider's own default.
+ */
+function getProviderConfig(provider) {
+  switch (provider) {
+    case 'openai':
+      return {
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.LLM_MODEL || DEFAULT_OPENAI_MODEL,
+        configured: !!process.env.OPENAI_API_KEY,
+      };
+    case 'azure':
+      return {
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION,
+        // Azure routes by deployment name, which is what goes in `model`
+        model: process.env.AZURE_OPENAI_DEPLOYMENT || process.env.LLM_MODEL,
+        configured: !!(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY && (process.env.AZURE_OPENAI_DEPLOYMENT || process.env.LLM_MODEL)),
+      };
+    case 'local':
+      return {
+        baseURL: process.env.LOCAL_LLM_BASE_URL,
+        // Most local servers ignore the key, but the SDK requires one
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+        model: process.env.LOCAL_LLM_MODEL || process.env.LLM_MODEL,
+        configured: !!(process.env.LOCAL_LLM_BASE_URL && (process.env.LOCAL_LLM_MODEL || process.env.LLM_MODEL)),
+      };
+    case 'fake':
+      return { model: FAKE_MODEL, configured: true };
+    default:
+      throw new Error(`Unknown LLM provider "${provider}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * Provider used when a project has no override.
+ */
+function getDefaultProvider() {
+  const provider = (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Env vars the server must have at startup for the default provider.
+ */
+function getRequiredProviderEnv() {
+  switch (getDefaultProvider()) {
+    case 'openai': return ['OPENAI_API_KEY'];
+    case 'azure': return ['AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_DEPLOYMENT'];
+    case 'local': return ['LOCAL_LLM_BASE_URL', 'LOCAL_LLM_MODEL'];
+    default: return [];
+  }
+}
+
+// ── Fake Provider ──
+
+function hashString(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function approxTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function flattenMessageContent(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (part.type === 'text' ? part.text : `[${part.type}]`)).join('\n');
+  }
+  return '';
+}
+
+/**
+ * Canned JSON body covering the shapes every caller expects (analysis,
+ * extraction, enhancement, consolidation, crosswalk, report narrative).
+ * Callers pick the keys they know about and ignore the rest.
+ */
+function buildFakeResponseBody(promptHash) {
+  return {
+    status: 'partial',
+    compliance_percentage: 50,
+    confidence_score: 0.5,
+    summary: `Fake provider response (${promptHash.substring(0, 8)}).`,
+    extracted_text: '',
+    requirements_breakdown: [],
+    recommendations: [],
+    critical_gaps: [],
+    suggested_evidence: [],
+    controls: [],
+    groups: [],
+    mappings: [],
+    per_control_summary: [],
+    overall_status: 'partial',
+    overall_compliance_percentage: 50,
+    consolidated_summary: 'Fake provider consolidation.',
+    content_html: '<p>Fake provider narrative.</p>',
+  };
+}
+
+/**
+ * Build a deterministic client with the subset of the OpenAI SDK surface we
+ * use. The same prompt always produces the same response and token counts.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.respond] - (params) => object|string, overrides the canned body
+ */
+function createFakeClient({ respond } = {}) {
+  let fileCounter = 0;
+
+  return {
+    chat: {
+      completions: {
+        create: async (params) => {
+          const promptText = (params.messages || []).map(m => flattenMessageContent(m.content)).join('\n');
+          const promptHash = hashString(promptText);
+          const body = respond ? respond(params) : buildFakeResponseBody(promptHash);
+          const content = typeof body === 'string' ? body : JSON.stringify(body);
+          const promptTokens = approxTokens(promptText);
+          const completionTokens = approxTokens(content);
+
+          return {
+            id: `chatcmpl-fake-${promptHash.substring(0, 12)}`,
+            object: 'chat.completion',
+            model: params.model || FAKE_MODEL,
+            choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }],
+            usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+          };
+        },
+      },
+    },
+    responses: {
+      create: async (params) => {
+        const inputText = (params.input || []).map(item => flattenMessageContent(item.content) || item.output || '').join('\n');
+        const responseId = `resp_fake_${hashString(`${params.previous_response_id || ''}:${inputText}`).substring(0, 12)}`;
+        const text = respond ? String(respond(params)) : 'Fake provider response.';
+        const response = {
+          id: responseId,
+          model: params.model || FAKE_MODEL,
+          output: [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text }] }],
+          usage: { input_tokens: approxTokens(inputText), output_tokens: approxTokens(text) },
+        };
+
+        const events = [
+          { type: 'response.output_text.delta', delta: text },
+          { type: 'response.completed', response },
+        ];
+        if (!params.stream) return response;
+        return {
+          async *[Symbol.asyncIterator]() {
+            for (const event of events) yield event;
+          },
+        };
+      },
+      retrieve: async (id) => ({ id, output: [] }),
+      inputItems: {
+        list: async () => ({
+          data: [],
+          async *[Symbol.asyncIterator]() {},
+        }),
+      },
+    },
+    vectorStores: {
+      create: async ({ name }) => ({ id: `vs_fake_${hashString(name || '').substring(0, 12)}` }),
+      files: {
+        create: async (vectorStoreId, { file_id }) => ({ id: file_id, vector_store_id: vectorStoreId }),
+        del: async () => ({ deleted: true }),
+      },
+    },
+    files: {
+      create: async () => ({ id: `file_fake_${++fileCounter}` }),
+      del: async () => ({ deleted: true }),
+    },
+  };
+}
+
+// ── Client Construction ──
+
+function buildClient(provider, config) {
+  switch (provider) {
+    case 'openai':
+      return new OpenAI({ apiKey: config.apiKey });
+    case 'azure':
+      // No fixed deployment: the SDK routes by the `model` param, so a
+      // project-level llm_model can target a different deployment
+      return new AzureOpenAI({
+        endpoint: config.endpoint,
+        apiKey: config.apiKey,
+        apiVersion: config.apiVersion,
+      });
+    case 'local':
+      return new OpenAI({ apiKey: config.apiKey, baseURL: config.baseURL });
+    case 'fake':
+      return createFakeClient();
+    default:
+      throw new Error(`Unknown LLM provider "${provider}"`);
+  }
+}
+
+/**
+ * Look up a project's provider override. Cached for PROJECT_CONFIG_TTL_MS.
+ * Returns { provider, model } with nulls when the project has no override.
+ */
+async function getProjectLLMConfig(projectId) {
+  const cached = projectConfigCache.get(projectId);
+  if (cached && Date.now() - cached.fetchedAt < PROJECT_CONFIG_TTL_MS) {
+    return cached.config;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('projects')
+    .select('llm_provider, llm_model')
+    .eq('id', projectId)
+    .single();
+
+  if (error) {
+    // Don't silently fall back to the default provider — a project pinned to
+    // Azure/local must never be routed to the public API because a lookup failed.
+    throw new Error(`Failed to load LLM settings for project ${projectId}: ${error.message}`);
+  }
+
+  const config = {
+    provider: data?.llm_provider ? data.llm_provider.toLowerCase() : null,
+    model: data?.llm_model || null,
+  };
+  projectConfigCache.set(projectId, { config, fetchedAt: Date.now() });
+  return config;
+}
+
+/**
+ * Resolve the LLM client for a call.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.projectId] - Apply this project's provider/model override
+ * @param {string} [options.provider] - Force a specific provider (takes precedence)
+ * @returns {Promise<{ client: Object, model: string, provider: string }>}
+ */
+async function getLLMClient({ projectId, provider: forcedProvider } = {}) {
+  let provider = forcedProvider || null;
+  let modelOverride = null;
+
+  if (!provider && projectId) {
+    const projectConfig = await getProjectLLMConfig(projectId);
+    provider = projectConfig.provider;
+    modelOverride = projectConfig.model;
+  }
+  provider = provider || getDefaultProvider();
+
+  const config = getProviderConfig(provider);
+  if (!config.configured) {
+    throw new Error(`LLM provider "${provider}" is not configured on this server${projectId ? ` (required by project ${projectId})` : ''}`);
+  }
+
+  if (!clientCache.has(provider)) {
+    clientCache.set(provider, buildClient(provider, config));
+    console.log(`🔌 LLM provider initialized: ${provider} (${config.model})`);
+  }
+
+  return {
+    client: clientCache.get(provider),
+    model: modelOverride || config.model,
+    provider,
+  };
+}
+
+/**
+ * Context window of a model in tokens. Dated snapshots (e.g.
+ * "gpt-4o-2024-08-06") match their longest listed base model.
+ *
+ * @param {string} model
+ * @returns {number}
+ */
+function getContextWindowTokens(model) {
+  if (MODEL_CONTEXT_TOKENS[model]) return MODEL_CONTEXT_TOKENS[model];
+
+  const base = Object.keys(MODEL_CONTEXT_TOKENS)
+    .filter(name => model?.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (base) return MODEL_CONTEXT_TOKENS[base];
+
+  return parseInt(process.env.LLM_CONTEXT_TOKENS, 10) || DEFAULT_CONTEXT_TOKENS;
+}
+
+module.exports = {
+  getLLMClient,
+  getContextWindowTokens,
+  getDefaultProvider,
+  getRequiredProviderEnv,
+  createFakeClient,
+  PROVIDERS,
+};
@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { formatPageCitation } = require('../utils/pageMap');
+
+// ─────────────────────────────────────────────────────────────
+// OSCAL Assessment Results & POA&M Export
+//
+// Turns a generated report (control_findings + evidence_manifest) into
+// OSCAL 1.1.2 JSON:
+//   evidence file      → back-matter resource
+//   control finding    → observation (what was examined) + finding (satisfied / not-satisfied)
+//   gap + remediation  → risk with a recommended remediation
+//   open risk          → POA&M item
+//
+// Every document is validated before it is returned. The official NIST
+// OSCAL JSON schemas (json/schema/ in the usnistgov/OSCAL v1.1.2 release
+// archive, unmodified) are used when they are installed in src/schemas/oscal/.
+// Until then documents are checked against auditflow_oscal_structure.json,
+// our own schema for the OSCAL content model of the assemblies we emit —
+// stricter than nothing, looser than NIST's.
+// UUIDs are derived from the report ID, so re-exporting the same report
+// yields the same identifiers.
+// ─────────────────────────────────────────────────────────────
+
+const OSCAL_VERSION = '1.1.2';
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas', 'oscal');
+const SCHEMA_FILES = {
+  'assessment-results': 'oscal_assessment-results_schema.json',
+  'plan-of-action-and-milestones': 'oscal_poam_schema.json',
+};
+// Repo-authored fallback; one definition per document root
+const STRUCTURE_SCHEMA_FILE = 'auditflow_oscal_structure.json';
+const STRUCTURE_DEFINITIONS = {
+  'assessment-results': 'assessment-results-document',
+  'plan-of-action-and-milestones': 'poam-document',
+};
+
+// Namespace for AuditFlow-specific props (OSCAL requires one for non-NIST prop names)
+const AUDITFLOW_NS = 'urn:auditflow:oscal';
+const OPEN_STATUSES = new Set(['partial', 'non_compliant']);
+
+// ── Helpers ──
+
+/**
+ * Name-based (v5) UUID, so the same report and element always map to the same OSCAL UUID.
+ */
+function stableUuid(namespace, ...parts) {
+  const namespaceBytes = Buffer.from(namespace.replace(/-/g, ''), 'hex');
+  const hash = crypto.createHash('sha1').update(namespaceBytes).update(parts.join(':')).digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20, 32)}`;
+}
+
+/**
+ * OSCAL markup-line / string values: one line, no surrounding whitespace, never empty.
+ */
+function line(text, fallback) {
+  const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return value || fallback;
+}
+
+function multiline(text, fallback) {
+  const value = String(text ?? '').trim();
+  return value || fallback;
+}
+
+/**
+ * Control number to an OSCAL control-id token, following NIST conventions
+ * ("AC-2(1)" → "ac-2.1", "A.5.1" → "a.5.1").
+ */
+function toControlId(controlNumber) {
+  const id = String(controlNumber || '')
+    .toLowerCase()
+    .replace(/\(([^)]+)\)/g, '.$1')
+    .replace(/[^\p{L}\p{N}._-]+/gu, '-')
+    .replace(/^[-.]+|[-.]+$/g, '');
+  if (!id) return '_unnumbered';
+  return /^[\p{L}_]/u.test(id) ? id : `_${id}`;
+}
+
+function effectiveStatus(finding) {
+  return finding.status_override || finding.status;
+}
+
+function effectiveScore(finding) {
+  return finding.score_override ?? finding.compliance_score;
+}
+
+function auditflowProp(name, value) {
+  return { name, ns: AUDITFLOW_NS, value: line(value, 'none') };
+}
+
+function buildMetadata(report, title) {
+  const lastModified = report.updated_at || report.snapshot_at || new Date().toISOString();
+  return {
+    title: line(title, 'AuditFlow Report'),
+    'last-modified': new Date(lastModified).toISOString(),
+    version: report.snapshot_at ? new Date(report.snapshot_at).toISOString() : 'draft',
+    'oscal-version': OSCAL_VERSION,
+    props: [
+      auditflowProp('report-id', report.id),
+      auditflowProp('report-type', report.report_type || 'audit_compliance'),
+    ],
+    ...(report.framework_name ? { remarks: `Assessed against ${report.framework_name}.` } : {}),
+  };
+}
+
+// ── Assessment model shared by both documents ──
+
+/**
+ * Build back-matter resources, observations, findings and risks from a report.
+ */
+function buildAssessmentModel(report) {
+  const findings = report.control_findings || [];
+  const manifest = report.evidence_manifest || [];
+  const collected = new Date(report.snapshot_at || report.updated_at || Date.now()).toISOString();
+
+  // One back-matter resource per evidence file, looked up by name from the findings
+  const resources = manifest.map(evidence => ({
+    uuid: stableUuid(report.id, 'evidence', evidence.evidence_id || evidence.file_name),
+    title: line(evidence.file_name, 'Evidence document'),
+    description: `Evidence document (${line(evidence.file_type, 'unknown type')}) analyzed for ${evidence.controls_analyzed?.length || 0} control(s).`,
+    props: [{ name: 'type', value: 'evidence' }],
+  }));
+  const resourceByName = new Map(manifest.map((evidence, i) => [evidence.file_name, resources[i]]));
+
+  const observations = [];
+  const oscalFindings = [];
+  const risks = [];
+  const assessedControlIds = [];
+
+  for (const finding of findings) {
+    const status = effectiveStatus(finding);
+    if (!status || status === 'not_assessed') continue;
+
+    const controlId = toControlId(finding.control_number);
+    const score = effectiveScore(finding);
+    const controlLabel = line(`${finding.control_number}${finding.title ? ` ${finding.title}` : ''}`, controlId);
+    assessedControlIds.push(controlId);
+
+    const observationUuid = stableUuid(report.id, 'observation', finding.control_number);
+    observations.push({
+      uuid: observationUuid,
+      title: `Evidence review: ${controlLabel}`,
+      description: multiline(finding.concise_finding, `Evidence was examined for ${controlLabel}.`),
+      methods: ['EXAMINE'],
+      ...((finding.evidence_files || []).length > 0 ? {
+        'relevant-evidence': finding.evidence_files.map((file) => {
+          const resource = resourceByName.get(file.name);
+          const citation = formatPageCitation(file.pages);
+          return {
+            ...(resource ? { href: `#${resource.uuid}` } : {}),
+            description: line(citation ? `${file.name}, ${citation}` : file.name, 'Evidence document'),
+          };
+        }),
+      } : {}),
+      collected,
+    });
+
+    let riskUuid = null;
+    if (OPEN_STATUSES.has(status)) {
+      riskUuid = stableUuid(report.id, 'risk', finding.control_number);
+      risks.push({
+        uuid: riskUuid,
+        title: `Gap: ${controlLabel}`,
+        description: multiline(finding.concise_finding, `${controlLabel} is ${status === 'partial' ? 'partially' : 'not'} implemented.`),
+        statement: multiline(finding.concise_gap, 'Control requirements are not fully met by the evidence reviewed.'),
+        status: 'open',
+        ...(finding.concise_remediation ? {
+          remediations: [{
+            uuid: stableUuid(report.id, 'remediation', finding.control_number),
+            lifecycle: 'recommendation',
+            title: `Remediate ${line(finding.control_number, controlId)}`,
+            description: multiline(finding.concise_remediation, 'Address the identified gaps.'),
+          }],
+        } : {}),
+        'related-observations': [{ 'observation-uuid': observationUuid }],
+      });
+    }
+
+    oscalFindings.push({
+      uuid: stableUuid(report.id, 'finding', finding.control_number),
+      title: controlLabel,
+      description: multiline(finding.concise_finding, `Assessment of ${controlLabel}.`),
+      props: [
+        auditflowProp('compliance-status', status),
+        ...(score != null ? [auditflowProp('compliance-score', score)] : []),
+        ...(finding.status_override || finding.score_override != null ? [auditflowProp('assessor-override', 'true')] : []),
+      ],
+      target: {
+        type: 'objective-id',
+        'target-id': `${controlId}_obj`,
+        status: {
+          state: status === 'compliant' ? 'satisfied' : 'not-satisfied',
+          reason: status === 'compliant' ? 'pass' : 'fail',
+        },
+      },
+      'related-observations': [{ 'observation-uuid': observationUuid }],
+      ...(riskUuid ? { 'related-risks': [{ 'risk-uuid': riskUuid }] } : {}),
+      ...(finding.user_notes?.trim() ? { remarks: finding.user_notes.trim() } : {}),
+    });
+  }
+
+  return { resources, observations, findings: oscalFindings, risks, assessedControlIds, collected };
+}
+
+// ── Document builders ──
+
+/**
+ * Build an OSCAL Assessment Results document from a generated report.
+ *
+ * @param {Object} report - Report row with control_findings, evidence_manifest and framework_name
+ * @returns {Object} { "assessment-results": ... }
+ */
+function buildAssessmentResults(report) {
+  const model = buildAssessmentModel(report);
+  const planResourceUuid = stableUuid(report.id, 'assessment-plan');
+
+  return {
+    'assessment-results': {
+      uuid: stableUuid(report.id, 'assessment-results', report.snapshot_at || ''),
+      metadata: buildMetadata(report, report.title),
+      // No OSCAL assessment plan is produced, so point at a back-matter description of the scope
+      'import-ap': { href: `#${planResourceUuid}` },
+      results: [{
+        uuid: stableUuid(report.id, 'result', report.snapshot_at || ''),
+        title: line(report.title, 'Assessment results'),
+        description: `Evidence-based assessment${report.framework_name ? ` against ${report.framework_name}` : ''}.`,
+        start: model.collected,
+        'reviewed-controls': {
+          'control-selections': [
+            model.assessedControlIds.length > 0
+              ? { 'include-controls': [...new Set(model.assessedControlIds)].map(id => ({ 'control-id': id })) }
+              : { 'include-all': {} },
+          ],
+        },
+        ...(model.observations.length > 0 ? { observations: model.observations } : {}),
+        ...(model.risks.length > 0 ? { risks: model.risks } : {}),
+        ...(model.findings.length > 0 ? { findings: model.findings } : {}),
+      }],
+      'back-matter': {
+        resources: [
+          {
+            uuid: planResourceUuid,
+            title: 'Assessment plan',
+            description: `Assessment scope: ${report.framework_name || 'the report framework'}, as configured in the AuditFlow report "${line(report.title, report.id)}".`,
+            props: [{ name: 'type', value: 'plan' }],
+          },
+          ...model.resources,
+        ],
+      },
+    },
+  };
+}
+
+/**
+ * Build an OSCAL Plan of Action & Milestones from a report's open gaps.
+ * Throws when no control is partial or non-compliant (a POA&M needs at least one item).
+ *
+ * @param {Object} report
+ * @returns {Object} { "plan-of-action-and-milestones": ... }
+ */
+function buildPoam(report) {
+  const model = buildAssessmentModel(report);
+  if (model.risks.length === 0) {
+    const err = new Error('The report has no partial or non-compliant controls to include in a POA&M');
+    err.code = 'NO_POAM_ITEMS';
+    throw err;
+  }
+
+  const findingByRisk = new Map(model.findings
+    .filter(f => f['related-risks'])
+    .map(f => [f['related-risks'][0]['risk-uuid'], f]));
+
+  const usedObservations = new Set(model.risks.flatMap(r => r['related-observations'].map(o => o['observation-uuid'])));
+  const observations = model.observations.filter(o => usedObservations.has(o.uuid));
+  const usedResources = new Set(observations.flatMap(o => (o['relevant-evidence'] || []).map(e => e.href?.substring(1))));
+
+  return {
+    'plan-of-action-and-milestones': {
+      uuid: stableUuid(report.id, 'poam', report.snapshot_at || ''),
+      metadata: buildMetadata(report, `${line(report.title, 'AuditFlow Report')} — POA&M`),
+      observations,
+      risks: model.risks,
+      findings: [...findingByRisk.values()],
+      'poam-items': model.risks.map((risk) => {
+        const finding = findingByRisk.get(risk.uuid);
+        return {
+          uuid: stableUuid(report.id, 'poam-item', risk.uuid),
+          title: risk.title.replace(/^Gap: /, ''),
+          description: risk.statement,
+          ...(finding ? { 'related-findings': [{ 'finding-uuid': finding.uuid }] } : {}),
+          'related-observations': risk['related-observations'],
+          'related-risks': [{ 'risk-uuid': risk.uuid }],
+        };
+      }),
+      ...(usedResources.size > 0 ? {
+        'back-matter': { resources: model.resources.filter(r => usedResources.has(r.uuid)) },
+      } : {}),
+    },
+  };
+}
+
+// ── Schema Validation ──
+
+let ajv = null;
+let structureSchemaId = null;
+const validators = new Map();
+
+/**
+ * Official schema files missing from SCHEMA_DIR — checked at startup so a
+ * deploy still running on the fallback schema is noticed.
+ *
+ * @returns {string[]}
+ */
+function missingOscalSchemas() {
+  return Object.values(SCHEMA_FILES).filter(file => !fs.existsSync(path.join(SCHEMA_DIR, file)));
+}
+
+function getAjv() {
+  if (!ajv) {
+    // The NIST schemas use $comment and custom keywords, so strict mode is off
+    ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(ajv);
+  }
+  return ajv;
+}
+
+function getValidator(rootKey) {
+  if (validators.has(rootKey)) return validators.get(rootKey);
+
+  let validate;
+  const schemaPath = path.join(SCHEMA_DIR, SCHEMA_FILES[rootKey]);
+  if (fs.existsSync(schemaPath)) {
+    validate = getAjv().compile(JSON.parse(fs.readFileSync(schemaPath, 'utf-8')));
+  } else {
+    const structurePath = path.join(SCHEMA_DIR, STRUCTURE_SCHEMA_FILE);
+    if (!fs.existsSync(structurePath)) {
+      const err = new Error(`No OSCAL schema for ${rootKey} in ${SCHEMA_DIR}: neither ${SCHEMA_FILES[rootKey]} (official OSCAL v${OSCAL_VERSION}) nor ${STRUCTURE_SCHEMA_FILE} is installed.`);
+      err.code = 'OSCAL_SCHEMA_MISSING';
+      throw err;
+    }
+    if (!structureSchemaId) {
+      const schema = JSON.parse(fs.readFileSync(structurePath, 'utf-8'));
+      getAjv().addSchema(schema);
+      structureSchemaId = schema.$id;
+    }
+    validate = getAjv().getSchema(`${structureSchemaId}#/definitions/${STRUCTURE_DEFINITIONS[rootKey]}`);
+  }
+
+  validators.set(rootKey, validate);
+  return validate;
+}
+
+/**
+ * Validate an OSCAL document against the official schema for its type,
+ * or the bundled structural schema when that is not installed.
+ *
+ * @param {Object} document - { "assessment-results": ... } or { "plan-of-action-and-milestones": ... }
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateOscalDocument(document) {
+  const rootKey = Object.keys(document).find(key => SCHEMA_FILES[key]);
+  if (!rootKey) throw new Error('Unsupported OSCAL document type');
+
+  const validate = getValidator(rootKey);
+  const valid = validate(document);
+  return {
+    valid,
+    errors: valid ? [] : validate.errors.slice(0, 20).map(e => `${e.instancePath || '/'} ${e.message}`),
+  };
+}
+
+module.exports = {
+  buildAssessmentResults,
+  buildPoam,
+  validateOscalDocument,
+  missingOscalSchemas,
+  OSCAL_VERSION,
+};
@@ -1,6 +1,9 @@
 const crypto = require('crypto');
-const { supabase } = require('../utils/supabase');
+const { supabaseAdmin } = require('../utils/supabase');
 const { parseMarkdownToDocxChildren, parseHtmlToDocxElements } = require('../utils/docxFormatters');
+const { pdfSafeText, stripMarkdown, markdownToPlainText, htmlToPdfBlocks } = require('../utils/pdfFormatters');
+const { citedPages, formatPageCitation } = require('../utils/pageMap');
+const { fetchDerivedFindings } = require('./findingPropagation');
 const {
   Document,
   Packer,
@@ -25,6 +28,8 @@ const {
   PageNumber,
   HeightRule,
 } = require('docx');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
 
 // ─────────────────────────────────────────────────────────────
 // Default Section Templates — Enhanced with methodology, rating legend, grouping
@@ -63,6 +68,49 @@ const DEFAULT_SECTIONS = {
   ],
 };
 
+// Default scoring config per report type (includes tier_descriptions for the rating legend)
+const DEFAULT_SCORING_CONFIGS = {
+  audit_compliance: {
+    scale: 'custom',
+    thresholds: { 'Conforms': 80, 'Opportunity for Improvement': 50, 'Non-Conformity': 0 },
+    tier_descriptions: {
+      'Conforms': 'Requirement is fulfilled and operating effectively.',
+      'Opportunity for Improvement': 'Requirement is aligned but minor gaps, inconsistencies, or lack of clarity were detected. Enhancements are recommended.',
+      'Non-Conformity — Major': 'Significant failure or absence to implement or maintain a requirement. Raises serious doubt about the system achieving its objectives.',
+      'Non-Conformity — Minor': 'A less severe issue representing a partial or isolated deviation from a requirement. Does not pose immediate risk but requires corrective action.',
+      'Not Assessed': 'The control was not evaluated during this assessment.',
+    },
+  },
+  readiness_gap: {
+    scale: 'percentage',
+    thresholds: { compliant: 80, partial: 50 },
+    tier_descriptions: {
+      'Compliant (≥80%)': 'The control meets the applicable requirement and is operating effectively.',
+      'Partially Compliant (50-79%)': 'The control partially meets the requirement with gaps identified.',
+      'Non-Compliant (<50%)': 'The control does not meet the applicable requirement.',
+      'Not Assessed': 'The control was not evaluated during this assessment.',
+    },
+  },
+  maturity: {
+    scale: '1-5',
+    thresholds: { compliant: 4, partial: 2 },
+    custom_labels: { '5': 'Optimized', '4': 'Managed', '3': 'Defined', '2': 'Developing', '1': 'Initial' },
+    tier_descriptions: {
+      'Optimized (5)': 'Processes are continuously improved through monitoring, feedback, and innovation.',
+      'Managed (4)': 'Processes are measured and controlled with quantitative objectives.',
+      'Defined (3)': 'Processes are documented, standardized, and integrated into the organization.',
+      'Developing (2)': 'Processes are planned and tracked but may be inconsistent.',
+      'Initial (1)': 'Processes are ad hoc and not formally defined.',
+    },
+  },
+};
+
+const DEFAULT_COLUMN_CONFIG = ['control_number', 'title', 'evidence', 'findings', 'gaps', 'recommendations', 'score', 'status'];
+
+function defaultScoringConfig(reportType) {
+  return structuredClone(DEFAULT_SCORING_CONFIGS[reportType] || DEFAULT_SCORING_CONFIGS.readiness_gap);
+}
+
 // ─────────────────────────────────────────────────────────────
 // Score Mapping
 // ─────────────────────────────────────────────────────────────
@@ -117,7 +165,7 @@ async function gatherReportData(projectId, frameworkId) {
   console.log('📊 Gathering report data...');
 
   // 1. Fetch framework
-  const { data: framework } = await supabase
+  const { data: framework } = await supabaseAdmin
     .from('frameworks')
     .select('id, name, created_at')
     .eq('id', frameworkId)
@@ -126,7 +174,7 @@ async function gatherReportData(projectId, frameworkId) {
   if (!framework) throw new Error('Framework not found');
 
   // 2. Fetch controls
-  const { data: controls } = await supabase
+  const { data: controls } = await supabaseAdmin
     .from('controls')
     .select('*')
     .eq('framework_id', frameworkId)
@@ -149,7 +197,7 @@ async function gatherReportData(projectId, frameworkId) {
   }
 
   // 3. Fetch analysis results (dedup latest per control+evidence pair)
-  const { data: allResults } = await supabase
+  const { data: allResults } = await supabaseAdmin
     .from('analysis_results')
     .select('*, evidence:evidence_id (id, file_name, file_type, created_at)')
     .in('control_id', controlIds)
@@ -165,8 +213,16 @@ async function gatherReportData(projectId, frameworkId) {
   }
   const dedupedResults = Array.from(seen.values());
 
+  // 3b. Derived findings propagated through crosswalks (inherited coverage), same dedup rule
+  const derivedSeen = new Map();
+  for (const d of await fetchDerivedFindings(projectId, controlIds)) {
+    const key = `${d.control_id}::${d.evidence_id}`;
+    if (!derivedSeen.has(key)) derivedSeen.set(key, d);
+  }
+  const derivedFindings = Array.from(derivedSeen.values());
+
   // 4. Fetch consolidated analyses — the primary source for concise findings
-  const { data: consolidations } = await supabase
+  const { data: consolidations } = await supabaseAdmin
     .from('consolidated_analyses')
     .select('*')
     .in('parent_control_id', controlIds)
@@ -195,9 +251,32 @@ async function gatherReportData(projectId, frameworkId) {
     entry.analysis_count++;
   }
 
+  // 5b. Evidence reused through crosswalks is listed separately from direct testing
+  for (const d of derivedFindings) {
+    if (!d.evidence) continue;
+    const eid = d.evidence.id;
+    if (!evidenceMap.has(eid)) {
+      evidenceMap.set(eid, {
+        evidence_id: eid,
+        file_name: d.evidence.file_name,
+        file_type: d.evidence.file_type,
+        created_at: d.evidence.created_at,
+        controls_analyzed: [],
+        analysis_count: 0,
+      });
+    }
+    const entry = evidenceMap.get(eid);
+    entry.controls_inherited = entry.controls_inherited || [];
+    const ctrlNum = controls.find(c => c.id === d.control_id)?.control_number;
+    if (ctrlNum && !entry.controls_inherited.includes(ctrlNum)) {
+      entry.controls_inherited.push(ctrlNum);
+    }
+  }
+
   // 6. Build control findings — prefer consolidated data for concise fields
   const controlFindings = controls.map(control => {
-    const resultsForControl = dedupedResults.filter(r => r.control_id === control.id);
+    const directResults = dedupedResults.filter(r => r.control_id === control.id);
+    const derivedForControl = derivedFindings.filter(d => d.control_id === control.id);
 
     // Match consolidation: check control's own ID first, then its parent's ID
     const consolidation = (consolidations || []).find(c =>
@@ -206,6 +285,12 @@ async function gatherReportData(projectId, frameworkId) {
     );
     const conData = consolidation?.consolidated_data || null;
 
+    // Coverage: direct analyses win; derived findings only stand in when there are none
+    const coverage = consolidation || directResults.length > 0
+      ? 'direct'
+      : derivedForControl.length > 0 ? 'inherited' : 'none';
+    const resultsForControl = coverage === 'inherited' ? derivedForControl : directResults;
+
     // For child controls, find their specific entry in per_control_summary
     const myPcs = conData?.per_control_summary?.find(
       pcs => pcs.control_number === control.control_number
@@ -268,10 +353,19 @@ async function gatherReportData(projectId, frameworkId) {
           evidence_id: r.evidence.id,
           name: r.evidence.file_name,
           type: r.evidence.file_type,
+          ...(coverage === 'inherited' && { inherited_from: r.source_control?.control_number || null }),
         });
       }
     }
 
+    // Page citations from the underlying analyses (page-aware PDF evidence only)
+    for (const file of evidenceFiles) {
+      const pages = resultsForControl
+        .filter(r => r.evidence?.file_name === file.name)
+        .flatMap(r => citedPages(r.findings?.requirements_breakdown));
+      file.pages = [...new Set(pages)].sort((a, b) => a - b);
+    }
+
     // Concise fields from consolidated data
     let conciseFinding = '';
     let conciseGap = '';
@@ -320,6 +414,14 @@ async function gatherReportData(projectId, frameworkId) {
       category: control.category || control.group || 'Uncategorized',
       status,
       compliance_score: complianceScore,
+      coverage,
+      inherited_from: coverage === 'inherited'
+        ? [...new Map(derivedForControl.map(d => [d.source_control_id, {
+          control_number: d.source_control?.control_number || null,
+          relationship_type: d.relationship_type,
+          crosswalk_id: d.crosswalk_id,
+        }])).values()]
+        : [],
       evidence_files: evidenceFiles,
       concise_finding: conciseFinding,
       concise_gap: conciseGap,
@@ -331,7 +433,7 @@ async function gatherReportData(projectId, frameworkId) {
     };
   });
 
-  console.log(`✅ Gathered: ${controls.length} controls, ${dedupedResults.length} analyses, ${(consolidations || []).length} consolidations, ${evidenceMap.size} evidence files`);
+  console.log(`✅ Gathered: ${controls.length} controls, ${dedupedResults.length} analyses, ${derivedFindings.length} derived findings, ${(consolidations || []).length} consolidations, ${evidenceMap.size} evidence files`);
 
   return {
     framework,
@@ -348,7 +450,7 @@ async function gatherReportData(projectId, frameworkId) {
 async function generateReport(reportId) {
   const startTime = Date.now();
 
-  const { data: report, error: fetchErr } = await supabase
+  const { data: report, error: fetchErr } = await supabaseAdmin
     .from('reports')
     .select('*')
     .eq('id', reportId)
@@ -365,7 +467,7 @@ async function generateReport(reportId) {
 
   const durationMs = Date.now() - startTime;
 
-  const { data: updated, error: updateErr } = await supabase
+  const { data: updated, error: updateErr } = await supabaseAdmin
     .from('reports')
     .update({
       status: 'complete',
@@ -377,6 +479,8 @@ async function generateReport(reportId) {
         controls_count: reportData.controlFindings.length,
         evidence_count: reportData.evidenceManifest.length,
         consolidations_used: reportData.controlFindings.filter(f => f.concise_finding).length,
+        direct_coverage: reportData.controlFindings.filter(f => f.coverage === 'direct').length,
+        inherited_coverage: reportData.controlFindings.filter(f => f.coverage === 'inherited').length,
       },
       error: null,
       updated_at: new Date().toISOString(),
@@ -401,6 +505,17 @@ function escapeHtml(str) {
   return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
+/**
+ * Evidence reference for findings tables: file name plus page citation ("policy.pdf, p. 12"),
+ * marked when the coverage is inherited through a crosswalk.
+ */
+function formatEvidenceReference(file) {
+  const citation = formatPageCitation(file.pages);
+  const reference = citation ? `${file.name}, ${citation}` : file.name;
+  if (file.inherited_from === undefined) return reference;
+  return `${reference} (inherited${file.inherited_from ? ` via ${file.inherited_from}` : ''})`;
+}
+
 function statusBadge(status) {
   const colors = { compliant: '#22c55e', partial: '#f59e0b', non_compliant: '#ef4444', not_assessed: '#9ca3af' };
   const labels = { compliant: 'Compliant', partial: 'Partial', non_compliant: 'Non-Compliant', not_assessed: 'Not Assessed' };
@@ -413,6 +528,22 @@ function reportTypeLabel(type) {
   return { audit_compliance: 'Audit Compliance Report', readiness_gap: 'Readiness & Gap Report', maturity: 'Maturity Assessment Report' }[type] || type;
 }
 
+/**
+ * Cover page fields a report template can set (reports.cover_page).
+ */
+function coverPageDetails(report) {
+  const cover = report.cover_page || {};
+  return {
+    subtitle: cover.subtitle || null,
+    lines: [
+      cover.prepared_for && `Prepared for: ${cover.prepared_for}`,
+      cover.prepared_by && `Prepared by: ${cover.prepared_by}`,
+    ].filter(Boolean),
+    classification: cover.classification || null,
+    footer: cover.footer_text || 'Generated by AuditFlow',
+  };
+}
+
 // ── Inner table renderer (shared by flat and grouped) ──
 
 const COL_HEADERS = {
@@ -436,7 +567,7 @@ function renderFindingsTableInner(findings, columnConfig) {
       switch (col) {
         case 'control_number': return `<td><strong>${escapeHtml(f.control_number)}</strong></td>`;
         case 'title': return `<td>${escapeHtml(f.title)}</td>`;
-        case 'evidence': return `<td class="evidence-list">${f.evidence_files.map(e => escapeHtml(e.name)).join('<br>') || '—'}</td>`;
+        case 'evidence': return `<td class="evidence-list">${f.evidence_files.map(e => escapeHtml(formatEvidenceReference(e))).join('<br>') || '—'}</td>`;
         case 'findings': return `<td>${escapeHtml(f.concise_finding || '—')}</td>`;
         case 'gaps': return `<td>${escapeHtml(f.concise_gap || '—')}</td>`;
         case 'recommendations': return `<td>${escapeHtml(f.concise_remediation || '—')}</td>`;
@@ -503,20 +634,23 @@ function renderGroupedControlFindingsHtml(title, findings, columnConfig) {
 
 // ── Rating legend ──
 
-function renderRatingLegendHtml(title, scoringConfig) {
+/**
+ * [rating, description] pairs: tier descriptions, or the thresholds as a fallback.
+ */
+function ratingLegendEntries(scoringConfig) {
   const tierDescs = scoringConfig?.tier_descriptions;
-  let entries = [];
-
   if (tierDescs && Object.keys(tierDescs).length > 0) {
-    entries = Object.entries(tierDescs);
-  } else {
-    // Fallback: build from thresholds
-    const thresholds = scoringConfig?.thresholds || {};
-    for (const [key, value] of Object.entries(thresholds)) {
-      entries.push([key, `Score threshold: ≥ ${value}%`]);
-    }
+    return Object.entries(tierDescs);
   }
 
+  // Fallback: build from thresholds
+  const thresholds = scoringConfig?.thresholds || {};
+  return Object.entries(thresholds).map(([key, value]) => [key, `Score threshold: ≥ ${value}%`]);
+}
+
+function renderRatingLegendHtml(title, scoringConfig) {
+  const entries = ratingLegendEntries(scoringConfig);
+
   if (entries.length === 0) {
     return `<div class="section"><h2>${escapeHtml(title)}</h2><p>No rating definitions configured.</p></div>`;
   }
@@ -557,15 +691,79 @@ function renderCustomTableHtml(section) {
   </div>`;
 }
 
+// ── Crosswalk gap analysis (readiness for another framework) ──
+
+// Most work left first
+const GAP_BUCKET_ORDER = ['not_covered', 'weak', 'partial', 'satisfied'];
+const GAP_BUCKET_LABELS = { satisfied: 'Already Satisfied', partial: 'Partially Covered', weak: 'Weakly Related Only', not_covered: 'Not Covered' };
+const GAP_BUCKET_COLORS = { satisfied: '22c55e', partial: 'f59e0b', weak: 'a855f7', not_covered: 'ef4444' };
+
+/**
+ * Target controls ordered by bucket, keeping framework order within each bucket.
+ */
+function sortedGapControls(analysis) {
+  return [...(analysis?.controls || [])]
+    .map((c, index) => ({ ...c, index }))
+    .sort((a, b) => GAP_BUCKET_ORDER.indexOf(a.bucket) - GAP_BUCKET_ORDER.indexOf(b.bucket) || a.index - b.index);
+}
+
+function formatGapCoverage(control) {
+  return (control.covered_by || [])
+    .map(c => `${c.source_control_number} (${c.relationship_type}, ${STATUS_LABELS[c.source_status] || c.source_status})`)
+    .join('; ');
+}
+
+function gapIntroText(analysis) {
+  return `Each ${analysis.target_framework?.name || 'target'} control is classified from this project's current results on ${analysis.source_framework?.name || 'the source framework'} through the approved mappings of a finalized crosswalk (as of ${new Date(analysis.generated_at).toLocaleDateString()}).`;
+}
+
+function renderGapAnalysisHtml(section) {
+  const analysis = section.metadata;
+  if (!analysis?.controls || analysis.controls.length === 0) {
+    return `<div class="section"><h2>${escapeHtml(section.title)}</h2><p>No gap analysis available.</p></div>`;
+  }
+
+  const cards = [...GAP_BUCKET_ORDER].reverse().map(bucket =>
+    `<div class="stat-card"><div class="stat-value" style="color:#${GAP_BUCKET_COLORS[bucket]}">${analysis.summary?.[bucket] ?? 0}</div><div class="stat-label">${GAP_BUCKET_LABELS[bucket]}</div></div>`
+  ).join('');
+
+  const rows = sortedGapControls(analysis).map(c => `<tr>
+      <td><strong>${escapeHtml(c.control_number)}</strong></td>
+      <td>${escapeHtml(c.title)}</td>
+      <td><span style="color:#${GAP_BUCKET_COLORS[c.bucket]}; font-weight:600;">${GAP_BUCKET_LABELS[c.bucket] || c.bucket}</span></td>
+      <td class="evidence-list">${escapeHtml(formatGapCoverage(c)) || '—'}</td>
+    </tr>`).join('\n');
+
+  return `<div class="section">
+    <h2>${escapeHtml(section.title)}</h2>
+    <p>${escapeHtml(gapIntroText(analysis))}</p>
+    <div class="stats-grid">${cards}<div class="stat-card"><div class="stat-value">${analysis.summary?.total ?? analysis.controls.length}</div><div class="stat-label">Total Controls</div></div></div>
+    <table class="findings-table">
+      <thead><tr><th>Control #</th><th>Title</th><th>Readiness</th><th>Covered By</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>`;
+}
+
 // ── Testing conducted ──
 
+/**
+ * Controls an evidence file covers: analyzed directly, plus those inherited through crosswalks.
+ */
+function formatManifestControls(entry) {
+  const direct = entry.controls_analyzed.join(', ');
+  const inherited = (entry.controls_inherited || []).join(', ');
+  if (!inherited) return direct;
+  return direct ? `${direct} (inherited: ${inherited})` : `Inherited: ${inherited}`;
+}
+
 function renderTestingConducted(evidenceManifest) {
   if (!evidenceManifest || evidenceManifest.length === 0) {
     return '<div class="section"><h2>Testing Conducted</h2><p>No evidence documents were analyzed.</p></div>';
   }
 
   const rows = evidenceManifest.map(e => {
-    const controls = e.controls_analyzed.join(', ');
+    const controls = formatManifestControls(e);
     return `<tr>
       <td>${escapeHtml(e.file_name)}</td>
       <td>${escapeHtml(e.file_type || 'Unknown')}</td>
@@ -588,6 +786,7 @@ function renderTestingConducted(evidenceManifest) {
 
 function generateReportHtml(report) {
   const visibleSections = (report.sections || []).filter(s => s.visible).sort((a, b) => a.order - b.order);
+  const cover = coverPageDetails(report);
   const findings = report.control_findings || [];
   const manifest = report.evidence_manifest || [];
 
@@ -630,6 +829,9 @@ function generateReportHtml(report) {
       case 'custom_table':
         return renderCustomTableHtml(section);
 
+      case 'crosswalk_gap':
+        return renderGapAnalysisHtml(section);
+
       default:
         // All narrative sections: introduction, scope, methodology, executive_summary, custom
         return `<div class="section">
@@ -651,6 +853,8 @@ function generateReportHtml(report) {
     .container { max-width: 960px; margin: 0 auto; }
     .header { background: #1a1a2e; color: white; padding: 2.5rem; border-radius: 12px; margin-bottom: 2rem; }
     .header h1 { font-size: 1.75rem; margin-bottom: 0.5rem; }
+    .header .subtitle { font-size: 1.1rem; opacity: 0.9; margin-bottom: 0.75rem; }
+    .header .classification { font-size: 0.75rem; font-weight: 700; letter-spacing: 0.1em; text-transform: uppercase; opacity: 0.8; margin-bottom: 0.75rem; }
     .header .meta { font-size: 0.875rem; opacity: 0.8; }
     .header .meta div { margin-top: 0.25rem; }
     .section { margin-bottom: 2rem; page-break-inside: avoid; }
@@ -682,16 +886,19 @@ function generateReportHtml(report) {
 <body>
   <div class="container">
     <div class="header">
+      ${cover.classification ? `<div class="classification">${escapeHtml(cover.classification)}</div>` : ''}
       <h1>${escapeHtml(report.title)}</h1>
+      ${cover.subtitle ? `<div class="subtitle">${escapeHtml(cover.subtitle)}</div>` : ''}
       <div class="meta">
         <div>Framework: ${escapeHtml(report.framework_name || '')}</div>
         <div>Report Type: ${reportTypeLabel(report.report_type)}</div>
         <div>Generated: ${report.snapshot_at ? new Date(report.snapshot_at).toLocaleDateString() : 'Draft'}</div>
+        ${cover.lines.map(line => `<div>${escapeHtml(line)}</div>`).join('')}
       </div>
     </div>
     ${sectionHtml}
     <div class="footer">
-      <p>Generated by AuditFlow &bull; ${new Date().toLocaleDateString()}</p>
+      <p>${escapeHtml(cover.footer)} &bull; ${new Date().toLocaleDateString()}</p>
     </div>
   </div>
 </body>
@@ -813,7 +1020,7 @@ function buildFindingsDocxTable(findings, columnConfig) {
       switch (col) {
         case 'control_number': return docxCell(f.control_number, { bold: true, shading: rowShading, widthTwips: w });
         case 'title': return docxCell(f.title, { shading: rowShading, widthTwips: w });
-        case 'evidence': return docxCell(f.evidence_files.map(e => e.name).join(', ') || '—', { size: 16, color: '6b7280', shading: rowShading, widthTwips: w });
+        case 'evidence': return docxCell(f.evidence_files.map(formatEvidenceReference).join('; ') || '—', { size: 16, color: '6b7280', shading: rowShading, widthTwips: w });
         case 'findings': return docxRichCell(f.concise_finding || '—', { shading: rowShading, widthTwips: w });
         case 'gaps': return docxRichCell(f.concise_gap || '—', { shading: rowShading, widthTwips: w });
         case 'recommendations': return docxRichCell(f.concise_remediation || '—', { shading: rowShading, widthTwips: w });
@@ -883,18 +1090,7 @@ function buildGroupedFindingsDocxElements(findings, columnConfig) {
 // ── Rating legend DOCX table ──
 
 function buildRatingLegendDocxTable(scoringConfig) {
-  const tierDescs = scoringConfig?.tier_descriptions;
-  let entries = [];
-
-  if (tierDescs && Object.keys(tierDescs).length > 0) {
-    entries = Object.entries(tierDescs);
-  } else {
-    const thresholds = scoringConfig?.thresholds || {};
-    for (const [key, value] of Object.entries(thresholds)) {
-      entries.push([key, `Score threshold: ≥ ${value}%`]);
-    }
-  }
-
+  const entries = ratingLegendEntries(scoringConfig);
   if (entries.length === 0) return null;
 
   const headerRow = new TableRow({
@@ -942,6 +1138,52 @@ function buildCustomDocxTable(section) {
   });
 }
 
+// ── Crosswalk gap analysis DOCX ──
+
+function buildGapDocxElements(section) {
+  const analysis = section.metadata;
+  if (!analysis?.controls || analysis.controls.length === 0) return null;
+
+  const summaryRuns = [...GAP_BUCKET_ORDER].reverse().flatMap((bucket, i) => [
+    ...(i > 0 ? [new TextRun({ text: '   |   ', size: 20, font: 'Calibri', color: '374151' })] : []),
+    new TextRun({ text: `${GAP_BUCKET_LABELS[bucket]}: ${analysis.summary?.[bucket] ?? 0}`, bold: true, size: 20, font: 'Calibri', color: GAP_BUCKET_COLORS[bucket] }),
+  ]);
+
+  const headerRow = new TableRow({
+    tableHeader: true,
+    children: [
+      docxHeaderCell('Control #'),
+      docxHeaderCell('Title'),
+      docxHeaderCell('Readiness'),
+      docxHeaderCell('Covered By'),
+    ],
+  });
+
+  const dataRows = sortedGapControls(analysis).map((c, idx) => {
+    const shading = idx % 2 === 1 ? TABLE_ALT_BG : undefined;
+    return new TableRow({
+      children: [
+        docxCell(c.control_number, { bold: true, shading }),
+        docxCell(c.title, { shading }),
+        docxCell(GAP_BUCKET_LABELS[c.bucket] || c.bucket, { bold: true, color: GAP_BUCKET_COLORS[c.bucket], shading }),
+        docxCell(formatGapCoverage(c), { size: 16, color: '6b7280', shading }),
+      ],
+    });
+  });
+
+  return [
+    new Paragraph({
+      spacing: { after: 100 },
+      children: [new TextRun({ text: gapIntroText(analysis), size: 20, font: 'Calibri', color: '374151' })],
+    }),
+    new Paragraph({ spacing: { after: 200 }, children: summaryRuns }),
+    new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [headerRow, ...dataRows],
+    }),
+  ];
+}
+
 // ── Testing conducted DOCX table ──
 
 function buildTestingDocxTable(evidenceManifest) {
@@ -961,7 +1203,7 @@ function buildTestingDocxTable(evidenceManifest) {
       children: [
         docxCell(e.file_name, { shading }),
         docxCell(e.file_type || 'Unknown', { shading }),
-        docxCell(e.controls_analyzed.join(', '), { shading }),
+        docxCell(formatManifestControls(e), { shading }),
         docxCell(String(e.analysis_count), { shading }),
       ],
     });
@@ -976,17 +1218,27 @@ function buildTestingDocxTable(evidenceManifest) {
 // ── Cover page section ──
 
 function buildCoverPageSection(report) {
+  const cover = coverPageDetails(report);
   return {
     properties: {
       type: SectionType.NEXT_PAGE,
       ...PAGE_PORTRAIT,
     },
     children: [
+      ...(cover.classification ? [new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [new TextRun({ text: cover.classification.toUpperCase(), bold: true, size: 20, font: 'Calibri', color: '6b7280' })],
+      })] : []),
       new Paragraph({
         alignment: AlignmentType.CENTER,
-        spacing: { before: 3600, after: 400 },
+        spacing: { before: cover.classification ? 3300 : 3600, after: 400 },
         children: [new TextRun({ text: report.title, bold: true, size: 72, font: 'Calibri', color: DARK_BLUE })],
       }),
+      ...(cover.subtitle ? [new Paragraph({
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 300 },
+        children: [new TextRun({ text: cover.subtitle, size: 36, font: 'Calibri', color: '374151' })],
+      })] : []),
       new Paragraph({
         alignment: AlignmentType.CENTER,
         spacing: { after: 200 },
@@ -1007,10 +1259,15 @@ function buildCoverPageSection(report) {
           size: 24, font: 'Calibri', color: '9ca3af',
         })],
       }),
+      ...cover.lines.map((line, i) => new Paragraph({
+        alignment: AlignmentType.CENTER,
+        spacing: { before: i === 0 ? 600 : 0, after: 100 },
+        children: [new TextRun({ text: line, size: 24, font: 'Calibri', color: '374151' })],
+      })),
       new Paragraph({
         alignment: AlignmentType.CENTER,
         spacing: { before: 2400 },
-        children: [new TextRun({ text: 'Generated by AuditFlow', size: 20, font: 'Calibri', color: '9ca3af' })],
+        children: [new TextRun({ text: cover.footer, size: 20, font: 'Calibri', color: '9ca3af' })],
       }),
     ],
   };
@@ -1107,6 +1364,17 @@ async function generateReportDocx(report) {
         break;
       }
 
+      case 'crosswalk_gap': {
+        contentChildren.push(docxSectionHeading(section.title));
+        const gapElements = buildGapDocxElements(section);
+        if (gapElements) {
+          contentChildren.push(...gapElements);
+        } else {
+          contentChildren.push(new Paragraph({ children: [new TextRun({ text: 'No gap analysis available.', italics: true, size: 20 })] }));
+        }
+        break;
+      }
+
       default: {
         // All narrative sections: introduction, scope, methodology, executive_summary, custom
         contentChildren.push(docxSectionHeading(section.title));
@@ -1150,15 +1418,743 @@ async function generateReportDocx(report) {
   return Packer.toBuffer(doc);
 }
 
+// ═══════════════════════════════════════════════════════════════
+// PDF EXPORT
+// ═══════════════════════════════════════════════════════════════
+// Rendered on the server with PDFKit: the DOCX cover page, a page-numbered
+// table of contents, then landscape content pages with a running header and
+// footer. Tables break across pages and repeat their header row.
+
+const PDF_MARGIN = 54; // 0.75", as on the DOCX landscape pages
+const PDF_FONT = 'Helvetica';
+const PDF_FONT_BOLD = 'Helvetica-Bold';
+const PDF_FONT_ITALIC = 'Helvetica-Oblique';
+const PDF_TABLE_FONT_SIZE = 8;
+const PDF_CELL_PADDING = 4;
+const PDF_TOC_ENTRIES_PER_PAGE = 24;
+// Short columns need a little more room than in DOCX to keep labels on one line
+const PDF_MIN_COLUMN_WIDTHS = { score: 6, status: 9 };
+
+const pdfColor = hex => `#${hex}`;
+
+// ── Layout helpers ──
+
+function pdfContentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function pdfContentBottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function pdfEnsureSpace(doc, height) {
+  if (doc.y + height > pdfContentBottom(doc)) doc.addPage();
+}
+
+function pdfParagraph(doc, text, { font = PDF_FONT, size = 10, color = '374151', indent = 0, after = 6 } = {}) {
+  const left = doc.page.margins.left + indent;
+  doc.font(font).fontSize(size).fillColor(pdfColor(color))
+    .text(pdfSafeText(text), left, doc.y, { width: pdfContentWidth(doc) - indent });
+  doc.y += after;
+}
+
+function pdfNote(doc, text) {
+  pdfParagraph(doc, text, { font: PDF_FONT_ITALIC, color: '9ca3af' });
+}
+
+/**
+ * Section heading with a named destination for the table of contents.
+ * @returns {number} Index of the page the heading landed on
+ */
+function pdfSectionHeading(doc, text, destination) {
+  pdfEnsureSpace(doc, 80);
+  const left = doc.page.margins.left;
+  doc.font(PDF_FONT_BOLD).fontSize(14).fillColor(pdfColor(DARK_BLUE))
+    .text(pdfSafeText(text), left, doc.y, { width: pdfContentWidth(doc), destination });
+  const ruleY = doc.y + 2;
+  doc.moveTo(left, ruleY).lineTo(left + pdfContentWidth(doc), ruleY).lineWidth(1.5).strokeColor('#e5e7eb').stroke();
+  doc.y = ruleY + 8;
+  return doc.bufferedPageRange().count - 1;
+}
+
+/**
+ * Table that breaks across pages, repeating its header row on each one.
+ * Cells are strings or { text, color, bold }; a row too tall for the rest of
+ * the page starts on the next one, and a row taller than a whole page is
+ * split between pages at a word boundary.
+ *
+ * @param {PDFDocument} doc
+ * @param {Object} table
+ * @param {string[]} table.headers
+ * @param {Array<Array<string|Object>>} table.rows
+ * @param {number[]} table.widths - Relative column widths
+ */
+function pdfTable(doc, { headers, rows, widths }) {
+  const left = doc.page.margins.left;
+  const totalWidth = pdfContentWidth(doc);
+  const weightSum = widths.reduce((s, w) => s + w, 0);
+  const colWidths = widths.map(w => (w / weightSum) * totalWidth);
+  const innerWidths = colWidths.map(w => w - PDF_CELL_PADDING * 2);
+
+  const toCell = cell => (cell !== null && typeof cell === 'object'
+    ? { ...cell, text: pdfSafeText(cell.text) || '—' }
+    : { text: pdfSafeText(cell) || '—' });
+  const rowHeight = cells => PDF_CELL_PADDING * 2 + Math.max(...cells.map((cell, i) =>
+    doc.font(cell.bold ? PDF_FONT_BOLD : PDF_FONT).fontSize(PDF_TABLE_FONT_SIZE).heightOfString(cell.text, { width: innerWidths[i] })));
+
+  const drawRow = (cells, height, fill) => {
+    const y = doc.y;
+    if (fill) doc.rect(left, y, totalWidth, height).fill(pdfColor(fill));
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.font(cell.bold ? PDF_FONT_BOLD : PDF_FONT).fontSize(PDF_TABLE_FONT_SIZE).fillColor(pdfColor(cell.color || '1f2937'))
+        .text(cell.text, x + PDF_CELL_PADDING, y + PDF_CELL_PADDING, {
+          width: innerWidths[i],
+          height: height - PDF_CELL_PADDING * 2,
+        });
+      x += colWidths[i];
+    });
+    doc.moveTo(left, y + height).lineTo(left + totalWidth, y + height).lineWidth(0.5).strokeColor('#e5e7eb').stroke();
+    doc.y = y + height;
+  };
+
+  // Split a cell's text into the part that fits in `height` and the rest
+  const splitCell = (cell, i, height) => {
+    doc.font(cell.bold ? PDF_FONT_BOLD : PDF_FONT).fontSize(PDF_TABLE_FONT_SIZE);
+    const { text } = cell;
+    if (doc.heightOfString(text, { width: innerWidths[i] }) <= height) {
+      return [cell, { ...cell, text: '' }];
+    }
+    let fits = 0;
+    let tooLong = text.length;
+    while (tooLong - fits > 1) {
+      const mid = Math.floor((fits + tooLong) / 2);
+      if (doc.heightOfString(text.slice(0, mid), { width: innerWidths[i] }) <= height) fits = mid;
+      else tooLong = mid;
+    }
+    const wordBreak = /\s/.test(text[fits]) ? fits : text.slice(0, fits).search(/\s\S*$/);
+    const cut = wordBreak > 0 ? wordBreak : fits;
+    return [{ ...cell, text: text.slice(0, cut).trimEnd() }, { ...cell, text: text.slice(cut).trimStart() }];
+  };
+
+  const headerCells = headers.map(h => ({ text: pdfSafeText(h), bold: true, color: 'ffffff' }));
+  const headerHeight = rowHeight(headerCells);
+  const drawHeader = () => drawRow(headerCells, headerHeight, TABLE_HEADER_BG);
+  const maxRowHeight = pdfContentBottom(doc) - doc.page.margins.top - headerHeight;
+
+  const bodyRows = rows.map(row => row.map(toCell));
+  pdfEnsureSpace(doc, headerHeight + (bodyRows.length > 0 ? Math.min(rowHeight(bodyRows[0]), maxRowHeight) : 0));
+  drawHeader();
+
+  const newPage = () => {
+    doc.addPage();
+    drawHeader();
+  };
+
+  bodyRows.forEach((cells, idx) => {
+    const fill = idx % 2 === 1 ? TABLE_ALT_BG : null;
+    let remaining = cells;
+    while (remaining) {
+      const height = rowHeight(remaining);
+      const available = pdfContentBottom(doc) - doc.y;
+      if (height <= available) {
+        drawRow(remaining, height, fill);
+        break;
+      }
+      if (height <= maxRowHeight) {
+        newPage();
+        continue;
+      }
+
+      // Taller than a page: fill what is left of this one and carry the rest over
+      const parts = remaining.map((cell, i) => splitCell(cell, i, available - PDF_CELL_PADDING * 2));
+      const head = parts.map(([fitting]) => fitting);
+      if (head.every(cell => !cell.text)) {
+        newPage();
+        continue;
+      }
+      drawRow(head, rowHeight(head), fill);
+      const rest = parts.map(([, overflow]) => overflow);
+      remaining = rest.some(cell => cell.text) ? rest : null;
+      if (remaining) newPage();
+    }
+  });
+
+  doc.x = left;
+  doc.y += 10;
+}
+
+function pdfStatCards(doc, cards) {
+  const left = doc.page.margins.left;
+  const gap = 10;
+  const width = (pdfContentWidth(doc) - gap * (cards.length - 1)) / cards.length;
+  const height = 54;
+  pdfEnsureSpace(doc, height + 10);
+  const y = doc.y;
+
+  cards.forEach((card, i) => {
+    const x = left + i * (width + gap);
+    doc.roundedRect(x, y, width, height, 6).lineWidth(0.75).fillAndStroke('#f9fafb', '#e5e7eb');
+    doc.font(PDF_FONT_BOLD).fontSize(20).fillColor(pdfColor(card.color || DARK_BLUE))
+      .text(pdfSafeText(card.value), x, y + 8, { width, align: 'center' });
+    doc.font(PDF_FONT).fontSize(7).fillColor('#6b7280')
+      .text(pdfSafeText(card.label).toUpperCase(), x, y + 36, { width, align: 'center', characterSpacing: 0.5 });
+  });
+
+  doc.x = left;
+  doc.y = y + height + 12;
+}
+
+// ── Section renderers ──
+
+function pdfFindingsTable(doc, findings, columnConfig) {
+  const cols = columnConfig || ['control_number', 'title', 'evidence', 'findings', 'gaps', 'recommendations', 'score'];
+
+  const rows = findings.map(f => cols.map((col) => {
+    switch (col) {
+      case 'control_number': return { text: f.control_number, bold: true };
+      case 'title': return f.title;
+      case 'evidence': return { text: f.evidence_files.map(formatEvidenceReference).join('; '), color: '6b7280' };
+      case 'findings': return markdownToPlainText(f.concise_finding);
+      case 'gaps': return markdownToPlainText(f.concise_gap);
+      case 'recommendations': return markdownToPlainText(f.concise_remediation);
+      case 'score': {
+        const display = f.score_override != null ? String(f.score_override) : (f.scoring_criteria?.display_score || 'N/A');
+        return { text: display, bold: true };
+      }
+      case 'status': {
+        const st = f.status_override || f.status;
+        return { text: STATUS_LABELS[st] || st, color: STATUS_COLORS[st] || '9ca3af', bold: true };
+      }
+      default: return '—';
+    }
+  }));
+
+  pdfTable(doc, {
+    headers: cols.map(c => COL_HEADERS[c] || c),
+    rows,
+    widths: cols.map(c => Math.max(COLUMN_WIDTH_MAP[c] || Math.floor(100 / cols.length), PDF_MIN_COLUMN_WIDTHS[c] || 0)),
+  });
+}
+
+function pdfGroupedFindings(doc, findings, columnConfig) {
+  const groups = new Map();
+  for (const f of findings) {
+    const cat = f.category || 'Uncategorized';
+    if (!groups.has(cat)) groups.set(cat, []);
+    groups.get(cat).push(f);
+  }
+
+  for (const [category, categoryFindings] of groups) {
+    // Keep the category heading on the same page as the start of its table
+    pdfEnsureSpace(doc, 90);
+    pdfParagraph(doc, category, { font: PDF_FONT_BOLD, size: 12, color: DARK_BLUE, after: 2 });
+    const compliantCount = categoryFindings.filter(f => (f.status_override || f.status) === 'compliant').length;
+    pdfParagraph(doc, `${categoryFindings.length} control(s) — ${compliantCount} compliant`, { size: 9, color: '6b7280' });
+    pdfFindingsTable(doc, categoryFindings, columnConfig);
+  }
+}
+
+function pdfGapAnalysis(doc, section) {
+  const analysis = section.metadata;
+  pdfParagraph(doc, gapIntroText(analysis));
+  pdfStatCards(doc, [
+    ...[...GAP_BUCKET_ORDER].reverse().map(bucket => ({
+      value: analysis.summary?.[bucket] ?? 0,
+      label: GAP_BUCKET_LABELS[bucket],
+      color: GAP_BUCKET_COLORS[bucket],
+    })),
+    { value: analysis.summary?.total ?? analysis.controls.length, label: 'Total Controls' },
+  ]);
+  pdfTable(doc, {
+    headers: ['Control #', 'Title', 'Readiness', 'Covered By'],
+    rows: sortedGapControls(analysis).map(c => [
+      { text: c.control_number, bold: true },
+      c.title,
+      { text: GAP_BUCKET_LABELS[c.bucket] || c.bucket, color: GAP_BUCKET_COLORS[c.bucket], bold: true },
+      { text: formatGapCoverage(c), color: '6b7280' },
+    ]),
+    widths: [12, 38, 15, 35],
+  });
+}
+
+function pdfNarrative(doc, content) {
+  const blocks = htmlToPdfBlocks(content || '');
+  if (blocks.length === 0) {
+    pdfNote(doc, 'No content provided.');
+    return;
+  }
+
+  for (const block of blocks) {
+    if (block.kind === 'heading') {
+      pdfEnsureSpace(doc, 40);
+      pdfParagraph(doc, block.text, { font: PDF_FONT_BOLD, size: block.level <= 2 ? 12 : 11, color: DARK_BLUE, after: 4 });
+    } else if (block.kind === 'bullet') {
+      pdfParagraph(doc, `•  ${block.text}`, { indent: 12, after: 3 });
+    } else {
+      pdfParagraph(doc, block.text, { indent: block.indent ? 12 : 0 });
+    }
+  }
+}
+
+// ── Cover, contents and running header/footer ──
+
+function pdfCoverPage(doc, report) {
+  doc.addPage({ size: 'LETTER', layout: 'portrait', margin: 72 });
+  const width = pdfContentWidth(doc);
+  const left = doc.page.margins.left;
+  const cover = coverPageDetails(report);
+
+  if (cover.classification) {
+    doc.font(PDF_FONT_BOLD).fontSize(10).fillColor('#6b7280')
+      .text(pdfSafeText(cover.classification).toUpperCase(), left, doc.page.margins.top, { width, align: 'center', characterSpacing: 1 });
+  }
+
+  doc.font(PDF_FONT_BOLD).fontSize(36).fillColor(pdfColor(DARK_BLUE))
+    .text(pdfSafeText(report.title), left, doc.page.margins.top + 180, { width, align: 'center' });
+  doc.moveDown(0.6);
+  if (cover.subtitle) {
+    doc.font(PDF_FONT).fontSize(18).fillColor('#374151').text(pdfSafeText(cover.subtitle), left, doc.y, { width, align: 'center' });
+    doc.moveDown(0.6);
+  }
+  doc.font(PDF_FONT).fontSize(16).fillColor('#374151').text(pdfSafeText(report.framework_name || ''), left, doc.y, { width, align: 'center' });
+  doc.moveDown(0.4);
+  doc.fontSize(14).fillColor('#6b7280').text(reportTypeLabel(report.report_type), { width, align: 'center' });
+  doc.moveDown(0.4);
+  doc.fontSize(12).fillColor('#9ca3af').text(
+    report.snapshot_at
+      ? new Date(report.snapshot_at).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+      : 'Draft',
+    { width, align: 'center' }
+  );
+  if (cover.lines.length > 0) {
+    doc.fontSize(12).fillColor('#374151').text(pdfSafeText(cover.lines.join('\n')), left, doc.y + 36, { width, align: 'center' });
+  }
+  doc.font(PDF_FONT).fontSize(10).fillColor('#9ca3af').text(pdfSafeText(cover.footer), left, doc.y + 120, { width, align: 'center' });
+}
+
+function pdfTableOfContents(doc, firstPage, entries) {
+  doc.switchToPage(firstPage);
+  const left = doc.page.margins.left;
+  const width = pdfContentWidth(doc);
+  doc.x = left;
+  doc.y = doc.page.margins.top;
+
+  doc.font(PDF_FONT_BOLD).fontSize(18).fillColor(pdfColor(DARK_BLUE)).text('Contents', left, doc.y);
+  doc.y += 12;
+
+  entries.forEach((entry, i) => {
+    if (i > 0 && i % PDF_TOC_ENTRIES_PER_PAGE === 0) {
+      doc.switchToPage(firstPage + i / PDF_TOC_ENTRIES_PER_PAGE);
+      doc.y = doc.page.margins.top;
+    }
+
+    const title = pdfSafeText(entry.title);
+    const pageLabel = String(entry.pageIndex + 1);
+    const y = doc.y;
+    doc.font(PDF_FONT).fontSize(11).fillColor('#1f2937');
+    const titleWidth = Math.min(doc.widthOfString(title), width - 60);
+    const pageWidth = doc.widthOfString(pageLabel);
+
+    doc.text(title, left, y, { width: width - 60, lineBreak: false, ellipsis: true, goTo: entry.destination });
+    doc.text(pageLabel, left, y, { width, align: 'right', lineBreak: false, goTo: entry.destination });
+    // Dot leader between the title and the page number
+    doc.moveTo(left + titleWidth + 6, y + 9).lineTo(left + width - pageWidth - 6, y + 9)
+      .lineWidth(0.75).dash(1, { space: 3 }).strokeColor('#9ca3af').stroke().undash();
+
+    doc.y = y + 20;
+  });
+}
+
+/**
+ * Running header and footer on every page after the cover. Drawn once the
+ * page count is known, with the bottom margin lifted so the footer doesn't
+ * trigger a page break.
+ */
+function pdfHeadersAndFooters(doc, report) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start + 1; i < start + count; i++) {
+    doc.switchToPage(i);
+    const left = doc.page.margins.left;
+    const width = pdfContentWidth(doc);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    doc.font(PDF_FONT).fontSize(8).fillColor('#6b7280');
+    doc.text(pdfSafeText(report.title), left, 26, { width: width / 2, lineBreak: false, ellipsis: true });
+    doc.text(pdfSafeText(report.framework_name || ''), left + width / 2, 26, { width: width / 2, align: 'right', lineBreak: false, ellipsis: true });
+    doc.moveTo(left, 38).lineTo(left + width, 38).lineWidth(0.5).strokeColor('#e5e7eb').stroke();
+
+    doc.fillColor('#9ca3af').text(`Generated by AuditFlow  |  Page ${i + 1} of ${count}`, left, doc.page.height - 36, {
+      width,
+      align: 'center',
+      lineBreak: false,
+    });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+// ── Main PDF generator ──
+
+/**
+ * Render a report to a paginated PDF.
+ *
+ * @param {Object} report - Report row with framework_name attached
+ * @returns {Promise<Buffer>}
+ */
+function generateReportPdf(report) {
+  const visibleSections = (report.sections || []).filter(s => s.visible).sort((a, b) => a.order - b.order);
+  const findings = report.control_findings || [];
+  const manifest = report.evidence_manifest || [];
+
+  // Aggregate stats
+  const total = findings.length;
+  const assessed = findings.filter(f => f.status !== 'not_assessed');
+  const compliant = findings.filter(f => (f.status_override || f.status) === 'compliant').length;
+  const partial = findings.filter(f => (f.status_override || f.status) === 'partial').length;
+  const nonCompliant = findings.filter(f => (f.status_override || f.status) === 'non_compliant').length;
+  const avgScore = assessed.length > 0
+    ? Math.round(assessed.reduce((s, f) => s + (f.score_override ?? f.compliance_score ?? 0), 0) / assessed.length)
+    : 0;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      autoFirstPage: false,
+      bufferPages: true,
+      // Pages added by overflowing content use these options
+      size: 'LETTER',
+      layout: 'landscape',
+      margin: PDF_MARGIN,
+      info: { Title: pdfSafeText(report.title), Author: 'AuditFlow', Subject: pdfSafeText(report.framework_name || '') },
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      pdfCoverPage(doc, report);
+
+      // Contents pages are reserved now and filled in once page numbers are known
+      const tocFirstPage = doc.bufferedPageRange().count;
+      const tocPages = Math.max(1, Math.ceil(visibleSections.length / PDF_TOC_ENTRIES_PER_PAGE));
+      for (let i = 0; i < tocPages; i++) doc.addPage();
+
+      doc.addPage();
+      const tocEntries = [];
+
+      for (const section of visibleSections) {
+        const destination = `section-${tocEntries.length + 1}`;
+        const pageIndex = pdfSectionHeading(doc, section.title, destination);
+        tocEntries.push({ title: section.title, pageIndex, destination });
+        doc.outline.addItem(pdfSafeText(section.title));
+
+        switch (section.type) {
+          case 'scoring_summary':
+            pdfStatCards(doc, [
+              { value: `${avgScore}%`, label: 'Overall Score' },
+              { value: compliant, label: 'Compliant', color: STATUS_COLORS.compliant },
+              { value: partial, label: 'Partial', color: STATUS_COLORS.partial },
+              { value: nonCompliant, label: 'Non-Compliant', color: STATUS_COLORS.non_compliant },
+              { value: total, label: 'Total Controls' },
+            ]);
+            break;
+
+          case 'control_findings':
+            if (findings.length === 0) {
+              pdfNote(doc, 'No control findings available.');
+            } else if (section.metadata?.grouped) {
+              pdfGroupedFindings(doc, findings, report.column_config);
+            } else {
+              pdfFindingsTable(doc, findings, report.column_config);
+            }
+            break;
+
+          case 'testing_conducted':
+            if (manifest.length > 0) {
+              pdfParagraph(doc, `The following ${manifest.length} evidence document(s) were analyzed:`);
+              pdfTable(doc, {
+                headers: ['Document', 'Type', 'Controls Analyzed', 'Analyses'],
+                rows: manifest.map(e => [e.file_name, e.file_type || 'Unknown', formatManifestControls(e), String(e.analysis_count)]),
+                widths: [30, 10, 50, 10],
+              });
+            } else {
+              pdfNote(doc, 'No evidence documents were analyzed.');
+            }
+            break;
+
+          case 'rating_legend': {
+            const entries = ratingLegendEntries(report.scoring_config);
+            if (entries.length > 0) {
+              pdfTable(doc, {
+                headers: ['Classification', 'Description'],
+                rows: entries.map(([rating, description]) => [{ text: rating, bold: true }, description]),
+                widths: [25, 75],
+              });
+            } else {
+              pdfNote(doc, 'No rating definitions configured.');
+            }
+            break;
+          }
+
+          case 'custom_table': {
+            const { columns, rows } = section.metadata || {};
+            if (columns && rows && rows.length > 0) {
+              pdfTable(doc, { headers: columns, rows, widths: columns.map(() => 1) });
+            } else {
+              pdfNote(doc, 'No data provided.');
+            }
+            break;
+          }
+
+          case 'crosswalk_gap':
+            if (section.metadata?.controls?.length > 0) {
+              pdfGapAnalysis(doc, section);
+            } else {
+              pdfNote(doc, 'No gap analysis available.');
+            }
+            break;
+
+          default:
+            // All narrative sections: introduction, scope, methodology, executive_summary, custom
+            pdfNarrative(doc, section.content);
+            break;
+        }
+
+        doc.y += 12; // spacer between sections
+      }
+
+      pdfTableOfContents(doc, tocFirstPage, tocEntries);
+      pdfHeadersAndFooters(doc, report);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// XLSX EXPORT
+// ═══════════════════════════════════════════════════════════════
+// Findings workbook for spreadsheet users: a Summary sheet, one findings sheet
+// per category (same grouping as the report) and an Evidence sheet. Written
+// with ExcelJS, since SheetJS community edition can't write styles or
+// conditional formatting.
+
+const XLSX_WIDTH_SCALE = 1.6; // COLUMN_WIDTH_MAP percent → character widths
+const XLSX_MIN_COLUMN_WIDTH = 10;
+
+const xlsxArgb = hex => `FF${hex.toUpperCase()}`;
+
+// Sheet names are limited to 31 characters, can't contain \ / ? * [ ] :
+// and must be unique regardless of case
+function xlsxSheetName(name, usedNames) {
+  const base = String(name || 'Sheet').replace(/[\\/?*[\]:]/g, '-').substring(0, 31).trim() || 'Sheet';
+  let candidate = base;
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = `${base.substring(0, 31 - suffix.length)}${suffix}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Bold white header row on the report's dark blue, with an autofilter.
+ * Frozen unless other rows sit above it.
+ */
+function xlsxStyleHeader(sheet, rowNumber, columnCount, { freeze = true } = {}) {
+  const row = sheet.getRow(rowNumber);
+  row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  row.alignment = { vertical: 'middle' };
+  for (let c = 1; c <= columnCount; c++) {
+    row.getCell(c).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: xlsxArgb(TABLE_HEADER_BG) } };
+  }
+  if (freeze) sheet.views = [{ state: 'frozen', ySplit: rowNumber }];
+  sheet.autoFilter = { from: { row: rowNumber, column: 1 }, to: { row: rowNumber, column: columnCount } };
+}
+
+/**
+ * Color each status cell like the report's status badges. Conditional
+ * formatting (rather than fixed fills) keeps the color right when the
+ * spreadsheet user edits a status.
+ */
+function xlsxStatusFormatting(sheet, columnLetter, firstRow, lastRow) {
+  if (lastRow < firstRow) return;
+  sheet.addConditionalFormatting({
+    ref: `${columnLetter}${firstRow}:${columnLetter}${lastRow}`,
+    rules: Object.entries(STATUS_LABELS).map(([status, label], i) => ({
+      type: 'expression',
+      priority: i + 1,
+      formulae: [`$${columnLetter}${firstRow}="${label}"`],
+      style: {
+        font: { bold: true, color: { argb: 'FFFFFFFF' } },
+        fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: xlsxArgb(STATUS_COLORS[status]) } },
+      },
+    })),
+  });
+}
+
+// ── Findings sheet ──
+
+function xlsxFindingsSheet(workbook, sheetName, findings, columnConfig) {
+  const cols = columnConfig || ['control_number', 'title', 'evidence', 'findings', 'gaps', 'recommendations', 'score'];
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = cols.map(c => ({
+    header: COL_HEADERS[c] || c,
+    width: Math.max(Math.round((COLUMN_WIDTH_MAP[c] || Math.floor(100 / cols.length)) * XLSX_WIDTH_SCALE), XLSX_MIN_COLUMN_WIDTH),
+  }));
+
+  for (const f of findings) {
+    const row = sheet.addRow(cols.map((col) => {
+      switch (col) {
+        case 'control_number': return f.control_number;
+        case 'title': return f.title;
+        case 'evidence': return f.evidence_files.map(formatEvidenceReference).join('\n');
+        case 'findings': return stripMarkdown(f.concise_finding);
+        case 'gaps': return stripMarkdown(f.concise_gap);
+        case 'recommendations': return stripMarkdown(f.concise_remediation);
+        case 'score': {
+          const display = f.score_override != null ? f.score_override : (f.scoring_criteria?.display_score || 'N/A');
+          // Numeric scores stay numbers so they sort and sum
+          return display !== '' && Number.isFinite(Number(display)) ? Number(display) : String(display);
+        }
+        case 'status': {
+          const st = f.status_override || f.status;
+          return STATUS_LABELS[st] || st;
+        }
+        default: return '';
+      }
+    }));
+
+    row.alignment = { vertical: 'top', wrapText: true };
+    row.getCell(1).font = { bold: true };
+    cols.forEach((col, i) => {
+      if (col === 'score' && f.score_override != null) {
+        row.getCell(i + 1).note = `Score overridden (calculated: ${f.scoring_criteria?.display_score || 'N/A'})`;
+      }
+      if (col === 'status' && f.status_override) {
+        row.getCell(i + 1).note = `Status overridden (assessed: ${STATUS_LABELS[f.status] || f.status})`;
+      }
+    });
+  }
+
+  xlsxStyleHeader(sheet, 1, cols.length);
+  const statusIdx = cols.indexOf('status');
+  if (statusIdx !== -1) {
+    xlsxStatusFormatting(sheet, sheet.getColumn(statusIdx + 1).letter, 2, findings.length + 1);
+  }
+  return sheet;
+}
+
+// ── Main XLSX generator ──
+
+/**
+ * Render a report's findings to an XLSX workbook.
+ *
+ * @param {Object} report - Report row with framework_name attached
+ * @returns {Promise<Buffer>}
+ */
+async function generateReportXlsx(report) {
+  const findings = report.control_findings || [];
+  const manifest = report.evidence_manifest || [];
+  const scoringSection = (report.sections || []).find(s => s.type === 'scoring_summary');
+
+  // Aggregate stats
+  const total = findings.length;
+  const assessed = findings.filter(f => f.status !== 'not_assessed');
+  const compliant = findings.filter(f => (f.status_override || f.status) === 'compliant').length;
+  const partial = findings.filter(f => (f.status_override || f.status) === 'partial').length;
+  const nonCompliant = findings.filter(f => (f.status_override || f.status) === 'non_compliant').length;
+  const avgScore = assessed.length > 0
+    ? Math.round(assessed.reduce((s, f) => s + (f.score_override ?? f.compliance_score ?? 0), 0) / assessed.length)
+    : 0;
+
+  // Group by category preserving order of first appearance
+  const groups = new Map();
+  for (const f of findings) {
+    const cat = f.category || 'Uncategorized';
+    if (!groups.has(cat)) groups.set(cat, []);
+    groups.get(cat).push(f);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'AuditFlow';
+  workbook.title = report.title || '';
+  workbook.created = new Date();
+  const usedNames = new Set();
+
+  // 1. Summary: report details, the scoring summary and a per-category breakdown
+  const summary = workbook.addWorksheet(xlsxSheetName('Summary', usedNames));
+  summary.columns = [{ width: 36 }, { width: 14 }, { width: 14 }, { width: 14 }, { width: 16 }, { width: 16 }];
+  summary.addRow([report.title]).font = { bold: true, size: 14, color: { argb: xlsxArgb(DARK_BLUE) } };
+  summary.addRow(['Framework', report.framework_name || '']);
+  summary.addRow(['Report Type', reportTypeLabel(report.report_type)]);
+  summary.addRow(['Generated', report.snapshot_at ? new Date(report.snapshot_at).toLocaleDateString() : 'Draft']);
+  summary.addRow([]);
+
+  summary.addRow([scoringSection?.title || 'Scoring Summary']).font = { bold: true, size: 12, color: { argb: xlsxArgb(DARK_BLUE) } };
+  summary.addRow(['Overall Score', avgScore / 100]).getCell(2).numFmt = '0%';
+  summary.addRow(['Compliant', compliant]).getCell(2).font = { bold: true, color: { argb: xlsxArgb(STATUS_COLORS.compliant) } };
+  summary.addRow(['Partial', partial]).getCell(2).font = { bold: true, color: { argb: xlsxArgb(STATUS_COLORS.partial) } };
+  summary.addRow(['Non-Compliant', nonCompliant]).getCell(2).font = { bold: true, color: { argb: xlsxArgb(STATUS_COLORS.non_compliant) } };
+  summary.addRow(['Total Controls', total]);
+  summary.addRow([]);
+
+  const breakdownHeader = summary.addRow(['Category', 'Controls', 'Compliant', 'Partial', 'Non-Compliant', 'Not Assessed']);
+  for (const [category, categoryFindings] of groups) {
+    const count = status => categoryFindings.filter(f => (f.status_override || f.status) === status).length;
+    summary.addRow([category, categoryFindings.length, count('compliant'), count('partial'), count('non_compliant'), count('not_assessed')]);
+  }
+  xlsxStyleHeader(summary, breakdownHeader.number, 6, { freeze: false });
+
+  // 2. One findings sheet per category
+  for (const [category, categoryFindings] of groups) {
+    xlsxFindingsSheet(workbook, xlsxSheetName(category, usedNames), categoryFindings, report.column_config);
+  }
+
+  // 3. Evidence manifest
+  const evidence = workbook.addWorksheet(xlsxSheetName('Evidence', usedNames));
+  evidence.columns = [
+    { header: 'Document', width: 40 },
+    { header: 'Type', width: 14 },
+    { header: 'Controls Analyzed', width: 50 },
+    { header: 'Controls Inherited', width: 40 },
+    { header: 'Analyses', width: 10 },
+  ];
+  for (const e of manifest) {
+    evidence.addRow([
+      e.file_name,
+      e.file_type || 'Unknown',
+      e.controls_analyzed.join(', '),
+      (e.controls_inherited || []).join(', '),
+      e.analysis_count,
+    ]).alignment = { vertical: 'top', wrapText: true };
+  }
+  xlsxStyleHeader(evidence, 1, 5);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
 // ─────────────────────────────────────────────────────────────
 // Exports
 // ─────────────────────────────────────────────────────────────
 
 module.exports = {
+  REPORT_TYPES: Object.keys(DEFAULT_SECTIONS),
+  COL_HEADERS,
+  DEFAULT_COLUMN_CONFIG,
   buildDefaultSections,
+  defaultScoringConfig,
   mapScoreToScale,
+  reportTypeLabel,
   gatherReportData,
   generateReport,
   generateReportHtml,
   generateReportDocx,
+  generateReportPdf,
+  generateReportXlsx,
 };
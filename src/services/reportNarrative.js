@@ -0,0 +1,273 @@
+const { getLLMClient } = require('./llmProvider');
+const { recordUsage } = require('./usageLedger');
+const { reportTypeLabel } = require('./reportGenerator');
+
+// ─────────────────────────────────────────────────────────────
+// AI-Drafted Report Narrative
+//
+// Report generation is pure data assembly; the narrative sections
+// (introduction, scope, methodology, executive summary) start empty. On
+// request, one section at a time is drafted from a fact sheet built from the
+// assembled report — scoring totals, category rollups, evidence and the
+// weakest controls — and the model is told to quote only those numbers.
+// Numbers in the draft that don't appear in the fact sheet are flagged for
+// the reviewer. The draft replaces the section content with ai_generated:
+// true; the content it replaced is kept in metadata.draft for undo.
+// ─────────────────────────────────────────────────────────────
+
+const DRAFTABLE_SECTION_TYPES = ['introduction', 'scope', 'methodology', 'executive_summary'];
+
+const NARRATIVE_MAX_TOKENS = 2000;
+const NARRATIVE_TEMPERATURE = 0.3;
+const MAX_LISTED_EVIDENCE = 25;
+const MAX_WEAKEST_CONTROLS = 10;
+const MAX_GAP_CHARS = 240;
+
+// Tags the report editor and the HTML, DOCX and PDF exports all handle
+const ALLOWED_TAGS = new Set(['p', 'ul', 'ol', 'li', 'strong', 'em', 'br', 'h3', 'h4']);
+
+const SECTION_GUIDANCE = {
+  introduction: 'Introduce the report: its purpose, the framework assessed, the type of assessment and what the reader will find in the following sections. One or two paragraphs.',
+  scope: 'Describe the scope of the assessment. Restate and tidy the scope text provided, then state the framework, the number of controls and control categories in scope, and the number of evidence documents reviewed. Do not add systems, locations or time periods the scope text does not mention.',
+  methodology: 'Describe how the assessment was performed: evidence documents were collected and analyzed against the requirements of each control, analyses were consolidated per control and scored using the scoring scale given. Mention coverage inherited through framework crosswalks and manual overrides only when the facts show any.',
+  executive_summary: 'Summarize the overall compliance posture for an executive audience: the overall score and status counts, the strongest and weakest categories, the most significant gaps among the weakest controls, and two to four prioritized next steps.',
+};
+
+const REPORT_TYPE_TONE = {
+  audit_compliance: 'Write in formal audit language (conformity, non-conformity, opportunity for improvement).',
+  readiness_gap: 'Write as a readiness assessment focused on the gaps left to close.',
+  maturity: 'Write as a maturity assessment, describing how established the control processes are.',
+};
+
+const NARRATIVE_SYSTEM_PROMPT = `You are a senior GRC auditor writing one section of a compliance assessment report.
+
+RULES:
+1. Use ONLY the facts provided. Every number you write (counts, percentages, scores) must appear in the facts exactly as given — never compute, round or estimate new ones.
+2. Refer to controls by their control number and title as given. Do not invent controls, systems, people, dates or evidence.
+3. Write in a professional, neutral tone, in the third person.
+4. Do not repeat the section title as a heading and do not add placeholders such as [Company Name].
+5. Format the section as HTML using only <p>, <ul>, <ol>, <li>, <strong> and <em>.
+6. Keep the section between 120 and 350 words.
+
+Respond with ONLY a JSON object: { "content_html": "<the section HTML>" }`;
+
+const effectiveStatus = f => f.status_override || f.status;
+const effectiveScore = f => f.score_override ?? f.compliance_score ?? null;
+const percentOf = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+function stripTags(html) {
+  return String(html || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Status counts and average score for a set of findings, overrides applied.
+ */
+function rollup(findings) {
+  const assessed = findings.filter(f => f.status !== 'not_assessed');
+  const count = status => findings.filter(f => effectiveStatus(f) === status).length;
+  return {
+    controls: findings.length,
+    compliant: count('compliant'),
+    partial: count('partial'),
+    non_compliant: count('non_compliant'),
+    not_assessed: count('not_assessed'),
+    average_score_percent: assessed.length > 0
+      ? Math.round(assessed.reduce((s, f) => s + (effectiveScore(f) ?? 0), 0) / assessed.length)
+      : 0,
+  };
+}
+
+/**
+ * The facts a draft may draw on, from the report's assembled findings.
+ *
+ * @param {Object} report - Report row with framework_name attached
+ * @returns {Object}
+ */
+function buildNarrativeFacts(report) {
+  const findings = report.control_findings || [];
+  const manifest = report.evidence_manifest || [];
+  const scopeSection = (report.sections || []).find(s => s.type === 'scope');
+  const totals = rollup(findings);
+  const assessedCount = totals.controls - totals.not_assessed;
+
+  const groups = new Map();
+  for (const f of findings) {
+    const cat = f.category || 'Uncategorized';
+    if (!groups.has(cat)) groups.set(cat, []);
+    groups.get(cat).push(f);
+  }
+
+  const weakest = findings
+    .filter(f => ['non_compliant', 'partial'].includes(effectiveStatus(f)))
+    .sort((a, b) => (effectiveStatus(a) === effectiveStatus(b)
+      ? (effectiveScore(a) ?? 0) - (effectiveScore(b) ?? 0)
+      : (effectiveStatus(a) === 'non_compliant' ? -1 : 1)))
+    .slice(0, MAX_WEAKEST_CONTROLS);
+
+  return {
+    report_title: report.title,
+    report_type: reportTypeLabel(report.report_type),
+    framework: report.framework_name || '',
+    scope_text: stripTags(scopeSection?.content) || null,
+    scoring_scale: report.scoring_config?.scale || 'percentage',
+    rating_levels: Object.keys(report.scoring_config?.tier_descriptions || report.scoring_config?.thresholds || {}),
+    totals: {
+      ...totals,
+      assessed: assessedCount,
+      compliant_percent_of_assessed: percentOf(totals.compliant, assessedCount),
+      non_compliant_percent_of_assessed: percentOf(totals.non_compliant, assessedCount),
+      manual_overrides: findings.filter(f => f.score_override != null || f.status_override).length,
+      inherited_coverage: findings.filter(f => f.coverage === 'inherited').length,
+    },
+    categories: [...groups].map(([category, categoryFindings]) => ({ category, ...rollup(categoryFindings) })),
+    evidence: {
+      documents: manifest.length,
+      files: manifest.slice(0, MAX_LISTED_EVIDENCE).map(e => ({ name: e.file_name, type: e.file_type || null })),
+    },
+    weakest_controls: weakest.map(f => ({
+      control_number: f.control_number,
+      title: f.title,
+      category: f.category || 'Uncategorized',
+      status: effectiveStatus(f),
+      score_percent: effectiveScore(f),
+      gap: (f.concise_gap || '').substring(0, MAX_GAP_CHARS) || null,
+    })),
+  };
+}
+
+/**
+ * User prompt for one section.
+ */
+function buildNarrativePrompt(section, facts, reportType) {
+  return `Draft the "${section.title}" section (${section.type}) of a ${facts.report_type} against ${facts.framework}.
+
+SECTION GOAL: ${SECTION_GUIDANCE[section.type]}
+${REPORT_TYPE_TONE[reportType] || ''}
+
+FACTS (JSON):
+${JSON.stringify(facts, null, 2)}`;
+}
+
+/**
+ * Keep only the tags the editor and exports understand, without attributes.
+ */
+function sanitizeDraftHtml(html) {
+  return String(html || '')
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<(\/?)([a-z][a-z0-9]*)\b[^>]*>/gi, (tag, slash, name) => (
+      ALLOWED_TAGS.has(name.toLowerCase()) ? `<${slash}${name.toLowerCase()}>` : ''
+    ))
+    .trim();
+}
+
+/**
+ * Numbers quoted in the draft that appear nowhere in the facts.
+ */
+function findUnverifiedNumbers(html, facts) {
+  const known = new Set(JSON.stringify(facts).match(/\d+(?:\.\d+)?/g) || []);
+  const quoted = stripTags(html).match(/\d+(?:\.\d+)?/g) || [];
+  return [...new Set(quoted.filter(n => !known.has(n)))];
+}
+
+/**
+ * Draft one narrative section of a generated report.
+ *
+ * @param {Object} report - Report row with framework_name attached
+ * @param {Object} section - One of report.sections (a draftable type)
+ * @returns {Promise<{ content: string, unverified_numbers: string[], model: string, usage: Object }>}
+ */
+async function draftNarrativeSection(report, section) {
+  const facts = buildNarrativeFacts(report);
+  const llm = await getLLMClient({ projectId: report.project_id });
+
+  const response = await llm.client.chat.completions.create({
+    model: llm.model,
+    messages: [
+      { role: 'system', content: NARRATIVE_SYSTEM_PROMPT },
+      { role: 'user', content: buildNarrativePrompt(section, facts, report.report_type) },
+    ],
+    temperature: NARRATIVE_TEMPERATURE,
+    max_completion_tokens: NARRATIVE_MAX_TOKENS,
+    response_format: { type: 'json_object' },
+  });
+  await recordUsage({
+    feature: 'report_narrative',
+    model: llm.model,
+    provider: llm.provider,
+    usage: response.usage,
+    projectId: report.project_id,
+    metadata: { reportId: report.id, sectionType: section.type },
+  });
+
+  let result;
+  try {
+    result = JSON.parse(response.choices[0].message.content);
+  } catch (_parseErr) {
+    throw new Error('GPT returned invalid JSON for the narrative draft');
+  }
+
+  const content = sanitizeDraftHtml(result.content_html);
+  if (!stripTags(content)) throw new Error('GPT returned an empty narrative draft');
+
+  const unverified = findUnverifiedNumbers(content, facts);
+  if (unverified.length > 0) {
+    console.warn(`⚠️ Report ${report.id}: draft of "${section.title}" quotes numbers not in the findings: ${unverified.join(', ')}`);
+  }
+
+  return { content, unverified_numbers: unverified, model: llm.model, usage: response.usage };
+}
+
+/**
+ * Section with a draft applied; the replaced content is kept for undo.
+ *
+ * @param {Object} section
+ * @param {Object} draft - From draftNarrativeSection
+ * @param {string} userId
+ */
+function applyNarrativeDraft(section, draft, userId) {
+  return {
+    ...section,
+    content: draft.content,
+    ai_generated: true,
+    metadata: {
+      ...(section.metadata || {}),
+      draft: {
+        drafted_at: new Date().toISOString(),
+        drafted_by: userId,
+        model: draft.model,
+        unverified_numbers: draft.unverified_numbers,
+        previous_content: section.content ?? '',
+        previous_ai_generated: section.ai_generated === true,
+      },
+    },
+  };
+}
+
+/**
+ * Section with its last draft undone, or null when there is nothing to undo.
+ *
+ * @param {Object} section
+ */
+function undoNarrativeDraft(section) {
+  const draft = section.metadata?.draft;
+  if (!draft) return null;
+
+  const { draft: _undone, ...metadata } = section.metadata;
+  return {
+    ...section,
+    content: draft.previous_content,
+    ai_generated: draft.previous_ai_generated,
+    metadata,
+  };
+}
+
+module.exports = {
+  DRAFTABLE_SECTION_TYPES,
+  NARRATIVE_SYSTEM_PROMPT,
+  NARRATIVE_MAX_TOKENS,
+  buildNarrativeFacts,
+  buildNarrativePrompt,
+  draftNarrativeSection,
+  applyNarrativeDraft,
+  undoNarrativeDraft,
+};
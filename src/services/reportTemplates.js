@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../utils/supabase');
+const {
+  REPORT_TYPES,
+  COL_HEADERS,
+  DEFAULT_COLUMN_CONFIG,
+  buildDefaultSections,
+  defaultScoringConfig,
+  reportTypeLabel,
+} = require('./reportGenerator');
+
+// ─────────────────────────────────────────────────────────────
+// Report Templates
+//
+// An organization's house style for reports: the section list (with
+// boilerplate text for narrative sections), default scoring_config and
+// column_config, and cover page fields. Creating a report from a template
+// copies all of it onto the new report, so later template edits don't
+// change existing reports. Anything a template leaves out falls back to the
+// built-in defaults for its report type.
+//
+// Boilerplate and cover page text may use placeholders, filled in when the
+// report is created; unknown placeholders are left as written:
+//   {{project.name}}  {{framework.name}}  {{report.title}}  {{report.type}}  {{date}}
+//
+// report_templates columns: id, organization_id, name, description,
+// report_type, sections (jsonb array of { type, title, visible, content,
+// metadata }), scoring_config (jsonb), column_config (jsonb), cover_page
+// (jsonb: subtitle, prepared_for, prepared_by, classification, footer_text),
+// created_by, created_at, updated_at
+// reports columns: template_id, cover_page (jsonb)
+// ─────────────────────────────────────────────────────────────
+
+// Sections a template can lay out. crosswalk_gap is left out: it needs a
+// crosswalk and is added to a report through its own endpoint.
+const NARRATIVE_SECTION_TYPES = ['introduction', 'scope', 'methodology', 'executive_summary', 'custom'];
+const TEMPLATE_SECTION_TYPES = [...NARRATIVE_SECTION_TYPES, 'rating_legend', 'scoring_summary', 'control_findings', 'testing_conducted', 'custom_table'];
+const SCORING_SCALES = ['percentage', '1-5', 'pass_fail', 'custom'];
+const COVER_PAGE_FIELDS = ['subtitle', 'prepared_for', 'prepared_by', 'classification', 'footer_text'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+(?:\.[a-z_]+)?)\s*\}\}/gi;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate one template section and return it in stored form.
+ */
+function normalizeTemplateSection(section, index) {
+  if (!isPlainObject(section)) return { error: `sections[${index}] must be an object` };
+  if (!TEMPLATE_SECTION_TYPES.includes(section.type)) {
+    return { error: `sections[${index}].type must be one of ${TEMPLATE_SECTION_TYPES.join(', ')}` };
+  }
+  if (typeof section.title !== 'string' || !section.title.trim()) {
+    return { error: `sections[${index}].title is required` };
+  }
+  if (section.content != null && typeof section.content !== 'string') {
+    return { error: `sections[${index}].content must be a string` };
+  }
+  if (section.metadata != null && !isPlainObject(section.metadata)) {
+    return { error: `sections[${index}].metadata must be an object` };
+  }
+
+  return {
+    value: {
+      type: section.type,
+      title: section.title.trim(),
+      visible: section.visible !== false,
+      content: NARRATIVE_SECTION_TYPES.includes(section.type) ? (section.content || '') : null,
+      metadata: section.metadata || {},
+    },
+  };
+}
+
+/**
+ * Validate a template create/update body (camelCase, like POST /api/report).
+ * With partial, only the fields present are checked and returned.
+ *
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Update: every field is optional
+ * @returns {{ error: string }|{ value: Object }} Column values for report_templates
+ */
+function validateTemplate(body, { partial = false } = {}) {
+  if (!isPlainObject(body)) return { error: 'Request body must be an object' };
+  const { name, description, reportType, sections, scoringConfig, columnConfig, coverPage } = body;
+  const value = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'name is required' };
+    value.name = name.trim();
+  }
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') return { error: 'description must be a string' };
+    value.description = description || null;
+  }
+  if (reportType !== undefined || !partial) {
+    if (!REPORT_TYPES.includes(reportType)) return { error: `reportType must be one of ${REPORT_TYPES.join(', ')}` };
+    value.report_type = reportType;
+  }
+
+  if (sections !== undefined) {
+    if (!Array.isArray(sections) || sections.length === 0) return { error: 'sections must be a non-empty array' };
+    value.sections = [];
+    for (const [index, section] of sections.entries()) {
+      const normalized = normalizeTemplateSection(section, index);
+      if (normalized.error) return normalized;
+      value.sections.push(normalized.value);
+    }
+  }
+
+  if (scoringConfig !== undefined) {
+    if (scoringConfig !== null) {
+      if (!isPlainObject(scoringConfig)) return { error: 'scoringConfig must be an object' };
+      if (scoringConfig.scale !== undefined && !SCORING_SCALES.includes(scoringConfig.scale)) {
+        return { error: `scoringConfig.scale must be one of ${SCORING_SCALES.join(', ')}` };
+      }
+      for (const key of ['thresholds', 'tier_descriptions', 'custom_labels']) {
+        if (scoringConfig[key] !== undefined && !isPlainObject(scoringConfig[key])) {
+          return { error: `scoringConfig.${key} must be an object` };
+        }
+      }
+    }
+    value.scoring_config = scoringConfig;
+  }
+
+  if (columnConfig !== undefined) {
+    if (columnConfig !== null) {
+      const validColumns = Object.keys(COL_HEADERS);
+      if (!Array.isArray(columnConfig) || columnConfig.length === 0 || columnConfig.some(c => !validColumns.includes(c))) {
+        return { error: `columnConfig must be a non-empty array of ${validColumns.join(', ')}` };
+      }
+    }
+    value.column_config = columnConfig;
+  }
+
+  if (coverPage !== undefined) {
+    if (coverPage !== null) {
+      if (!isPlainObject(coverPage)) return { error: 'coverPage must be an object' };
+      const unknown = Object.keys(coverPage).filter(key => !COVER_PAGE_FIELDS.includes(key));
+      if (unknown.length > 0) return { error: `Unknown coverPage field(s): ${unknown.join(', ')}. Allowed: ${COVER_PAGE_FIELDS.join(', ')}` };
+      if (Object.values(coverPage).some(v => v != null && typeof v !== 'string')) return { error: 'coverPage fields must be strings' };
+    }
+    value.cover_page = coverPage;
+  }
+
+  return { value };
+}
+
+/**
+ * Values for the placeholders of a report being created.
+ *
+ * @param {Object} params
+ * @param {string} params.projectId
+ * @param {string} params.frameworkId
+ * @param {string} params.title
+ * @param {string} params.reportType
+ * @returns {Promise<Object>} Placeholder name → value
+ */
+async function buildPlaceholderValues({ projectId, frameworkId, title, reportType }) {
+  const [{ data: project }, { data: framework }] = await Promise.all([
+    supabaseAdmin.from('projects').select('name').eq('id', projectId).single(),
+    supabaseAdmin.from('frameworks').select('name').eq('id', frameworkId).single(),
+  ]);
+
+  return {
+    'project.name': project?.name || '',
+    'framework.name': framework?.name || '',
+    'report.title': title,
+    'report.type': reportTypeLabel(reportType),
+    date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+  };
+}
+
+/**
+ * Fill in {{placeholders}}; unknown ones are left as written.
+ */
+function renderPlaceholders(text, values) {
+  if (!text) return text;
+  return text.replace(PLACEHOLDER_PATTERN, (match, key) => (
+    Object.prototype.hasOwnProperty.call(values, key.toLowerCase()) ? values[key.toLowerCase()] : match
+  ));
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Report fields from a template, with placeholders filled in.
+ *
+ * @param {Object} template - report_templates row
+ * @param {Object} values - From buildPlaceholderValues
+ * @param {Object} [options]
+ * @param {string} [options.scopeText] - Replaces the scope boilerplate when given
+ * @returns {{ report_type, sections, scoring_config, column_config, cover_page }}
+ */
+function instantiateTemplate(template, values, { scopeText } = {}) {
+  const templateSections = template.sections?.length > 0
+    ? template.sections
+    : buildDefaultSections(template.report_type, '');
+
+  // Boilerplate written in the editor is HTML, so values going into it are escaped
+  const htmlValues = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, escapeHtml(value)]));
+  const renderContent = content => renderPlaceholders(content, /<[a-z][\s\S]*>/i.test(content) ? htmlValues : values);
+
+  const sections = templateSections.map((section, index) => ({
+    id: crypto.randomUUID(),
+    type: section.type,
+    title: renderPlaceholders(section.title, values),
+    order: index,
+    visible: section.visible !== false,
+    content: section.type === 'scope' && scopeText
+      ? scopeText
+      : (NARRATIVE_SECTION_TYPES.includes(section.type) ? renderContent(section.content || '') : null),
+    editable: NARRATIVE_SECTION_TYPES.includes(section.type),
+    ai_generated: false,
+    metadata: structuredClone(section.metadata || {}),
+  }));
+
+  const coverPage = template.cover_page
+    ? Object.fromEntries(Object.entries(template.cover_page).map(([key, text]) => [key, renderPlaceholders(text, values)]))
+    : null;
+
+  return {
+    report_type: template.report_type,
+    sections,
+    scoring_config: template.scoring_config || defaultScoringConfig(template.report_type),
+    column_config: template.column_config || DEFAULT_COLUMN_CONFIG,
+    cover_page: coverPage,
+  };
+}
+
+module.exports = {
+  TEMPLATE_SECTION_TYPES,
+  COVER_PAGE_FIELDS,
+  validateTemplate,
+  buildPlaceholderValues,
+  renderPlaceholders,
+  instantiateTemplate,
+};
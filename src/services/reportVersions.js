@@ -0,0 +1,293 @@
+const { supabaseAdmin } = require('../utils/supabase');
+
+// ─────────────────────────────────────────────────────────────
+// Report Versions
+//
+// Generating a report and saving manual overrides both rewrite
+// control_findings and evidence_manifest in place. Each of those writes also
+// stores an immutable snapshot here, so earlier versions can be listed,
+// viewed, compared and restored. Restoring copies a version's content back
+// onto the report and records that as a new version — history is never
+// rewritten.
+//
+// Version numbers are taken as latest + 1; two writers racing for the same
+// number hit the unique constraint and the loser retries with the next one.
+// The snapshot is written after the report, so a snapshot that still fails
+// is reported alongside the saved report rather than as a failed write.
+//
+// report_versions columns: id, report_id, version_number (unique per
+// report), trigger ('generate' | 'override' | 'restore'),
+// restored_from_version, control_findings (jsonb), evidence_manifest (jsonb),
+// generation_metadata (jsonb), summary (jsonb), snapshot_at, created_by,
+// created_at
+// ─────────────────────────────────────────────────────────────
+
+const VERSIONS_TABLE = 'report_versions';
+const VERSION_TRIGGERS = ['generate', 'override', 'restore'];
+const LIST_COLUMNS = 'id, report_id, version_number, trigger, restored_from_version, summary, snapshot_at, created_by, created_at';
+const DIFF_TEXT_FIELDS = ['concise_finding', 'concise_gap', 'concise_remediation'];
+const MAX_VERSION_ATTEMPTS = 5;
+const UNIQUE_VIOLATION = '23505';
+
+const effectiveStatus = f => f.status_override || f.status;
+const effectiveScore = f => f.score_override ?? f.compliance_score ?? null;
+const evidenceKey = file => file.evidence_id || file.name || file.file_name;
+
+/**
+ * Headline numbers for the version list — same aggregation as the report's scoring summary.
+ */
+function summarizeFindings(findings, manifest) {
+  const assessed = findings.filter(f => f.status !== 'not_assessed');
+  const count = status => findings.filter(f => effectiveStatus(f) === status).length;
+  return {
+    total_controls: findings.length,
+    compliant: count('compliant'),
+    partial: count('partial'),
+    non_compliant: count('non_compliant'),
+    not_assessed: count('not_assessed'),
+    overall_score: assessed.length > 0
+      ? Math.round(assessed.reduce((s, f) => s + (effectiveScore(f) ?? 0), 0) / assessed.length)
+      : 0,
+    overrides: findings.filter(f => f.score_override != null || f.status_override).length,
+    evidence_count: manifest.length,
+  };
+}
+
+/**
+ * Snapshot the report's current findings and evidence as its next version.
+ *
+ * @param {Object} report - Report row after the write (id, control_findings, evidence_manifest, ...)
+ * @param {Object} params
+ * @param {string} params.trigger - 'generate' | 'override' | 'restore'
+ * @param {string} [params.userId]
+ * @param {number} [params.restoredFromVersion]
+ * @returns {Promise<Object>} The version row, without its content
+ */
+async function createReportVersion(report, { trigger, userId = null, restoredFromVersion = null }) {
+  if (!VERSION_TRIGGERS.includes(trigger)) throw new Error(`Unknown version trigger: ${trigger}`);
+
+  const findings = report.control_findings || [];
+  const manifest = report.evidence_manifest || [];
+  const content = {
+    report_id: report.id,
+    trigger,
+    restored_from_version: restoredFromVersion,
+    control_findings: findings,
+    evidence_manifest: manifest,
+    generation_metadata: report.generation_metadata || null,
+    summary: summarizeFindings(findings, manifest),
+    snapshot_at: report.snapshot_at || null,
+    created_by: userId,
+  };
+
+  let version = null;
+  for (let attempt = 1; !version; attempt++) {
+    const { data: latest, error: latestErr } = await supabaseAdmin
+      .from(VERSIONS_TABLE)
+      .select('version_number')
+      .eq('report_id', report.id)
+      .order('version_number', { ascending: false })
+      .limit(1);
+
+    if (latestErr) throw new Error(`Failed to read report versions: ${latestErr.message}`);
+
+    const { data, error } = await supabaseAdmin
+      .from(VERSIONS_TABLE)
+      .insert({ ...content, version_number: (latest?.[0]?.version_number || 0) + 1 })
+      .select(LIST_COLUMNS)
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION && attempt < MAX_VERSION_ATTEMPTS) continue;
+    if (error) throw new Error(`Failed to save report version: ${error.message}`);
+    version = data;
+  }
+
+  console.log(`🗂️ Report ${report.id}: saved version ${version.version_number} (${trigger})`);
+  return version;
+}
+
+/**
+ * Snapshot a report that has already been written. Never throws: the write
+ * stands either way, so a failed snapshot comes back as a warning for the
+ * response instead of turning the request into a 500.
+ *
+ * @param {Object} report - Report row after the write
+ * @param {Object} params - As createReportVersion
+ * @returns {Promise<{ version: Object|null, warning: string|null }>}
+ */
+async function snapshotReportVersion(report, params) {
+  try {
+    return { version: await createReportVersion(report, params), warning: null };
+  } catch (err) {
+    console.error(`❌ Report ${report.id}: version snapshot failed after the report was saved: ${err.message}`);
+    return { version: null, warning: `The report was saved, but its version snapshot failed: ${err.message}` };
+  }
+}
+
+/**
+ * Versions of a report, newest first, without their content.
+ *
+ * @param {string} reportId
+ * @returns {Promise<Array>}
+ */
+async function listReportVersions(reportId) {
+  const { data, error } = await supabaseAdmin
+    .from(VERSIONS_TABLE)
+    .select(LIST_COLUMNS)
+    .eq('report_id', reportId)
+    .order('version_number', { ascending: false });
+
+  if (error) throw new Error(`Failed to fetch report versions: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * One version with its content, or null when it doesn't belong to the report.
+ *
+ * @param {string} reportId
+ * @param {string} versionId
+ * @returns {Promise<Object|null>}
+ */
+async function getReportVersion(reportId, versionId) {
+  const { data, error } = await supabaseAdmin
+    .from(VERSIONS_TABLE)
+    .select('*')
+    .eq('report_id', reportId)
+    .eq('id', versionId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+}
+
+/**
+ * Copy a version's content back onto the report and record the restore as a new version.
+ *
+ * @param {string} reportId
+ * @param {Object} version - From getReportVersion
+ * @param {Object} params
+ * @param {string} params.userId
+ * @returns {Promise<{ report: Object, version: Object|null, warning: string|null }>}
+ */
+async function restoreReportVersion(reportId, version, { userId }) {
+  const { data: report, error } = await supabaseAdmin
+    .from('reports')
+    .update({
+      status: 'complete',
+      control_findings: version.control_findings,
+      evidence_manifest: version.evidence_manifest,
+      generation_metadata: version.generation_metadata,
+      snapshot_at: version.snapshot_at,
+      error: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', reportId)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to restore report: ${error.message}`);
+
+  const { version: restored, warning } = await snapshotReportVersion(report, {
+    trigger: 'restore',
+    userId,
+    restoredFromVersion: version.version_number,
+  });
+  return { report, version: restored, warning };
+}
+
+/**
+ * Evidence files added to and removed from one control between two versions.
+ */
+function diffEvidenceFiles(fromFiles = [], toFiles = []) {
+  const fromKeys = new Set(fromFiles.map(evidenceKey));
+  const toKeys = new Set(toFiles.map(evidenceKey));
+  return {
+    added: toFiles.filter(f => !fromKeys.has(evidenceKey(f))).map(f => f.name),
+    removed: fromFiles.filter(f => !toKeys.has(evidenceKey(f))).map(f => f.name),
+  };
+}
+
+/**
+ * Control-by-control differences between two versions. Statuses and scores
+ * are compared as the report shows them, with overrides applied.
+ *
+ * @param {Object} from - Older version (with content)
+ * @param {Object} to - Newer version (with content)
+ * @returns {{ from, to, summary, controls, added_controls, removed_controls, evidence }}
+ */
+function diffReportVersions(from, to) {
+  const fromFindings = new Map((from.control_findings || []).map(f => [f.control_id, f]));
+  const toFindings = new Map((to.control_findings || []).map(f => [f.control_id, f]));
+  const describe = f => ({ control_id: f.control_id, control_number: f.control_number, title: f.title });
+
+  const controls = [];
+  for (const [controlId, after] of toFindings) {
+    const before = fromFindings.get(controlId);
+    if (!before) continue;
+
+    const changes = {};
+    if (effectiveStatus(before) !== effectiveStatus(after)) {
+      changes.status = { from: effectiveStatus(before), to: effectiveStatus(after) };
+    }
+    if (effectiveScore(before) !== effectiveScore(after)) {
+      changes.score = {
+        from: effectiveScore(before),
+        to: effectiveScore(after),
+        from_display: before.score_override ?? before.scoring_criteria?.display_score ?? null,
+        to_display: after.score_override ?? after.scoring_criteria?.display_score ?? null,
+      };
+    }
+    const evidence = diffEvidenceFiles(before.evidence_files, after.evidence_files);
+    if (evidence.added.length > 0 || evidence.removed.length > 0) changes.evidence = evidence;
+    for (const field of DIFF_TEXT_FIELDS) {
+      if ((before[field] || '') !== (after[field] || '')) {
+        changes[field] = { from: before[field] || '', to: after[field] || '' };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) controls.push({ ...describe(after), changes });
+  }
+
+  const fromManifest = new Map((from.evidence_manifest || []).map(e => [e.evidence_id || e.file_name, e]));
+  const toManifest = new Map((to.evidence_manifest || []).map(e => [e.evidence_id || e.file_name, e]));
+  const manifestEntry = e => ({ evidence_id: e.evidence_id || null, file_name: e.file_name, file_type: e.file_type || null });
+  const evidence = {
+    added: [...toManifest].filter(([key]) => !fromManifest.has(key)).map(([, e]) => manifestEntry(e)),
+    removed: [...fromManifest].filter(([key]) => !toManifest.has(key)).map(([, e]) => manifestEntry(e)),
+  };
+
+  const addedControls = [...toFindings.values()].filter(f => !fromFindings.has(f.control_id)).map(describe);
+  const removedControls = [...fromFindings.values()].filter(f => !toFindings.has(f.control_id)).map(describe);
+  const changed = key => controls.filter(c => c.changes[key]).length;
+  const versionRef = v => ({ id: v.id, version_number: v.version_number, trigger: v.trigger, created_at: v.created_at });
+
+  return {
+    from: versionRef(from),
+    to: versionRef(to),
+    summary: {
+      controls_changed: controls.length,
+      status_changes: changed('status'),
+      score_changes: changed('score'),
+      evidence_changes: changed('evidence'),
+      text_changes: controls.filter(c => DIFF_TEXT_FIELDS.some(field => c.changes[field])).length,
+      controls_added: addedControls.length,
+      controls_removed: removedControls.length,
+      evidence_added: evidence.added.length,
+      evidence_removed: evidence.removed.length,
+      overall_score: { from: from.summary?.overall_score ?? null, to: to.summary?.overall_score ?? null },
+    },
+    controls,
+    added_controls: addedControls,
+    removed_controls: removedControls,
+    evidence,
+  };
+}
+
+module.exports = {
+  createReportVersion,
+  snapshotReportVersion,
+  listReportVersions,
+  getReportVersion,
+  restoreReportVersion,
+  diffReportVersions,
+};
@@ -0,0 +1,158 @@
+const { supabaseAdmin } = require('../utils/supabase');
+const { getProjectSpendSince, getOrganizationSpendSince } = require('./usageLedger');
+const { hasOrganizationRole } = require('../middleware/auth');
+
+// ─────────────────────────────────────────────────────────────
+// Per-project Monthly Spend Budgets
+//
+// projects.monthly_budget_usd — null means no limit
+// projects.budget_policy      — 'reject' (default): refuse with 402
+//                               'hold': park the job until someone approves it
+//
+// organizations.monthly_budget_usd / budget_policy are the default budget for
+// spend not billed to a project (e.g. a crosswalk generated without a
+// projectId), checked against the organization's project-less spend.
+//
+// Month-to-date spend comes from the llm_usage ledger (calendar month, UTC).
+// Held jobs are approved by an organization owner or admin other than the
+// requester, and the budget is checked again at approval time.
+// ─────────────────────────────────────────────────────────────
+
+const BUDGET_POLICIES = ['reject', 'hold'];
+const BUDGET_APPROVER_ROLES = ['owner', 'admin'];
+
+function startOfMonthUtc(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+}
+
+async function loadBudget(table, label, id) {
+  const { data: row, error } = await supabaseAdmin
+    .from(table)
+    .select('monthly_budget_usd, budget_policy')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    // Fail closed — a budget we can't read must not become "unlimited"
+    throw new Error(`Failed to load budget for ${label} ${id}: ${error.message}`);
+  }
+
+  if (row.monthly_budget_usd === null || row.monthly_budget_usd === undefined) {
+    return null;
+  }
+
+  return {
+    budget_usd: parseFloat(row.monthly_budget_usd),
+    policy: BUDGET_POLICIES.includes(row.budget_policy) ? row.budget_policy : 'reject',
+  };
+}
+
+/**
+ * Load a project's budget settings. Returns null when the project has no limit.
+ */
+async function loadProjectBudget(projectId) {
+  if (!projectId) return null;
+  return loadBudget('projects', 'project', projectId);
+}
+
+/**
+ * Load an organization's default budget. Returns null when it has no limit.
+ */
+async function loadOrganizationBudget(organizationId) {
+  if (!organizationId) return null;
+  return loadBudget('organizations', 'organization', organizationId);
+}
+
+/**
+ * Pre-flight check before starting model work. The estimate is only computed
+ * when it's needed (dry run, or the project has a budget), since building it
+ * may mean downloading and parsing evidence.
+ *
+ * @param {Object} params
+ * @param {string|null} params.projectId - Project the spend is billed to
+ * @param {string|null} [params.organizationId] - Whose default budget applies when there is no project
+ * @param {boolean} params.dryRun - Caller wants the estimate regardless of budget
+ * @param {Function} params.estimate - async () => estimate object from costEstimator
+ * @returns {Promise<{ estimate: Object|null, budget: Object|null }>} budget is null when unlimited;
+ *   otherwise { allowed, policy, budget_usd, spent_usd, remaining_usd, period_start }
+ */
+async function preflightSpend({ projectId, organizationId = null, dryRun, estimate }) {
+  const config = projectId ? await loadProjectBudget(projectId) : await loadOrganizationBudget(organizationId);
+  if (!config && !dryRun) return { estimate: null, budget: null };
+
+  const plan = await estimate();
+  if (!config) return { estimate: plan, budget: null };
+
+  const periodStart = startOfMonthUtc();
+  const spent = projectId
+    ? await getProjectSpendSince(projectId, periodStart)
+    : await getOrganizationSpendSince(organizationId, periodStart);
+  const remaining = parseFloat((config.budget_usd - spent).toFixed(6));
+  const cost = plan.estimated_cost_usd;
+
+  return {
+    estimate: plan,
+    budget: {
+      // An unpriced model can't be checked up front; only block once the budget is spent
+      allowed: cost === null ? remaining > 0 : cost <= remaining,
+      policy: config.policy,
+      budget_usd: config.budget_usd,
+      spent_usd: spent,
+      remaining_usd: remaining,
+      period_start: periodStart,
+    },
+  };
+}
+
+/**
+ * Human-readable reason for a budget refusal or hold.
+ */
+function describeBudgetOverrun({ estimate, budget }) {
+  const cost = estimate.estimated_cost_usd === null ? 'an unpriced amount' : `~$${estimate.estimated_cost_usd.toFixed(2)}`;
+  return `This run would cost ${cost}, but only $${Math.max(budget.remaining_usd, 0).toFixed(2)} of the $${budget.budget_usd.toFixed(2)} monthly budget remains.`;
+}
+
+/**
+ * Whether the caller may approve a held job: an owner or admin of the job's
+ * organization who didn't request it.
+ *
+ * @param {Object} req - Authenticated request
+ * @param {Object} job - Held job (organizationId, requestedBy from its state)
+ * @returns {{ status: number, error: string }|null} null when allowed
+ */
+function checkHeldJobApprover(req, job) {
+  if (!hasOrganizationRole(req, job.organizationId, BUDGET_APPROVER_ROLES)) {
+    return { status: 403, error: 'Only organization owners and admins can approve spend over budget' };
+  }
+  if (job.requestedBy && job.requestedBy === req.user.id) {
+    return { status: 403, error: 'A held job must be approved by someone other than the person who started it' };
+  }
+  return null;
+}
+
+/**
+ * Re-run the budget check for a held job at approval time, with the estimate
+ * stored when it was held. Spend may have grown, or the project's policy
+ * changed, since then.
+ *
+ * @param {Object} job - Held job (projectId, organizationId, estimate from its state)
+ * @returns {Promise<{ estimate: Object|null, budget: Object|null }>} As preflightSpend
+ */
+async function recheckHeldJob(job) {
+  if (!job.estimate) return { estimate: null, budget: null };
+  return preflightSpend({
+    projectId: job.projectId || null,
+    organizationId: job.organizationId || null,
+    dryRun: false,
+    estimate: async () => job.estimate,
+  });
+}
+
+module.exports = {
+  preflightSpend,
+  describeBudgetOverrun,
+  checkHeldJobApprover,
+  recheckHeldJob,
+  BUDGET_POLICIES,
+  BUDGET_APPROVER_ROLES,
+};
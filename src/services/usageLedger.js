@@ -0,0 +1,277 @@
+const { supabaseAdmin } = require('../utils/supabase');
+
+// ─────────────────────────────────────────────────────────────
+// LLM Usage Ledger
+//
+// Every model call is recorded in `llm_usage` with its project, feature,
+// model and token counts, plus a cost computed from the price table below.
+//
+// llm_usage columns: id, organization_id, project_id, feature, provider,
+// model, prompt_tokens, completion_tokens, total_tokens, cost_usd,
+// metadata (jsonb), created_at
+//
+// Prices are USD per 1M tokens. Override or extend them with LLM_PRICE_TABLE,
+// a JSON object keyed by model (or Azure deployment) name:
+//   LLM_PRICE_TABLE='{"my-deployment":{"input":2.5,"output":10}}'
+// ─────────────────────────────────────────────────────────────
+
+const USAGE_TABLE = 'llm_usage';
+const ORG_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const DEFAULT_PRICE_TABLE = {
+  'gpt-5.1': { input: 1.25, output: 10 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'fake-llm': { input: 0, output: 0 },
+};
+
+const projectOrgCache = new Map();
+const warnedModels = new Set();
+let priceTable = null;
+
+/**
+ * Effective price table: defaults merged with LLM_PRICE_TABLE. Parsed once.
+ */
+function getPriceTable() {
+  if (priceTable) return priceTable;
+
+  let overrides = {};
+  if (process.env.LLM_PRICE_TABLE) {
+    try {
+      overrides = JSON.parse(process.env.LLM_PRICE_TABLE);
+    } catch (err) {
+      console.error(`❌ LLM_PRICE_TABLE is not valid JSON — using default prices: ${err.message}`);
+    }
+  }
+  priceTable = { ...DEFAULT_PRICE_TABLE, ...overrides };
+  return priceTable;
+}
+
+/**
+ * Normalize Chat Completions (prompt/completion) and Responses API
+ * (input/output) usage objects to one shape.
+ */
+function normalizeUsage(usage) {
+  const promptTokens = usage?.prompt_tokens ?? usage?.input_tokens ?? 0;
+  const completionTokens = usage?.completion_tokens ?? usage?.output_tokens ?? 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage?.total_tokens ?? promptTokens + completionTokens,
+  };
+}
+
+/**
+ * Cost in USD for a call, or null when the model has no price entry.
+ * Dated snapshots (e.g. "gpt-4o-2024-08-06") fall back to their base model.
+ */
+function computeCost(model, usage) {
+  const prices = getPriceTable();
+  // Longest prefix wins, so "gpt-4o-mini-2024-07-18" is priced as gpt-4o-mini, not gpt-4o
+  const key = prices[model] ? model : Object.keys(prices)
+    .filter(name => model?.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!key) {
+    if (!warnedModels.has(model)) {
+      warnedModels.add(model);
+      console.warn(`⚠️ No price configured for model "${model}" — usage recorded without cost`);
+    }
+    return null;
+  }
+
+  const { input = 0, output = 0 } = prices[key];
+  const cost = (usage.prompt_tokens * input + usage.completion_tokens * output) / 1_000_000;
+  return parseFloat(cost.toFixed(6));
+}
+
+/**
+ * Resolve a project's organization so ledger rows can be scoped per tenant.
+ */
+async function getProjectOrganization(projectId) {
+  const cached = projectOrgCache.get(projectId);
+  if (cached && Date.now() - cached.fetchedAt < ORG_CACHE_TTL_MS) {
+    return cached.organizationId;
+  }
+
+  const { data } = await supabaseAdmin
+    .from('projects')
+    .select('organization_id')
+    .eq('id', projectId)
+    .maybeSingle();
+
+  const organizationId = data?.organization_id || null;
+  projectOrgCache.set(projectId, { organizationId, fetchedAt: Date.now() });
+  return organizationId;
+}
+
+/**
+ * Record one model call in the ledger. Never throws — a ledger failure is
+ * logged but must not fail the request that made the call.
+ *
+ * @param {Object} entry
+ * @param {string} entry.feature - e.g. 'evidence_analysis', 'crosswalk_generation', 'lighthouse_chat'
+ * @param {string} entry.model - Model or deployment name sent to the provider
+ * @param {string} [entry.provider] - LLM provider name
+ * @param {Object} entry.usage - Usage object from the SDK response
+ * @param {string|null} [entry.projectId]
+ * @param {string|null} [entry.organizationId] - Derived from the project when omitted
+ * @param {Object} [entry.metadata] - Extra context (crosswalkId, analysis type, ...)
+ */
+async function recordUsage({ feature, model, provider = null, usage, projectId = null, organizationId = null, metadata = null }) {
+  if (!usage) return;
+
+  try {
+    const tokens = normalizeUsage(usage);
+    const orgId = organizationId || (projectId ? await getProjectOrganization(projectId) : null);
+
+    const { error } = await supabaseAdmin
+      .from(USAGE_TABLE)
+      .insert({
+        organization_id: orgId,
+        project_id: projectId,
+        feature,
+        provider,
+        model,
+        ...tokens,
+        cost_usd: computeCost(model, tokens),
+        metadata,
+      });
+
+    if (error) {
+      console.error(`❌ Failed to record LLM usage (${feature}): ${error.message}`);
+    }
+  } catch (err) {
+    console.error(`❌ Failed to record LLM usage (${feature}): ${err.message}`);
+  }
+}
+
+// ── Aggregation ──
+
+const GROUP_KEYS = {
+  project: row => row.project_id || 'unassigned',
+  feature: row => row.feature || 'unknown',
+  day: row => row.created_at.substring(0, 10),
+};
+
+const PAGE_SIZE = 1000;
+
+function emptyBucket(extra = {}) {
+  return { ...extra, calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0, unpriced_calls: 0 };
+}
+
+function addToBucket(bucket, row) {
+  bucket.calls += 1;
+  bucket.prompt_tokens += row.prompt_tokens || 0;
+  bucket.completion_tokens += row.completion_tokens || 0;
+  bucket.total_tokens += row.total_tokens || 0;
+  if (row.cost_usd === null || row.cost_usd === undefined) bucket.unpriced_calls += 1;
+  else bucket.cost_usd += parseFloat(row.cost_usd);
+}
+
+function roundBucket(bucket) {
+  return { ...bucket, cost_usd: parseFloat(bucket.cost_usd.toFixed(6)) };
+}
+
+/**
+ * Aggregate ledger rows for the caller's organizations in a single pass,
+ * broken down by project, feature and day.
+ *
+ * @param {Object} params
+ * @param {string[]} params.organizationIds - Caller's organizations
+ * @param {string} [params.projectId] - Restrict to one project
+ * @param {string} [params.from] - ISO date/time, inclusive
+ * @param {string} [params.to] - ISO date/time, exclusive
+ * @returns {Promise<{ totals: Object, byProject: Array, byFeature: Array, byDay: Array }>}
+ */
+async function aggregateUsage({ organizationIds, projectId, from, to }) {
+  const totals = emptyBucket();
+  const breakdowns = Object.fromEntries(Object.keys(GROUP_KEYS).map(dimension => [dimension, new Map()]));
+
+  // PostgREST caps page size, so read the range page by page
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabaseAdmin
+      .from(USAGE_TABLE)
+      .select('project_id, feature, created_at, prompt_tokens, completion_tokens, total_tokens, cost_usd')
+      .in('organization_id', organizationIds)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (projectId) query = query.eq('project_id', projectId);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lt('created_at', to);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to read usage ledger: ${error.message}`);
+
+    for (const row of data || []) {
+      addToBucket(totals, row);
+      for (const [dimension, keyOf] of Object.entries(GROUP_KEYS)) {
+        const key = keyOf(row);
+        const groups = breakdowns[dimension];
+        if (!groups.has(key)) groups.set(key, emptyBucket({ [dimension]: key }));
+        addToBucket(groups.get(key), row);
+      }
+    }
+
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  const sortedBuckets = (dimension, compare) => [...breakdowns[dimension].values()].map(roundBucket).sort(compare);
+  return {
+    totals: roundBucket(totals),
+    byProject: sortedBuckets('project', (a, b) => b.cost_usd - a.cost_usd),
+    byFeature: sortedBuckets('feature', (a, b) => b.cost_usd - a.cost_usd),
+    byDay: sortedBuckets('day', (a, b) => a.day.localeCompare(b.day)),
+  };
+}
+
+async function sumSpendSince(applyScope, since) {
+  let total = 0;
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await applyScope(supabaseAdmin
+      .from(USAGE_TABLE)
+      .select('cost_usd'))
+      .gte('created_at', since)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw new Error(`Failed to read usage ledger: ${error.message}`);
+
+    for (const row of data || []) total += parseFloat(row.cost_usd || 0);
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return parseFloat(total.toFixed(6));
+}
+
+/**
+ * Total recorded spend for a project since a point in time.
+ *
+ * @param {string} projectId
+ * @param {string} since - ISO date/time, inclusive
+ * @returns {Promise<number>} USD
+ */
+async function getProjectSpendSince(projectId, since) {
+  return sumSpendSince(query => query.eq('project_id', projectId), since);
+}
+
+/**
+ * Total recorded spend for an organization since a point in time, counting
+ * only calls not billed to a project (project spend has its own budgets).
+ *
+ * @param {string} organizationId
+ * @param {string} since - ISO date/time, inclusive
+ * @returns {Promise<number>} USD
+ */
+async function getOrganizationSpendSince(organizationId, since) {
+  return sumSpendSince(query => query.eq('organization_id', organizationId).is('project_id', null), since);
+}
+
+module.exports = { recordUsage, aggregateUsage, getProjectSpendSince, getOrganizationSpendSince, computeCost, normalizeUsage, getPriceTable };
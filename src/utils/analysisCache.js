@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { supabaseAdmin } = require('./supabase');
+const { PROMPT_VERSION } = require('../services/gpt');
+const { getLLMClient } = require('../services/llmProvider');
+
+// ─────────────────────────────────────────────────────────────
+// Analysis Cache
+//
+// Re-analyzing the same file bytes against the same requirement is a wasted
+// model call. Every analysis_results row stores a cache_key derived from:
+//   evidence SHA-256, requirement text, custom instructions, model,
+//   PROMPT_VERSION and the pipeline variant (analysis_version)
+// A later request with the same key copies the prior result into a new row
+// marked cached: true instead of calling the model. Pass force to bypass.
+// ─────────────────────────────────────────────────────────────
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * SHA-256 of a downloaded evidence file, streamed so large files stay off the heap.
+ *
+ * @param {string} filePath - Local temp file path
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Build the cache key for one evidence × requirement analysis.
+ * The model is resolved the same way the analysis call resolves it, so a
+ * project switching provider/model never reuses another model's output.
+ *
+ * @param {Object} params
+ * @param {string} params.fileHash - SHA-256 of the evidence bytes
+ * @param {string} params.requirementText - Full requirement text sent to the model
+ * @param {string|null} params.customInstructions - Project-level custom instructions
+ * @param {string|null} params.projectId - Project UUID (selects the model)
+ * @param {string} params.variant - Pipeline variant, i.e. the analysis_version
+ * @returns {Promise<string>} Hex cache key
+ */
+async function buildAnalysisCacheKey({ fileHash, requirementText, customInstructions, projectId, variant }) {
+  const { model } = await getLLMClient({ projectId });
+  return sha256(JSON.stringify({
+    file: fileHash,
+    requirement: sha256(requirementText || ''),
+    instructions: sha256(customInstructions || ''),
+    model,
+    prompt: PROMPT_VERSION,
+    variant,
+  }));
+}
+
+/**
+ * Find the most recent successful analysis with this cache key.
+ * Lookups are scoped to the project so results never cross tenants. A failed
+ * lookup is treated as a miss — the cache must never block an analysis.
+ *
+ * @returns {Promise<Object|null>} analysis_results row or null
+ */
+async function findCachedAnalysis({ cacheKey, projectId }) {
+  if (!cacheKey || !projectId) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('analysis_results')
+    .select('*')
+    .eq('cache_key', cacheKey)
+    .eq('project_id', projectId)
+    .not('status', 'eq', 'error')
+    .order('analyzed_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.warn(`⚠️ Analysis cache lookup failed: ${error.message}`);
+    return null;
+  }
+  return data || null;
+}
+
+/**
+ * Build a new analysis_results row that reuses a cached analysis.
+ * No model call was made, so usage is recorded as null.
+ */
+function buildCachedRecord(source, { evidenceId, controlId, projectId }) {
+  return {
+    evidence_id: evidenceId,
+    control_id: controlId,
+    project_id: projectId || null,
+    analyzed_at: new Date().toISOString(),
+    analysis_version: source.analysis_version,
+    model_used: source.model_used,
+    status: source.status,
+    confidence_score: source.confidence_score,
+    compliance_percentage: source.compliance_percentage,
+    findings: source.findings,
+    diff_data: source.diff_data,
+    summary: source.summary,
+    recommendations: source.recommendations || [],
+    cache_key: source.cache_key,
+    cached: true,
+    cached_from: source.id,
+    raw_response: {
+      usage: null,
+      finish_reason: source.raw_response?.finish_reason || null,
+      model: source.model_used,
+      cached_from: source.id,
+    },
+  };
+}
+
+module.exports = { hashFile, buildAnalysisCacheKey, findCachedAnalysis, buildCachedRecord };
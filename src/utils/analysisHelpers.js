@@ -1,6 +1,8 @@
-const { supabase } = require('./supabase');
+const { supabaseAdmin } = require('./supabase');
 const { analyzeEvidence, analyzeImageEvidence } = require('../services/gpt');
 const { generateDiff } = require('../services/diffGenerator');
+const { buildAnalysisCacheKey, findCachedAnalysis, buildCachedRecord } = require('./analysisCache');
+const { annotateEvidencePages } = require('./passageMatcher');
 
 // Exponential backoff delays for rate-limit retries (1s → 2s → 4s)
 const RATE_LIMIT_DELAYS = [1000, 2000, 4000];
@@ -9,14 +11,14 @@ const RATE_LIMIT_DELAYS = [1000, 2000, 4000];
  * Build a standardized analysis_results DB record.
  * Replaces 4+ identical object literals scattered across groupAnalysis.js and analyze.js.
  */
-function buildAnalysisRecord({ evidenceId, controlId, projectId, gptResult, diffData, version = 'v1.0-group' }) {
+function buildAnalysisRecord({ evidenceId, controlId, projectId, gptResult, diffData, version = 'v1.0-group', cacheKey = null }) {
   return {
     evidence_id: evidenceId,
     control_id: controlId,
     project_id: projectId || null,
     analyzed_at: new Date().toISOString(),
     analysis_version: version,
-    model_used: gptResult.model || 'gpt-5.1',
+    model_used: gptResult.model || 'unknown',
     status: gptResult.analysis.status,
     confidence_score: gptResult.analysis.confidence_score,
     compliance_percentage: gptResult.analysis.compliance_percentage,
@@ -24,6 +26,8 @@ function buildAnalysisRecord({ evidenceId, controlId, projectId, gptResult, diff
     diff_data: diffData,
     summary: gptResult.analysis.summary,
     recommendations: gptResult.analysis.recommendations || [],
+    cache_key: cacheKey,
+    cached: false,
     raw_response: {
       usage: gptResult.usage,
       finish_reason: gptResult.finish_reason,
@@ -45,25 +49,66 @@ function buildAnalysisRecord({ evidenceId, controlId, projectId, gptResult, diff
  * @param {Function} opts.buildRequirementText - Requirement text builder function
  * @param {string} opts.logPrefix - Prefix for console logs (e.g. "Group abc123")
  * @param {Object|null} opts.imageContent - Optional image data { base64, mimeType } for vision analysis
+ * @param {Array|null} opts.pageMap - PDF page offsets for documentText; adds page numbers to findings
+ * @param {string|null} opts.fileHash - SHA-256 of the evidence bytes; enables the analysis cache
+ * @param {boolean} opts.force - Skip the cache lookup and always call the model
  * @returns {Object} Result summary for the control
  */
 async function analyzeControlWithRetry({
   control, documentText, customInstructions, evidenceId, projectId,
-  buildRequirementText, logPrefix, imageContent,
+  buildRequirementText, logPrefix, imageContent, pageMap = null, fileHash = null, force = false,
 }) {
   const controlName = control.title || `Control ${control.control_number}`;
   const ctrlFramework = control.frameworks || null;
   const requirementText = buildRequirementText(control, ctrlFramework);
 
   // Helper: call the right GPT function based on text vs image
-  const runAnalysis = () => {
+  const runAnalysis = async () => {
     if (imageContent) {
-      return analyzeImageEvidence(imageContent.base64, imageContent.mimeType, requirementText, controlName, customInstructions);
+      return analyzeImageEvidence(imageContent.base64, imageContent.mimeType, requirementText, controlName, customInstructions, { projectId });
     }
-    return analyzeEvidence(documentText, requirementText, controlName, customInstructions);
+    const gptResult = await analyzeEvidence(documentText, requirementText, controlName, customInstructions, { projectId });
+    annotateEvidencePages(documentText, gptResult.analysis.requirements_breakdown, pageMap);
+    return gptResult;
   };
 
+  let cacheKey = null;
+
   try {
+    if (fileHash) {
+      cacheKey = await buildAnalysisCacheKey({
+        fileHash, requirementText, customInstructions, projectId, variant: 'v1.0-group',
+      });
+
+      const cached = force ? null : await findCachedAnalysis({ cacheKey, projectId });
+      if (cached) {
+        const { data: saved, error: saveError } = await supabaseAdmin
+          .from('analysis_results')
+          .insert(buildCachedRecord(cached, { evidenceId, controlId: control.id, projectId }))
+          .select()
+          .single();
+
+        if (saveError) {
+          console.error(`\u26a0\ufe0f [${logPrefix}] DB save failed for cached ${control.control_number}: ${saveError.message}`);
+        }
+
+        console.log(`♻️ [${logPrefix}] Cache hit for ${control.control_number} (from ${cached.id})`);
+        return {
+          analysis_id: saved?.id || null,
+          control_id: control.id,
+          control_number: control.control_number,
+          control_title: control.title,
+          status: cached.status,
+          compliance_percentage: cached.compliance_percentage,
+          confidence_score: cached.confidence_score,
+          summary: cached.summary,
+          save_error: saveError?.message || null,
+          usage: null,
+          cached: true,
+        };
+      }
+    }
+
     const gptResult = await runAnalysis();
     const diffData = generateDiff(gptResult.analysis, requirementText);
 
@@ -73,9 +118,9 @@ async function analyzeControlWithRetry({
       diffData.is_image = true;
     }
 
-    const record = buildAnalysisRecord({ evidenceId, controlId: control.id, projectId, gptResult, diffData });
+    const record = buildAnalysisRecord({ evidenceId, controlId: control.id, projectId, gptResult, diffData, cacheKey });
 
-    const { data: saved, error: saveError } = await supabase
+    const { data: saved, error: saveError } = await supabaseAdmin
       .from('analysis_results')
       .insert(record)
       .select()
@@ -96,6 +141,7 @@ async function analyzeControlWithRetry({
       summary: gptResult.analysis.summary,
       save_error: saveError?.message || null,
       usage: gptResult.usage,
+      cached: false,
     };
   } catch (err) {
     // Exponential backoff retry for rate limits (1s → 2s → 4s)
@@ -115,9 +161,9 @@ async function analyzeControlWithRetry({
             diffData.is_image = true;
           }
 
-          const record = buildAnalysisRecord({ evidenceId, controlId: control.id, projectId, gptResult, diffData });
+          const record = buildAnalysisRecord({ evidenceId, controlId: control.id, projectId, gptResult, diffData, cacheKey });
 
-          const { data: saved, error: saveError } = await supabase
+          const { data: saved, error: saveError } = await supabaseAdmin
             .from('analysis_results')
             .insert(record)
             .select()
@@ -135,6 +181,7 @@ async function analyzeControlWithRetry({
             summary: gptResult.analysis.summary,
             save_error: saveError?.message || null,
             usage: gptResult.usage,
+            cached: false,
           };
         } catch (retryErr) {
           const stillRateLimited = retryErr.message?.includes('429') || retryErr.message?.toLowerCase().includes('rate limit');
@@ -162,43 +209,4 @@ async function analyzeControlWithRetry({
   }
 }
 
-/**
- * Create an in-memory job Map with automatic cleanup of stale jobs.
- * Replaces the duplicated job store + setInterval blocks in analyze.js and framework.js.
- *
- * @param {Object} opts
- * @param {number} opts.processingTimeoutMs - Max time a job can stay "processing" (default 20 min)
- * @param {number} opts.completedRetentionMs - How long to keep completed/failed jobs (default 30 min)
- * @param {number} opts.cleanupIntervalMs - How often to run cleanup (default 10 min)
- * @returns {Map} The job store Map
- */
-function createJobStore({
-  processingTimeoutMs = 20 * 60 * 1000,
-  completedRetentionMs = 30 * 60 * 1000,
-  cleanupIntervalMs = 10 * 60 * 1000,
-} = {}) {
-  const jobs = new Map();
-
-  setInterval(() => {
-    const now = Date.now();
-    for (const [id, job] of jobs) {
-      if (
-        (job.status === 'completed' || job.status === 'failed') &&
-        now - (job.completedAt || 0) > completedRetentionMs
-      ) {
-        jobs.delete(id);
-      } else if (job.status === 'processing' && now - (job.startedAt || 0) > processingTimeoutMs) {
-        jobs.set(id, {
-          ...job,
-          status: 'failed',
-          error: `Processing timed out after ${Math.round(processingTimeoutMs / 60000)} minutes`,
-          completedAt: Date.now(),
-        });
-      }
-    }
-  }, cleanupIntervalMs);
-
-  return jobs;
-}
-
-module.exports = { buildAnalysisRecord, analyzeControlWithRetry, createJobStore };
+module.exports = { buildAnalysisRecord, analyzeControlWithRetry };
@@ -0,0 +1,90 @@
+/**
+ * In-process BM25 ranking over short texts (control titles + descriptions).
+ *
+ * Used to pre-select likely target controls for crosswalk batches so prompts
+ * carry a focused candidate list instead of a whole framework. No external
+ * service: the index is built per run and lives only in memory.
+ */
+
+// ── BM25 Configuration ──
+const K1 = 1.2;   // Term frequency saturation
+const B = 0.75;   // Document length normalization
+
+// Words too common in control text to discriminate between controls
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with', 'within',
+  'all', 'any', 'such', 'other', 'each', 'which', 'not', 'no', 'must', 'shall', 'should', 'may',
+  'organization', 'organizations', 'organizational', 'ensure', 'ensures', 'including', 'based',
+  'appropriate', 'defined', 'define', 'defines', 'control', 'controls', 'requirement', 'requirements',
+]);
+
+/**
+ * Crude suffix stripping so "logging", "logged" and "logs" share a term.
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(ations|ation|ings|ing|ness|ments|ment|ities|ity|ies|ed|es|s)$/, '')
+    .replace(/(.)\1$/, '$1');
+}
+
+/**
+ * Lowercased, stemmed terms with stopwords and single characters removed.
+ */
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(w => w.length > 1 && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+/**
+ * Build a BM25 index.
+ *
+ * @param {Array<{ id: string, text: string }>} docs
+ * @returns {{ search: (query: string, limit: number) => Array<{ id: string, score: number }> }}
+ */
+function createBm25Index(docs) {
+  const termFreqs = [];
+  const docFreq = new Map();
+  let totalLength = 0;
+
+  for (const doc of docs) {
+    const terms = tokenize(doc.text);
+    const tf = new Map();
+    for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+    for (const term of tf.keys()) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    termFreqs.push({ id: doc.id, tf, length: terms.length });
+    totalLength += terms.length;
+  }
+
+  const docCount = docs.length;
+  const avgLength = docCount > 0 ? totalLength / docCount : 0;
+  const idf = (term) => {
+    const df = docFreq.get(term) || 0;
+    return Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+  };
+
+  function search(query, limit) {
+    const queryTerms = [...new Set(tokenize(query))].filter(t => docFreq.has(t));
+    if (queryTerms.length === 0) return [];
+
+    const weights = queryTerms.map(idf);
+    const scored = [];
+    for (const doc of termFreqs) {
+      let score = 0;
+      const lengthNorm = K1 * (1 - B + B * (doc.length / (avgLength || 1)));
+      queryTerms.forEach((term, i) => {
+        const f = doc.tf.get(term);
+        if (f) score += weights[i] * (f * (K1 + 1)) / (f + lengthNorm);
+      });
+      if (score > 0) scored.push({ id: doc.id, score });
+    }
+
+    return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  return { search };
+}
+
+module.exports = { createBm25Index, tokenize };
@@ -3,10 +3,13 @@
  *
  * GPT-4o has 128K token context window. Roughly 1 token ~ 4 chars.
  * We use ~100K chars per chunk (~25K tokens input), leaving room for
- * system prompt (~1K tokens) and output (~16K tokens).
+ * system prompt (~1K tokens) and output (~16K tokens). Framework extraction
+ * uses this default; evidence analysis sizes its parts from the model's
+ * context window with charsForContext.
  */
 
 const MAX_CHARS_PER_CHUNK = 100000;
+const CHARS_PER_TOKEN = 4;
 const OVERLAP_CHARS = 500;
 const MIN_CHUNK_FACTOR = 0.8; // Don't shrink below 80% of target chunk size
 
@@ -14,10 +17,15 @@ const MIN_CHUNK_FACTOR = 0.8; // Don't shrink below 80% of target chunk size
  * Split text into chunks, breaking at paragraph/line boundaries when possible.
  * Enforces a minimum chunk size to prevent micro-chunking on text with
  * frequent newlines (e.g., CSV row-per-line output).
+ *
+ * Each chunk carries its start offset in the original text so results
+ * computed against a chunk can be mapped back to full-document positions.
+ *
+ * @returns {Array<{ text: string, start: number }>}
  */
-function chunkText(text, maxChars = MAX_CHARS_PER_CHUNK, overlap = OVERLAP_CHARS) {
+function chunkTextWithOffsets(text, maxChars = MAX_CHARS_PER_CHUNK, overlap = OVERLAP_CHARS) {
   if (text.length <= maxChars) {
-    return [text];
+    return [{ text, start: 0 }];
   }
 
   const minChunkSize = Math.floor(maxChars * MIN_CHUNK_FACTOR);
@@ -50,7 +58,11 @@ function chunkText(text, maxChars = MAX_CHARS_PER_CHUNK, overlap = OVERLAP_CHARS
       }
     }
 
-    chunks.push(text.substring(start, end));
+    chunks.push({ text: text.substring(start, end), start });
+
+    // Stop once the tail is covered — otherwise the overlap would emit a
+    // final chunk that only repeats the end of the previous one
+    if (end >= text.length) break;
 
     // Next chunk starts with some overlap for context continuity
     const nextStart = end - overlap;
@@ -62,11 +74,35 @@ function chunkText(text, maxChars = MAX_CHARS_PER_CHUNK, overlap = OVERLAP_CHARS
   return chunks;
 }
 
+/**
+ * Split text into chunks (text only). See chunkTextWithOffsets.
+ */
+function chunkText(text, maxChars = MAX_CHARS_PER_CHUNK, overlap = OVERLAP_CHARS) {
+  return chunkTextWithOffsets(text, maxChars, overlap).map(chunk => chunk.text);
+}
+
 /**
  * Check if text exceeds the single-pass limit and needs chunking.
  */
-function needsChunking(text) {
-  return text.length > MAX_CHARS_PER_CHUNK;
+function needsChunking(text, maxChars = MAX_CHARS_PER_CHUNK) {
+  return text.length > maxChars;
+}
+
+/**
+ * Characters of document text that fit in a context window once the rest of
+ * the prompt and the completion are set aside. Throws when the window cannot
+ * hold the reserve at all, rather than handing out parts the model would
+ * reject.
+ *
+ * @param {number} contextTokens - Model context window
+ * @param {number} reservedTokens - Completion limit plus system/instruction prompt
+ * @returns {number}
+ */
+function charsForContext(contextTokens, reservedTokens) {
+  if (!(contextTokens > reservedTokens)) {
+    throw new Error(`Model context window (${contextTokens} tokens) is too small for the ${reservedTokens} tokens reserved for the prompt and completion`);
+  }
+  return (contextTokens - reservedTokens) * CHARS_PER_TOKEN;
 }
 
-module.exports = { chunkText, needsChunking, MAX_CHARS_PER_CHUNK };
+module.exports = { chunkText, chunkTextWithOffsets, needsChunking, charsForContext, MAX_CHARS_PER_CHUNK };
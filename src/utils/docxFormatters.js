@@ -323,6 +323,7 @@ function parseHtmlToDocxElements(html, baseOptions = {}) {
 // ── Exports ──
 
 module.exports = {
+  decodeHtmlEntities,
   parseInlineMarkdown,
   parseMarkdownToDocxChildren,
   parseHtmlToDocxElements,
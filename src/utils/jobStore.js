@@ -0,0 +1,509 @@
+const os = require('os');
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabase');
+
+// ─────────────────────────────────────────────────────────────
+// Durable Job Store
+//
+// Long-running work (group analysis, crosswalk generation, framework parsing)
+// is tracked in the background_jobs table so a redeploy or crash doesn't lose
+// it. Each process holds a lease on the jobs it is running and renews it with
+// a heartbeat; when a lease expires another process (or the restarted one)
+// claims the job and calls the registered resume handler, which uses the
+// saved checkpoint to skip work that was already done.
+//
+// The in-memory side keeps the Map-style get/set interface the route and
+// service code already uses, so progress updates stay synchronous:
+//   job.progress = '...'            → persisted on the next heartbeat
+//   jobs.set(id, { status: ... })   → terminal states are persisted immediately
+//   await jobs.checkpoint(id, {...})→ resume data, persisted immediately
+//
+// A process that loses its lease (another process claimed the job after a
+// missed heartbeat) must stop: the next checkpoint() throws a LEASE_LOST
+// error, and the job is dropped from memory so polling reads the new owner's
+// state from the database.
+//
+// Jobs can also be created "held" (e.g. over a spend budget). A held job has
+// no lease and does nothing until approve() starts it via its handler, or
+// decline() marks it failed.
+//
+// background_jobs columns: id (uuid), type, status, payload, state, checkpoint,
+// result (jsonb), error, attempts, max_attempts, lease_owner, lease_expires_at,
+// heartbeat_at, started_at, completed_at, created_at
+// ─────────────────────────────────────────────────────────────
+
+const JOBS_TABLE = 'background_jobs';
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().substring(0, 8)}`;
+
+// Fields kept in dedicated columns rather than in the `state` blob
+const ROW_FIELDS = ['status', 'startedAt', 'completedAt', 'result', 'error', 'attempts', 'checkpoint', 'type'];
+
+// Every store created in this process — used to release leases on shutdown
+const stores = [];
+
+function leaseLostError(jobId) {
+  const err = new Error(`Lost the lease on job ${jobId} to another process`);
+  err.code = 'LEASE_LOST';
+  return err;
+}
+
+function isTerminal(status) {
+  return status === 'completed' || status === 'failed';
+}
+
+function extractState(job) {
+  const state = {};
+  for (const [key, value] of Object.entries(job)) {
+    if (!ROW_FIELDS.includes(key)) state[key] = value;
+  }
+  return state;
+}
+
+function rowToJob(row) {
+  return {
+    ...(row.state || {}),
+    type: row.type,
+    status: row.status,
+    startedAt: row.started_at ? Date.parse(row.started_at) : Date.now(),
+    completedAt: row.completed_at ? Date.parse(row.completed_at) : undefined,
+    result: row.result ?? undefined,
+    error: row.error ?? undefined,
+    attempts: row.attempts || 0,
+    checkpoint: row.checkpoint || null,
+  };
+}
+
+/**
+ * Create a database-backed job store with leasing, heartbeats and resume.
+ *
+ * @param {Object} opts
+ * @param {Object<string, Function>} opts.handlers - Resume handler per job type: (jobId, payload, jobs) => Promise
+ * @param {number} opts.processingTimeoutMs - Max time a job can stay "processing" (default 20 min)
+ * @param {number} opts.completedRetentionMs - How long to keep finished jobs in memory (default 30 min)
+ * @param {number} opts.cleanupIntervalMs - How often to run memory cleanup (default 10 min)
+ * @param {number} opts.leaseMs - How long a lease lasts without a heartbeat (default 2 min)
+ * @param {number} opts.heartbeatIntervalMs - How often leases are renewed (default 30s)
+ * @param {number} opts.resumePollIntervalMs - How often to look for abandoned jobs (default 60s)
+ * @param {number} opts.maxAttempts - Attempts before an abandoned job is marked failed (default 3)
+ * @returns {Object} Job store with get/set/has/delete plus create/load/checkpoint
+ */
+function createJobStore({
+  handlers = {},
+  processingTimeoutMs = 20 * 60 * 1000,
+  completedRetentionMs = 30 * 60 * 1000,
+  cleanupIntervalMs = 10 * 60 * 1000,
+  leaseMs = 2 * 60 * 1000,
+  heartbeatIntervalMs = 30 * 1000,
+  resumePollIntervalMs = 60 * 1000,
+  maxAttempts = 3,
+} = {}) {
+  const jobs = new Map();
+  // Jobs this process holds a lease on, and jobs it lost the lease on mid-run
+  const owned = new Set();
+  const lost = new Set();
+  const types = Object.keys(handlers);
+
+  const leaseExpiry = () => new Date(Date.now() + leaseMs).toISOString();
+
+  function markLeaseLost(jobId) {
+    if (lost.has(jobId)) return;
+    console.warn(`⚠️ [Jobs] Lost lease on job ${jobId} — stopping it here`);
+    owned.delete(jobId);
+    lost.add(jobId);
+  }
+
+  async function persistTerminal(jobId, job) {
+    owned.delete(jobId);
+    const { error } = await supabaseAdmin
+      .from(JOBS_TABLE)
+      .update({
+        status: job.status,
+        state: extractState(job),
+        result: job.result ?? null,
+        error: job.error ?? null,
+        completed_at: new Date(job.completedAt || Date.now()).toISOString(),
+        lease_owner: null,
+        lease_expires_at: null,
+      })
+      .eq('id', jobId);
+
+    if (error) {
+      console.error(`❌ [Jobs] Failed to persist ${job.status} state for job ${jobId}: ${error.message}`);
+    }
+  }
+
+  const store = {
+    /**
+     * Register a new job, persist it and take the lease.
+     *
+     * @param {string} jobId - UUID for the job
+     * @param {Object} params
+     * @param {string} params.type - Job type; must have a resume handler to be resumable
+     * @param {Object} params.payload - Arguments needed to (re)start the job
+     * @param {Object} params.state - Initial progress fields (fileName, progress, ...)
+     * @param {boolean} [params.held] - Park the job for approval instead of starting it
+     */
+    async create(jobId, { type, payload = {}, state = {}, held = false }) {
+      const startedAt = Date.now();
+      const { error } = await supabaseAdmin
+        .from(JOBS_TABLE)
+        .insert({
+          id: jobId,
+          type,
+          status: held ? 'held' : 'processing',
+          payload,
+          state,
+          attempts: held ? 0 : 1,
+          max_attempts: maxAttempts,
+          lease_owner: held ? null : WORKER_ID,
+          lease_expires_at: held ? null : leaseExpiry(),
+          heartbeat_at: held ? null : new Date(startedAt).toISOString(),
+          started_at: held ? null : new Date(startedAt).toISOString(),
+        });
+
+      if (error) {
+        throw new Error(`Failed to create job: ${error.message}`);
+      }
+
+      const job = { ...state, type, status: held ? 'held' : 'processing', startedAt, attempts: held ? 0 : 1, checkpoint: null };
+      jobs.set(jobId, job);
+      if (!held) owned.add(jobId);
+      return job;
+    },
+
+    /**
+     * Start a held job: take the lease and run its handler with the stored payload.
+     * Returns null when the job doesn't exist or is no longer held.
+     */
+    async approve(jobId) {
+      const startedAt = Date.now();
+      const { data: claimed, error } = await supabaseAdmin
+        .from(JOBS_TABLE)
+        .update({
+          status: 'processing',
+          attempts: 1,
+          lease_owner: WORKER_ID,
+          lease_expires_at: leaseExpiry(),
+          heartbeat_at: new Date(startedAt).toISOString(),
+          started_at: new Date(startedAt).toISOString(),
+        })
+        .eq('id', jobId)
+        .eq('status', 'held')
+        .select('*');
+
+      if (error) {
+        throw new Error(`Failed to approve job: ${error.message}`);
+      }
+      if (!claimed || claimed.length === 0) return null;
+
+      const row = claimed[0];
+      const handler = handlers[row.type];
+      const job = { ...rowToJob(row), startedAt, progress: 'Starting after approval...' };
+      jobs.set(jobId, job);
+      owned.add(jobId);
+
+      if (!handler) {
+        store.set(jobId, { status: 'failed', completedAt: Date.now(), error: `No handler registered for job type "${row.type}"` });
+        return jobs.get(jobId);
+      }
+
+      console.log(`▶️ [Jobs] Approved held ${row.type} job ${jobId}`);
+      handler(jobId, row.payload || {}, store).catch((err) => {
+        console.error(`💥 [Jobs] Approved job ${jobId} failed: ${err.message}`);
+        if (jobs.get(jobId)?.status === 'processing') {
+          store.set(jobId, { status: 'failed', completedAt: Date.now(), error: err.message });
+        }
+      });
+      return job;
+    },
+
+    /**
+     * Decline a held job, marking it failed. Returns false when it wasn't held.
+     */
+    async decline(jobId, reason = 'Declined') {
+      const { data, error } = await supabaseAdmin
+        .from(JOBS_TABLE)
+        .update({ status: 'failed', error: reason, completed_at: new Date().toISOString() })
+        .eq('id', jobId)
+        .eq('status', 'held')
+        .select('*');
+
+      if (error) {
+        throw new Error(`Failed to decline job: ${error.message}`);
+      }
+      if (!data || data.length === 0) return false;
+
+      jobs.set(jobId, rowToJob(data[0]));
+      return true;
+    },
+
+    get(jobId) {
+      return jobs.get(jobId);
+    },
+
+    has(jobId) {
+      return jobs.has(jobId);
+    },
+
+    delete(jobId) {
+      owned.delete(jobId);
+      lost.delete(jobId);
+      return jobs.delete(jobId);
+    },
+
+    /**
+     * Whether this process lost the lease on a job it was running. Cleanup
+     * that the new owner still depends on (e.g. the stored upload) is skipped.
+     */
+    isLeaseLost(jobId) {
+      return lost.has(jobId);
+    },
+
+    /**
+     * Replace a job's in-memory state. Completed/failed states are written
+     * through to the database and release the lease. The owning organization
+     * is carried over so status polling stays access-checked after completion.
+     */
+    set(jobId, job) {
+      // Another process owns the job now; its row is the source of truth
+      if (lost.has(jobId)) {
+        jobs.delete(jobId);
+        return store;
+      }
+
+      const previous = jobs.get(jobId);
+      const next = {
+        ...job,
+        type: job.type || previous?.type,
+        attempts: job.attempts ?? previous?.attempts,
+        organizationId: job.organizationId ?? previous?.organizationId,
+      };
+      jobs.set(jobId, next);
+
+      if (isTerminal(next.status) && owned.has(jobId)) {
+        persistTerminal(jobId, next).catch((err) => {
+          console.error(`❌ [Jobs] Persist error for job ${jobId}: ${err.message}`);
+        });
+      }
+      return store;
+    },
+
+    /**
+     * Get a job from memory, falling back to the database (e.g. after a restart).
+     */
+    async load(jobId) {
+      if (jobs.has(jobId)) return jobs.get(jobId);
+
+      const { data, error } = await supabaseAdmin
+        .from(JOBS_TABLE)
+        .select('*')
+        .eq('id', jobId)
+        .maybeSingle();
+
+      if (error || !data) return null;
+      return rowToJob(data);
+    },
+
+    /**
+     * Merge resume data into the job's checkpoint and persist it right away,
+     * so a restart never redoes work that finished before the crash.
+     * Throws a LEASE_LOST error once another process has claimed the job.
+     */
+    async checkpoint(jobId, patch) {
+      if (lost.has(jobId)) throw leaseLostError(jobId);
+      const job = jobs.get(jobId);
+      if (!job) return;
+
+      job.checkpoint = { ...(job.checkpoint || {}), ...patch };
+      const { data, error } = await supabaseAdmin
+        .from(JOBS_TABLE)
+        .update({
+          checkpoint: job.checkpoint,
+          state: extractState(job),
+          heartbeat_at: new Date().toISOString(),
+          lease_expires_at: leaseExpiry(),
+        })
+        .eq('id', jobId)
+        .eq('lease_owner', WORKER_ID)
+        .select('id');
+
+      if (error) {
+        console.warn(`⚠️ [Jobs] Failed to save checkpoint for job ${jobId}: ${error.message}`);
+      } else if (!data || data.length === 0) {
+        markLeaseLost(jobId);
+        throw leaseLostError(jobId);
+      }
+    },
+
+    /**
+     * Give up the leases on every running job so another process can claim
+     * them immediately instead of waiting for expiry.
+     */
+    async releaseLeases() {
+      const ids = [...owned];
+      if (ids.length === 0) return;
+
+      const processing = ids.filter(id => jobs.get(id)?.status === 'processing');
+      for (const id of processing) {
+        await supabaseAdmin
+          .from(JOBS_TABLE)
+          .update({ state: extractState(jobs.get(id)), lease_owner: null, lease_expires_at: new Date().toISOString() })
+          .eq('id', id)
+          .eq('lease_owner', WORKER_ID);
+      }
+      console.log(`🔓 [Jobs] Released ${processing.length} job lease(s)`);
+    },
+  };
+
+  // ── Heartbeat: renew leases and flush progress for running jobs ──
+  async function renewLeases() {
+    for (const jobId of [...owned]) {
+      const job = jobs.get(jobId);
+      if (!job || job.status !== 'processing') continue;
+
+      const { data, error } = await supabaseAdmin
+        .from(JOBS_TABLE)
+        .update({
+          state: extractState(job),
+          heartbeat_at: new Date().toISOString(),
+          lease_expires_at: leaseExpiry(),
+        })
+        .eq('id', jobId)
+        .eq('lease_owner', WORKER_ID)
+        .select('id');
+
+      if (error) {
+        console.warn(`⚠️ [Jobs] Heartbeat failed for job ${jobId}: ${error.message}`);
+      } else if ((!data || data.length === 0) && owned.has(jobId)) {
+        // Another process claimed it after our lease lapsed
+        markLeaseLost(jobId);
+      }
+    }
+  }
+
+  // A slow database can make one round outlast the interval — never run two at once
+  let heartbeatRunning = false;
+  setInterval(async () => {
+    if (heartbeatRunning) return;
+    heartbeatRunning = true;
+    try {
+      await renewLeases();
+    } catch (err) {
+      console.warn(`⚠️ [Jobs] Heartbeat error: ${err.message}`);
+    } finally {
+      heartbeatRunning = false;
+    }
+  }, heartbeatIntervalMs);
+
+  // ── Resume: claim jobs whose lease expired and hand them to their handler ──
+  async function resumeAbandonedJobs() {
+    if (types.length === 0) return;
+
+    const now = new Date().toISOString();
+    const { data: candidates, error } = await supabaseAdmin
+      .from(JOBS_TABLE)
+      .select('id, type, payload, attempts, max_attempts')
+      .eq('status', 'processing')
+      .in('type', types)
+      .lt('lease_expires_at', now)
+      .limit(10);
+
+    if (error) {
+      console.warn(`⚠️ [Jobs] Failed to look for abandoned jobs: ${error.message}`);
+      return;
+    }
+
+    for (const candidate of candidates || []) {
+      // Conditional update — only one process wins the claim
+      const { data: claimed } = await supabaseAdmin
+        .from(JOBS_TABLE)
+        .update({
+          lease_owner: WORKER_ID,
+          lease_expires_at: leaseExpiry(),
+          heartbeat_at: new Date().toISOString(),
+          attempts: (candidate.attempts || 0) + 1,
+        })
+        .eq('id', candidate.id)
+        .eq('status', 'processing')
+        .lt('lease_expires_at', now)
+        .select('*');
+
+      if (!claimed || claimed.length === 0) continue;
+
+      const row = claimed[0];
+      const job = rowToJob(row);
+      jobs.set(row.id, job);
+      owned.add(row.id);
+
+      if (row.attempts > (row.max_attempts || maxAttempts)) {
+        console.error(`❌ [Jobs] Job ${row.id} (${row.type}) abandoned after ${row.attempts - 1} attempts`);
+        store.set(row.id, {
+          status: 'failed',
+          completedAt: Date.now(),
+          error: `Job was interrupted ${row.attempts - 1} times and has been abandoned`,
+        });
+        continue;
+      }
+
+      console.log(`♻️ [Jobs] Resuming ${row.type} job ${row.id} (attempt ${row.attempts})`);
+      job.progress = 'Resuming after interruption...';
+      job.resumedAt = Date.now();
+
+      handlers[row.type](row.id, row.payload || {}, store).catch((err) => {
+        console.error(`💥 [Jobs] Resumed job ${row.id} failed: ${err.message}`);
+        if (jobs.get(row.id)?.status === 'processing') {
+          store.set(row.id, { status: 'failed', completedAt: Date.now(), error: err.message });
+        }
+      });
+    }
+  }
+
+  if (types.length > 0) {
+    const poll = () => resumeAbandonedJobs().catch((err) => {
+      console.warn(`⚠️ [Jobs] Resume poll error: ${err.message}`);
+    });
+    // Give the server a moment to start before picking up old work
+    setTimeout(poll, 5000);
+    setInterval(poll, resumePollIntervalMs);
+  }
+
+  // ── Memory cleanup: evict old finished jobs, fail jobs stuck too long ──
+  setInterval(() => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (isTerminal(job.status) && now - (job.completedAt || 0) > completedRetentionMs) {
+        jobs.delete(id);
+        owned.delete(id);
+        lost.delete(id);
+      } else if (job.status === 'held' && now - (job.startedAt || 0) > completedRetentionMs) {
+        // Still held in the database — load() brings it back when polled
+        jobs.delete(id);
+      } else if (job.status === 'processing' && owned.has(id) && now - (job.resumedAt || job.startedAt || 0) > processingTimeoutMs) {
+        store.set(id, {
+          ...job,
+          status: 'failed',
+          error: `Processing timed out after ${Math.round(processingTimeoutMs / 60000)} minutes`,
+          completedAt: Date.now(),
+        });
+      }
+    }
+  }, cleanupIntervalMs);
+
+  stores.push(store);
+  return store;
+}
+
+/**
+ * Release every job lease held by this process. Called on graceful shutdown.
+ */
+async function releaseAllJobLeases() {
+  for (const store of stores) {
+    try {
+      await store.releaseLeases();
+    } catch (err) {
+      console.warn(`⚠️ [Jobs] Failed to release leases: ${err.message}`);
+    }
+  }
+}
+
+module.exports = { createJobStore, releaseAllJobLeases };
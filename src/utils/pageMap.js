@@ -0,0 +1,64 @@
+/**
+ * Page offset maps for page-aware citations.
+ *
+ * PDF parsing records where each page's text starts and ends in the extracted
+ * document text: [{ pageNumber, startOffset, endOffset }]. Evidence offsets
+ * are looked up here so findings and reports can cite "p. 12".
+ */
+
+/**
+ * Page number containing a character offset, or null when unknown.
+ * Offsets in the separator between two pages belong to the earlier page.
+ *
+ * @param {Array<{ pageNumber: number, startOffset: number, endOffset: number }>|null} pageMap
+ * @param {number} offset
+ * @returns {number|null}
+ */
+function pageNumberAt(pageMap, offset) {
+  if (!Array.isArray(pageMap) || pageMap.length === 0 || typeof offset !== 'number' || offset < 0) {
+    return null;
+  }
+
+  // Binary search for the last page starting at or before the offset
+  let low = 0;
+  let high = pageMap.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (pageMap[mid].startOffset <= offset) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found >= 0 ? pageMap[found].pageNumber : pageMap[0].pageNumber;
+}
+
+/**
+ * Format page numbers as a citation: "p. 12", "pp. 3, 12", or '' when none.
+ *
+ * @param {Array<number|null>} pages
+ * @returns {string}
+ */
+function formatPageCitation(pages) {
+  const unique = [...new Set((pages || []).filter(p => Number.isInteger(p) && p > 0))].sort((a, b) => a - b);
+  if (unique.length === 0) return '';
+  return unique.length === 1 ? `p. ${unique[0]}` : `pp. ${unique.join(', ')}`;
+}
+
+/**
+ * Page numbers cited by a requirements_breakdown (met/partial findings only).
+ *
+ * @param {Array} requirementsBreakdown
+ * @returns {number[]}
+ */
+function citedPages(requirementsBreakdown) {
+  return (requirementsBreakdown || [])
+    .filter(req => req.status !== 'missing')
+    .map(req => req.evidence_location?.page_number)
+    .filter(Number.isInteger);
+}
+
+module.exports = { pageNumberAt, formatPageCitation, citedPages };
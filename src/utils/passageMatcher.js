@@ -6,6 +6,8 @@
  * Four tiers: exact offset → indexOf → whitespace-normalized → fuzzy sliding window.
  */
 
+const { pageNumberAt } = require('./pageMap');
+
 // ── Fuzzy Matching Configuration ──
 const FUZZY_MIN_SIMILARITY = 0.4;       // Minimum Jaccard score to accept a fuzzy match (40% word overlap)
 const FUZZY_MIN_WINDOW_FACTOR = 0.5;    // Smallest window = 50% of quote length
@@ -165,7 +167,7 @@ function fuzzyMatch(documentText, quote) {
 }
 
 /**
- * Verify GPT's claimed offsets and build highlight ranges.
+ * Locate one finding's evidence passage in the document.
  *
  * Strategy:
  * 1. Check if text at GPT's offsets matches the quote (fast path — new analyses)
@@ -174,131 +176,174 @@ function fuzzyMatch(documentText, quote) {
  * 4. Fall back to fuzzy sliding window match (handles paraphrased old analyses)
  *
  * @param {string} documentText - The full extracted document text
- * @param {Array} requirementsBreakdown - GPT's requirements_breakdown array
- * @returns {Array} Sorted, non-overlapping highlight ranges
+ * @param {Object} req - One requirements_breakdown item (with evidence_found)
+ * @returns {{ startOffset: number, endOffset: number, matchQuality: string }|null}
  */
-function verifyAndBuildHighlightRanges(documentText, requirementsBreakdown) {
-  if (!documentText || !requirementsBreakdown || !Array.isArray(requirementsBreakdown)) {
-    return [];
+function locateEvidence(documentText, req) {
+  const loc = req.evidence_location || {};
+  const quote = req.evidence_found;
+  const cleanQuote = stripMarkdown(quote);  // Strip markdown for matching against raw document text
+  let startOffset = -1;
+  let endOffset = -1;
+  let matchQuality = 'unmatched';
+
+  // Tier 1: Verify GPT's claimed offsets
+  if (loc.start_index >= 0 && loc.end_index > loc.start_index && loc.end_index <= documentText.length) {
+    const slice = documentText.substring(loc.start_index, loc.end_index);
+    if (slice === cleanQuote) {
+      startOffset = loc.start_index;
+      endOffset = loc.end_index;
+      matchQuality = 'exact';
+    } else if (normalizeWs(slice) === normalizeWs(cleanQuote)) {
+      startOffset = loc.start_index;
+      endOffset = loc.end_index;
+      matchQuality = 'exact';
+    }
   }
 
-  const ranges = [];
-
-  for (const req of requirementsBreakdown) {
-    // Skip items with no evidence text to search for
-    if (!req.evidence_found) continue;
-
-    const loc = req.evidence_location || {};
-    const quote = req.evidence_found;
-    const cleanQuote = stripMarkdown(quote);  // Strip markdown for matching against raw document text
-    let startOffset = -1;
-    let endOffset = -1;
-    let matchQuality = 'unmatched';
-
-    // Tier 1: Verify GPT's claimed offsets
-    if (loc.start_index >= 0 && loc.end_index > loc.start_index && loc.end_index <= documentText.length) {
-      const slice = documentText.substring(loc.start_index, loc.end_index);
-      if (slice === cleanQuote) {
-        startOffset = loc.start_index;
-        endOffset = loc.end_index;
-        matchQuality = 'exact';
-      } else if (normalizeWs(slice) === normalizeWs(cleanQuote)) {
-        startOffset = loc.start_index;
-        endOffset = loc.end_index;
-        matchQuality = 'exact';
-      }
+  // Tier 2: Simple indexOf on original text
+  if (matchQuality === 'unmatched') {
+    const idx = documentText.indexOf(cleanQuote);
+    if (idx !== -1) {
+      startOffset = idx;
+      endOffset = idx + cleanQuote.length;
+      matchQuality = 'exact';
     }
+  }
 
-    // Tier 2: Simple indexOf on original text
-    if (matchQuality === 'unmatched') {
-      const idx = documentText.indexOf(cleanQuote);
-      if (idx !== -1) {
-        startOffset = idx;
-        endOffset = idx + cleanQuote.length;
-        matchQuality = 'exact';
-      }
+  // Tier 2.5: Extract quoted phrases from contextual evidence descriptions
+  //  GPT may write: "The document's 'Information Security Policy v2.1' describes..."
+  //  We extract the quoted phrase and search for it in the document.
+  if (matchQuality === 'unmatched') {
+    const quotedPhrases = [];
+    const quoteRegex = /["']([^"']{10,}?)["']/g;
+    let m;
+    while ((m = quoteRegex.exec(cleanQuote)) !== null) {
+      quotedPhrases.push(m[1]);
     }
+    // Sort longest first — longer phrases are more distinctive
+    quotedPhrases.sort((a, b) => b.length - a.length);
 
-    // Tier 2.5: Extract quoted phrases from contextual evidence descriptions
-    //  GPT may write: "The document's 'Information Security Policy v2.1' describes..."
-    //  We extract the quoted phrase and search for it in the document.
-    if (matchQuality === 'unmatched') {
-      const quotedPhrases = [];
-      const quoteRegex = /["']([^"']{10,}?)["']/g;
-      let m;
-      while ((m = quoteRegex.exec(cleanQuote)) !== null) {
-        quotedPhrases.push(m[1]);
+    for (const phrase of quotedPhrases) {
+      const idx = documentText.indexOf(phrase);
+      if (idx !== -1) {
+        // Expand to sentence boundaries for more context
+        let sentStart = documentText.lastIndexOf('.', idx);
+        sentStart = sentStart >= 0 && idx - sentStart < 200 ? sentStart + 1 : idx;
+        let sentEnd = documentText.indexOf('.', idx + phrase.length);
+        sentEnd = sentEnd >= 0 && sentEnd - idx < 300 ? sentEnd + 1 : idx + phrase.length;
+        startOffset = sentStart;
+        endOffset = sentEnd;
+        matchQuality = 'normalized';
+        break;
       }
-      // Sort longest first — longer phrases are more distinctive
-      quotedPhrases.sort((a, b) => b.length - a.length);
-
-      for (const phrase of quotedPhrases) {
-        const idx = documentText.indexOf(phrase);
-        if (idx !== -1) {
-          // Expand to sentence boundaries for more context
-          let sentStart = documentText.lastIndexOf('.', idx);
-          sentStart = sentStart >= 0 && idx - sentStart < 200 ? sentStart + 1 : idx;
-          let sentEnd = documentText.indexOf('.', idx + phrase.length);
-          sentEnd = sentEnd >= 0 && sentEnd - idx < 300 ? sentEnd + 1 : idx + phrase.length;
-          startOffset = sentStart;
-          endOffset = sentEnd;
+      // Try whitespace-normalized version of the phrase
+      const normPhrase = normalizeWs(phrase);
+      if (normPhrase.length >= 10) {
+        const normDoc = normalizeWs(documentText);
+        const nIdx = normDoc.indexOf(normPhrase);
+        if (nIdx !== -1) {
+          startOffset = mapNormalizedOffset(documentText, nIdx);
+          endOffset = mapNormalizedOffset(documentText, nIdx + normPhrase.length);
           matchQuality = 'normalized';
           break;
         }
-        // Try whitespace-normalized version of the phrase
-        const normPhrase = normalizeWs(phrase);
-        if (normPhrase.length >= 10) {
-          const normDoc = normalizeWs(documentText);
-          const nIdx = normDoc.indexOf(normPhrase);
-          if (nIdx !== -1) {
-            startOffset = mapNormalizedOffset(documentText, nIdx);
-            endOffset = mapNormalizedOffset(documentText, nIdx + normPhrase.length);
-            matchQuality = 'normalized';
-            break;
-          }
-        }
       }
     }
+  }
 
-    // Tier 3: indexOf with whitespace normalization
-    if (matchQuality === 'unmatched') {
-      const normDoc = normalizeWs(documentText);
-      const normQuote = normalizeWs(cleanQuote);
-      if (normQuote.length >= 10) {
-        const idx = normDoc.indexOf(normQuote);
-        if (idx !== -1) {
-          startOffset = mapNormalizedOffset(documentText, idx);
-          endOffset = mapNormalizedOffset(documentText, idx + normQuote.length);
-          matchQuality = 'normalized';
-        }
+  // Tier 3: indexOf with whitespace normalization
+  if (matchQuality === 'unmatched') {
+    const normDoc = normalizeWs(documentText);
+    const normQuote = normalizeWs(cleanQuote);
+    if (normQuote.length >= 10) {
+      const idx = normDoc.indexOf(normQuote);
+      if (idx !== -1) {
+        startOffset = mapNormalizedOffset(documentText, idx);
+        endOffset = mapNormalizedOffset(documentText, idx + normQuote.length);
+        matchQuality = 'normalized';
       }
     }
+  }
 
-    // Tier 4: Fuzzy sliding window match (for old analyses where GPT paraphrased)
-    if (matchQuality === 'unmatched') {
-      const fuzzyResult = fuzzyMatch(documentText, cleanQuote);
-      if (fuzzyResult) {
-        startOffset = fuzzyResult.startOffset;
-        endOffset = fuzzyResult.endOffset;
-        matchQuality = 'approximate';
-      }
+  // Tier 4: Fuzzy sliding window match (for old analyses where GPT paraphrased)
+  if (matchQuality === 'unmatched') {
+    const fuzzyResult = fuzzyMatch(documentText, cleanQuote);
+    if (fuzzyResult) {
+      startOffset = fuzzyResult.startOffset;
+      endOffset = fuzzyResult.endOffset;
+      matchQuality = 'approximate';
     }
+  }
+
+  if (startOffset >= 0 && endOffset > startOffset) {
+    return { startOffset, endOffset, matchQuality };
+  }
+  return null;
+}
 
-    if (startOffset >= 0 && endOffset > startOffset) {
+/**
+ * Verify GPT's claimed offsets and build highlight ranges (see locateEvidence).
+ * With a PDF page map, each range also carries the pageNumber it starts on.
+ *
+ * @param {string} documentText - The full extracted document text
+ * @param {Array} requirementsBreakdown - GPT's requirements_breakdown array
+ * @param {Object} [options]
+ * @param {Array|null} [options.pageMap] - Page offsets from parseDocument / parseDocumentForViewer
+ * @returns {Array} Sorted, non-overlapping highlight ranges
+ */
+function verifyAndBuildHighlightRanges(documentText, requirementsBreakdown, { pageMap = null } = {}) {
+  if (!documentText || !requirementsBreakdown || !Array.isArray(requirementsBreakdown)) {
+    return [];
+  }
+
+  const ranges = [];
+
+  for (const req of requirementsBreakdown) {
+    // Skip items with no evidence text to search for
+    if (!req.evidence_found) continue;
+
+    const match = locateEvidence(documentText, req);
+    if (match) {
       ranges.push({
-        startOffset,
-        endOffset,
+        ...match,
         requirementId: req.requirement_id,
         status: req.status,
-        evidenceText: quote,
-        matchQuality,
-        sectionContext: loc.section_context || null,
+        evidenceText: req.evidence_found,
+        sectionContext: req.evidence_location?.section_context || null,
       });
     }
   }
 
   // Sort by position and resolve any overlaps
-  return resolveOverlaps(ranges.sort((a, b) => a.startOffset - b.startOffset));
+  const resolved = resolveOverlaps(ranges.sort((a, b) => a.startOffset - b.startOffset));
+  if (!pageMap) return resolved;
+
+  // Overlap resolution only moves end offsets, so the start still names the page
+  return resolved.map(range => ({ ...range, pageNumber: pageNumberAt(pageMap, range.startOffset) }));
+}
+
+/**
+ * Record the page each finding's evidence appears on as
+ * evidence_location.page_number (in place). Used right after analysis so
+ * stored findings and reports can cite pages without re-parsing the PDF.
+ *
+ * @param {string} documentText - Text the analysis was run against
+ * @param {Array} requirementsBreakdown - Normalized requirements_breakdown
+ * @param {Array|null} pageMap - Page offsets from parseDocument (null for non-PDF)
+ */
+function annotateEvidencePages(documentText, requirementsBreakdown, pageMap) {
+  if (!pageMap || !documentText || !Array.isArray(requirementsBreakdown)) return;
+
+  for (const req of requirementsBreakdown) {
+    if (!req.evidence_found) continue;
+
+    const match = locateEvidence(documentText, req);
+    const pageNumber = match ? pageNumberAt(pageMap, match.startOffset) : null;
+    if (pageNumber) {
+      req.evidence_location = { ...(req.evidence_location || {}), page_number: pageNumber };
+    }
+  }
 }
 
 /**
@@ -346,4 +391,4 @@ function resolveOverlaps(sortedRanges) {
   return result.filter(r => r.endOffset > r.startOffset);
 }
 
-module.exports = { verifyAndBuildHighlightRanges };
+module.exports = { verifyAndBuildHighlightRanges, annotateEvidencePages };
@@ -0,0 +1,135 @@
+/**
+ * Text formatters for PDF report export (PDFKit, built-in Helvetica).
+ *
+ * The standard PDF fonts only cover WinAnsi, and PDFKit draws plain text, so
+ * report content is flattened before drawing:
+ * 1. Markdown (from GPT consolidation output) — markers removed, - bullets kept as •
+ * 2. HTML (from Tiptap editor) — split into heading / paragraph / list blocks
+ */
+
+const { decodeHtmlEntities } = require('./docxFormatters');
+
+// Characters outside WinAnsi that show up in report content
+const PDF_REPLACEMENTS = [
+  [/→/g, '->'],
+  [/←/g, '<-'],
+  [/↔/g, '<->'],
+  [/≥/g, '>='],
+  [/≤/g, '<='],
+  [/≠/g, '!='],
+  [/[✓✔]/g, 'Yes'],
+  [/[✗✘]/g, 'No'],
+  [/\u00a0/g, ' '],
+];
+
+// WinAnsi code points above Latin-1 that the standard fonts can draw
+const WINANSI_EXTRAS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+
+/**
+ * Make a string drawable with the standard PDF fonts.
+ * @param {*} value
+ * @returns {string}
+ */
+function pdfSafeText(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  for (const [pattern, replacement] of PDF_REPLACEMENTS) text = text.replace(pattern, replacement);
+  return [...text].filter(ch => ch.charCodeAt(0) <= 0xff || WINANSI_EXTRAS.has(ch)).join('');
+}
+
+/**
+ * Strip inline markdown (**bold**, *italic*, _italic_) and normalize bullets.
+ * Also used for spreadsheet cells, which take any Unicode.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripMarkdown(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/(^|[^*])\*(?!\s)(.+?)\*/g, '$1$2')
+    .replace(/(^|\s)_(?!\s)(.+?)_(?=\s|$|[.,;:])/g, '$1$2')
+    .replace(/^\s*[-*]\s+/gm, '• ');
+}
+
+/**
+ * Markdown flattened to text the standard PDF fonts can draw.
+ * @param {string} text
+ * @returns {string}
+ */
+function markdownToPlainText(text) {
+  return pdfSafeText(stripMarkdown(text));
+}
+
+/**
+ * Split editor HTML into blocks PDFKit can draw one at a time.
+ * Plain text without tags is treated as markdown (backward compat).
+ *
+ * @param {string} html
+ * @returns {Array<{ kind: 'heading'|'paragraph'|'bullet', text: string, level?: number, indent?: boolean }>}
+ */
+function htmlToPdfBlocks(html) {
+  if (!html || !html.trim()) return [];
+
+  if (!/<[a-z][\s\S]*>/i.test(html)) {
+    return html.split(/\n+/)
+      .map(line => markdownToPlainText(line).trim())
+      .filter(Boolean)
+      .map(line => (line.startsWith('• ') ? { kind: 'bullet', text: line.substring(2) } : { kind: 'paragraph', text: line }));
+  }
+
+  const blocks = [];
+  let listType = null;
+  let listCounter = 0;
+  let blockTag = null;
+  let text = '';
+
+  const flush = () => {
+    const clean = pdfSafeText(decodeHtmlEntities(text)).replace(/\s+/g, ' ').trim();
+    if (clean) {
+      if (/^h[1-6]$/.test(blockTag || '')) {
+        blocks.push({ kind: 'heading', text: clean, level: parseInt(blockTag[1], 10) });
+      } else if (blockTag === 'li') {
+        blocks.push(listType === 'ol' ? { kind: 'paragraph', text: `${listCounter}. ${clean}`, indent: true } : { kind: 'bullet', text: clean });
+      } else {
+        blocks.push({ kind: 'paragraph', text: clean });
+      }
+    }
+    text = '';
+  };
+
+  const tokenRegex = /<(\/?)(\w+)([^>]*)>|([^<]+)/gi;
+  let tm;
+  while ((tm = tokenRegex.exec(html)) !== null) {
+    if (tm[4] !== undefined) {
+      text += tm[4];
+      continue;
+    }
+
+    const tagName = tm[2].toLowerCase();
+    const isClosing = tm[1] === '/';
+
+    if (tagName === 'ul' || tagName === 'ol') {
+      flush();
+      listType = isClosing ? null : tagName;
+      listCounter = 0;
+    } else if (tagName === 'br') {
+      flush();
+    } else if (['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'div'].includes(tagName)) {
+      flush();
+      blockTag = isClosing ? null : tagName;
+      if (!isClosing && tagName === 'li') listCounter++;
+    }
+    // Inline tags (strong, em, ...) only change styling, which plain text drops
+  }
+  flush();
+
+  return blocks;
+}
+
+module.exports = {
+  pdfSafeText,
+  stripMarkdown,
+  markdownToPlainText,
+  htmlToPdfBlocks,
+};
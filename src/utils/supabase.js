@@ -22,6 +22,43 @@ const supabaseAdmin = supabaseServiceRoleKey
   ? createClient(supabaseUrl, supabaseServiceRoleKey)
   : supabase; // fallback to anon if no service role key set
 
+/**
+ * Create a Supabase client that acts as the calling user.
+ * Queries run with the user's JWT, so row-level security policies apply.
+ *
+ * @param {string} accessToken - The caller's Supabase access token
+ */
+function createUserClient(accessToken) {
+  return createClient(supabaseUrl, supabaseAnonKey, {
+    global: { headers: { Authorization: `Bearer ${accessToken}` } },
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+}
+
+// PostgREST caps every select at this many rows
+const PAGE_SIZE = 1000;
+
+/**
+ * Read every row of a select, page by page. The builder is called once per
+ * page and must apply a stable .order() so pages don't overlap or skip rows.
+ *
+ *   const { data, error } = await fetchAllRows(() => supabaseAdmin
+ *     .from('controls').select('id').eq('framework_id', id).order('id'));
+ *
+ * @param {Function} buildQuery - () => Supabase select builder, without .range()
+ * @returns {Promise<{ data: Array|null, error: Object|null }>} Same shape as a single select
+ */
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+    if (error) return { data: null, error };
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return { data: rows, error: null };
+}
+
 async function testConnection() {
   try {
     console.log('🔌 Testing Supabase connection...');
@@ -57,9 +94,10 @@ async function downloadFile(filePath) {
 
   console.log(`📥 Downloading file: ${filePath}`);
 
-  // Try direct download first
+  // Try direct download first. The service role reads past storage RLS —
+  // callers only pass paths from records the requester was checked against.
   try {
-    const { data, error } = await supabase.storage
+    const { data, error } = await supabaseAdmin.storage
       .from(storageBucket)
       .download(filePath);
 
@@ -77,7 +115,7 @@ async function downloadFile(filePath) {
 
   // Fallback to signed URL
   try {
-    const { data: signedData, error: signedError } = await supabase.storage
+    const { data: signedData, error: signedError } = await supabaseAdmin.storage
       .from(storageBucket)
       .createSignedUrl(filePath, 60);
 
@@ -108,6 +146,44 @@ function cleanupFile(filePath) {
   }
 }
 
+/**
+ * Upload a local file to Supabase storage.
+ * Used to keep a durable copy of uploads that background jobs may need after a restart.
+ *
+ * @param {string} localPath - Path of the file on disk
+ * @param {string} storagePath - Destination path within the storage bucket
+ * @param {string} contentType - MIME type to store with the object
+ * @returns {string} The storage path
+ */
+async function uploadFile(localPath, storagePath, contentType) {
+  const buffer = fs.readFileSync(localPath);
+  // Server-side write: storage RLS only lets the service role into this path
+  const { error } = await supabaseAdmin.storage
+    .from(storageBucket)
+    .upload(storagePath, buffer, { contentType, upsert: true });
+
+  if (error) {
+    throw new Error(`Failed to upload file "${storagePath}": ${error.message}`);
+  }
+  return storagePath;
+}
+
+/**
+ * Delete a file from Supabase storage. Failures are logged, not thrown.
+ *
+ * @param {string} storagePath - Path within the storage bucket
+ */
+async function removeFile(storagePath) {
+  try {
+    const { error } = await supabaseAdmin.storage.from(storageBucket).remove([storagePath]);
+    if (error) {
+      console.warn(`⚠️ Failed to remove stored file ${storagePath}: ${error.message}`);
+    }
+  } catch (err) {
+    console.warn(`⚠️ Stored file removal error: ${err.message}`);
+  }
+}
+
 /**
  * Generate a short-lived signed URL for a file in Supabase storage.
  * Used by the document viewer to let the frontend load PDFs directly.
@@ -136,8 +212,12 @@ async function getSignedUrl(filePath, expiresIn = 300) {
 module.exports = {
   supabase,
   supabaseAdmin,
+  createUserClient,
+  fetchAllRows,
   testConnection,
   downloadFile,
   cleanupFile,
+  uploadFile,
+  removeFile,
   getSignedUrl,
 };
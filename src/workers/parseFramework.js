@@ -2,10 +2,11 @@
  * Worker thread for framework file parsing.
  *
  * Runs in a separate V8 heap so that if it OOMs, the main process
- * stays alive and the job Map is preserved (job gets marked as 'failed').
+ * stays alive and the job store is preserved (job gets marked as 'failed').
  *
  * Communication:
  *   parentPort.postMessage({ type: 'progress', progress: '...' })
+ *   parentPort.postMessage({ type: 'checkpoint', checkpoint: { ... } })  — after each chunk
  *   parentPort.postMessage({ type: 'completed', result: { ... } })
  *   On error: the worker's 'error' event fires in the main thread
  */
@@ -17,7 +18,7 @@ const { chunkText, needsChunking } = require('../utils/chunker');
 const { cleanupFile } = require('../utils/supabase');
 
 async function run() {
-  const { filePath, fileName, mimeType, body } = workerData;
+  const { filePath, fileName, mimeType, body, checkpoint, organizationId } = workerData;
 
   try {
     const memStart = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
@@ -37,6 +38,7 @@ async function run() {
     let allControls = [];
     let allGroups = [];
     let totalUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    let modelUsed = null;
     let chunked = false;
     let chunkCount = 1;
     let frameworkDetected = null;
@@ -48,6 +50,40 @@ async function run() {
     let docInfo = null;
     const parsedType = parsed.type;
 
+    // Resume support: restore results of chunks finished by a previous attempt.
+    // Chunking is deterministic, so the checkpoint is only valid for the same chunk count.
+    const restoreCheckpoint = (totalChunks) => {
+      if (!checkpoint || checkpoint.chunkCount !== totalChunks || !checkpoint.chunksCompleted) return 0;
+      allControls = checkpoint.controls || [];
+      allGroups = checkpoint.groups || [];
+      totalUsage = checkpoint.usage || totalUsage;
+      modelUsed = checkpoint.model || modelUsed;
+      frameworkDetected = checkpoint.frameworkDetected || null;
+      versionDetected = checkpoint.versionDetected || null;
+      suggestedLayout = checkpoint.suggestedLayout || suggestedLayout;
+      suggestedGroupingField = checkpoint.suggestedGroupingField || suggestedGroupingField;
+      console.log(`♻️ [Worker] Resuming at chunk ${checkpoint.chunksCompleted + 1}/${totalChunks}`);
+      return checkpoint.chunksCompleted;
+    };
+
+    const saveCheckpoint = (chunksCompleted) => {
+      parentPort.postMessage({
+        type: 'checkpoint',
+        checkpoint: {
+          chunkCount,
+          chunksCompleted,
+          controls: allControls,
+          groups: allGroups,
+          usage: totalUsage,
+          model: modelUsed,
+          frameworkDetected,
+          versionDetected,
+          suggestedLayout,
+          suggestedGroupingField,
+        },
+      });
+    };
+
     // ── Tabular path (CSV / XLSX) ──
     if (parsedType === 'tabular') {
       console.log(`📊 [Worker] Tabular file: ${parsed.totalRows} rows, ${parsed.headers.length} columns`);
@@ -66,7 +102,7 @@ async function run() {
         chunkCount = chunks.length;
         console.log(`📦 [Worker] Tabular data requires chunking: ${chunks.length} chunks`);
 
-        for (let i = 0; i < chunks.length; i++) {
+        for (let i = restoreCheckpoint(chunks.length); i < chunks.length; i++) {
           console.log(`🔄 [Worker] Processing chunk ${i + 1}/${chunks.length}...`);
           parentPort.postMessage({ type: 'progress', progress: `Processing chunk ${i + 1} of ${chunks.length}` });
 
@@ -74,7 +110,8 @@ async function run() {
             ...context,
             chunkInfo: `This is part ${i + 1} of ${chunks.length} of the spreadsheet. Extract all controls found in this section.`,
           };
-          const extraction = await extractControlsFromTabular(chunks[i], chunkContext);
+          const extraction = await extractControlsFromTabular(chunks[i], chunkContext, { organizationId });
+          modelUsed = extraction.model || modelUsed;
           chunks[i] = null;
 
           // Extract only what we need, then free the extraction object
@@ -105,6 +142,7 @@ async function run() {
           totalUsage.prompt_tokens += usage?.prompt_tokens || 0;
           totalUsage.completion_tokens += usage?.completion_tokens || 0;
           totalUsage.total_tokens += usage?.total_tokens || 0;
+          saveCheckpoint(i + 1);
 
           // Force GC between chunks
           if (global.gc) global.gc();
@@ -121,7 +159,8 @@ async function run() {
 
         extractionNotes = `Spreadsheet was processed in ${chunkCount} chunks. ${allControls.length} unique controls extracted from ${parsed.totalRows} rows.`;
       } else {
-        const extraction = await extractControlsFromTabular(textData, context);
+        const extraction = await extractControlsFromTabular(textData, context, { organizationId });
+        modelUsed = extraction.model || modelUsed;
         allControls = extraction.result.controls || [];
         allGroups = extraction.result.groups || [];
         frameworkDetected = extraction.result.framework_detected || null;
@@ -154,7 +193,7 @@ async function run() {
         const memAfterChunk = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
         console.log(`🧹 [Worker] After freeing parsed text: ${memAfterChunk}MB heap`);
 
-        for (let i = 0; i < chunks.length; i++) {
+        for (let i = restoreCheckpoint(chunks.length); i < chunks.length; i++) {
           console.log(`🔄 [Worker] Processing chunk ${i + 1}/${chunks.length}...`);
           parentPort.postMessage({ type: 'progress', progress: `Processing chunk ${i + 1} of ${chunks.length}` });
 
@@ -162,7 +201,8 @@ async function run() {
             ...context,
             chunkInfo: `This is part ${i + 1} of ${chunks.length} of the document. Extract all controls found in this section.`,
           };
-          const extraction = await extractFrameworkControls(chunks[i], chunkContext);
+          const extraction = await extractFrameworkControls(chunks[i], chunkContext, { organizationId });
+          modelUsed = extraction.model || modelUsed;
           chunks[i] = null;
 
           // Extract only what we need
@@ -193,6 +233,7 @@ async function run() {
           totalUsage.prompt_tokens += usage?.prompt_tokens || 0;
           totalUsage.completion_tokens += usage?.completion_tokens || 0;
           totalUsage.total_tokens += usage?.total_tokens || 0;
+          saveCheckpoint(i + 1);
 
           // Force GC between chunks
           if (global.gc) global.gc();
@@ -212,7 +253,8 @@ async function run() {
           extractionNotes += ` Note: Document was truncated from ${docInfo.originalCharCount} to ${docInfo.charCount} characters due to size limits. Some controls from later sections may be missing.`;
         }
       } else {
-        const extraction = await extractFrameworkControls(parsed.text, context);
+        const extraction = await extractFrameworkControls(parsed.text, context, { organizationId });
+        modelUsed = extraction.model || modelUsed;
         parsed = null; // Free parsed after extraction
         if (global.gc) global.gc();
         allControls = extraction.result.controls || [];
@@ -248,7 +290,7 @@ async function run() {
       categoriesFound,
       extractionNotes,
       metadata: {
-        model: 'gpt-5.1',
+        model: modelUsed,
         tokensUsed: totalUsage,
         chunked,
         chunkCount,